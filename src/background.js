@@ -4,29 +4,67 @@
  * NO DOM access - pure service worker functionality
  */
 
-// Constants - copied here to avoid import issues in service worker
-const MessageTypes = {
-  GET_SETTINGS: 'GET_SETTINGS',
-  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
-  TEST_GEMINI_CONNECTION: 'TEST_GEMINI_CONNECTION',
-  GENERATE_EXPLANATION: 'GENERATE_EXPLANATION',
-  GENERATE_SUMMARY: 'GENERATE_SUMMARY',
-  ASK_FOLLOW_UP_QUESTION: 'ASK_FOLLOW_UP_QUESTION',
-  GET_VIDEO_TRANSCRIPT: 'GET_VIDEO_TRANSCRIPT',
-  FETCH_TRANSCRIPT_FROM_DOM: 'FETCH_TRANSCRIPT_FROM_DOM',
-  GET_VIDEO_INFO: 'GET_VIDEO_INFO',
-  GET_VIDEO_INFO_FROM_DOM: 'GET_VIDEO_INFO_FROM_DOM',
-  PING: 'PING',
-  CONTENT_SCRIPT_READY: 'CONTENT_SCRIPT_READY'
+import { createProvider } from './services/ai-providers.js';
+import { AICache } from './services/ai-cache.js';
+import { LibraryService } from './services/library.js';
+import { StorageService } from './services/storage.js';
+import { RequestManager } from './services/request-manager.js';
+import {
+  APIConfig,
+  CacheConfig,
+  ChatRoles,
+  ConversationConfig,
+  DefaultSettings,
+  FlashcardConfig,
+  MessageTypes,
+  QuizConfig,
+  RetrievalConfig,
+  StreamEvents,
+  StreamPort,
+  UIConfig
+} from './utils/constants.js';
+import {
+  buildGradingPrompt,
+  buildNotesCleanupPrompt,
+  buildNotesMergePrompt,
+  buildPrompt,
+  getTemplateFingerprint,
+  PromptTemplateTypes,
+  SamplePromptVariables
+} from './utils/promptTemplates.js';
+import { parseSummaryResponse, SummaryResponseSchema } from './utils/summaryFormat.js';
+import { parseQuizResponse, parseGradeResponse, QuizResponseSchema, GradeResponseSchema } from './utils/quizFormat.js';
+import { parseFlashcardResponse, FlashcardResponseSchema } from './utils/flashcardFormat.js';
+import { formatNotesForPrompt, parseNotesCleanupResponse, NotesCleanupSchema } from './utils/notes.js';
+import {
+  chunkTranscript,
+  formatTimestamp,
+  formatTranscriptForPrompt,
+  getTranscriptDuration,
+  getTranscriptExcerpt,
+  getTranscriptText
+} from './utils/transcriptUtils.js';
+import { retrieveTranscriptChunks, retrieveCollectionChunks } from './utils/transcriptSearch.js';
+import { formatCollectionVideos, getVideoLabel } from './utils/collection.js';
+import { toChatTurns, mergeTurns, splitHistory, formatTurns, fingerprintTurns } from './utils/conversation.js';
+import { normalizeCreatorChapters, alignChapters, fingerprintChapters } from './utils/chapters.js';
+
+// Bump a version whenever a built-in prompt changes so cached results from the old prompt
+// are ignored (edits to user templates and the audience are fingerprinted separately)
+const PROMPT_VERSIONS = {
+  summary: 5,
+  explanation: 4,
+  quiz: 1,
+  flashcards: 1
 };
 
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  autoSummary: true,
-  geminiApiKey: '',
-  lastUpdated: Date.now(),
-  version: '1.1.0'
-};
+const aiCache = new AICache();
+const library = new LibraryService();
+const storage = new StorageService();
+const aiRequests = new RequestManager();
+
+// Rolling summaries of older follow-up turns, keyed by fingerprintTurns() of the turns covered
+const historySummaries = new Map();
 
 console.log('SuperPlay AI: Background service worker loading...');
 
@@ -52,6 +90,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
+// Handle the manifest's keyboard commands: the watch page runs the action
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab?.id) return;
+
+  chrome.tabs.sendMessage(tab.id, {
+    type: MessageTypes.RUN_HOTKEY_ACTION,
+    action: command
+  }, () => {
+    // Not a watch page, or the page has not loaded the content script yet
+    if (chrome.runtime.lastError) {
+      console.log('SuperPlay AI: No page to run command on:', command);
+    }
+  });
+});
+
 async function handleMessage(request, sender, sendResponse) {
   try {
     switch (request.type) {
@@ -63,24 +116,31 @@ async function handleMessage(request, sender, sendResponse) {
         await handleUpdateSettings(request.settings, sendResponse);
         break;
 
-      case MessageTypes.TEST_GEMINI_CONNECTION:
+      case MessageTypes.TEST_AI_CONNECTION:
         await handleTestConnection(sendResponse);
         break;
 
-      case MessageTypes.GET_VIDEO_TRANSCRIPT:
-        await handleGetTranscript(request.videoId, request.videoTitle, sendResponse);
+      case MessageTypes.TEST_PROMPT_TEMPLATE:
+        await handleTestPromptTemplate(request, sendResponse);
         break;
 
-      case MessageTypes.GENERATE_EXPLANATION:
-        await handleGenerateExplanation(request, sendResponse);
+      case MessageTypes.GET_VIDEO_TRANSCRIPT:
+        await handleGetTranscript(request, sendResponse);
         break;
 
+      case MessageTypes.GENERATE_EXPLANATION:
       case MessageTypes.GENERATE_SUMMARY:
-        await handleGenerateSummary(request, sendResponse);
+      case MessageTypes.GENERATE_FLASHCARDS:
+      case MessageTypes.ASK_FOLLOW_UP_QUESTION:
+      case MessageTypes.ASK_COLLECTION_QUESTION:
+      case MessageTypes.GENERATE_QUIZ:
+      case MessageTypes.GRADE_QUIZ_ANSWER:
+      case MessageTypes.CLEAN_UP_NOTES:
+        await handleAIRequest(request, sender, sendResponse);
         break;
 
-      case MessageTypes.ASK_FOLLOW_UP_QUESTION:
-        await handleFollowUpQuestion(request, sendResponse);
+      case MessageTypes.CANCEL_REQUEST:
+        handleCancelRequest(request, sendResponse);
         break;
 
       case MessageTypes.GET_VIDEO_INFO:
@@ -100,10 +160,11 @@ async function handleMessage(request, sender, sendResponse) {
 // Initialize default settings
 async function initializeDefaults() {
   try {
-    const existing = await getSettings();
+    // Raw stored values: getSettings() would already fill in the defaults
+    const existing = await chrome.storage.sync.get(Object.keys(DefaultSettings));
     
     const settingsToSet = {};
-    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+    for (const [key, value] of Object.entries(DefaultSettings)) {
       if (existing[key] === undefined) {
         settingsToSet[key] = value;
       }
@@ -124,12 +185,12 @@ async function initializeDefaults() {
 // Get settings from storage
 async function getSettings() {
   try {
-    const keys = Object.keys(DEFAULT_SETTINGS);
+    const keys = Object.keys(DefaultSettings);
     const result = await chrome.storage.sync.get(keys);
-    return { ...DEFAULT_SETTINGS, ...result };
+    return { ...DefaultSettings, ...result };
   } catch (error) {
     console.error('SuperPlay AI: Failed to get settings:', error);
-    return { ...DEFAULT_SETTINGS };
+    return { ...DefaultSettings };
   }
 }
 
@@ -164,28 +225,10 @@ async function handleUpdateSettings(newSettings, sendResponse) {
 // Handle test connection
 async function handleTestConnection(sendResponse) {
   try {
-    console.log('SuperPlay AI: Testing Gemini API connection...');
-    
-    const settings = await getSettings();
-    const apiKey = settings.geminiApiKey?.trim();
-    
-    if (!apiKey) {
-      sendResponse({ 
-        success: true, 
-        result: { success: false, message: 'Gemini API key not configured. Please add your API key in the extension settings.' }
-      });
-      return;
-    }
+    const provider = await getProvider();
+    console.log(`SuperPlay AI: Testing ${provider.label} connection...`);
 
-    if (!isValidApiKey(apiKey)) {
-      sendResponse({ 
-        success: true, 
-        result: { success: false, message: 'Invalid Gemini API key format. Please check your API key.' }
-      });
-      return;
-    }
-
-    const result = await testGeminiConnection(apiKey);
+    const result = await provider.testConnection();
     sendResponse({ success: true, result });
   } catch (error) {
     console.error('SuperPlay AI: Test connection error:', error);
@@ -193,26 +236,34 @@ async function handleTestConnection(sendResponse) {
   }
 }
 
-// Test Gemini API connection
-async function testGeminiConnection(apiKey) {
+// Handle prompt template test: run a draft template against the sample video
+async function handleTestPromptTemplate(request, sendResponse) {
   try {
-    const testPrompt = "Respond with exactly: 'Connection successful'";
-    const response = await callGeminiAPI(testPrompt, apiKey, 1);
-    
-    if (response.toLowerCase().includes('connection successful')) {
-      return { success: true, message: 'Gemini API connection successful!' };
-    } else {
-      return { success: true, message: 'API responded but with unexpected content. Connection likely works.' };
+    const { templateType, template, audienceProfile } = request;
+    if (!PromptTemplateTypes[templateType]) {
+      throw new Error(`Unknown prompt template: ${templateType}`);
     }
+
+    const settings = {
+      ...await getSettings(),
+      [PromptTemplateTypes[templateType].settingKey]: template,
+      ...(audienceProfile && { audienceProfile })
+    };
+    const prompt = buildPrompt(templateType, settings, SamplePromptVariables);
+
+    console.log(`SuperPlay AI: Testing ${templateType} prompt template...`);
+    const output = await createProvider(settings).generate(prompt);
+    sendResponse({ success: true, prompt, output });
   } catch (error) {
-    console.error('SuperPlay AI: Connection test failed:', error);
-    return { success: false, message: error.message };
+    console.error('SuperPlay AI: Prompt template test error:', error);
+    sendResponse({ success: false, error: error.message });
   }
 }
 
 // Handle get transcript
-async function handleGetTranscript(videoId, videoTitle, sendResponse) {
+async function handleGetTranscript(request, sendResponse) {
   try {
+    const { videoId, videoTitle, trackId } = request;
     console.log('SuperPlay AI: Requesting transcript for video:', videoId);
     
     // Request transcript from content script (which has DOM access)
@@ -225,7 +276,8 @@ async function handleGetTranscript(videoId, videoTitle, sendResponse) {
     chrome.tabs.sendMessage(tabs[0].id, {
       type: MessageTypes.FETCH_TRANSCRIPT_FROM_DOM,
       videoId,
-      videoTitle
+      videoTitle,
+      trackId
     }, (response) => {
       if (chrome.runtime.lastError) {
         console.error('SuperPlay AI: Failed to communicate with content script:', chrome.runtime.lastError);
@@ -246,7 +298,12 @@ async function handleGetTranscript(videoId, videoTitle, sendResponse) {
       }
 
       console.log('SuperPlay AI: Transcript fetched successfully');
-      sendResponse({ success: true, transcript: response.transcript });
+      sendResponse({
+        success: true,
+        transcript: response.transcript,
+        track: response.track,
+        tracks: response.tracks
+      });
     });
 
   } catch (error) {
@@ -255,45 +312,98 @@ async function handleGetTranscript(videoId, videoTitle, sendResponse) {
   }
 }
 
-// Handle generate explanation
-async function handleGenerateExplanation(request, sendResponse) {
+// Answer an AI request sent with sendMessage. Identical requests in flight share
+// one AI call; CANCEL_REQUEST or the tab leaving the video cancels it.
+async function handleAIRequest(request, sender, sendResponse) {
   try {
-    const { transcript, videoTitle } = request;
-    console.log('SuperPlay AI: Generating explanation...');
-
-    const explanation = await generateVideoExplanation(transcript, videoTitle);
-    sendResponse({ success: true, explanation });
+    const result = await aiRequests.run(request, { tabId: sender?.tab?.id },
+      ({ signal }) => runAIRequest(request, { signal }));
+    sendResponse({ success: true, ...toMessageResponse(request.type, result) });
   } catch (error) {
-    console.error('SuperPlay AI: Generate explanation error:', error);
+    if (error.name === 'AbortError') {
+      console.log(`SuperPlay AI: ${request.type} cancelled`);
+      sendResponse({ success: false, cancelled: true, error: 'Request cancelled' });
+      return;
+    }
+    console.error(`SuperPlay AI: ${request.type} error:`, error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Handle generate summary
-async function handleGenerateSummary(request, sendResponse) {
-  try {
-    const { transcript, videoTitle } = request;
-    console.log('SuperPlay AI: Generating summary...');
+// Handle cancelling a request by the requestId it was sent with
+function handleCancelRequest(request, sendResponse) {
+  const cancelled = aiRequests.cancel(request.requestId);
+  sendResponse({ success: true, cancelled });
+}
 
-    const result = await generateVideoSummary(transcript, videoTitle);
-    sendResponse({ success: true, ...result });
-  } catch (error) {
-    console.error('SuperPlay AI: Generate summary error:', error);
-    sendResponse({ success: false, error: error.message });
+// handleMessage's response fields for an AI request's result
+function toMessageResponse(type, result) {
+  switch (type) {
+    case MessageTypes.GENERATE_EXPLANATION:
+      return { explanation: result.value, cached: result.cached };
+    case MessageTypes.GENERATE_SUMMARY:
+    case MessageTypes.GENERATE_QUIZ:
+    case MessageTypes.GENERATE_FLASHCARDS:
+      return { ...result.value, cached: result.cached };
+    case MessageTypes.ASK_FOLLOW_UP_QUESTION:
+      return { answer: result.text, sources: result.sources };
+    case MessageTypes.ASK_COLLECTION_QUESTION:
+      return { answer: result.text, sources: result.sources, skipped: result.skipped };
+    default:
+      return result;
   }
 }
 
-// Handle follow-up question
-async function handleFollowUpQuestion(request, sendResponse) {
-  try {
-    const { question, conversation, transcript, videoTitle } = request;
-    console.log('SuperPlay AI: Answering follow-up question...');
+// Generate the result of an AI request. Shared by handleMessage and stream ports,
+// so identical requests over either share one run; options carry the signal and,
+// for streams, onChunk and onProgress.
+async function runAIRequest(request, options) {
+  const video = getRequestVideo(request);
+
+  switch (request.type) {
+    case MessageTypes.GENERATE_SUMMARY: {
+      console.log('SuperPlay AI: Generating summary...');
+      const result = await withResultCache('summary', request,
+        () => generateVideoSummary(request.transcript, video, options));
+      await saveToLibrary(request, result.value);
+      return result;
+    }
 
-    const answer = await answerFollowUpQuestion(question, conversation, transcript, videoTitle);
-    sendResponse({ success: true, answer });
-  } catch (error) {
-    console.error('SuperPlay AI: Follow-up question error:', error);
-    sendResponse({ success: false, error: error.message });
+    case MessageTypes.GENERATE_EXPLANATION:
+      console.log('SuperPlay AI: Generating explanation...');
+      return await withResultCache('explanation', request,
+        () => generateVideoExplanation(request.transcript, video, options));
+
+    case MessageTypes.GENERATE_QUIZ:
+      console.log('SuperPlay AI: Generating quiz...');
+      return await withResultCache('quiz', request,
+        () => generateVideoQuiz(request.transcript, video, options));
+
+    case MessageTypes.GENERATE_FLASHCARDS:
+      console.log('SuperPlay AI: Generating flashcards...');
+      return await withResultCache('flashcards', request,
+        () => generateVideoFlashcards(request.transcript, video, options));
+
+    case MessageTypes.ASK_FOLLOW_UP_QUESTION:
+      console.log('SuperPlay AI: Answering follow-up question...');
+      return await answerFollowUpQuestion(request.question, request.conversation, request.transcript, video, options);
+
+    case MessageTypes.ASK_COLLECTION_QUESTION:
+      console.log('SuperPlay AI: Answering question across videos...');
+      return await answerCollectionQuestion(request.question, request.videos, options);
+
+    case MessageTypes.MERGE_NOTES_WITH_SUMMARY:
+      console.log('SuperPlay AI: Merging notes with the summary...');
+      return { text: await mergeNotesWithSummary(request.notes, request.summary, request.chapters, video, options) };
+
+    case MessageTypes.GRADE_QUIZ_ANSWER:
+      return await gradeQuizAnswer(request.question, request.answer, request.transcript, options);
+
+    case MessageTypes.CLEAN_UP_NOTES:
+      return await cleanUpNotes(request.notes, video, options);
+
+    default:
+      throw new Error(`Unsupported AI request: ${request.type}`);
   }
 }
 
@@ -317,315 +427,635 @@ async function handleGetVideoInfo(tabId, sendResponse) {
   }
 }
 
-// Validate API key format
-function isValidApiKey(apiKey) {
-  return typeof apiKey === 'string' && 
-         apiKey.startsWith('AIza') && 
-         apiKey.length >= 35;
+// Build the AI provider selected in settings
+async function getProvider() {
+  const settings = await getSettings();
+  return createProvider(settings);
 }
 
-// Call Gemini API
-async function callGeminiAPI(prompt, apiKey, retries = 3) {
-  const baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent';
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      console.log(`SuperPlay AI: Making Gemini API call (attempt ${attempt}/${retries})`);
-      
-      const requestBody = {
-        contents: [{
-          parts: [{ text: prompt }]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 8192,
-        },
-        safetySettings: [
-          {
-            category: "HARM_CATEGORY_HARASSMENT",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE"
-          },
-          {
-            category: "HARM_CATEGORY_HATE_SPEECH",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE"
-          },
-          {
-            category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE"
-          },
-          {
-            category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE"
-          }
-        ]
-      };
-
-      const response = await fetch(`${baseUrl}?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
-      });
+// Video details a request's prompts refer to
+function getRequestVideo(request) {
+  return {
+    title: request.videoTitle,
+    channel: request.channel,
+    duration: Number(request.duration) || 0,
+    creatorChapters: normalizeCreatorChapters(request.creatorChapters)
+  };
+}
 
-      console.log(`SuperPlay AI: Received response with status: ${response.status}`);
+// Return the cached result for this video, prompt version, model and language,
+// or generate and cache it. request.regenerate skips the cached copy.
+async function withResultCache(type, request, generate) {
+  if (!request.videoId) {
+    return { value: await generate(), cached: false };
+  }
 
-      if (!response.ok) {
-        let errorData;
-        try {
-          errorData = await response.json();
-        } catch (jsonError) {
-          errorData = { error: { message: 'Failed to parse error response' } };
-        }
-        
-        console.error('SuperPlay AI: API error response:', errorData);
-        
-        switch (response.status) {
-          case 400:
-            throw new Error(`Invalid request: ${errorData.error?.message || 'Bad request format'}`);
-          case 401:
-            throw new Error('Invalid API key. Please check your Gemini API key in settings.');
-          case 403:
-            throw new Error('API access forbidden. Please verify your API key has the necessary permissions.');
-          case 429:
-            if (attempt < retries) {
-              const delay = Math.pow(2, attempt) * 1000;
-              console.log(`SuperPlay AI: Rate limited, retrying in ${delay}ms`);
-              await new Promise(resolve => setTimeout(resolve, delay));
-              continue;
-            }
-            throw new Error('Rate limit exceeded. Please try again in a few minutes.');
-          case 500:
-            if (attempt < retries) {
-              const delay = 2000 * attempt;
-              console.log(`SuperPlay AI: Server error, retrying in ${delay}ms`);
-              await new Promise(resolve => setTimeout(resolve, delay));
-              continue;
-            }
-            throw new Error('Gemini API server error. Please try again later.');
-          default:
-            throw new Error(`API error (${response.status}): ${errorData.error?.message || 'Unknown error'}`);
-        }
-      }
+  const settings = await getSettings();
+  // Creator chapters change the summary's chapters, so they are part of its version
+  const creatorChapters = normalizeCreatorChapters(request.creatorChapters);
+  const chaptersVersion = creatorChapters.length ? `.${fingerprintChapters(creatorChapters)}` : '';
+  const key = AICache.buildKey({
+    type,
+    videoId: request.videoId,
+    promptVersion: `${PROMPT_VERSIONS[type]}.${getTemplateFingerprint(type, settings)}${chaptersVersion}`,
+    provider: settings.aiProvider,
+    model: createProvider(settings).model,
+    trackId: request.trackId,
+    language: settings.outputLanguage
+  });
+
+  if (!request.regenerate) {
+    const cached = await aiCache.get(key);
+    if (cached !== null) {
+      console.log(`SuperPlay AI: Using cached ${type} for video ${request.videoId}`);
+      return { value: cached, cached: true };
+    }
+  }
 
-      const data = await response.json();
-      console.log('SuperPlay AI: API response received successfully');
-      
-      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        console.error('SuperPlay AI: Invalid response structure:', data);
-        throw new Error('Invalid response format from Gemini API');
-      }
+  const value = await generate();
+  await aiCache.set(key, value, CacheConfig.TTL[type]);
+  return { value, cached: false };
+}
 
-      const content = data.candidates[0].content.parts[0].text;
-      if (!content || typeof content !== 'string') {
-        console.error('SuperPlay AI: Empty or invalid content:', content);
-        throw new Error('Empty or invalid response from Gemini API');
-      }
+// Keep a summarized video in the local library when the user opted in.
+// Failures are logged only: the summary itself already succeeded.
+async function saveToLibrary(request, { summary, chapters }) {
+  try {
+    const settings = await getSettings();
+    if (!settings.libraryEnabled || !request.videoId) {
+      return;
+    }
 
-      console.log('SuperPlay AI: API call successful, content length:', content.length);
-      return content.trim();
+    const video = getRequestVideo(request);
+    await library.saveVideo({
+      videoId: request.videoId,
+      title: video.title || 'Untitled video',
+      channel: video.channel || 'Unknown Channel',
+      duration: video.duration || getTranscriptDuration(request.transcript),
+      transcript: request.transcript,
+      summary,
+      chapters
+    });
+    console.log(`SuperPlay AI: Saved ${request.videoId} to the library`);
+  } catch (error) {
+    console.error('SuperPlay AI: Failed to save video to the library:', error);
+  }
+}
 
-    } catch (error) {
-      console.error(`SuperPlay AI: API call attempt ${attempt} failed:`, error);
-      
-      if (attempt === retries) {
-        throw error;
-      }
-      
-      if (error.message.includes('Invalid API key') || 
-          error.message.includes('API access forbidden') ||
-          error.message.includes('Invalid request')) {
-        throw error;
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-    }
+// Run a prompt, streaming it when the caller passed an onChunk callback
+async function runPrompt(provider, prompt, { onChunk, signal } = {}) {
+  if (onChunk) {
+    return await provider.stream(prompt, { onChunk, signal });
   }
+  return await provider.generate(prompt, { signal });
 }
 
-// Generate video explanation
-async function generateVideoExplanation(transcript, videoTitle) {
-  if (!transcript || transcript.trim().length < 50) {
-    throw new Error('Transcript is too short or empty to generate explanation');
+// Describe the video for a prompt: the full timestamped transcript when it fits,
+// otherwise notes condensed from it chunk by chunk (map-reduce)
+async function buildVideoContext(provider, transcript, videoTitle, options = {}) {
+  if (getTranscriptText(transcript).length <= UIConfig.MAX_TRANSCRIPT_LENGTH) {
+    return `TRANSCRIPT (each line starts with its [mm:ss] position in the video):
+${formatTranscriptForPrompt(transcript)}`;
   }
 
-  const settings = await getSettings();
-  const apiKey = settings.geminiApiKey?.trim();
-  
-  if (!apiKey) {
-    throw new Error('Gemini API key not configured');
+  const notes = await condenseTranscript(provider, transcript, videoTitle, options);
+  options.onProgress?.({ stage: 'final' });
+
+  return `NOTES ON EACH PART OF THE VIDEO (the video is too long to include in full; each part is labelled with its time range and every note starts with its [mm:ss] position in the video):
+${formatSections(notes)}`;
+}
+
+// Map step: summarize each transcript chunk with its time range, then merge
+// neighbouring notes until they fit into a single prompt
+async function condenseTranscript(provider, transcript, videoTitle, { signal, onProgress } = {}) {
+  const chunks = chunkTranscript(transcript, UIConfig.TRANSCRIPT_CHUNK_LENGTH);
+  console.log(`SuperPlay AI: Long transcript, summarizing ${chunks.length} chunks`);
+
+  let sections = chunks.map(chunk => ({
+    start: Array.isArray(chunk) ? chunk[0].start : null,
+    end: Array.isArray(chunk) ? getTranscriptDuration(chunk) : null,
+    text: formatTranscriptForPrompt(chunk)
+  }));
+
+  sections = await summarizeSections(provider, sections, videoTitle, 'chunk', { signal, onProgress });
+
+  while (sections.length > 1 && formatSections(sections).length > UIConfig.MAX_TRANSCRIPT_LENGTH) {
+    const merged = groupSections(sections, UIConfig.TRANSCRIPT_CHUNK_LENGTH);
+    if (merged.length === sections.length) {
+      break;
+    }
+    sections = await summarizeSections(provider, merged, videoTitle, 'merge', { signal, onProgress });
   }
 
-  const prompt = `You are an expert educator who explains complex topics in simple terms. 
+  return sections;
+}
 
-VIDEO TITLE: "${videoTitle}"
+// Turn each section's transcript (or earlier notes) into timestamped bullet notes
+async function summarizeSections(provider, sections, videoTitle, stage, { signal, onProgress } = {}) {
+  const notes = [];
 
-TRANSCRIPT: ${transcript}
+  for (let index = 0; index < sections.length; index++) {
+    const section = sections[index];
+    onProgress?.({ stage, current: index + 1, total: sections.length });
 
-Please create a comprehensive explanation of this video that a 12-year-old would easily understand. Use this exact structure and write in markdown:
+    const source = stage === 'chunk'
+      ? 'TRANSCRIPT (each line starts with its [mm:ss] position in the video)'
+      : 'NOTES (each note starts with its [mm:ss] position in the video)';
 
-# 🎬 What This Video Is About
+    const prompt = `You are taking notes on one part of a long video so that it can be summarized later.
 
-[Write 2-3 sentences explaining the main topic in very simple terms]
+VIDEO TITLE: "${videoTitle}"
+PART ${index + 1} OF ${sections.length}${formatSectionRange(section)}
 
-# 🎯 Key Things You'll Learn
+${source}:
+${section.text}
 
-[List 4-6 main takeaways as bullet points, each explained simply]
+Write concise markdown bullet notes covering every distinct topic, claim, example and conclusion in this part.
 
-# 🧠 Simple Explanation
+Guidelines:
+- Start each bullet with the [mm:ss] marker where that point begins
+- Keep names, numbers and technical terms exactly as they appear
+- Aim for 8-15 bullets and only include what is actually in this part
+- Respond with the bullet list only`;
+
+    const text = await provider.generate(prompt, { signal });
+    notes.push({ start: section.start, end: section.end, text: text.trim() });
+  }
 
-[Break down the content into easy-to-understand sections with clear headings. Use analogies, examples, and simple language. Make it engaging and fun to read.]
+  return notes;
+}
+
+// Combine neighbouring sections so each group stays under maxLength characters
+function groupSections(sections, maxLength) {
+  const groups = [];
 
-# 🌟 Why This Matters
+  for (const section of sections) {
+    const last = groups[groups.length - 1];
+    if (last && last.text.length + section.text.length <= maxLength) {
+      last.end = section.end;
+      last.text += `\n${section.text}`;
+    } else {
+      groups.push({ ...section });
+    }
+  }
 
-[Explain why this topic is important or useful in their daily life]
+  return groups;
+}
 
-# 🔥 Cool Facts
+function formatSectionRange(section) {
+  if (section.start === null || section.end === null) {
+    return '';
+  }
+  return `, covering [${formatTimestamp(section.start)}] to [${formatTimestamp(section.end)}]`;
+}
 
-[Share 2-3 interesting or surprising facts from the video that would excite a young person]
+function formatSections(sections) {
+  return sections
+    .map((section, index) => `PART ${index + 1}${formatSectionRange(section)}:\n${section.text}`)
+    .join('\n\n');
+}
 
-# 💡 Questions to Think About
+// Generate video explanation
+async function generateVideoExplanation(transcript, video, options = {}) {
+  if (getTranscriptText(transcript).trim().length < 50) {
+    throw new Error('Transcript is too short or empty to generate explanation');
+  }
 
-[Provide 2-3 thought-provoking questions related to the video content]
+  const settings = await getSettings();
+  const provider = createProvider(settings);
+  const videoContext = await buildVideoContext(provider, transcript, video.title, options);
 
-Important guidelines:
-- Use simple vocabulary and short sentences
-- Include emojis to make it engaging
-- Use analogies to familiar things
-- Avoid jargon or technical terms
-- Make it conversational and friendly
-- If the video contains inappropriate content, focus on educational aspects only`;
+  const prompt = buildPrompt('explanation', settings, {
+    title: video.title,
+    channel: video.channel || 'Unknown Channel',
+    transcript: videoContext
+  });
 
-  return await callGeminiAPI(prompt, apiKey);
+  return await runPrompt(provider, prompt, options);
 }
 
 // Generate video summary
-async function generateVideoSummary(transcript, videoTitle) {
-  if (!transcript || transcript.trim().length < 50) {
+async function generateVideoSummary(transcript, video, options = {}) {
+  if (getTranscriptText(transcript).trim().length < 50) {
     throw new Error('Transcript is too short or empty to generate summary');
   }
 
   const settings = await getSettings();
-  const apiKey = settings.geminiApiKey?.trim();
-  
-  if (!apiKey) {
-    throw new Error('Gemini API key not configured');
+  const provider = createProvider(settings);
+  const videoContext = await buildVideoContext(provider, transcript, video.title, options);
+
+  const prompt = buildPrompt('summary', settings, {
+    title: video.title,
+    channel: video.channel || 'Unknown Channel',
+    transcript: videoContext,
+    chapterRange: getTranscriptDuration(transcript) > 3600 ? '8-20' : '3-8',
+    creatorChapters: video.creatorChapters
+  });
+
+  // Chapters are clamped to the player's duration, or the transcript's when the player had none
+  const duration = video.duration > 0 ? video.duration : getTranscriptDuration(transcript);
+  return await requestStructuredResponse(provider, prompt, {
+    name: 'summary',
+    schema: SummaryResponseSchema,
+    parse: (response) => {
+      const result = parseSummaryResponse(response, { duration });
+      return { ...result, chapters: alignChapters(result.chapters, video.creatorChapters) };
+    }
+  }, options);
+}
+
+// Generate quiz questions, each tied to the time the video answers it
+async function generateVideoQuiz(transcript, video, options = {}) {
+  if (getTranscriptText(transcript).trim().length < 50) {
+    throw new Error('Transcript is too short or empty to generate a quiz');
   }
 
-  const prompt = `Analyze this video and create a summary with chapters.
+  const settings = await getSettings();
+  const provider = createProvider(settings);
+  const videoContext = await buildVideoContext(provider, transcript, video.title, options);
+
+  const prompt = buildPrompt('quiz', settings, {
+    title: video.title,
+    channel: video.channel || 'Unknown Channel',
+    transcript: videoContext,
+    questionCount: QuizConfig.QUESTION_COUNT
+  });
+
+  const duration = video.duration > 0 ? video.duration : getTranscriptDuration(transcript);
+  return await requestStructuredResponse(provider, prompt, {
+    name: 'quiz',
+    schema: QuizResponseSchema,
+    parse: (response) => parseQuizResponse(response, { duration })
+  }, options);
+}
 
-VIDEO TITLE: "${videoTitle}"
+// Generate term/definition flashcards, each tied to the time the video explains it
+async function generateVideoFlashcards(transcript, video, options = {}) {
+  if (getTranscriptText(transcript).trim().length < 50) {
+    throw new Error('Transcript is too short or empty to generate flashcards');
+  }
 
-TRANSCRIPT: ${transcript}
+  const settings = await getSettings();
+  const provider = createProvider(settings);
+  const videoContext = await buildVideoContext(provider, transcript, video.title, options);
+
+  const prompt = buildPrompt('flashcards', settings, {
+    title: video.title,
+    channel: video.channel || 'Unknown Channel',
+    transcript: videoContext,
+    cardCount: FlashcardConfig.CARD_COUNT
+  });
+
+  const duration = video.duration > 0 ? video.duration : getTranscriptDuration(transcript);
+  return await requestStructuredResponse(provider, prompt, {
+    name: 'flashcards',
+    schema: FlashcardResponseSchema,
+    parse: (response) => parseFlashcardResponse(response, { duration })
+  }, options);
+}
 
-Please respond with ONLY a valid JSON object in this exact format:
+// Grade a short answer against the quiz's model answer and what the video
+// says around the question's time. Resolves to { correct, feedback }.
+async function gradeQuizAnswer(question, answer, transcript, options = {}) {
+  if (!question?.question || !question.answer) {
+    throw new Error('Quiz question is missing');
+  }
+  if (!answer || !answer.trim()) {
+    throw new Error('Answer is empty');
+  }
 
-{
-  "summary": "A concise 2-3 sentence summary of the main points covered in the video, written in markdown format",
-  "chapters": [
-    {
-      "title": "Chapter title (short and descriptive)",
-      "timestamp": "0:00",
-      "seconds": 0,
-      "description": "Brief description of what's covered in this section"
-    }
-  ]
+  const settings = await getSettings();
+  const provider = createProvider(settings);
+  const excerpt = getTranscriptExcerpt(transcript, question.seconds, { before: 10, after: 40, maxLength: 1000 });
+  const prompt = buildGradingPrompt({ ...question, excerpt }, answer.trim(), settings);
+
+  return await requestStructuredResponse(provider, prompt, {
+    name: 'grading',
+    schema: GradeResponseSchema,
+    parse: parseGradeResponse
+  }, options);
 }
 
-Guidelines:
-- Create 3-8 logical chapters based on topic changes in the transcript
-- Estimate timestamps based on content flow (distribute evenly if unclear)
-- Keep chapter titles under 50 characters
-- Keep descriptions under 100 characters  
-- Summary should be engaging and informative
-- Use markdown formatting for emphasis in summary
-- Ensure all JSON is properly formatted and valid`;
-
-  const response = await callGeminiAPI(prompt, apiKey);
-  
-  try {
-    const cleanResponse = response.replace(/```json\s*|\s*```/g, '').trim();
-    const parsedResponse = JSON.parse(cleanResponse);
-    
-    if (!parsedResponse.summary || !Array.isArray(parsedResponse.chapters)) {
-      throw new Error('AI returned incomplete response. Please try again.');
-    }
+// Rewrite the learner's notes to read clearly, keeping each note's id and time
+async function cleanUpNotes(notes, video, options = {}) {
+  const written = (notes || []).filter(note => note?.id && note.text?.trim());
+  if (!written.length) {
+    throw new Error('There are no notes to clean up');
+  }
 
-    const processedChapters = parsedResponse.chapters.map((chapter, index) => {
-      if (!chapter.title || !chapter.description) {
-        throw new Error('AI returned invalid chapter format. Please try again.');
+  const settings = await getSettings();
+  const provider = createProvider(settings);
+  const prompt = buildNotesCleanupPrompt({
+    title: video.title,
+    notes: formatNotesForPrompt(written, { ids: true })
+  });
+
+  return await requestStructuredResponse(provider, prompt, {
+    name: 'notes',
+    schema: NotesCleanupSchema,
+    parse: (response) => parseNotesCleanupResponse(response, notes)
+  }, options);
+}
+
+// Combine the learner's notes with the video's summary and chapters into markdown study notes
+async function mergeNotesWithSummary(notes, summary, chapters, video, options = {}) {
+  const written = (notes || []).filter(note => note?.text?.trim());
+  if (!written.length) {
+    throw new Error('There are no notes to merge');
+  }
+  if (!summary || !summary.trim()) {
+    throw new Error('The video has no summary to merge with yet');
+  }
+
+  const settings = await getSettings();
+  const provider = createProvider(settings);
+  const prompt = buildNotesMergePrompt({
+    title: video.title,
+    channel: video.channel || 'Unknown Channel',
+    summary: summary.trim(),
+    chapters: (chapters || [])
+      .map(chapter => `- [${formatTimestamp(chapter.seconds)}] ${chapter.title}${chapter.description ? ` — ${chapter.description}` : ''}`)
+      .join('\n'),
+    notes: formatNotesForPrompt(written)
+  }, settings);
+
+  return await runPrompt(provider, prompt, options);
+}
+
+// Ask for schema-shaped JSON and validate it with parse(); when it is unusable,
+// ask again with the validation error so the model can correct its previous answer
+async function requestStructuredResponse(provider, prompt, { name, schema, parse }, { signal } = {}) {
+  let currentPrompt = prompt;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await provider.generate(currentPrompt, { signal, responseSchema: schema });
+
+    try {
+      return parse(response);
+    } catch (error) {
+      if (attempt >= APIConfig.SUMMARY_FORMAT_RETRIES) {
+        throw new Error(`Failed to parse ${name} response: ${error.message}`);
       }
 
-      return {
-        title: chapter.title.substring(0, 60),
-        timestamp: chapter.timestamp || `${index * 2}:00`,
-        seconds: chapter.seconds || index * 120,
-        description: chapter.description.substring(0, 120)
-      };
-    });
+      console.warn(`SuperPlay AI: Invalid ${name} response (${error.message}), asking for a corrected one`);
+      currentPrompt = `${prompt}
 
-    return {
-      summary: parsedResponse.summary,
-      chapters: processedChapters
-    };
+Your previous response could not be used: ${error.message}.
+Previous response:
+${response.substring(0, 4000)}
 
-  } catch (error) {
-    throw new Error(`Failed to parse summary response: ${error.message}`);
+Respond again with ONLY the corrected JSON object.`;
+    }
   }
 }
 
-// Answer follow-up question
-async function answerFollowUpQuestion(question, conversation, transcript, videoTitle) {
+// Answer a follow-up question from the transcript chunks that best match it.
+// Resolves to { text, sources }, sources being the chunks sent: [{ number, start, end }]
+async function answerFollowUpQuestion(question, conversation, transcript, video, options = {}) {
   if (!question || question.trim().length < 3) {
     throw new Error('Question is too short');
   }
 
   const settings = await getSettings();
-  const apiKey = settings.geminiApiKey?.trim();
-  
-  if (!apiKey) {
-    throw new Error('Gemini API key not configured');
-  }
-
-  let conversationContext = '';
-  if (conversation && conversation.length > 0) {
-    conversationContext = '\n\nPREVIOUS CONVERSATION:\n';
-    conversation.forEach((msg) => {
-      if (msg.type === 'user') {
-        conversationContext += `User: ${msg.content}\n`;
-      } else if (msg.type === 'ai') {
-        conversationContext += `AI: ${msg.content.substring(0, 200)}...\n`;
-      }
-    });
+  const provider = createProvider(settings);
+
+  // Earlier turns go to the model as real chat turns; the ones that no longer
+  // fit the token budget are folded into a summary inside the new question
+  const turns = toChatTurns(conversation);
+  const { older, recent } = splitHistory(turns);
+  const summary = await summarizeHistory(provider, older, options);
+  const conversationContext = summary
+    ? `\n\nSUMMARY OF THE EARLIER CONVERSATION (these messages are no longer in the chat):\n${summary}`
+    : '';
+
+  // Rank transcript chunks against the question (and the question before it,
+  // for short follow-ups like "why?") and send only the best matches
+  const lastUserTurn = [...turns].reverse().find(turn => turn.role === ChatRoles.USER);
+  const chunks = retrieveTranscriptChunks(transcript, `${question} ${lastUserTurn?.text || ''}`, {
+    chunkSize: RetrievalConfig.CHUNK_LENGTH,
+    topK: RetrievalConfig.TOP_K
+  });
+
+  const prompt = buildPrompt('followUp', settings, {
+    title: video.title,
+    channel: video.channel || 'Unknown Channel',
+    transcript: `TRANSCRIPT EXCERPTS most relevant to the question (each excerpt is labelled with its time range and every line starts with its [mm:ss] position in the video):
+${formatExcerpts(chunks)}`,
+    conversation: conversationContext,
+    question
+  });
+
+  const text = await runPrompt(provider, mergeTurns([...recent, { role: ChatRoles.USER, text: prompt }]), options);
+  const sources = chunks.map(({ number, start, end }) => ({ number, start, end }));
+  return { text, sources };
+}
+
+// Answer one question across several videos. Videos keep their position in the
+// request as their V1, V2, ... label, so callers can link citations while streaming.
+// Resolves to { text, sources, skipped }: sources are the chunks sent
+// [{ video, videoId, start, end }], skipped the ids of videos without a transcript.
+async function answerCollectionQuestion(question, videos, options = {}) {
+  if (!question || question.trim().length < 3) {
+    throw new Error('Question is too short');
+  }
+  if (!Array.isArray(videos) || !videos.length) {
+    throw new Error('Pick at least one video to ask about');
+  }
+  if (videos.length > RetrievalConfig.MAX_COLLECTION_VIDEOS) {
+    throw new Error(`Pick at most ${RetrievalConfig.MAX_COLLECTION_VIDEOS} videos to ask about`);
   }
 
-  const prompt = `You are an AI assistant helping someone understand a YouTube video. Answer their follow-up question based on the video content.
+  const resolved = await resolveCollectionVideos(videos);
+  const skipped = resolved.filter(video => !video.transcript).map(video => video.videoId);
+  if (skipped.length === resolved.length) {
+    throw new Error('None of these videos has a saved transcript. Open each video once, or save it to the library, and try again.');
+  }
 
-VIDEO TITLE: "${videoTitle}"
+  const settings = await getSettings();
+  const provider = createProvider(settings);
+
+  const chunks = retrieveCollectionChunks(resolved, question, {
+    chunkSize: RetrievalConfig.CHUNK_LENGTH,
+    topK: RetrievalConfig.COLLECTION_TOP_K
+  });
+
+  const prompt = buildPrompt('collection', settings, {
+    videos: formatCollectionVideos(resolved),
+    transcript: `TRANSCRIPT EXCERPTS most relevant to the question (each excerpt is labelled with its video and time range, and every line starts with its [mm:ss] position in that video):
+${formatExcerpts(chunks)}`,
+    question
+  });
+
+  const text = await runPrompt(provider, prompt, options);
+  const sources = chunks.map(({ video, start, end }) => ({ video, videoId: resolved[video].videoId, start, end }));
+  return { text, sources, skipped };
+}
+
+// Find the transcript of each collection video: sent with the request,
+// saved in the library, or cached when the video was last opened
+async function resolveCollectionVideos(videos) {
+  return Promise.all(videos.map(async (video) => {
+    if (getTranscriptText(video.transcript).trim()) {
+      return video;
+    }
+
+    const saved = await library.getVideo(video.videoId).catch(() => null);
+    const transcript = saved?.transcript || await storage.findCachedTranscript(video.videoId);
+    return {
+      ...video,
+      title: video.title || saved?.title,
+      channel: video.channel || saved?.channel,
+      transcript: transcript || null
+    };
+  }));
+}
+
+// Summarize chat turns that no longer fit the history budget. Builds on the
+// summary of the longest already-summarized prefix, so each turn is only summarized once.
+async function summarizeHistory(provider, turns, { signal, onProgress } = {}) {
+  if (!turns.length) {
+    return '';
+  }
+
+  let covered = 0;
+  let previousSummary = '';
+  for (let count = turns.length; count > 0; count--) {
+    const cached = historySummaries.get(fingerprintTurns(turns.slice(0, count)));
+    if (cached) {
+      covered = count;
+      previousSummary = cached;
+      break;
+    }
+  }
+
+  if (covered === turns.length) {
+    return previousSummary;
+  }
+
+  onProgress?.({ stage: 'history' });
+  console.log(`SuperPlay AI: Summarizing ${turns.length - covered} older conversation turns`);
+
+  const prompt = `You keep a running summary of a chat about a YouTube video, so the chat can continue after older messages are dropped.
+${previousSummary ? `\nSUMMARY SO FAR:\n${previousSummary}\n` : ''}
+MESSAGES TO ADD:
+${formatTurns(turns.slice(covered))}
+
+Write the updated summary in under 250 words. Keep every question the user asked, the main points of each answer in their original order and numbering, and any [mm:ss] citations. Respond with the summary only.`;
+
+  const summary = await provider.generate(prompt, { signal });
+
+  historySummaries.set(fingerprintTurns(turns), summary);
+  if (historySummaries.size > ConversationConfig.MAX_CACHED_SUMMARIES) {
+    historySummaries.delete(historySummaries.keys().next().value);
+  }
+  return summary;
+}
+
+// Label retrieved chunks with their video (for questions across videos),
+// their position in the transcript and their time range
+function formatExcerpts(chunks) {
+  return chunks
+    .map(chunk => {
+      const video = chunk.video === undefined ? '' : `${getVideoLabel(chunk.video)} `;
+      return `${video}EXCERPT ${chunk.number}${formatSectionRange(chunk)}:\n${chunk.text}`;
+    })
+    .join('\n\n');
+}
 
-FULL TRANSCRIPT: ${transcript}${conversationContext}
+// Handle a streaming port: one START per port, STOP or disconnect cancels the
+// request (and its AI call, unless an identical request is still waiting for it)
+function handleStreamPort(port) {
+  let requestId = null;
+  let disconnected = false;
 
-USER'S NEW QUESTION: "${question}"
+  const post = (message) => {
+    if (!disconnected) {
+      port.postMessage(message);
+    }
+  };
 
-Please provide a helpful, accurate answer based on the video content. Guidelines:
-- Answer directly and conversationally
-- Reference specific parts of the video when relevant
-- If the question is not related to the video, politely redirect to video topics
-- Use markdown formatting for better readability
-- Keep your response focused and not too long (aim for 2-4 paragraphs)
-- Be friendly and encouraging
-- If you're not sure about something, say so rather than guessing`;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    aiRequests.cancel(requestId);
+  });
 
-  return await callGeminiAPI(prompt, apiKey);
+  port.onMessage.addListener(async (message) => {
+    if (message.type === StreamEvents.STOP) {
+      console.log('SuperPlay AI: Stream stopped by user');
+      aiRequests.cancel(requestId);
+      return;
+    }
+
+    if (message.type !== StreamEvents.START || requestId) {
+      return;
+    }
+
+    const request = message.request || {};
+    requestId = request.requestId || crypto.randomUUID();
+    const onChunk = (chunk) => post({ type: StreamEvents.CHUNK, chunk });
+
+    try {
+      const result = await aiRequests.run({ ...request, requestId }, {
+        tabId: port.sender?.tab?.id,
+        onChunk,
+        onProgress: (progress) => post({ type: StreamEvents.PROGRESS, progress })
+      }, (options) => runAIRequest(request, options));
+
+      switch (request.type) {
+        case MessageTypes.GENERATE_EXPLANATION:
+          if (result.cached) {
+            onChunk(result.value);
+          }
+          post({ type: StreamEvents.DONE, text: result.value, cached: result.cached });
+          return;
+
+        case MessageTypes.GENERATE_SUMMARY:
+        case MessageTypes.GENERATE_QUIZ:
+        case MessageTypes.GENERATE_FLASHCARDS:
+          post({ type: StreamEvents.DONE, result: result.value, cached: result.cached });
+          return;
+
+        default: {
+          const { text, ...rest } = result;
+          post({ type: StreamEvents.DONE, text, result: rest });
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        post({ type: StreamEvents.CANCELLED });
+        return;
+      }
+      console.error('SuperPlay AI: Stream error:', error);
+      post({ type: StreamEvents.ERROR, error: error.message });
+    }
+  });
 }
 
+// Cancel a tab's requests when it closes or moves to another video
+chrome.tabs.onRemoved.addListener((tabId) => {
+  aiRequests.cancelTab(tabId);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    aiRequests.cancelTab(tabId, getUrlVideoId(changeInfo.url));
+  }
+});
+
+// Video ID of a YouTube watch or Shorts URL, null for other pages
+function getUrlVideoId(url) {
+  const match = String(url).match(/[?&]v=([a-zA-Z0-9_-]{11})|\/shorts\/([a-zA-Z0-9_-]{11})/);
+  return match ? match[1] || match[2] : null;
+}
 
 console.log('SuperPlay AI: Background service worker ready');
-// Keep service worker alive
+// Keep service worker alive and stream AI output over ports
 chrome.runtime.onConnect.addListener((port) => {
   console.log('SuperPlay AI: Connected to port:', port.name);
+
+  if (port.name === StreamPort.NAME) {
+    handleStreamPort(port);
+  }
 });
 
 
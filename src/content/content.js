@@ -4,17 +4,25 @@
  * This is the ONLY file that should access DOM elements
  */
 
-import { MessageTypes, YouTubeSelectors, UIConfig, Timings } from '../utils/constants.js';
+import { MessageTypes, YouTubeSelectors, UIConfig, Timings, NavigationEvents, HotkeyActions } from '../utils/constants.js';
 import { YouTubeService } from '../services/youtube.js';
 import { UIManager } from '../services/ui-manager.js';
+import { getTranscriptText } from '../utils/transcriptUtils.js';
+import { getHotkeys, getHotkeyAction, isTypingTarget } from '../utils/hotkeys.js';
 
 class ContentScript {
   constructor() {
     this.youtubeService = new YouTubeService();
     this.uiManager = new UIManager();
-    this.currentVideoId = null;
+    this.currentVideoId = null; // video the UI is set up for
+    this.pageVideoId = null; // video in the address bar at the last navigation
     this.isInitialized = false;
     this.navigationTimer = null;
+    this.initializeTimer = null;
+    this.autoSummaryTimer = null;
+    this.hotkeys = getHotkeys();
+    this.handleKeydown = null;
+    this.handleStorageChange = null;
     this.init();
   }
 
@@ -49,14 +57,22 @@ class ContentScript {
       // Setup message listeners
       this.setupMessageListeners();
 
+      // Follow settings changed in the popup or another tab
+      this.uiManager.setChapterSource(settings.chapterSource);
+      this.setupSettingsListener();
+
       // Initialize UI if on video page
       if (this.isVideoPage()) {
+        this.pageVideoId = this.youtubeService.getCurrentVideoId();
         await this.initializeVideoPage();
       }
 
       // Setup navigation detection
       this.setupNavigationDetection();
 
+      // Setup keyboard shortcuts
+      this.setupHotkeys(settings);
+
       this.isInitialized = true;
       console.log('SuperPlay AI: Content script ready');
 
@@ -109,6 +125,14 @@ class ContentScript {
           this.handleGetVideoInfoFromDOM(sendResponse);
           return true; // Keep message channel open for async response
 
+        case MessageTypes.RUN_HOTKEY_ACTION:
+          // A manifest command, pressed while the browser had the key
+          if (this.currentVideoId) {
+            this.runHotkeyAction(request.action);
+          }
+          sendResponse({ success: Boolean(this.currentVideoId) });
+          break;
+
         default:
           console.warn('SuperPlay AI: Unknown message type in content script:', request.type);
           sendResponse({ success: false, error: 'Unknown message type' });
@@ -120,13 +144,16 @@ class ContentScript {
 
   async handleFetchTranscriptFromDOM(request, sendResponse) {
     try {
-      const { videoId, videoTitle } = request;
+      const { videoId, trackId } = request;
       console.log('SuperPlay AI: Fetching transcript from DOM for video:', videoId);
 
-      const transcript = await this.youtubeService.fetchTranscript(videoId);
+      const settings = await this.getSettings();
+      const trackOptions = { trackId, preferredLanguage: settings.outputLanguage };
+      const transcript = await this.youtubeService.fetchTranscript(videoId, trackOptions);
+      const transcriptLength = getTranscriptText(transcript).length;
       
-      if (!transcript || transcript.length < UIConfig.MIN_TRANSCRIPT_LENGTH) {
-        console.error('SuperPlay AI: Transcript too short or empty:', transcript?.length || 0);
+      if (transcriptLength < UIConfig.MIN_TRANSCRIPT_LENGTH) {
+        console.error('SuperPlay AI: Transcript too short or empty:', transcriptLength);
         sendResponse({ 
           success: false, 
           error: 'Could not fetch video transcript. This video may not have captions available.' 
@@ -134,8 +161,18 @@ class ContentScript {
         return;
       }
 
-      console.log('SuperPlay AI: Successfully fetched transcript, length:', transcript.length);
-      sendResponse({ success: true, transcript });
+      // Caption URLs stay in the page, callers only need to tell tracks apart
+      const describeTrack = ({ id, languageCode, label, isAutoGenerated }) => ({ id, languageCode, label, isAutoGenerated });
+      const tracks = this.youtubeService.getCaptionTracks(videoId);
+      const track = this.youtubeService.resolveCaptionTrack(videoId, trackOptions);
+
+      console.log('SuperPlay AI: Successfully fetched transcript, segments:', transcript.length);
+      sendResponse({
+        success: true,
+        transcript,
+        track: track ? describeTrack(track) : null,
+        tracks: tracks.map(describeTrack)
+      });
 
     } catch (error) {
       console.error('SuperPlay AI: Failed to fetch transcript from DOM:', error);
@@ -174,6 +211,7 @@ class ContentScript {
 
       console.log('SuperPlay AI: Initializing for video:', videoId);
       this.currentVideoId = videoId;
+      this.uiManager.setActiveVideo(videoId);
 
       // Clear existing UI
       this.uiManager.cleanup();
@@ -181,13 +219,16 @@ class ContentScript {
       // Wait for video elements to load
       await this.waitForVideoElements();
 
+      // The user may have moved on while the page loaded
+      if (this.currentVideoId !== videoId) return;
+
       // Inject UI elements
       await this.injectUI();
 
       // Auto-generate summary if enabled
       const settings = await this.getSettings();
-      if (settings.autoSummary) {
-        setTimeout(() => this.showSidebar(), UIConfig.BUTTON_DELAY);
+      if (settings.autoSummary && this.currentVideoId === videoId) {
+        this.autoSummaryTimer = setTimeout(() => this.showSidebar(), UIConfig.BUTTON_DELAY);
       }
 
     } catch (error) {
@@ -294,6 +335,7 @@ class ContentScript {
 
   async showExplainCard() {
     try {
+      if (document.querySelector('.superplay-floating-card')) return;
       console.log('SuperPlay AI: Showing explain card...');
 
       const videoInfo = await this.youtubeService.getVideoInfo();
@@ -318,6 +360,9 @@ class ContentScript {
   }
 
   hideExplainCard() {
+    // Closing the card cancels any explanation or answer still being generated
+    this.uiManager.stopActiveStreams([MessageTypes.GENERATE_EXPLANATION, MessageTypes.ASK_FOLLOW_UP_QUESTION]);
+
     const overlay = document.querySelector('.superplay-overlay');
     const card = document.querySelector('.superplay-floating-card');
     
@@ -335,6 +380,7 @@ class ContentScript {
       if (sidebar) {
         // Load sidebar content
         this.uiManager.loadSidebarContent(sidebar, videoInfo);
+        sidebar.dataset.videoId = videoInfo.videoId;
         sidebar.style.display = 'block';
       }
 
@@ -343,25 +389,172 @@ class ContentScript {
     }
   }
 
-  setupNavigationDetection() {
-    // YouTube uses history API for navigation
-    let lastUrl = location.href;
-    
-    this.navigationTimer = setInterval(() => {
-      const currentUrl = location.href;
-      if (currentUrl !== lastUrl) {
-        lastUrl = currentUrl;
-        console.log('SuperPlay AI: Navigation detected');
-        
-        if (this.isVideoPage()) {
-          // Debounce to avoid multiple rapid initializations
-          setTimeout(() => this.initializeVideoPage(), UIConfig.DEBOUNCE_DELAY);
+  setupHotkeys(settings) {
+    this.hotkeys = getHotkeys(settings);
+    this.uiManager.setHotkeys(this.hotkeys);
+
+    this.handleKeydown = (event) => {
+      if (!this.currentVideoId) return;
+
+      if (event.key === 'Escape' && document.querySelector('.superplay-floating-card')) {
+        event.stopPropagation();
+        this.hideExplainCard();
+        return;
+      }
+      if (isTypingTarget(event.target)) return;
+
+      const action = getHotkeyAction(event, this.hotkeys);
+      if (action) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.runHotkeyAction(action);
+      }
+    };
+    // Capture phase, so YouTube's own shortcuts do not see the key first
+    document.addEventListener('keydown', this.handleKeydown, true);
+  }
+
+  // Apply rebound hotkeys and the chapter source without reloading the page
+  setupSettingsListener() {
+    this.handleStorageChange = (changes, areaName) => {
+      if (areaName !== 'sync') return;
+
+      if (changes.hotkeys) {
+        this.hotkeys = getHotkeys({ hotkeys: changes.hotkeys.newValue });
+        this.uiManager.setHotkeys(this.hotkeys);
+      }
+      if (changes.chapterSource) {
+        this.uiManager.setChapterSource(changes.chapterSource.newValue);
+      }
+    };
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+  }
+
+  // Run a keyboard shortcut, from the in-page hotkeys or a manifest command
+  runHotkeyAction(action) {
+    switch (action) {
+      case HotkeyActions.TOGGLE_SIDEBAR:
+        this.toggleSidebar();
+        break;
+
+      case HotkeyActions.OPEN_EXPLAIN_CARD:
+        if (document.querySelector('.superplay-floating-card')) {
+          this.hideExplainCard();
         } else {
-          this.currentVideoId = null;
-          this.uiManager.cleanup();
+          this.showExplainCard();
         }
-      }
-    }, Timings.NAVIGATION_CHECK_INTERVAL);
+        break;
+
+      case HotkeyActions.FOCUS_QUESTION:
+        this.focusQuestion();
+        break;
+
+      case HotkeyActions.NEXT_CHAPTER:
+        this.jumpToChapter(1);
+        break;
+
+      case HotkeyActions.PREVIOUS_CHAPTER:
+        this.jumpToChapter(-1);
+        break;
+
+      case HotkeyActions.ADD_NOTE:
+        this.addNoteAtCurrentTime();
+        break;
+
+      default:
+        console.warn('SuperPlay AI: Unknown hotkey action:', action);
+    }
+  }
+
+  // Hide the sidebar, or show it, keeping what it already shows for this video
+  async toggleSidebar() {
+    const sidebar = document.querySelector('.superplay-sidebar-container');
+    if (!sidebar) return;
+
+    if (sidebar.style.display !== 'none') {
+      sidebar.style.display = 'none';
+    } else if (sidebar.dataset.videoId === this.currentVideoId) {
+      sidebar.style.display = 'block';
+    } else {
+      await this.showSidebar();
+    }
+  }
+
+  // Open the explanation card with its follow-up question box focused
+  async focusQuestion() {
+    await this.showExplainCard();
+    try {
+      const input = await this.waitForElement('.superplay-floating-card .followup-input', Timings.DOM_WAIT_TIMEOUT);
+      input.focus();
+    } catch (error) {
+      console.log('SuperPlay AI: Question box not available:', error.message);
+    }
+  }
+
+  // Seek to the next or previous chapter of the sidebar's summary
+  jumpToChapter(direction) {
+    if (!this.uiManager.summaries.has(this.currentVideoId)) {
+      this.uiManager.showToast('Open the summary to jump between chapters');
+      return;
+    }
+
+    const chapter = this.uiManager.seekToChapter(direction);
+    this.uiManager.showToast(chapter
+      ? `${chapter.timestamp} · ${chapter.title}`
+      : `No ${direction > 0 ? 'next' : 'previous'} chapter`);
+  }
+
+  // Start a note at the current time, opening the sidebar if needed
+  async addNoteAtCurrentTime() {
+    const seconds = document.querySelector(YouTubeSelectors.VIDEO_PLAYER)?.currentTime || 0;
+    const sidebar = document.querySelector('.superplay-sidebar-container');
+    if (!sidebar) return;
+
+    if (sidebar.style.display === 'none') {
+      await this.showSidebar();
+    }
+    this.uiManager.startNoteAt(seconds);
+  }
+
+  setupNavigationDetection() {
+    // YouTube is a single-page app: it announces navigations with its own events,
+    // navigationHook.js reports history API calls and popstate covers back/forward
+    const onNavigate = () => this.handleNavigation();
+    window.addEventListener(NavigationEvents.PAGE_DATA, (event) => {
+      this.youtubeService.setPageData(event.detail);
+      onNavigate();
+    });
+    document.addEventListener(NavigationEvents.NAVIGATE_FINISH, onNavigate);
+    document.addEventListener(NavigationEvents.PAGE_DATA_UPDATED, onNavigate);
+    window.addEventListener(NavigationEvents.HISTORY_CHANGE, onNavigate);
+    window.addEventListener(NavigationEvents.POPSTATE, onNavigate);
+
+    // Fallback in case YouTube changes its events
+    this.navigationTimer = setInterval(onNavigate, Timings.NAVIGATION_CHECK_INTERVAL);
+  }
+
+  handleNavigation() {
+    const videoId = this.isVideoPage() ? this.youtubeService.getCurrentVideoId() : null;
+    if (videoId === this.pageVideoId) {
+      return;
+    }
+
+    console.log('SuperPlay AI: Navigation detected:', videoId || 'not a video page');
+    this.pageVideoId = videoId;
+
+    // Drop everything belonging to the previous video right away,
+    // so none of its transcript or AI responses render for the new one
+    clearTimeout(this.initializeTimer);
+    clearTimeout(this.autoSummaryTimer);
+    this.youtubeService.cancelPendingRequests();
+    this.uiManager.setActiveVideo(videoId);
+    this.uiManager.cleanup();
+    this.currentVideoId = null;
+
+    if (videoId) {
+      // Debounce to avoid multiple rapid initializations
+      this.initializeTimer = setTimeout(() => this.initializeVideoPage(), UIConfig.DEBOUNCE_DELAY);
+    }
   }
 
   async getSettings() {
@@ -381,6 +574,15 @@ class ContentScript {
     if (this.navigationTimer) {
       clearInterval(this.navigationTimer);
     }
+    if (this.handleKeydown) {
+      document.removeEventListener('keydown', this.handleKeydown, true);
+    }
+    if (this.handleStorageChange) {
+      chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    }
+    clearTimeout(this.initializeTimer);
+    clearTimeout(this.autoSummaryTimer);
+    this.youtubeService.cancelPendingRequests();
     this.uiManager.cleanup();
   }
 }
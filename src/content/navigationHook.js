@@ -0,0 +1,50 @@
+/**
+ * SuperPlay AI - Navigation Hook
+ * Runs in the page's world (content scripts cannot see the page's own
+ * history calls or variables): announces every pushState/replaceState with a
+ * window event, and forwards the player response and page data (chapter markers)
+ * of each video YouTube loads
+ * NO imports - this file is bundled on its own
+ */
+
+// Must match NavigationEvents.HISTORY_CHANGE and PAGE_DATA in utils/constants.js
+const HISTORY_CHANGE_EVENT = 'superplay-history-change';
+const PAGE_DATA_EVENT = 'superplay-page-data';
+
+['pushState', 'replaceState'].forEach((method) => {
+  const original = history[method];
+
+  history[method] = function (...args) {
+    const result = original.apply(this, args);
+    window.dispatchEvent(new Event(HISTORY_CHANGE_EVENT));
+    return result;
+  };
+});
+
+// The page's data for the video now showing. After in-app navigation it is only
+// in YouTube's navigation event and page manager, not in the page's script tags.
+function readPageData(event) {
+  const data = event?.detail?.response
+    || document.querySelector('ytd-page-manager')?.getCurrentData?.()
+    || {};
+
+  return {
+    playerResponse: data.playerResponse
+      || document.getElementById('movie_player')?.getPlayerResponse?.()
+      || window.ytInitialPlayerResponse
+      || null,
+    initialData: data.response || window.ytInitialData || null
+  };
+}
+
+// Sent as JSON: objects from the page's world are not readable in the content script's
+function forwardPageData(event) {
+  try {
+    window.dispatchEvent(new CustomEvent(PAGE_DATA_EVENT, { detail: JSON.stringify(readPageData(event)) }));
+  } catch (error) {
+    console.log('SuperPlay AI: Could not forward page data:', error);
+  }
+}
+
+document.addEventListener('yt-navigate-finish', forwardPageData);
+document.addEventListener('yt-page-data-updated', forwardPageData);
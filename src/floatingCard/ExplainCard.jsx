@@ -1,7 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
-import rehypeHighlight from 'rehype-highlight';
+import { streamFromBackground, describeProgress } from '../utils/streamClient.js';
+import {
+  markdownRemarkPlugins,
+  markdownRehypePlugins,
+  getTimestampLink,
+  getTimestampLinkSeconds,
+  TIMESTAMP_LINK_CLASS
+} from '../utils/markdown.js';
+import { getTranscriptExcerpt, formatTimestamp } from '../utils/transcriptUtils.js';
+import { createExportData } from '../utils/exportFormats.js';
+import { EXPORT_ACTIONS, runExportAction } from '../utils/fileExport.js';
+
+const markdownComponents = {
+  h1: ({node, ...props}) => <h1 className="markdown-h1" {...props} />,
+  h2: ({node, ...props}) => <h2 className="markdown-h2" {...props} />,
+  h3: ({node, ...props}) => <h3 className="markdown-h3" {...props} />,
+  p: ({node, ...props}) => <p className="markdown-p" {...props} />,
+  ul: ({node, ...props}) => <ul className="markdown-ul" {...props} />,
+  li: ({node, ...props}) => <li className="markdown-li" {...props} />,
+  code: ({node, inline, ...props}) => 
+    inline ? 
+      <code className="markdown-inline-code" {...props} /> : 
+      <code className="markdown-code-block" {...props} />,
+  blockquote: ({node, ...props}) => <blockquote className="markdown-blockquote" {...props} />
+};
 
 const ExplainCard = ({ videoId, onClose }) => {
   const [explanation, setExplanation] = useState('');
@@ -11,10 +34,18 @@ const ExplainCard = ({ videoId, onClose }) => {
   const [followUpQuestion, setFollowUpQuestion] = useState('');
   const [askingFollowUp, setAskingFollowUp] = useState(false);
   const [showFollowUp, setShowFollowUp] = useState(false);
+  const [streaming, setStreaming] = useState(null);
+  const [timestampPreview, setTimestampPreview] = useState(null);
+  const streamRef = useRef(null);
+  const transcriptRef = useRef(null); // for citation previews
+  const activeVideoRef = useRef(videoId);
 
+  // Stop generating when the video changes or the card closes
   useEffect(() => {
+    activeVideoRef.current = videoId;
     loadExplanation();
     loadConversationHistory();
+    return () => streamRef.current?.stop();
   }, [videoId]);
 
   // Save conversation to storage whenever it changes
@@ -24,13 +55,16 @@ const ExplainCard = ({ videoId, onClose }) => {
     }
   }, [conversation]);
 
-  const loadExplanation = async () => {
+  // Pass { regenerate: true } to skip both the saved conversation and the cached explanation
+  const loadExplanation = async ({ regenerate = false } = {}) => {
     setLoading(true);
     setError(null);
+    // Responses for a video the user navigated away from are dropped
+    const isStale = () => activeVideoRef.current !== videoId;
     
     try {
       // Check if we already have a conversation loaded
-      if (conversation.length > 0) {
+      if (!regenerate && conversation.length > 0) {
         const explanationMsg = conversation.find(msg => msg.type === 'explanation');
         if (explanationMsg) {
           setExplanation(explanationMsg.content);
@@ -44,42 +78,80 @@ const ExplainCard = ({ videoId, onClose }) => {
       const videoTitle = getVideoTitle();
       
       // First get the transcript
-      const transcript = await getVideoTranscript(videoId);
+      const { transcript, track } = await getVideoTranscript(videoId);
+      if (isStale()) return;
+      transcriptRef.current = transcript;
+      setLoading(false);
       
-      // Then generate explanation using Gemini
-      const response = await chrome.runtime.sendMessage({
+      // Then stream the explanation from the AI provider
+      const { text } = await runStream('explanation', {
         type: 'GENERATE_EXPLANATION',
         transcript: transcript,
-        videoTitle: videoTitle
+        trackId: track?.id,
+        videoId: videoId,
+        videoTitle: videoTitle,
+        channel: getVideoChannel(),
+        regenerate: regenerate
       });
 
-      if (response.success) {
-        setExplanation(response.explanation.explanation);
+      if (text && !isStale()) {
+        setExplanation(text);
         setShowFollowUp(true);
         // Initialize conversation with the original explanation
         const newConversation = [{
           type: 'explanation',
-          content: response.explanation.explanation,
+          content: text,
           timestamp: new Date().toISOString()
         }];
         setConversation(newConversation);
-      } else {
-        throw new Error(response.error || 'Failed to generate explanation');
       }
       
     } catch (error) {
+      if (isStale()) return;
       console.error('Failed to load explanation:', error);
       setError(error.message);
     } finally {
-      setLoading(false);
+      if (!isStale()) {
+        setLoading(false);
+      }
     }
   };
 
+  // Stream a request, showing partial output as a message of the given type.
+  // Resolves with { text, result }
+  const runStream = async (type, request) => {
+    setStreaming({ type, content: '', progress: '' });
+
+    const stream = streamFromBackground(request, (chunk) => {
+      setStreaming(prev => prev && { ...prev, content: prev.content + chunk });
+    }, (progress) => {
+      setStreaming(prev => prev && { ...prev, progress: describeProgress(progress) });
+    });
+    streamRef.current = stream;
+
+    try {
+      const { text, result } = await stream.promise;
+      return { text, result };
+    } finally {
+      streamRef.current = null;
+      setStreaming(null);
+    }
+  };
+
+  const stopStreaming = () => {
+    streamRef.current?.stop();
+  };
+
   const getVideoTitle = () => {
     const titleElement = document.querySelector('#title h1.ytd-watch-metadata');
     return titleElement ? titleElement.textContent.trim() : 'YouTube Video';
   };
 
+  const getVideoChannel = () => {
+    const channelElement = document.querySelector('#owner #channel-name a');
+    return channelElement ? channelElement.textContent.trim() : 'Unknown Channel';
+  };
+
   const getVideoTranscript = async (videoId) => {
     // Send message to background script to get transcript
     const response = await chrome.runtime.sendMessage({
@@ -88,7 +160,7 @@ const ExplainCard = ({ videoId, onClose }) => {
     });
 
     if (response.success) {
-      return response.transcript;
+      return response;
     } else {
       throw new Error('Could not fetch video transcript');
     }
@@ -100,6 +172,42 @@ const ExplainCard = ({ videoId, onClose }) => {
     }
   };
 
+  const seekToTimestamp = (seconds) => {
+    const video = document.querySelector('video');
+    if (video) {
+      video.currentTime = seconds;
+    }
+  };
+
+  // Timestamp citations in AI answers seek the video
+  const handleTimestampClick = (e) => {
+    const seconds = getTimestampLinkSeconds(e.target);
+    if (seconds === null) return;
+
+    e.preventDefault();
+    setTimestampPreview(null);
+    seekToTimestamp(seconds);
+  };
+
+  // Hovering a citation previews the transcript around it
+  const handleTimestampHover = (e) => {
+    const link = getTimestampLink(e.target);
+    if (!link) return;
+
+    const seconds = getTimestampLinkSeconds(link);
+    const text = getTranscriptExcerpt(transcriptRef.current, seconds);
+    if (!text) return;
+
+    const rect = link.getBoundingClientRect();
+    setTimestampPreview({ seconds, text, left: rect.left, top: rect.bottom + 6 });
+  };
+
+  const handleTimestampLeave = (e) => {
+    if (getTimestampLink(e.target)) {
+      setTimestampPreview(null);
+    }
+  };
+
   const handleFollowUpSubmit = async (e) => {
     e.preventDefault();
     
@@ -119,30 +227,31 @@ const ExplainCard = ({ videoId, onClose }) => {
       
       // Get video title and transcript for context
       const videoTitle = getVideoTitle();
-      const transcript = await getVideoTranscript(videoId);
+      const { transcript } = await getVideoTranscript(videoId);
+      transcriptRef.current = transcript;
       
-      // Send follow-up question
-      const response = await chrome.runtime.sendMessage({
+      // Stream the follow-up answer
+      const { text: answer, result } = await runStream('answer', {
         type: 'ASK_FOLLOW_UP_QUESTION',
         question: followUpQuestion.trim(),
-        conversation: [...conversation, userMessage],
+        conversation,
         transcript: transcript,
-        videoTitle: videoTitle
+        videoTitle: videoTitle,
+        channel: getVideoChannel()
       });
 
-      if (response.success) {
+      if (answer) {
         // Add AI response to conversation
         const aiResponse = {
           type: 'answer',
-          content: response.answer,
+          content: answer,
+          sources: result?.sources || [],
           timestamp: new Date().toISOString()
         };
         
         setConversation(prev => [...prev, aiResponse]);
-        setFollowUpQuestion('');
-      } else {
-        throw new Error(response.error || 'Failed to get answer');
       }
+      setFollowUpQuestion('');
       
     } catch (error) {
       console.error('Failed to ask follow-up question:', error);
@@ -204,6 +313,32 @@ const ExplainCard = ({ videoId, onClose }) => {
     }
   };
 
+  const regenerateExplanation = async () => {
+    try {
+      await chrome.storage.local.remove([`conversation_${videoId}`]);
+      setConversation([]);
+      setShowFollowUp(false);
+      loadExplanation({ regenerate: true });
+    } catch (error) {
+      console.error('Failed to regenerate explanation:', error);
+    }
+  };
+
+  const exportConversation = async (event) => {
+    const { action } = event.target.dataset;
+    if (!action) return;
+
+    event.target.closest('details').open = false;
+    try {
+      await runExportAction(action, createExportData({
+        video: { videoId, title: document.title.replace(/ - YouTube$/, '') },
+        conversation
+      }));
+    } catch (error) {
+      console.error('Failed to export conversation:', error);
+    }
+  };
+
   return (
     <div className="explain-card-backdrop" onClick={handleBackdropClick}>
       <style jsx>{`
@@ -254,6 +389,59 @@ const ExplainCard = ({ videoId, onClose }) => {
           margin: 0;
         }
 
+        .export-menu {
+          position: relative;
+        }
+
+        .export-menu summary {
+          list-style: none;
+          color: #a0a0a0;
+          font-size: 16px;
+          cursor: pointer;
+          padding: 4px;
+          border-radius: 4px;
+        }
+
+        .export-menu summary::-webkit-details-marker {
+          display: none;
+        }
+
+        .export-menu summary:hover {
+          background: #2a2a3e;
+          color: #667eea;
+        }
+
+        .export-menu-options {
+          position: absolute;
+          right: 0;
+          top: calc(100% + 4px);
+          min-width: 180px;
+          padding: 4px;
+          background: #2a2a3e;
+          border: 1px solid #16213e;
+          border-radius: 8px;
+          box-shadow: 0 8px 20px rgba(0, 0, 0, 0.4);
+          z-index: 1;
+        }
+
+        .export-menu-options button {
+          display: block;
+          width: 100%;
+          padding: 6px 10px;
+          background: none;
+          border: none;
+          border-radius: 6px;
+          color: #e0e0e0;
+          font-size: 13px;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .export-menu-options button:hover {
+          background: #1a1a2e;
+          color: #667eea;
+        }
+
         .close-button {
           background: none;
           border: none;
@@ -602,6 +790,39 @@ const ExplainCard = ({ videoId, onClose }) => {
           }
         }
 
+        /* Streaming Styles */
+        .conversation-message.streaming .markdown-content > :last-child::after {
+          content: '▍';
+          margin-left: 2px;
+          color: #667eea;
+        }
+
+        .stop-button {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin: 0 auto 16px auto;
+          background: #16213e;
+          color: #e0e0e0;
+          border: 1px solid #2a2a3e;
+          border-radius: 6px;
+          padding: 6px 14px;
+          font-size: 13px;
+          cursor: pointer;
+          transition: all 0.2s ease;
+        }
+
+        .stop-button:hover {
+          border-color: #667eea;
+        }
+
+        .stop-icon {
+          width: 10px;
+          height: 10px;
+          background: currentColor;
+          border-radius: 2px;
+        }
+
         /* Follow-up Question Styles */
         .follow-up-section {
           border-top: 1px solid #2a2a3e;
@@ -745,6 +966,15 @@ const ExplainCard = ({ videoId, onClose }) => {
         <div className="card-header">
           <h3 className="card-title">🤖 Video Explanation</h3>
           <div className="header-buttons">
+            {showFollowUp && !streaming && (
+              <button 
+                className="clear-button" 
+                onClick={regenerateExplanation}
+                title="Generate a fresh explanation"
+              >
+                ↻
+              </button>
+            )}
             {conversation.length > 1 && (
               <button 
                 className="clear-button" 
@@ -754,6 +984,16 @@ const ExplainCard = ({ videoId, onClose }) => {
                 🔄
               </button>
             )}
+            {conversation.length > 0 && !streaming && (
+              <details className="export-menu">
+                <summary title="Export or copy">⤓</summary>
+                <div className="export-menu-options" onClick={exportConversation}>
+                  {EXPORT_ACTIONS.map(({ action, label }) => (
+                    <button key={action} data-action={action}>{label}</button>
+                  ))}
+                </div>
+              </details>
+            )}
             <button className="close-button" onClick={onClose}>
               ✕
             </button>
@@ -763,13 +1003,13 @@ const ExplainCard = ({ videoId, onClose }) => {
         {loading ? (
           <div className="loading-container">
             <div className="loading-spinner"></div>
-            <span className="loading-text">Generating explanation with Gemini AI...</span>
+            <span className="loading-text">Loading video transcript...</span>
           </div>
         ) : error ? (
           <div className="error-container">
             <div className="error-icon">⚠️</div>
             <div className="error-message">{error}</div>
-            <button className="retry-button" onClick={loadExplanation}>
+            <button className="retry-button" onClick={() => loadExplanation()}>
               Try Again
             </button>
           </div>
@@ -804,40 +1044,81 @@ const ExplainCard = ({ videoId, onClose }) => {
                     </div>
                   )}
                   
-                  <div className="message-content">
+                  <div
+                    className="message-content"
+                    onClick={handleTimestampClick}
+                    onMouseOver={handleTimestampHover}
+                    onMouseOut={handleTimestampLeave}
+                  >
                     {message.type === 'question' || message.type === 'error' ? (
                       <p className="simple-text">{message.content}</p>
                     ) : (
                       <ReactMarkdown
-                        remarkPlugins={[remarkGfm]}
-                        rehypePlugins={[rehypeHighlight]}
+                        remarkPlugins={markdownRemarkPlugins}
+                        rehypePlugins={markdownRehypePlugins}
                         className="markdown-content"
-                        components={{
-                          h1: ({node, ...props}) => <h1 className="markdown-h1" {...props} />,
-                          h2: ({node, ...props}) => <h2 className="markdown-h2" {...props} />,
-                          h3: ({node, ...props}) => <h3 className="markdown-h3" {...props} />,
-                          p: ({node, ...props}) => <p className="markdown-p" {...props} />,
-                          ul: ({node, ...props}) => <ul className="markdown-ul" {...props} />,
-                          li: ({node, ...props}) => <li className="markdown-li" {...props} />,
-                          code: ({node, inline, ...props}) => 
-                            inline ? 
-                              <code className="markdown-inline-code" {...props} /> : 
-                              <code className="markdown-code-block" {...props} />,
-                          blockquote: ({node, ...props}) => <blockquote className="markdown-blockquote" {...props} />
-                        }}
+                        components={markdownComponents}
                       >
                         {message.content}
                       </ReactMarkdown>
                     )}
+                    {message.sources?.some(source => source.start !== null) && (
+                      <div className="answer-sources">
+                        <span className="answer-sources-label">Based on</span>
+                        {message.sources.filter(source => source.start !== null).map(source => (
+                          <a
+                            key={source.number}
+                            href={`#t=${Math.floor(source.start)}`}
+                            className={TIMESTAMP_LINK_CLASS}
+                            data-seconds={Math.floor(source.start)}
+                          >
+                            {formatTimestamp(source.start)}–{formatTimestamp(source.end)}
+                          </a>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
               
-              {askingFollowUp && (
+              {streaming && streaming.content && (
+                <div className={`conversation-message ${streaming.type} streaming`}>
+                  <div className="message-header">
+                    <span className="message-icon">{streaming.type === 'explanation' ? '🤖' : '💡'}</span>
+                    <span className="message-label">
+                      {streaming.type === 'explanation' ? 'AI Explanation' : 'AI Answer'}
+                    </span>
+                  </div>
+                  <div
+                    className="message-content"
+                    onClick={handleTimestampClick}
+                    onMouseOver={handleTimestampHover}
+                    onMouseOut={handleTimestampLeave}
+                  >
+                    <ReactMarkdown
+                      remarkPlugins={markdownRemarkPlugins}
+                      rehypePlugins={markdownRehypePlugins}
+                      className="markdown-content"
+                      components={markdownComponents}
+                    >
+                      {streaming.content}
+                    </ReactMarkdown>
+                  </div>
+                </div>
+              )}
+
+              {streaming && (
+                <button className="stop-button" onClick={stopStreaming}>
+                  <span className="stop-icon"></span>
+                  Stop generating
+                </button>
+              )}
+
+              {(askingFollowUp || streaming) && !streaming?.content && (
                 <div className="conversation-message thinking">
                   <div className="message-header">
                     <span className="message-icon">🤔</span>
-                    <span className="message-label">AI is thinking...</span>
+                    <span className="message-label">{streaming?.progress || 'AI is thinking...'}</span>
                   </div>
                   <div className="thinking-indicator">
                     <div className="thinking-dots">
@@ -898,6 +1179,17 @@ const ExplainCard = ({ videoId, onClose }) => {
           </div>
         )}
       </div>
+
+      {timestampPreview && (
+        <div
+          className="superplay-timestamp-preview"
+          role="tooltip"
+          style={{ left: timestampPreview.left, top: timestampPreview.top }}
+        >
+          <span className="timestamp-preview-time">{formatTimestamp(timestampPreview.seconds)}</span>
+          <p className="timestamp-preview-text">{timestampPreview.text}</p>
+        </div>
+      )}
     </div>
   );
 };
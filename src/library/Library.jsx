@@ -0,0 +1,274 @@
+/**
+ * SuperPlay AI - Library Page
+ * Lists the videos saved to the local library, searches across their
+ * transcripts, summaries, chapters and notes, and asks questions across
+ * a selection of them
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { LibraryService } from '../services/library.js';
+import { StorageService } from '../services/storage.js';
+import { searchLibrary, highlightTerms, getVideoUrl } from '../utils/librarySearch.js';
+import { formatTimestamp } from '../utils/transcriptUtils.js';
+import { linkCollectionCitations } from '../utils/collection.js';
+import { markdownRemarkPlugins, markdownRehypePlugins } from '../utils/markdown.js';
+import { streamFromBackground, describeProgress } from '../utils/streamClient.js';
+import { MessageTypes, RetrievalConfig } from '../utils/constants.js';
+import '../styles/library.css';
+
+const library = new LibraryService();
+const storage = new StorageService();
+
+/**
+ * Text with the query terms marked
+ */
+function Highlighted({ text, query }) {
+  return highlightTerms(text, query).map((part, index) =>
+    part.match ? <mark key={index}>{part.text}</mark> : <React.Fragment key={index}>{part.text}</React.Fragment>
+  );
+}
+
+export default function Library() {
+  const [videos, setVideos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [answer, setAnswer] = useState(null);
+  const streamRef = useRef(null);
+
+  const loadVideos = async () => {
+    try {
+      const [saved, noteRecords] = await Promise.all([library.getAllVideos(), storage.getAllNotes()]);
+      // Notes taken in the sidebar are kept in extension storage; search them with the rest
+      const notesByVideo = new Map(noteRecords.map(record => [record.videoId, record.notes.map(note => note.text).join('\n')]));
+      setVideos(saved.map(video => (notesByVideo.has(video.videoId) ? { ...video, notes: notesByVideo.get(video.videoId) } : video)));
+      setError(null);
+    } catch (loadError) {
+      console.error('SuperPlay AI: Failed to load library:', loadError);
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadVideos();
+    // Pick up videos summarized in other tabs
+    window.addEventListener('focus', loadVideos);
+    return () => window.removeEventListener('focus', loadVideos);
+  }, []);
+
+  const results = useMemo(() => (query.trim() ? searchLibrary(videos, query) : null), [videos, query]);
+
+  // Selected videos in the order they were picked, which sets their V1, V2, ... labels
+  const selectedVideos = selectedIds
+    .map(videoId => videos.find(video => video.videoId === videoId))
+    .filter(Boolean);
+
+  useEffect(() => () => streamRef.current?.stop(), []);
+
+  const toggleSelected = (videoId) => {
+    setSelectedIds(prev => (prev.includes(videoId) ? prev.filter(id => id !== videoId) : [...prev, videoId]));
+  };
+
+  const askCollection = async (e) => {
+    e.preventDefault();
+    if (!question.trim() || streamRef.current) return;
+
+    // Only ids travel to the worker, which reads the transcripts from the library itself
+    const collection = selectedVideos.map(({ videoId, title, channel }) => ({ videoId, title, channel }));
+    let text = '';
+    setAnswer({ videos: collection, text: '', streaming: true, progress: null });
+
+    const stream = streamFromBackground({
+      type: MessageTypes.ASK_COLLECTION_QUESTION,
+      question: question.trim(),
+      videos: collection
+    }, (chunk) => {
+      text += chunk;
+      setAnswer(prev => ({ ...prev, text }));
+    }, (progress) => {
+      setAnswer(prev => ({ ...prev, progress }));
+    });
+    streamRef.current = stream;
+
+    try {
+      const result = await stream.promise;
+      setAnswer(prev => ({
+        ...prev,
+        text: result.stopped ? text : result.text,
+        skipped: result.result?.skipped || [],
+        stopped: result.stopped,
+        streaming: false
+      }));
+    } catch (askError) {
+      console.error('SuperPlay AI: Collection question failed:', askError);
+      setAnswer(prev => ({ ...prev, error: askError.message, streaming: false }));
+    } finally {
+      streamRef.current = null;
+    }
+  };
+
+  const deleteVideo = async (videoId) => {
+    await library.deleteVideo(videoId);
+    setVideos(prev => prev.filter(video => video.videoId !== videoId));
+    setSelectedIds(prev => prev.filter(id => id !== videoId));
+  };
+
+  const clearLibrary = async () => {
+    if (!window.confirm('Remove every saved video from the library?')) return;
+    await library.clear();
+    setVideos([]);
+    setSelectedIds([]);
+  };
+
+  const renderVideoHeader = (video, actions = null) => (
+    <div className="library-video-header">
+      <input
+        type="checkbox"
+        className="library-select"
+        aria-label={`Ask about ${video.title}`}
+        checked={selectedIds.includes(video.videoId)}
+        disabled={!selectedIds.includes(video.videoId) && selectedIds.length >= RetrievalConfig.MAX_COLLECTION_VIDEOS}
+        onChange={() => toggleSelected(video.videoId)}
+      />
+      <div className="library-video-info">
+        <a className="library-video-title" href={getVideoUrl(video.videoId)} target="_blank" rel="noopener noreferrer">
+          {query ? <Highlighted text={video.title} query={query} /> : video.title}
+        </a>
+        <p className="library-video-meta">
+          {video.channel}
+          {video.duration > 0 && ` · ${formatTimestamp(video.duration)}`}
+          {` · saved ${new Date(video.updatedAt).toLocaleDateString()}`}
+        </p>
+      </div>
+      {actions}
+    </div>
+  );
+
+  const renderCollection = () => (
+    <section className="library-collection">
+      <h2 className="library-collection-title">
+        Ask across {selectedVideos.length} selected {selectedVideos.length === 1 ? 'video' : 'videos'}
+      </h2>
+      <p className="library-collection-videos">
+        {selectedVideos.map((video, index) => `V${index + 1} ${video.title}`).join(' · ')}
+      </p>
+      <form className="library-collection-form" onSubmit={askCollection}>
+        <input
+          type="text"
+          className="library-collection-input"
+          placeholder="e.g. Compare how these talks approach caching"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          maxLength={500}
+        />
+        {answer?.streaming ? (
+          <button type="button" className="library-button" onClick={() => streamRef.current?.stop()}>Stop</button>
+        ) : (
+          <button type="submit" className="library-button library-ask" disabled={!question.trim()}>Ask</button>
+        )}
+        <button type="button" className="library-button" onClick={() => setSelectedIds([])}>Clear selection</button>
+      </form>
+
+      {answer && (
+        <div className="library-answer">
+          {answer.streaming && !answer.text && (
+            <p className="library-empty">{answer.progress ? describeProgress(answer.progress) : 'Thinking...'}</p>
+          )}
+          {answer.text && (
+            <ReactMarkdown remarkPlugins={markdownRemarkPlugins} rehypePlugins={markdownRehypePlugins}>
+              {linkCollectionCitations(answer.text, answer.videos)}
+            </ReactMarkdown>
+          )}
+          {answer.stopped && <p className="library-note">Generation stopped</p>}
+          {answer.skipped?.length > 0 && (
+            <p className="library-note">Skipped {answer.skipped.length} videos without a saved transcript.</p>
+          )}
+          {answer.error && <p className="library-error">{answer.error}</p>}
+        </div>
+      )}
+    </section>
+  );
+
+  const renderResults = () => {
+    if (!results.length) {
+      return <p className="library-empty">No saved video mentions “{query.trim()}”.</p>;
+    }
+
+    return results.map(({ video, matches }) => (
+      <li key={video.videoId} className="library-video">
+        {renderVideoHeader(video)}
+        {matches.length > 0 && (
+          <ul className="library-matches">
+            {matches.map(match => (
+              <li key={`${match.type}-${match.seconds}`} className={`library-match library-match-${match.type}`}>
+                <a className="library-timestamp" href={getVideoUrl(video.videoId, match.seconds)} target="_blank" rel="noopener noreferrer">
+                  {formatTimestamp(match.seconds)}
+                </a>
+                {match.type === 'chapter' && <span className="library-match-label">Chapter</span>}
+                <span className="library-match-text"><Highlighted text={match.text} query={query} /></span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </li>
+    ));
+  };
+
+  const renderVideos = () => {
+    if (!videos.length) {
+      return (
+        <p className="library-empty">
+          Your library is empty. Turn on “Save Summarized Videos” in the extension popup,
+          and every video you summarize will show up here.
+        </p>
+      );
+    }
+
+    return videos.map(video => (
+      <li key={video.videoId} className="library-video">
+        {renderVideoHeader(video, (
+          <button className="library-button" onClick={() => deleteVideo(video.videoId)}>Remove</button>
+        ))}
+        {video.summary && <p className="library-summary">{video.summary}</p>}
+      </li>
+    ));
+  };
+
+  return (
+    <div className="library-container">
+      <header className="library-header">
+        <h1 className="library-title">SuperPlay AI Library</h1>
+        <p className="library-subtitle">
+          {videos.length} saved {videos.length === 1 ? 'video' : 'videos'}, stored only on this device
+        </p>
+        <input
+          type="search"
+          className="library-search"
+          placeholder="Search transcripts, summaries and chapters..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+      </header>
+
+      <main className="library-content">
+        {selectedVideos.length > 0 && renderCollection()}
+        {loading && <p className="library-empty">Loading library...</p>}
+        {error && <p className="library-error">Could not open the library: {error}</p>}
+        {!loading && !error && (
+          <ul className="library-list">
+            {results ? renderResults() : renderVideos()}
+          </ul>
+        )}
+        {!loading && !results && videos.length > 0 && (
+          <button className="library-button library-clear" onClick={clearLibrary}>Clear library</button>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+import React from 'react'
+import ReactDOM from 'react-dom/client'
+import Library from './Library.jsx'
+
+// Render the library page
+const container = document.getElementById('library-root')
+if (container) {
+  const root = ReactDOM.createRoot(container)
+  root.render(<Library />)
+}
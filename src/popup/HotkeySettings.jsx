@@ -0,0 +1,125 @@
+/**
+ * SuperPlay AI - Hotkey Settings
+ * Rebind the watch page's keyboard shortcuts
+ */
+
+import React, { useState, useEffect } from 'react';
+import { DefaultHotkeys } from '../utils/constants.js';
+import {
+  HotkeyLabels,
+  getHotkeys,
+  getHotkeyFromEvent,
+  getHotkeyConflict,
+  fromCommandShortcut,
+  formatHotkey
+} from '../utils/hotkeys.js';
+
+export default function HotkeySettings({ settings, onSave }) {
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+  const [browserShortcuts, setBrowserShortcuts] = useState({});
+
+  const hotkeys = getHotkeys(settings);
+  const isCustom = Object.keys(settings.hotkeys || {}).length > 0;
+
+  useEffect(() => {
+    // Shortcuts set in chrome://extensions/shortcuts reach the browser before the page
+    chrome.commands?.getAll().then(commands => {
+      setBrowserShortcuts(Object.fromEntries(commands
+        .filter(command => command.shortcut)
+        .map(command => [command.name, fromCommandShortcut(command.shortcut)])));
+    });
+  }, []);
+
+  const saveHotkey = (action, hotkey) => {
+    // Store only the changes, so later changes to the defaults still apply
+    const changed = Object.fromEntries(Object.entries({ ...hotkeys, [action]: hotkey })
+      .filter(([name, value]) => value !== DefaultHotkeys[name]));
+    onSave('hotkeys', changed);
+    setRecording(null);
+    setError(null);
+  };
+
+  const recordHotkey = (action, event) => {
+    event.preventDefault();
+
+    if (event.key === 'Escape') {
+      setRecording(null);
+      setError(null);
+      return;
+    }
+    if (event.key === 'Backspace' || event.key === 'Delete') {
+      saveHotkey(action, '');
+      return;
+    }
+
+    const hotkey = getHotkeyFromEvent(event);
+    if (!hotkey) return; // Only modifiers held so far
+
+    const conflict = getHotkeyConflict(hotkey, action, hotkeys, browserShortcuts);
+    if (conflict) {
+      setError(conflict);
+    } else {
+      saveHotkey(action, hotkey);
+    }
+  };
+
+  const resetHotkeys = () => {
+    onSave('hotkeys', {});
+    setRecording(null);
+    setError(null);
+  };
+
+  const openBrowserShortcuts = () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  };
+
+  return (
+    <div className="hotkey-settings">
+      <ul className="hotkey-list">
+        {Object.entries(HotkeyLabels).map(([action, label]) => (
+          <li key={action} className="hotkey-item">
+            <span className="hotkey-label">
+              {label}
+              {browserShortcuts[action] && (
+                <span className="hotkey-browser">Browser: {formatHotkey(browserShortcuts[action])}</span>
+              )}
+            </span>
+            <button
+              type="button"
+              className={`hotkey-button${recording === action ? ' recording' : ''}`}
+              onClick={() => {
+                setRecording(action);
+                setError(null);
+              }}
+              onKeyDown={recording === action ? (event) => recordHotkey(action, event) : undefined}
+              onBlur={() => recording === action && setRecording(null)}
+              title="Click, then press the new keys"
+            >
+              {recording === action
+                ? 'Press keys…'
+                : hotkeys[action] ? <kbd>{formatHotkey(hotkeys[action])}</kbd> : 'Off'}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {error && <div className="test-result error">{error}</div>}
+
+      <p className="input-help">
+        {recording
+          ? 'Press the new shortcut with Ctrl, Alt or ⌘. Esc cancels, Backspace turns it off.'
+          : 'Shortcuts work on YouTube watch pages, except while typing in a box. Browser shortcuts also work while the address bar has focus.'}
+      </p>
+
+      <div className="action-buttons">
+        <button className="btn btn-secondary" onClick={resetHotkeys} disabled={!isCustom}>
+          Reset to Defaults
+        </button>
+        <button className="btn btn-secondary" onClick={openBrowserShortcuts}>
+          Browser Shortcuts
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -4,15 +4,14 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { MessageTypes } from '../utils/constants.js';
+import { MessageTypes, DefaultSettings, ProviderTypes, ProviderDefaults, OutputLanguages, AudienceProfiles, ChapterSources } from '../utils/constants.js';
+import PromptTemplateEditor from './PromptTemplateEditor.jsx';
+import ReviewQueue from './ReviewQueue.jsx';
+import HotkeySettings from './HotkeySettings.jsx';
 import '../styles/popup.css';
 
 export default function Popup() {
-  const [settings, setSettings] = useState({
-    enabled: true,
-    autoSummary: true,
-    geminiApiKey: ''
-  });
+  const [settings, setSettings] = useState(DefaultSettings);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [showApiKey, setShowApiKey] = useState(false);
@@ -62,19 +61,42 @@ export default function Popup() {
     setTestResult(null);
   };
 
+  // Change a setting and store it right away (for settings unrelated to the connection test)
+  const handleSettingSave = (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+    chrome.runtime.sendMessage({
+      type: MessageTypes.UPDATE_SETTINGS,
+      settings: { [key]: value }
+    }, (response) => {
+      if (!response || !response.success) {
+        console.error('Failed to save setting:', key, response?.error);
+      }
+    });
+  };
+
   const testApiConnection = async () => {
-    if (!settings.geminiApiKey.trim()) {
+    if (settings.aiProvider === ProviderTypes.GEMINI && !settings.geminiApiKey.trim()) {
       setTestResult({ success: false, message: 'Please enter an API key first' });
       return;
     }
 
+    // Must run inside the click gesture, before any other await
+    const granted = await requestProviderPermission();
+    if (!granted) {
+      setTestResult({
+        success: false,
+        message: 'Permission to reach the provider endpoint was denied'
+      });
+      return;
+    }
+
     setTesting(true);
     setTestResult(null);
 
     // Save settings first
     await saveSettings();
 
-    chrome.runtime.sendMessage({ type: MessageTypes.TEST_GEMINI_CONNECTION }, (response) => {
+    chrome.runtime.sendMessage({ type: MessageTypes.TEST_AI_CONNECTION }, (response) => {
       if (chrome.runtime.lastError) {
         console.error('SuperPlay AI: Runtime error testing connection:', chrome.runtime.lastError);
         setTestResult({ 
@@ -97,10 +119,39 @@ export default function Popup() {
     });
   };
 
+  // Custom endpoints are covered by optional_host_permissions, ask for them on demand
+  const requestProviderPermission = async () => {
+    const baseUrl = settings.aiProvider === ProviderTypes.OPENAI ? settings.openaiBaseUrl :
+      settings.aiProvider === ProviderTypes.OLLAMA ? settings.ollamaBaseUrl : '';
+
+    if (!baseUrl.trim() || !chrome.permissions) {
+      return true;
+    }
+
+    try {
+      const origins = [`${new URL(baseUrl.trim()).origin}/*`];
+      if (await chrome.permissions.contains({ origins })) {
+        return true;
+      }
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.error('Failed to request host permission:', error);
+      return false;
+    }
+  };
+
+  const getActiveProviderDefaults = () => {
+    return ProviderDefaults[settings.aiProvider] || ProviderDefaults[ProviderTypes.GEMINI];
+  };
+
   const openYouTube = () => {
     chrome.tabs.create({ url: 'https://www.youtube.com' });
   };
 
+  const openLibrary = () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/library/library.html') });
+  };
+
   const isValidGeminiKey = (key) => {
     return key && key.startsWith('AIza') && key.length >= 35;
   };
@@ -179,6 +230,123 @@ export default function Popup() {
               <span className="toggle-slider"></span>
             </label>
           </div>
+
+          <div className="input-group">
+            <label className="input-label">Output Language</label>
+            <select
+              className="settings-select"
+              value={settings.outputLanguage || ''}
+              onChange={(e) => handleSettingSave('outputLanguage', e.target.value)}
+            >
+              {OutputLanguages.map(({ code, label }) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+            <p className="input-help">Language for summaries, explanations and answers, whatever the video's language</p>
+          </div>
+
+          <div className="input-group">
+            <label className="input-label">Explain For</label>
+            <select
+              className="settings-select"
+              value={settings.audienceProfile}
+              onChange={(e) => handleSettingSave('audienceProfile', e.target.value)}
+            >
+              {Object.entries(AudienceProfiles).map(([profile, { label }]) => (
+                <option key={profile} value={profile}>{label}</option>
+              ))}
+            </select>
+            <p className="input-help">
+              {(AudienceProfiles[settings.audienceProfile] || AudienceProfiles.kid).description}
+            </p>
+          </div>
+
+          <div className="input-group">
+            <label className="input-label">Chapters</label>
+            <select
+              className="settings-select"
+              value={settings.chapterSource}
+              onChange={(e) => handleSettingSave('chapterSource', e.target.value)}
+            >
+              {Object.entries(ChapterSources).map(([source, { label }]) => (
+                <option key={source} value={source}>{label}</option>
+              ))}
+            </select>
+            <p className="input-help">
+              {(ChapterSources[settings.chapterSource] || ChapterSources.merged).description}, for videos whose creator added chapters
+            </p>
+          </div>
+        </div>
+
+        {/* Library */}
+        <div className="settings-section">
+          <div className="section-header">
+            <svg className="section-icon" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12,3L1,9L12,15L21,10.09V17H23V9M5,13.18V17.18L12,21L19,17.18V13.18L12,17L5,13.18Z"/>
+            </svg>
+            <h2 className="section-title">Library</h2>
+          </div>
+
+          <div className="toggle-container">
+            <div className="toggle-info">
+              <h3 className="toggle-label">Save Summarized Videos</h3>
+              <p className="toggle-description">Keep transcripts, summaries and chapters on this device to search later</p>
+            </div>
+            <label className="toggle-switch">
+              <input
+                type="checkbox"
+                className="toggle-input"
+                checked={settings.libraryEnabled}
+                onChange={(e) => handleSettingSave('libraryEnabled', e.target.checked)}
+              />
+              <span className="toggle-slider"></span>
+            </label>
+          </div>
+
+          <div className="action-buttons">
+            <button className="btn btn-secondary" onClick={openLibrary}>
+              <svg className="btn-icon" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M9.5,3A6.5,6.5 0 0,1 16,9.5C16,11.11 15.41,12.59 14.44,13.73L14.71,14H15.5L20.5,19L19,20.5L14,15.5V14.71L13.73,14.44C12.59,15.41 11.11,16 9.5,16A6.5,6.5 0 0,1 3,9.5A6.5,6.5 0 0,1 9.5,3M9.5,5C7,5 5,7 5,9.5C5,12 7,14 9.5,14C12,14 14,12 14,9.5C14,7 12,5 9.5,5Z"/>
+              </svg>
+              Search Library
+            </button>
+          </div>
+        </div>
+
+        {/* Review */}
+        <div className="settings-section">
+          <div className="section-header">
+            <svg className="section-icon" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12,20A8,8 0 0,0 20,12A8,8 0 0,0 12,4A8,8 0 0,0 4,12A8,8 0 0,0 12,20M12,2A10,10 0 0,1 22,12A10,10 0 0,1 12,22C6.47,22 2,17.5 2,12A10,10 0 0,1 12,2M12.5,7V12.25L17,14.92L16.25,16.15L11,13V7H12.5Z"/>
+            </svg>
+            <h2 className="section-title">Review</h2>
+          </div>
+
+          <ReviewQueue />
+        </div>
+
+        {/* Keyboard Shortcuts */}
+        <div className="settings-section">
+          <div className="section-header">
+            <svg className="section-icon" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19,10H17V8H19M19,13H17V11H19M16,10H14V8H16M16,13H14V11H16M16,17H8V15H16M7,10H5V8H7M7,13H5V11H7M8,11H10V13H8M8,8H10V10H8M11,11H13V13H11M11,8H13V10H11M20,5H4C2.89,5 2,5.89 2,7V17A2,2 0 0,0 4,19H20A2,2 0 0,0 22,17V7C22,5.89 21.1,5 20,5Z"/>
+            </svg>
+            <h2 className="section-title">Keyboard Shortcuts</h2>
+          </div>
+
+          <HotkeySettings settings={settings} onSave={handleSettingSave} />
+        </div>
+
+        {/* Prompt Templates */}
+        <div className="settings-section">
+          <div className="section-header">
+            <svg className="section-icon" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20M8,12H16V14H8V12M8,16H13V18H8V16Z"/>
+            </svg>
+            <h2 className="section-title">Prompt Templates</h2>
+          </div>
+
+          <PromptTemplateEditor settings={settings} onSave={handleSettingSave} />
         </div>
 
         {/* API Configuration */}
@@ -192,57 +360,140 @@ export default function Popup() {
 
           <div className="api-key-container">
             <div className="input-group">
-              <label className="input-label">Google Gemini API Key</label>
-              <div className="input-wrapper">
-                <input
-                  type={showApiKey ? 'text' : 'password'}
-                  className={`api-key-input ${
-                    settings.geminiApiKey ? 
-                      (isValidGeminiKey(settings.geminiApiKey) ? 'valid' : 'invalid') : 
-                      ''
-                  }`}
-                  placeholder="AIza..."
-                  value={settings.geminiApiKey}
-                  onChange={(e) => handleSettingChange('geminiApiKey', e.target.value)}
-                />
-                <button
-                  type="button"
-                  className="toggle-visibility-btn"
-                  onClick={() => setShowApiKey(!showApiKey)}
-                  title={showApiKey ? 'Hide API key' : 'Show API key'}
-                >
-                  {showApiKey ? '👁️' : '👁️‍🗨️'}
-                </button>
+              <label className="input-label">AI Provider</label>
+              <select
+                className="settings-select"
+                value={settings.aiProvider}
+                onChange={(e) => handleSettingChange('aiProvider', e.target.value)}
+              >
+                {Object.entries(ProviderDefaults).map(([type, defaults]) => (
+                  <option key={type} value={type}>{defaults.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {settings.aiProvider === ProviderTypes.GEMINI && (
+              <div className="input-group">
+                <label className="input-label">Google Gemini API Key</label>
+                <div className="input-wrapper">
+                  <input
+                    type={showApiKey ? 'text' : 'password'}
+                    className={`api-key-input ${
+                      settings.geminiApiKey ? 
+                        (isValidGeminiKey(settings.geminiApiKey) ? 'valid' : 'invalid') : 
+                        ''
+                    }`}
+                    placeholder="AIza..."
+                    value={settings.geminiApiKey}
+                    onChange={(e) => handleSettingChange('geminiApiKey', e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="toggle-visibility-btn"
+                    onClick={() => setShowApiKey(!showApiKey)}
+                    title={showApiKey ? 'Hide API key' : 'Show API key'}
+                  >
+                    {showApiKey ? '👁️' : '👁️‍🗨️'}
+                  </button>
+                </div>
+                <p className="input-help">
+                  Get your free API key from{' '}
+                  <a href="https://makersuite.google.com/app/apikey" target="_blank" rel="noopener noreferrer">
+                    Google AI Studio
+                  </a>
+                </p>
+                {settings.geminiApiKey && !isValidGeminiKey(settings.geminiApiKey) && (
+                  <div className="validation-message error">
+                    <svg className="validation-icon" viewBox="0 0 24 24" fill="currentColor">
+                      <path d="M13,13H11V7H13M13,17H11V15H13M12,2A10,10 0 0,0 2,12A10,10 0 0,0 12,22A10,10 0 0,0 22,12A10,10 0 0,0 12,2Z"/>
+                    </svg>
+                    Invalid API key format
+                  </div>
+                )}
+                {settings.geminiApiKey && isValidGeminiKey(settings.geminiApiKey) && (
+                  <div className="validation-message success">
+                    <svg className="validation-icon" viewBox="0 0 24 24" fill="currentColor">
+                      <path d="M12,2A10,10 0 0,1 22,12A10,10 0 0,1 12,22A10,10 0 0,1 2,12A10,10 0 0,1 12,2M11,16.5L18,9.5L16.59,8.09L11,13.67L7.91,10.59L6.5,12L11,16.5Z"/>
+                    </svg>
+                    Valid API key format
+                  </div>
+                )}
               </div>
-              <p className="input-help">
-                Get your free API key from{' '}
-                <a href="https://makersuite.google.com/app/apikey" target="_blank" rel="noopener noreferrer">
-                  Google AI Studio
-                </a>
-              </p>
-              {settings.geminiApiKey && !isValidGeminiKey(settings.geminiApiKey) && (
-                <div className="validation-message error">
-                  <svg className="validation-icon" viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M13,13H11V7H13M13,17H11V15H13M12,2A10,10 0 0,0 2,12A10,10 0 0,0 12,22A10,10 0 0,0 22,12A10,10 0 0,0 12,2Z"/>
-                  </svg>
-                  Invalid API key format
+            )}
+
+            {settings.aiProvider === ProviderTypes.OPENAI && (
+              <>
+                <div className="input-group">
+                  <label className="input-label">Endpoint URL</label>
+                  <input
+                    type="text"
+                    className="settings-input"
+                    placeholder={getActiveProviderDefaults().baseUrl}
+                    value={settings.openaiBaseUrl}
+                    onChange={(e) => handleSettingChange('openaiBaseUrl', e.target.value)}
+                  />
+                  <p className="input-help">
+                    Any server exposing <code>/chat/completions</code> (OpenAI, LM Studio, vLLM, llama.cpp...)
+                  </p>
                 </div>
-              )}
-              {settings.geminiApiKey && isValidGeminiKey(settings.geminiApiKey) && (
-                <div className="validation-message success">
-                  <svg className="validation-icon" viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M12,2A10,10 0 0,1 22,12A10,10 0 0,1 12,22A10,10 0 0,1 2,12A10,10 0 0,1 12,2M11,16.5L18,9.5L16.59,8.09L11,13.67L7.91,10.59L6.5,12L11,16.5Z"/>
-                  </svg>
-                  Valid API key format
+
+                <div className="input-group">
+                  <label className="input-label">API Key</label>
+                  <div className="input-wrapper">
+                    <input
+                      type={showApiKey ? 'text' : 'password'}
+                      className="api-key-input"
+                      placeholder="sk-... (leave empty for local servers)"
+                      value={settings.openaiApiKey}
+                      onChange={(e) => handleSettingChange('openaiApiKey', e.target.value)}
+                    />
+                    <button
+                      type="button"
+                      className="toggle-visibility-btn"
+                      onClick={() => setShowApiKey(!showApiKey)}
+                      title={showApiKey ? 'Hide API key' : 'Show API key'}
+                    >
+                      {showApiKey ? '👁️' : '👁️‍🗨️'}
+                    </button>
+                  </div>
                 </div>
-              )}
+              </>
+            )}
+
+            {settings.aiProvider === ProviderTypes.OLLAMA && (
+              <div className="input-group">
+                <label className="input-label">Server URL</label>
+                <input
+                  type="text"
+                  className="settings-input"
+                  placeholder={getActiveProviderDefaults().baseUrl}
+                  value={settings.ollamaBaseUrl}
+                  onChange={(e) => handleSettingChange('ollamaBaseUrl', e.target.value)}
+                />
+                <p className="input-help">
+                  Requests never leave your machine. Start Ollama with{' '}
+                  <code>OLLAMA_ORIGINS=chrome-extension://*</code> so the extension may call it.
+                </p>
+              </div>
+            )}
+
+            <div className="input-group">
+              <label className="input-label">Model</label>
+              <input
+                type="text"
+                className="settings-input"
+                placeholder={getActiveProviderDefaults().model}
+                value={settings[`${settings.aiProvider}Model`] || ''}
+                onChange={(e) => handleSettingChange(`${settings.aiProvider}Model`, e.target.value)}
+              />
+              <p className="input-help">Leave empty to use {getActiveProviderDefaults().model}</p>
             </div>
 
             <div className="action-buttons">
               <button
                 className="btn btn-primary"
                 onClick={testApiConnection}
-                disabled={testing || !settings.geminiApiKey.trim()}
+                disabled={testing || (settings.aiProvider === ProviderTypes.GEMINI && !settings.geminiApiKey.trim())}
               >
                 {testing ? <div className="loading-spinner"></div> : 
                   <svg className="btn-icon" viewBox="0 0 24 24" fill="currentColor">
@@ -0,0 +1,147 @@
+/**
+ * SuperPlay AI - Prompt Template Editor
+ * Edit, preview and test the explanation, summary and follow-up prompts
+ */
+
+import React, { useState } from 'react';
+import { MessageTypes } from '../utils/constants.js';
+import {
+  PromptTemplateTypes,
+  TemplateVariables,
+  DefaultPromptTemplates,
+  SamplePromptVariables,
+  MAX_TEMPLATE_LENGTH,
+  getPromptTemplate,
+  buildPrompt
+} from '../utils/promptTemplates.js';
+
+export default function PromptTemplateEditor({ settings, onSave }) {
+  const [templateType, setTemplateType] = useState('explanation');
+  const [draft, setDraft] = useState(() => getPromptTemplate('explanation', settings));
+  const [showPreview, setShowPreview] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+
+  const settingKey = PromptTemplateTypes[templateType].settingKey;
+  const savedTemplate = getPromptTemplate(templateType, settings);
+  const isCustom = Boolean(settings[settingKey] && settings[settingKey].trim());
+  const hasChanges = draft !== savedTemplate;
+
+  const selectTemplate = (type) => {
+    setTemplateType(type);
+    setDraft(getPromptTemplate(type, settings));
+    setTestResult(null);
+  };
+
+  const saveTemplate = () => {
+    // Store '' for the default so later improvements to it still apply
+    const value = draft.trim() && draft !== DefaultPromptTemplates[templateType] ? draft : '';
+    onSave(settingKey, value);
+    setDraft(value || DefaultPromptTemplates[templateType]);
+  };
+
+  const resetTemplate = () => {
+    onSave(settingKey, '');
+    setDraft(DefaultPromptTemplates[templateType]);
+    setTestResult(null);
+  };
+
+  const testTemplate = () => {
+    setTesting(true);
+    setTestResult(null);
+
+    chrome.runtime.sendMessage({
+      type: MessageTypes.TEST_PROMPT_TEMPLATE,
+      templateType,
+      template: draft,
+      audienceProfile: settings.audienceProfile
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        setTestResult({ success: false, message: chrome.runtime.lastError.message });
+      } else if (response && response.success) {
+        setTestResult({ success: true, message: response.output });
+      } else {
+        setTestResult({ success: false, message: response?.error || 'Failed to test template' });
+      }
+      setTesting(false);
+    });
+  };
+
+  const previewSettings = { ...settings, [settingKey]: draft };
+
+  return (
+    <div className="template-editor">
+      <div className="input-group">
+        <label className="input-label">Template</label>
+        <select
+          className="settings-select"
+          value={templateType}
+          onChange={(e) => selectTemplate(e.target.value)}
+        >
+          {Object.entries(PromptTemplateTypes).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}{type === templateType && isCustom ? ' (custom)' : ''}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="input-group">
+        <textarea
+          className="template-textarea"
+          value={draft}
+          maxLength={MAX_TEMPLATE_LENGTH}
+          spellCheck={false}
+          onChange={(e) => setDraft(e.target.value)}
+        />
+        <p className="input-help">
+          Variables:{' '}
+          {TemplateVariables[templateType].map((name, index) => (
+            <React.Fragment key={name}>
+              {index > 0 && ' '}
+              <code>{`{{${name}}}`}</code>
+            </React.Fragment>
+          ))}
+          {['summary', 'quiz', 'flashcards'].includes(templateType) && ' The JSON response format is always added.'}
+          {' '}{draft.length}/{MAX_TEMPLATE_LENGTH}
+        </p>
+      </div>
+
+      <div className="action-buttons">
+        <button className="btn btn-primary" onClick={saveTemplate} disabled={!hasChanges}>
+          Save
+        </button>
+        <button className="btn btn-secondary" onClick={resetTemplate} disabled={!isCustom && !hasChanges}>
+          Reset
+        </button>
+        <button className="btn btn-secondary" onClick={testTemplate} disabled={testing || !draft.trim()}>
+          {testing && <div className="loading-spinner"></div>}
+          Test
+        </button>
+      </div>
+
+      <button
+        type="button"
+        className="template-preview-toggle"
+        onClick={() => setShowPreview(!showPreview)}
+      >
+        {showPreview ? 'Hide prompt preview' : 'Show prompt preview'}
+      </button>
+
+      {showPreview && (
+        <pre className="template-output">
+          {buildPrompt(templateType, previewSettings, SamplePromptVariables)}
+        </pre>
+      )}
+
+      {testResult && (
+        testResult.success ? (
+          <div className="input-group">
+            <label className="input-label">Test output for "{SamplePromptVariables.title}"</label>
+            <pre className="template-output">{testResult.message}</pre>
+          </div>
+        ) : (
+          <div className="test-result error">{testResult.message}</div>
+        )
+      )}
+    </div>
+  );
+}
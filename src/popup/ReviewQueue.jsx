@@ -0,0 +1,120 @@
+/**
+ * SuperPlay AI - Review Queue
+ * Spaced-repetition review of the quiz questions missed in videos
+ */
+
+import React, { useState, useEffect } from 'react';
+import { StorageService } from '../services/storage.js';
+import { ReviewGrades } from '../utils/constants.js';
+import { getDueCards, scheduleReview, describeDue } from '../utils/spacedRepetition.js';
+import { getVideoUrl } from '../utils/librarySearch.js';
+import { formatTimestamp } from '../utils/transcriptUtils.js';
+
+const storage = new StorageService();
+
+// Grade buttons shown once the answer is revealed
+const GRADE_BUTTONS = [
+  { grade: ReviewGrades.AGAIN, label: 'Again' },
+  { grade: ReviewGrades.HARD, label: 'Hard' },
+  { grade: ReviewGrades.GOOD, label: 'Good' },
+  { grade: ReviewGrades.EASY, label: 'Easy' }
+];
+
+export default function ReviewQueue() {
+  const [cards, setCards] = useState([]);
+  const [reviewing, setReviewing] = useState(false);
+  const [revealed, setRevealed] = useState(false);
+
+  useEffect(() => {
+    storage.getReviewCards().then(setCards);
+  }, []);
+
+  const dueCards = getDueCards(cards);
+  const card = reviewing ? dueCards[0] : null;
+  const nextCard = [...cards].sort((a, b) => a.due - b.due)[0];
+
+  const gradeCard = async (grade) => {
+    const reviewed = scheduleReview(card, grade);
+    setCards(prev => prev.map(existing => (existing.id === reviewed.id ? reviewed : existing)));
+    setRevealed(false);
+    try {
+      await storage.updateReviewCard(reviewed);
+    } catch (error) {
+      console.error('Failed to save review:', error);
+    }
+  };
+
+  const removeCard = async () => {
+    setCards(prev => prev.filter(existing => existing.id !== card.id));
+    setRevealed(false);
+    try {
+      await storage.removeReviewCard(card.id);
+    } catch (error) {
+      console.error('Failed to remove review card:', error);
+    }
+  };
+
+  if (!card) {
+    return (
+      <div className="review-queue">
+        <p className="input-help">
+          {cards.length === 0
+            ? 'Questions you miss in a video\'s quiz show up here for review.'
+            : `${dueCards.length} due now · ${cards.length} in the queue${!dueCards.length && nextCard ? ` · next review ${describeDue(nextCard)}` : ''}`}
+        </p>
+        {reviewing && <p className="review-done">All caught up for now!</p>}
+        <div className="action-buttons">
+          <button className="btn btn-primary" onClick={() => setReviewing(true)} disabled={!dueCards.length}>
+            Start Review
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="review-queue">
+      <div className="review-card">
+        <a
+          className="review-video"
+          href={getVideoUrl(card.videoId, card.seconds ?? 0)}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          {card.videoTitle}{card.seconds !== null && ` · ${formatTimestamp(card.seconds)}`}
+        </a>
+        <p className="review-question">{card.front}</p>
+        {card.options.length > 0 && (
+          <ol className="review-options" type="A">
+            {card.options.map(option => (
+              <li key={option} className={revealed && option === card.back ? 'correct' : ''}>{option}</li>
+            ))}
+          </ol>
+        )}
+
+        {revealed ? (
+          <>
+            <p className="review-answer"><strong>Answer:</strong> {card.back}</p>
+            {card.explanation && <p className="review-explanation">{card.explanation}</p>}
+            <div className="review-grades">
+              {GRADE_BUTTONS.map(({ grade, label }) => (
+                <button key={grade} className="btn btn-secondary" onClick={() => gradeCard(grade)}>{label}</button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <div className="action-buttons">
+            <button className="btn btn-primary" onClick={() => setRevealed(true)}>Show Answer</button>
+          </div>
+        )}
+      </div>
+
+      <p className="input-help">
+        {dueCards.length} left ·{' '}
+        <button type="button" className="review-link" onClick={removeCard}>Remove this question</button>
+        {' · '}
+        <button type="button" className="review-link" onClick={() => setReviewing(false)}>Stop</button>
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+/**
+ * SuperPlay AI - AI Result Cache
+ * Persists generated summaries and explanations in chrome.storage.local
+ * with per-entry TTLs and size-bounded LRU eviction
+ */
+
+import { CacheConfig } from '../utils/constants.js';
+
+export class AICache {
+  constructor({ maxEntries = CacheConfig.MAX_ENTRIES, maxBytes = CacheConfig.MAX_BYTES } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    // Index updates are serialized so concurrent requests don't overwrite each other
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Build a cache key from everything that changes the AI output
+   */
+  static buildKey({ type, videoId, trackId, promptVersion, provider, model, language }) {
+    return [type, videoId, trackId || 'default', `v${promptVersion}`, `${provider}/${model}`, language || 'auto'].join('|');
+  }
+
+  /**
+   * Get a cached value, or null when missing or expired
+   */
+  async get(key) {
+    try {
+      return await this.readEntry(key);
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to read cached AI result:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a value for ttl milliseconds, evicting least recently used entries as needed
+   */
+  async set(key, value, ttl = CacheConfig.DEFAULT_TTL) {
+    try {
+      return await this.writeEntry(key, value, ttl);
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to cache AI result:', error);
+      return false;
+    }
+  }
+
+  async readEntry(key) {
+    return this.withIndex(async (index) => {
+      const meta = index[key];
+      if (!meta) {
+        return null;
+      }
+
+      const storageKey = this.storageKey(key);
+      if (meta.expiresAt <= Date.now()) {
+        delete index[key];
+        await chrome.storage.local.remove(storageKey);
+        return null;
+      }
+
+      const result = await chrome.storage.local.get(storageKey);
+      if (result[storageKey] === undefined) {
+        delete index[key];
+        return null;
+      }
+
+      meta.lastAccessed = Date.now();
+      return result[storageKey];
+    });
+  }
+
+  async writeEntry(key, value, ttl) {
+    return this.withIndex(async (index) => {
+      const now = Date.now();
+      const size = JSON.stringify(value).length;
+
+      if (size > this.maxBytes) {
+        console.warn('SuperPlay AI: Result too large to cache:', key);
+        return false;
+      }
+
+      await chrome.storage.local.set({ [this.storageKey(key)]: value });
+      index[key] = { size, createdAt: now, lastAccessed: now, expiresAt: now + ttl };
+
+      await this.evict(index);
+      return true;
+    });
+  }
+
+  /**
+   * Remove one entry
+   */
+  async delete(key) {
+    return this.withIndex(async (index) => {
+      delete index[key];
+      await chrome.storage.local.remove(this.storageKey(key));
+    });
+  }
+
+  /**
+   * Remove every cached result
+   */
+  async clear() {
+    return this.withIndex(async (index) => {
+      const keys = Object.keys(index);
+      await chrome.storage.local.remove(keys.map(key => this.storageKey(key)));
+      keys.forEach(key => delete index[key]);
+      console.log(`SuperPlay AI: Cleared ${keys.length} cached AI results`);
+    });
+  }
+
+  /**
+   * Drop expired entries, then the least recently used ones until within limits
+   */
+  async evict(index) {
+    const now = Date.now();
+    const removed = [];
+
+    for (const [key, meta] of Object.entries(index)) {
+      if (meta.expiresAt <= now) {
+        removed.push(key);
+        delete index[key];
+      }
+    }
+
+    const byLastAccess = Object.entries(index).sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed);
+    let totalBytes = byLastAccess.reduce((total, [, meta]) => total + meta.size, 0);
+    let count = byLastAccess.length;
+
+    for (const [key, meta] of byLastAccess) {
+      if (count <= this.maxEntries && totalBytes <= this.maxBytes) {
+        break;
+      }
+      removed.push(key);
+      delete index[key];
+      totalBytes -= meta.size;
+      count--;
+    }
+
+    if (removed.length > 0) {
+      await chrome.storage.local.remove(removed.map(key => this.storageKey(key)));
+      console.log(`SuperPlay AI: Evicted ${removed.length} cached AI results`);
+    }
+  }
+
+  /**
+   * Run fn with the stored index and save it afterwards, one call at a time
+   */
+  withIndex(fn) {
+    const run = this.queue.then(async () => {
+      const result = await chrome.storage.local.get(CacheConfig.INDEX_KEY);
+      const index = result[CacheConfig.INDEX_KEY] || {};
+      try {
+        return await fn(index);
+      } finally {
+        await chrome.storage.local.set({ [CacheConfig.INDEX_KEY]: index });
+      }
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  storageKey(key) {
+    return `${CacheConfig.KEY_PREFIX}${key}`;
+  }
+}
@@ -0,0 +1,505 @@
+/**
+ * SuperPlay AI - AI Providers
+ * Single interface for every text-generation backend the extension supports.
+ * Handlers call provider.generate(prompt) or provider.stream(prompt) and never
+ * build HTTP requests themselves. A prompt is a string or, for multi-turn chats,
+ * an array of turns: [{ role: ChatRoles.USER | ChatRoles.MODEL, text }].
+ * NO DOM access - safe to import from the background service worker
+ */
+
+import { ProviderTypes, ProviderDefaults, APIConfig, ChatRoles } from '../utils/constants.js';
+
+const SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert a JSON Schema to Gemini's OpenAPI subset (upper-case types, no additionalProperties)
+ */
+function toGeminiSchema(schema) {
+  const { type, properties, items, ...rest } = schema;
+  const converted = { ...rest, type: type.toUpperCase() };
+  delete converted.additionalProperties;
+
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([name, property]) => [name, toGeminiSchema(property)])
+    );
+  }
+  if (items) {
+    converted.items = toGeminiSchema(items);
+  }
+  return converted;
+}
+
+/**
+ * Chat turns of a prompt; a plain string is a single user turn
+ */
+function toTurns(prompt) {
+  return Array.isArray(prompt) ? prompt : [{ role: ChatRoles.USER, text: prompt }];
+}
+
+/**
+ * Chat turns as OpenAI/Ollama messages, which call the model 'assistant'
+ */
+function toChatMessages(prompt) {
+  return toTurns(prompt).map(turn => ({
+    role: turn.role === ChatRoles.MODEL ? 'assistant' : 'user',
+    content: turn.text
+  }));
+}
+
+/**
+ * Parse the JSON payload of a server-sent event line, or null for other lines
+ */
+function parseSSEData(line) {
+  if (!line.startsWith('data:')) return null;
+
+  const payload = line.slice(5).trim();
+  if (!payload || payload === '[DONE]') return null;
+
+  const data = JSON.parse(payload);
+  if (data.error) {
+    throw new Error(`Stream error: ${data.error.message || data.error}`);
+  }
+  return data;
+}
+
+/**
+ * Base provider with the shared retry loop and HTTP error mapping.
+ * Subclasses implement buildRequest() and parseResponse().
+ */
+export class AIProvider {
+  constructor({ apiKey = '', baseUrl = '', model = '' } = {}, defaults = {}) {
+    this.apiKey = apiKey.trim();
+    this.baseUrl = (baseUrl.trim() || defaults.baseUrl || '').replace(/\/+$/, '');
+    this.model = model.trim() || defaults.model || '';
+    this.label = defaults.label || 'AI provider';
+    this.retryDelay = APIConfig.RETRY_DELAY;
+  }
+
+  /**
+   * Throw if the provider is missing configuration it needs
+   */
+  validateConfig() {
+    if (!this.baseUrl) {
+      throw new Error(`${this.label} endpoint not configured. Please check the extension settings.`);
+    }
+    if (!this.model) {
+      throw new Error(`${this.label} model not configured. Please check the extension settings.`);
+    }
+  }
+
+  /**
+   * Build { url, headers, body } for a single prompt.
+   * options.responseSchema asks for JSON output matching that JSON Schema.
+   */
+  buildRequest() {
+    throw new Error('buildRequest() must be implemented by the provider');
+  }
+
+  /**
+   * Build { url, headers, body } for a streamed prompt
+   */
+  buildStreamRequest() {
+    throw new Error('buildStreamRequest() must be implemented by the provider');
+  }
+
+  /**
+   * Extract the generated text from a parsed response body
+   */
+  parseResponse() {
+    throw new Error('parseResponse() must be implemented by the provider');
+  }
+
+  /**
+   * Extract the text delta from one line of a streamed response body
+   */
+  parseStreamLine() {
+    throw new Error('parseStreamLine() must be implemented by the provider');
+  }
+
+  /**
+   * POST a request, retrying on rate limits and server errors, and return the ok response
+   */
+  async fetchWithRetry(request, { retries, signal }) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      console.log(`SuperPlay AI: Calling ${this.label} (${this.model}), attempt ${attempt}/${retries}`);
+
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...request.headers },
+        body: JSON.stringify(request.body),
+        signal
+      });
+
+      console.log(`SuperPlay AI: Received response with status: ${response.status}`);
+
+      if (response.ok) {
+        return response;
+      }
+
+      const error = await this.createHttpError(response);
+      if (!error.retryable || attempt === retries) {
+        throw error;
+      }
+
+      const delay = response.status === 429
+        ? Math.pow(2, attempt) * this.retryDelay
+        : 2 * this.retryDelay * attempt;
+      console.log(`SuperPlay AI: ${error.message} Retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Generate text for a prompt, retrying on rate limits, server and network errors.
+   * Pass responseSchema to request structured JSON output.
+   */
+  async generate(prompt, { retries = APIConfig.MAX_RETRIES, signal, responseSchema } = {}) {
+    this.validateConfig();
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        // HTTP errors are retried inside fetchWithRetry, this loop covers network and parse failures
+        const response = await this.fetchWithRetry(this.buildRequest(prompt, { responseSchema }), { retries, signal });
+
+        const data = await response.json();
+        const content = this.parseResponse(data);
+
+        if (!content || typeof content !== 'string') {
+          console.error('SuperPlay AI: Empty or invalid content:', data);
+          throw new Error(`Empty or invalid response from ${this.label}`);
+        }
+
+        console.log('SuperPlay AI: API call successful, content length:', content.length);
+        return content.trim();
+
+      } catch (error) {
+        console.error(`SuperPlay AI: API call attempt ${attempt} failed:`, error);
+
+        // HTTP errors were already retried, aborted requests must stop
+        if (attempt === retries || error.status || error.name === 'AbortError') {
+          throw error;
+        }
+
+        await sleep(this.retryDelay * attempt);
+      }
+    }
+  }
+
+  /**
+   * Stream text for a prompt, calling onChunk(chunk, fullText) as pieces arrive.
+   * Resolves with the full text; rejects with an AbortError if signal fires.
+   */
+  async stream(prompt, { onChunk = () => {}, signal, retries = APIConfig.MAX_RETRIES } = {}) {
+    this.validateConfig();
+
+    const response = await this.fetchWithRetry(this.buildStreamRequest(prompt), { retries, signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+      const chunk = this.parseStreamLine(line.trim());
+      if (chunk) {
+        text += chunk;
+        onChunk(chunk, text);
+      }
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    if (!text.trim()) {
+      throw new Error(`Empty or invalid response from ${this.label}`);
+    }
+
+    console.log('SuperPlay AI: Stream finished, content length:', text.length);
+    return text.trim();
+  }
+
+  /**
+   * Map a failed HTTP response to an Error carrying status and retryability
+   */
+  async createHttpError(response) {
+    let detail = '';
+    try {
+      const data = await response.json();
+      detail = data.error?.message || data.error || '';
+    } catch {
+      detail = '';
+    }
+
+    let message;
+    switch (response.status) {
+      case 400:
+        message = `Invalid request: ${detail || 'Bad request format'}`;
+        break;
+      case 401:
+        message = `Invalid API key. Please check your ${this.label} API key in settings.`;
+        break;
+      case 403:
+        message = 'API access forbidden. Please verify your API key has the necessary permissions.';
+        break;
+      case 404:
+        message = `Model "${this.model}" not found at ${this.baseUrl}. Please check the provider settings.`;
+        break;
+      case 429:
+        message = 'Rate limit exceeded. Please try again in a few minutes.';
+        break;
+      default:
+        message = response.status >= 500
+          ? `${this.label} server error. Please try again later.`
+          : `API error (${response.status}): ${detail || 'Unknown error'}`;
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryable = response.status === 429 || response.status >= 500;
+    return error;
+  }
+
+  /**
+   * Send a tiny prompt and report whether the provider answered
+   */
+  async testConnection() {
+    try {
+      this.validateConfig();
+      const response = await this.generate("Respond with exactly: 'Connection successful'", { retries: 1 });
+
+      if (response.toLowerCase().includes('connection successful')) {
+        return { success: true, message: `${this.label} connection successful! (${this.model})` };
+      }
+      return { success: true, message: 'API responded but with unexpected content. Connection likely works.' };
+    } catch (error) {
+      console.error('SuperPlay AI: Connection test failed:', error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+export class GeminiProvider extends AIProvider {
+  constructor(config) {
+    super(config, ProviderDefaults[ProviderTypes.GEMINI]);
+  }
+
+  validateConfig() {
+    super.validateConfig();
+    if (!this.apiKey) {
+      throw new Error('Gemini API key not configured. Please add your API key in the extension settings.');
+    }
+    if (!this.apiKey.startsWith('AIza') || this.apiKey.length < 35) {
+      throw new Error('Invalid Gemini API key format. Please check your API key.');
+    }
+  }
+
+  buildRequest(prompt, options) {
+    return {
+      url: `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`,
+      headers: {},
+      body: this.buildBody(prompt, options)
+    };
+  }
+
+  buildStreamRequest(prompt) {
+    return {
+      url: `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`,
+      headers: {},
+      body: this.buildBody(prompt)
+    };
+  }
+
+  buildBody(prompt, { responseSchema } = {}) {
+    const generationConfig = {
+      temperature: APIConfig.TEMPERATURE,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: APIConfig.MAX_TOKENS
+    };
+
+    if (responseSchema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = toGeminiSchema(responseSchema);
+    }
+
+    return {
+      contents: toTurns(prompt).map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+      generationConfig,
+      safetySettings: SAFETY_SETTINGS
+    };
+  }
+
+  parseResponse(data) {
+    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+      console.error('SuperPlay AI: Invalid response structure:', data);
+      throw new Error('Invalid response format from Gemini API');
+    }
+    return data.candidates[0].content.parts?.map(part => part.text || '').join('');
+  }
+
+  parseStreamLine(line) {
+    const data = parseSSEData(line);
+    const parts = data?.candidates?.[0]?.content?.parts;
+    return parts ? parts.map(part => part.text || '').join('') : '';
+  }
+}
+
+/**
+ * Any server implementing the OpenAI /chat/completions API
+ * (OpenAI, OpenRouter, LM Studio, vLLM, llama.cpp server...)
+ */
+export class OpenAICompatibleProvider extends AIProvider {
+  constructor(config) {
+    super(config, ProviderDefaults[ProviderTypes.OPENAI]);
+  }
+
+  validateConfig() {
+    super.validateConfig();
+    // Self-hosted servers often run without auth, the hosted API never does
+    if (!this.apiKey && this.baseUrl === ProviderDefaults[ProviderTypes.OPENAI].baseUrl) {
+      throw new Error('OpenAI API key not configured. Please add your API key in the extension settings.');
+    }
+  }
+
+  buildRequest(prompt, { stream = false, responseSchema } = {}) {
+    const body = {
+      model: this.model,
+      messages: toChatMessages(prompt),
+      temperature: APIConfig.TEMPERATURE,
+      max_tokens: APIConfig.MAX_TOKENS,
+      stream
+    };
+
+    if (responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: responseSchema, strict: true }
+      };
+    }
+
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body
+    };
+  }
+
+  buildStreamRequest(prompt) {
+    return this.buildRequest(prompt, { stream: true });
+  }
+
+  parseResponse(data) {
+    const content = data.choices?.[0]?.message?.content;
+    if (content === undefined) {
+      console.error('SuperPlay AI: Invalid response structure:', data);
+      throw new Error(`Invalid response format from ${this.label}`);
+    }
+    return content;
+  }
+
+  parseStreamLine(line) {
+    return parseSSEData(line)?.choices?.[0]?.delta?.content || '';
+  }
+}
+
+/**
+ * Ollama-style local HTTP server (/api/chat)
+ */
+export class OllamaProvider extends AIProvider {
+  constructor(config) {
+    super(config, ProviderDefaults[ProviderTypes.OLLAMA]);
+    // Local models can take a while to load on the first request
+    this.retryDelay = APIConfig.RETRY_DELAY * 2;
+  }
+
+  buildRequest(prompt, { stream = false, responseSchema } = {}) {
+    const body = {
+      model: this.model,
+      messages: toChatMessages(prompt),
+      stream,
+      options: { temperature: APIConfig.TEMPERATURE }
+    };
+
+    // Ollama takes the JSON Schema itself as the output format
+    if (responseSchema) {
+      body.format = responseSchema;
+    }
+
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: {},
+      body
+    };
+  }
+
+  buildStreamRequest(prompt) {
+    return this.buildRequest(prompt, { stream: true });
+  }
+
+  parseResponse(data) {
+    const content = data.message?.content;
+    if (content === undefined) {
+      console.error('SuperPlay AI: Invalid response structure:', data);
+      throw new Error(`Invalid response format from ${this.label}`);
+    }
+    return content;
+  }
+
+  // Ollama streams newline-delimited JSON objects rather than SSE
+  parseStreamLine(line) {
+    if (!line) return '';
+
+    const data = JSON.parse(line);
+    if (data.error) {
+      throw new Error(`Stream error: ${data.error}`);
+    }
+    return data.message?.content || '';
+  }
+}
+
+/**
+ * Build the provider selected in settings
+ */
+export function createProvider(settings = {}) {
+  switch (settings.aiProvider || ProviderTypes.GEMINI) {
+    case ProviderTypes.GEMINI:
+      return new GeminiProvider({
+        apiKey: settings.geminiApiKey,
+        model: settings.geminiModel
+      });
+
+    case ProviderTypes.OPENAI:
+      return new OpenAICompatibleProvider({
+        apiKey: settings.openaiApiKey,
+        baseUrl: settings.openaiBaseUrl,
+        model: settings.openaiModel
+      });
+
+    case ProviderTypes.OLLAMA:
+      return new OllamaProvider({
+        baseUrl: settings.ollamaBaseUrl,
+        model: settings.ollamaModel
+      });
+
+    default:
+      throw new Error(`Unknown AI provider: ${settings.aiProvider}`);
+  }
+}
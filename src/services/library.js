@@ -0,0 +1,139 @@
+/**
+ * SuperPlay AI - Library Service
+ * Opt-in local library of summarized videos, kept in IndexedDB so full
+ * transcripts fit. Shared by the background worker and the library page,
+ * which both run on the extension origin and so see the same database.
+ */
+
+import { LibraryConfig } from '../utils/constants.js';
+import { searchLibrary } from '../utils/librarySearch.js';
+
+/**
+ * Resolve with a request's result, reject with its error
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class LibraryService {
+  constructor({ dbName = LibraryConfig.DB_NAME } = {}) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the video store on first use
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(this.dbName, LibraryConfig.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(LibraryConfig.STORE, { keyPath: 'videoId' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      this.dbPromise = promisifyRequest(request).catch(error => {
+        this.dbPromise = null;
+        throw new Error(`Failed to open library: ${error?.message || error}`);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run fn(store) in a transaction and resolve with its result once committed
+   */
+  async withStore(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(LibraryConfig.STORE, mode);
+      let result;
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+      Promise.resolve(fn(transaction.objectStore(LibraryConfig.STORE)))
+        .then(value => { result = value; })
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Save a video, merging with what is already stored for it.
+   * Notes and the date it was first saved are kept across re-summaries.
+   */
+  async saveVideo(video) {
+    if (!video?.videoId) {
+      throw new Error('Cannot save a video without an id');
+    }
+
+    return this.withStore('readwrite', store => new Promise((resolve, reject) => {
+      const existingRequest = store.get(video.videoId);
+      existingRequest.onerror = () => reject(existingRequest.error);
+      existingRequest.onsuccess = () => {
+        const existing = existingRequest.result || {};
+        const now = Date.now();
+        const record = {
+          notes: '',
+          ...existing,
+          ...Object.fromEntries(Object.entries(video).filter(([, value]) => value !== undefined)),
+          createdAt: existing.createdAt || now,
+          updatedAt: now
+        };
+        store.put(record);
+        resolve(record);
+      };
+    }));
+  }
+
+  /**
+   * Get one saved video, or null
+   */
+  async getVideo(videoId) {
+    const video = await this.withStore('readonly', store => promisifyRequest(store.get(videoId)));
+    return video || null;
+  }
+
+  /**
+   * All saved videos, most recently updated first
+   */
+  async getAllVideos() {
+    const videos = await this.withStore('readonly', store => promisifyRequest(store.index('updatedAt').getAll()));
+    return videos.reverse();
+  }
+
+  /**
+   * Remove one video
+   */
+  async deleteVideo(videoId) {
+    await this.withStore('readwrite', store => { store.delete(videoId); });
+    console.log(`SuperPlay AI: Removed ${videoId} from the library`);
+  }
+
+  /**
+   * Remove every saved video
+   */
+  async clear() {
+    await this.withStore('readwrite', store => { store.clear(); });
+    console.log('SuperPlay AI: Cleared the library');
+  }
+
+  /**
+   * Full-text search across saved videos, see searchLibrary()
+   */
+  async search(query, options) {
+    return searchLibrary(await this.getAllVideos(), query, options);
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise;
+      db.close();
+      this.dbPromise = null;
+    }
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * SuperPlay AI - Request Manager
+ * Tracks the AI requests running in the background worker: identical requests
+ * share one run, and each can be cancelled by its request ID or its tab
+ */
+
+export class RequestManager {
+  constructor() {
+    // requestId -> { run, tabId, videoId, controller }
+    this.requests = new Map();
+    // buildKey() -> run shared by the requests waiting for it
+    this.runs = new Map();
+  }
+
+  /**
+   * Key of identical requests: the type, video and every other parameter.
+   * The transcript is left out, since the video and caption track decide it.
+   */
+  static buildKey(request) {
+    const params = { ...request };
+    delete params.type;
+    delete params.videoId;
+    delete params.requestId;
+    delete params.transcript;
+    return JSON.stringify([request.type, request.videoId || null, params]);
+  }
+
+  /**
+   * Run generate({ signal, onChunk, onProgress }) for a request, or join the
+   * run of an identical request still in flight. Chunks and progress reach
+   * every request of the run; one joining late first gets the text so far.
+   * Rejects with an AbortError when this request is cancelled.
+   */
+  run(request, { tabId, onChunk, onProgress } = {}, generate) {
+    const requestId = request.requestId || crypto.randomUUID();
+    const key = RequestManager.buildKey(request);
+
+    let run = this.runs.get(key);
+    if (run) {
+      console.log(`SuperPlay AI: Joining ${request.type} already in progress`);
+      if (run.text) {
+        onChunk?.(run.text);
+      }
+    } else {
+      run = this.startRun(key, generate);
+    }
+
+    const controller = new AbortController();
+    run.listeners.set(requestId, { onChunk, onProgress });
+    this.requests.set(requestId, { run, tabId, videoId: request.videoId, controller });
+
+    const cancelled = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(new DOMException('Request cancelled', 'AbortError'));
+      }, { once: true });
+    });
+
+    const forget = () => this.forget(requestId, run);
+    const result = Promise.race([run.promise, cancelled]);
+    result.then(forget, forget);
+    return result;
+  }
+
+  startRun(key, generate) {
+    const run = { key, controller: new AbortController(), listeners: new Map(), text: '' };
+
+    run.promise = generate({
+      signal: run.controller.signal,
+      onChunk: (chunk) => {
+        run.text += chunk;
+        run.listeners.forEach(listener => listener.onChunk?.(chunk));
+      },
+      onProgress: (progress) => {
+        run.listeners.forEach(listener => listener.onProgress?.(progress));
+      }
+    });
+
+    const finish = () => this.endRun(run);
+    run.promise.then(finish, finish);
+
+    this.runs.set(key, run);
+    return run;
+  }
+
+  /**
+   * Cancel a request; its run is aborted once no other request is waiting for it.
+   * Returns false when the request is not running.
+   */
+  cancel(requestId) {
+    const entry = this.requests.get(requestId);
+    if (!entry) {
+      return false;
+    }
+
+    entry.controller.abort();
+    this.forget(requestId, entry.run);
+    return true;
+  }
+
+  /**
+   * Cancel the requests a tab started, except those for keepVideoId
+   * (the video the tab now shows). Returns how many were cancelled.
+   */
+  cancelTab(tabId, keepVideoId = null) {
+    let count = 0;
+    for (const [requestId, entry] of this.requests) {
+      if (entry.tabId === tabId && (!keepVideoId || entry.videoId !== keepVideoId)) {
+        this.cancel(requestId);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  forget(requestId, run) {
+    if (this.requests.get(requestId)?.run === run) {
+      this.requests.delete(requestId);
+    }
+    run.listeners.delete(requestId);
+
+    // Nobody is waiting for the result any more: stop the AI call
+    if (!run.listeners.size) {
+      run.controller.abort();
+      this.endRun(run);
+    }
+  }
+
+  endRun(run) {
+    if (this.runs.get(run.key) === run) {
+      this.runs.delete(run.key);
+    }
+  }
+}
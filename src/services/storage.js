@@ -3,15 +3,11 @@
  * Handles chrome.storage operations with proper error handling and defaults
  */
 
+import { DefaultSettings, FlashcardConfig, NotesConfig, ReviewConfig } from '../utils/constants.js';
+
 export class StorageService {
   constructor() {
-    this.defaultSettings = {
-      enabled: true,
-      autoSummary: true,
-      geminiApiKey: '',
-      lastUpdated: Date.now(),
-      version: '1.1.0'
-    };
+    this.defaultSettings = DefaultSettings;
   }
 
   /**
@@ -19,7 +15,8 @@ export class StorageService {
    */
   async initializeDefaults() {
     try {
-      const existing = await this.getSettings();
+      // Raw stored values: getSettings() would already fill in the defaults
+      const existing = await chrome.storage.sync.get(Object.keys(this.defaultSettings));
       
       // Only set defaults for missing keys
       const settingsToSet = {};
@@ -209,6 +206,163 @@ export class StorageService {
     }
   }
 
+  /**
+   * Get the most recently cached transcript of a video in any caption track
+   * (entries are keyed by video id, or by video id and track id)
+   */
+  async findCachedTranscript(videoId) {
+    try {
+      const prefix = `transcript_${videoId}`;
+      const all = await chrome.storage.local.get(null);
+
+      const candidates = Object.keys(all)
+        .filter(key => (key === prefix || key.startsWith(`${prefix}_`)) && !key.endsWith('_timestamp'))
+        .map(key => ({ transcript: all[key], timestamp: all[`${key}_timestamp`] }))
+        .filter(({ transcript, timestamp }) =>
+          Array.isArray(transcript) && transcript.length && timestamp && (Date.now() - timestamp < 24 * 60 * 60 * 1000))
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+      return candidates[0]?.transcript || null;
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to find cached transcript:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the edited flashcard deck of a video, or null when it has none
+   */
+  async getFlashcards(videoId) {
+    try {
+      const key = `${FlashcardConfig.STORAGE_PREFIX}${videoId}`;
+      const result = await chrome.storage.local.get([key]);
+      return result[key] || null;
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to get flashcards:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a video's flashcard deck after it was edited
+   */
+  async saveFlashcards(videoId, cards) {
+    try {
+      await chrome.storage.local.set({ [`${FlashcardConfig.STORAGE_PREFIX}${videoId}`]: cards });
+      return true;
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to save flashcards:', error);
+      throw new Error(`Failed to save flashcards: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a video's notes record { videoId, videoTitle, notes, updatedAt }, or null
+   */
+  async getNotes(videoId) {
+    try {
+      const key = `${NotesConfig.STORAGE_PREFIX}${videoId}`;
+      const result = await chrome.storage.local.get([key]);
+      return result[key] || null;
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to get notes:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a video's notes; a video without notes has its record removed
+   */
+  async saveNotes(videoId, videoTitle, notes) {
+    const key = `${NotesConfig.STORAGE_PREFIX}${videoId}`;
+    try {
+      if (!notes.length) {
+        await chrome.storage.local.remove([key]);
+      } else {
+        await chrome.storage.local.set({ [key]: { videoId, videoTitle, notes, updatedAt: Date.now() } });
+      }
+      return true;
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to save notes:', error);
+      throw new Error(`Failed to save notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notes records of every video, the most recently edited first
+   */
+  async getAllNotes() {
+    try {
+      const all = await chrome.storage.local.get(null);
+      return Object.entries(all)
+        .filter(([key]) => key.startsWith(NotesConfig.STORAGE_PREFIX))
+        .map(([, record]) => record)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to get notes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get every spaced-repetition review card
+   */
+  async getReviewCards() {
+    try {
+      const result = await chrome.storage.local.get([ReviewConfig.STORAGE_KEY]);
+      return result[ReviewConfig.STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to get review cards:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save review cards, dropping the oldest beyond ReviewConfig.MAX_CARDS
+   */
+  async saveReviewCards(cards) {
+    try {
+      const kept = [...cards]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, ReviewConfig.MAX_CARDS);
+      await chrome.storage.local.set({ [ReviewConfig.STORAGE_KEY]: kept });
+      return true;
+    } catch (error) {
+      console.error('SuperPlay AI: Failed to save review cards:', error);
+      throw new Error(`Failed to save review cards: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add review cards, skipping cards already queued. Resolves with the number added.
+   */
+  async addReviewCards(cards) {
+    const existing = await this.getReviewCards();
+    const ids = new Set(existing.map(card => card.id));
+    const added = cards.filter(card => !ids.has(card.id));
+
+    if (added.length > 0) {
+      await this.saveReviewCards([...existing, ...added]);
+    }
+    return added.length;
+  }
+
+  /**
+   * Replace a review card after it was reviewed
+   */
+  async updateReviewCard(card) {
+    const cards = await this.getReviewCards();
+    await this.saveReviewCards(cards.map(existing => (existing.id === card.id ? card : existing)));
+  }
+
+  /**
+   * Remove a review card from the queue
+   */
+  async removeReviewCard(cardId) {
+    const cards = await this.getReviewCards();
+    await this.saveReviewCards(cards.filter(card => card.id !== cardId));
+  }
+
   /**
    * Get storage usage statistics
    */
@@ -4,11 +4,62 @@
  * ONLY RUNS IN CONTENT SCRIPT CONTEXT
  */
 
-import { CSSClasses, MessageTypes } from '../utils/constants.js';
+import {
+  ChapterSources,
+  CSSClasses,
+  DefaultHotkeys,
+  DefaultSettings,
+  FlashcardConfig,
+  HotkeyActions,
+  MessageTypes,
+  NotesConfig,
+  QuizQuestionTypes,
+  RetrievalConfig,
+  UIConfig,
+  YouTubeSelectors
+} from '../utils/constants.js';
+import { StorageService } from './storage.js';
+import { streamFromBackground, requestFromBackground, describeProgress } from '../utils/streamClient.js';
+import {
+  renderMarkdown,
+  escapeHtml,
+  getTimestampLink,
+  getTimestampLinkSeconds,
+  TIMESTAMP_LINK_CLASS
+} from '../utils/markdown.js';
+import { getTranscriptExcerpt, getTranscriptLine, formatTimestamp } from '../utils/transcriptUtils.js';
+import { linkCollectionCitations } from '../utils/collection.js';
+import { createExportData, linkTimestamps } from '../utils/exportFormats.js';
+import {
+  EXPORT_ACTIONS,
+  FLASHCARD_ACTIONS,
+  TRANSCRIPT_ACTIONS,
+  runExportAction,
+  runFlashcardAction,
+  runTranscriptAction,
+  copyText
+} from '../utils/fileExport.js';
+import { createReviewCard } from '../utils/spacedRepetition.js';
+import { createNote, replaceNoteTexts, searchNotes, sortNotes } from '../utils/notes.js';
+import { getVideoUrl } from '../utils/librarySearch.js';
+import { formatHotkey } from '../utils/hotkeys.js';
+import { getAdjacentChapter, getCurrentChapterIndex, selectChapters } from '../utils/chapters.js';
 
 export class UIManager {
   constructor() {
     this.activeElements = new Set();
+    this.activeStreams = new Set();
+    this.captionTrackIds = new Map(); // videoId -> caption track chosen in the sidebar
+    this.activeVideoId = null; // results for any other video are stale and never rendered
+    this.transcripts = new Map(); // videoId -> transcript, for citation previews
+    this.summaries = new Map(); // videoId -> { summary, chapters }, for exports
+    this.notes = new Map(); // videoId -> the user's notes, for exports
+    this.startNote = null; // starts a note in the open video's notes panel
+    this.hotkeys = { ...DefaultHotkeys }; // shown next to the actions they run
+    this.chapterSource = DefaultSettings.chapterSource; // ChapterSources key, when the creator added chapters
+    this.stopChapterTracking = null; // removes the progress bar markers and playback listeners
+    this.timestampPreview = null;
+    this.storage = new StorageService();
   }
 
   /**
@@ -46,6 +97,13 @@ export class UIManager {
         </h3>
         <p class="sidebar-subtitle">AI-powered video analysis</p>
       </div>
+      <details class="sidebar-notes">
+        <summary class="notes-toggle">
+          📝 My Notes <span class="notes-count"></span>
+          <kbd class="notes-hotkey" title="Note at the current time">${escapeHtml(formatHotkey(this.hotkeys[HotkeyActions.ADD_NOTE]))}</kbd>
+        </summary>
+        <div class="notes-panel"></div>
+      </details>
       <div class="sidebar-content">
         <div class="loading-container">
           <div class="loading-spinner"></div>
@@ -53,6 +111,7 @@ export class UIManager {
         </div>
       </div>
     `;
+    this.bindTimestampLinks(sidebar);
     
     this.activeElements.add(sidebar);
     return sidebar;
@@ -72,7 +131,7 @@ export class UIManager {
           </svg>
           Video Explanation
         </h2>
-        <p class="explain-card-subtitle">${videoInfo.title}</p>
+        <p class="explain-card-subtitle">${escapeHtml(videoInfo.title)}</p>
         <button class="close-button" title="Close">×</button>
       </div>
       <div class="explain-card-content">
@@ -82,6 +141,7 @@ export class UIManager {
         </div>
       </div>
     `;
+    this.bindTimestampLinks(card);
     
     // Load explanation content
     this.loadExplanationContent(card, videoInfo);
@@ -102,11 +162,13 @@ export class UIManager {
   }
 
   /**
-   * Load sidebar content with summary and chapters
+   * Load sidebar content with summary and chapters.
+   * Pass { regenerate: true } to skip the cached summary.
    */
-  async loadSidebarContent(sidebar, videoInfo) {
+  async loadSidebarContent(sidebar, videoInfo, { regenerate = false } = {}) {
     const content = sidebar.querySelector('.sidebar-content');
-    
+    this.renderNotesPanel(sidebar.querySelector('.sidebar-notes'), videoInfo);
+
     try {
       // Show loading state
       content.innerHTML = `
@@ -117,59 +179,89 @@ export class UIManager {
       `;
 
       // Request transcript and generate summary
-      const transcript = await this.getTranscript(videoInfo.videoId, videoInfo.title);
-      const summaryData = await this.generateSummary(transcript, videoInfo.title);
+      const { transcript, track, tracks } = await this.getTranscript(videoInfo.videoId, videoInfo.title);
+      if (!this.isActiveVideo(videoInfo.videoId)) return;
+
+      const loadingText = content.querySelector('.loading-text');
+      const summaryData = await this.generateSummary(transcript, videoInfo, { regenerate, trackId: track?.id }, (progress) => {
+        loadingText.textContent = describeProgress(progress);
+      });
+      if (!this.isActiveVideo(videoInfo.videoId)) return;
 
       // Update content with results
       content.innerHTML = `
+        <div class="transcript-bar">
+          <div class="caption-track-picker"></div>
+          <span class="transcript-menu-slot"></span>
+        </div>
+
         <div class="sidebar-section">
           <h4 class="section-title">
             <svg class="section-icon" viewBox="0 0 24 24" fill="currentColor">
               <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z"/>
             </svg>
             Summary
+            <button type="button" class="regenerate-button" title="${summaryData.cached ? 'Saved result. Generate a fresh summary' : 'Generate a fresh summary'}">
+              ↻ Regenerate
+            </button>
+            <span class="export-menu-slot"></span>
           </h4>
           <div class="summary-content" data-summary>${this.renderMarkdown(summaryData.summary)}</div>
         </div>
         
-        <div class="sidebar-section">
-          <h4 class="section-title">
-            <svg class="section-icon" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M12,2A10,10 0 0,0 2,12A10,10 0 0,0 12,22A10,10 0 0,0 22,12A10,10 0 0,0 12,2M12,4A8,8 0 0,1 20,12A8,8 0 0,1 12,20A8,8 0 0,1 4,12A8,8 0 0,1 12,4M12,6A6,6 0 0,0 6,12A6,6 0 0,0 12,18A6,6 0 0,0 18,12A6,6 0 0,0 12,6Z"/>
-            </svg>
-            Chapters
-          </h4>
-          <div class="chapters-list">
-            ${summaryData.chapters.map(chapter => `
-              <div class="chapter-item" data-seconds="${chapter.seconds}">
-                <div class="chapter-content">
-                  <div class="chapter-header">
-                    <h5 class="chapter-title">${chapter.title}</h5>
-                    <span class="chapter-timestamp">${chapter.timestamp}</span>
-                  </div>
-                  <p class="chapter-description">${chapter.description}</p>
-                </div>
-              </div>
-            `).join('')}
-          </div>
-        </div>
+        <div class="sidebar-section chapters-section"></div>
+
+        <div class="sidebar-section quiz-section"></div>
+
+        <div class="sidebar-section flashcard-section"></div>
+
+        ${videoInfo.playlist?.length > 1 ? '<div class="sidebar-section collection-section"></div>' : ''}
       `;
 
-      // Add click handlers for chapters
-      content.querySelectorAll('.chapter-item').forEach(item => {
-        item.addEventListener('click', () => {
-          const seconds = parseInt(item.dataset.seconds);
-          this.seekToTimestamp(seconds);
-        });
+      this.renderQuizSection(content.querySelector('.quiz-section'), videoInfo, transcript, track);
+      this.renderFlashcardSection(content.querySelector('.flashcard-section'), videoInfo, transcript, track);
+
+      const collectionSection = content.querySelector('.collection-section');
+      if (collectionSection) {
+        this.renderPlaylistQuestion(collectionSection, videoInfo, transcript);
+      }
+
+      this.summaries.set(videoInfo.videoId, { summary: summaryData.summary, chapters: summaryData.chapters });
+      this.renderChapterSection(content.querySelector('.chapters-section'), videoInfo, summaryData.chapters);
+
+      content.querySelector('.regenerate-button').addEventListener('click', () => {
+        this.loadSidebarContent(sidebar, videoInfo, { regenerate: true });
+      });
+
+      content.querySelector('.export-menu-slot').replaceWith(this.createExportMenu(EXPORT_ACTIONS, (action) =>
+        runExportAction(action, createExportData({
+          video: videoInfo,
+          ...this.summaries.get(videoInfo.videoId),
+          notes: this.notes.get(videoInfo.videoId)
+        }))
+      ));
+
+      content.querySelector('.transcript-menu-slot').replaceWith(this.createExportMenu(TRANSCRIPT_ACTIONS, (action) =>
+        runTranscriptAction(action, transcript, {
+          title: videoInfo.title,
+          videoId: videoInfo.videoId,
+          languageCode: track?.languageCode
+        }), { label: '⤓ Transcript', title: 'Download or copy the transcript' }
+      ));
+
+      this.renderCaptionTrackPicker(content.querySelector('.caption-track-picker'), tracks, track, (trackId) => {
+        this.captionTrackIds.set(videoInfo.videoId, trackId);
+        this.loadSidebarContent(sidebar, videoInfo);
       });
 
     } catch (error) {
+      if (!this.isActiveVideo(videoInfo.videoId)) return;
       console.error('SuperPlay AI: Failed to load sidebar content:', error);
       content.innerHTML = `
         <div class="error-container">
           <p class="error-message">
             <span class="error-icon">⚠️</span>
-            Failed to generate summary: ${error.message}
+            Failed to generate summary: ${escapeHtml(error.message)}
           </p>
         </div>
       `;
@@ -177,31 +269,170 @@ export class UIManager {
   }
 
   /**
-   * Load explanation content for card
+   * Chapters list, with a picker between the creator's and the AI chapters when
+   * the description has chapters. The chapters shown are also marked on the
+   * progress bar and are the ones exported.
    */
-  async loadExplanationContent(card, videoInfo) {
+  renderChapterSection(section, videoInfo, aiChapters) {
+    const creatorChapters = videoInfo.creatorChapters || [];
+    const chapters = selectChapters(aiChapters, creatorChapters, this.chapterSource);
+    const showSources = creatorChapters.length > 0 && this.chapterSource === 'merged';
+
+    section.innerHTML = `
+      <h4 class="section-title">
+        <svg class="section-icon" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M12,2A10,10 0 0,0 2,12A10,10 0 0,0 12,22A10,10 0 0,0 22,12A10,10 0 0,0 12,2M12,4A8,8 0 0,1 20,12A8,8 0 0,1 12,20A8,8 0 0,1 4,12A8,8 0 0,1 12,4M12,6A6,6 0 0,0 6,12A6,6 0 0,0 12,18A6,6 0 0,0 18,12A6,6 0 0,0 12,6Z"/>
+        </svg>
+        Chapters
+        ${creatorChapters.length ? `
+          <select class="chapter-source-select" title="The creator added chapters: choose which to show">
+            ${Object.entries(ChapterSources).map(([source, { label }]) => `
+              <option value="${source}"${source === this.chapterSource ? ' selected' : ''}>${escapeHtml(label)}</option>
+            `).join('')}
+          </select>
+        ` : ''}
+      </h4>
+      <div class="chapters-list">
+        ${chapters.map(chapter => `
+          <div class="chapter-item" data-seconds="${Number(chapter.seconds) || 0}">
+            <div class="chapter-content">
+              <div class="chapter-header">
+                <h5 class="chapter-title">
+                  ${escapeHtml(chapter.title)}
+                  ${showSources ? `<span class="chapter-source ${chapter.source}">${chapter.source === 'creator' ? 'Creator' : 'AI'}</span>` : ''}
+                </h5>
+                <span class="chapter-timestamp">${escapeHtml(chapter.timestamp)}</span>
+              </div>
+              ${chapter.description ? `<p class="chapter-description">${escapeHtml(chapter.description)}</p>` : ''}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    this.summaries.set(videoInfo.videoId, { ...this.summaries.get(videoInfo.videoId), chapters });
+
+    section.querySelectorAll('.chapter-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const seconds = parseInt(item.dataset.seconds);
+        this.seekToTimestamp(seconds);
+      });
+    });
+
+    section.querySelector('.chapter-source-select')?.addEventListener('change', (event) => {
+      this.chapterSource = event.target.value;
+      this.storage.updateSettings({ chapterSource: this.chapterSource })
+        .catch(error => console.error('SuperPlay AI: Failed to save chapter source:', error));
+      this.renderChapterSection(section, videoInfo, aiChapters);
+    });
+
+    this.trackChapters(section.querySelectorAll('.chapter-item'), chapters);
+  }
+
+  /**
+   * Mark chapters on the player's progress bar, with their title and description
+   * on hover, and highlight the playing chapter in the list and on the bar
+   */
+  trackChapters(items, chapters) {
+    this.stopChapterTracking?.();
+
+    const video = document.querySelector(YouTubeSelectors.VIDEO_PLAYER);
+    const progressBar = document.querySelector(YouTubeSelectors.PROGRESS_BAR);
+    if (!video || !chapters.length) return;
+
+    const markers = document.createElement('div');
+    markers.className = 'superplay-chapter-markers';
+    markers.innerHTML = `
+      ${chapters.map(chapter => `<div class="chapter-marker ${chapter.source}"></div>`).join('')}
+      <div class="chapter-marker-tooltip" hidden>
+        <strong class="chapter-marker-title"></strong>
+        <span class="chapter-marker-description"></span>
+      </div>
+    `;
+    const markerElements = [...markers.querySelectorAll('.chapter-marker')];
+    const tooltip = markers.querySelector('.chapter-marker-tooltip');
+
+    // The duration is unknown until the metadata loads, and an ad's while one plays
+    const placeMarkers = () => {
+      const duration = video.duration;
+      markers.hidden = !(Number.isFinite(duration) && duration > 0);
+      markerElements.forEach((marker, index) => {
+        marker.style.left = `${Math.min(100, (chapters[index].seconds / duration) * 100)}%`;
+      });
+    };
+
+    markerElements.forEach((marker, index) => {
+      const chapter = chapters[index];
+      marker.addEventListener('mouseenter', () => {
+        tooltip.querySelector('.chapter-marker-title').textContent = `${chapter.timestamp} · ${chapter.title}`;
+        tooltip.querySelector('.chapter-marker-description').textContent = chapter.description || '';
+        tooltip.style.left = marker.style.left;
+        tooltip.hidden = false;
+      });
+      marker.addEventListener('mouseleave', () => {
+        tooltip.hidden = true;
+      });
+      marker.addEventListener('click', () => this.seekToTimestamp(chapter.seconds));
+    });
+
+    let currentIndex = null;
+    const highlightCurrent = () => {
+      const index = getCurrentChapterIndex(chapters, video.currentTime);
+      if (index === currentIndex) return;
+      currentIndex = index;
+      items.forEach((item, itemIndex) => item.classList.toggle('current', itemIndex === index));
+      markerElements.forEach((marker, markerIndex) => marker.classList.toggle('current', markerIndex === index));
+    };
+
+    if (progressBar) {
+      placeMarkers();
+      progressBar.appendChild(markers);
+      this.activeElements.add(markers);
+    }
+    highlightCurrent();
+    video.addEventListener('durationchange', placeMarkers);
+    video.addEventListener('timeupdate', highlightCurrent);
+
+    this.stopChapterTracking = () => {
+      video.removeEventListener('durationchange', placeMarkers);
+      video.removeEventListener('timeupdate', highlightCurrent);
+      markers.remove();
+      this.activeElements.delete(markers);
+      this.stopChapterTracking = null;
+    };
+  }
+
+  /**
+   * Use a ChapterSources choice for the next chapters shown
+   */
+  setChapterSource(source) {
+    this.chapterSource = ChapterSources[source] ? source : DefaultSettings.chapterSource;
+  }
+
+  /**
+   * Load explanation content for card, rendering it as it streams in.
+   * Pass { regenerate: true } to skip the cached explanation.
+   */
+  async loadExplanationContent(card, videoInfo, { regenerate = false } = {}) {
     const content = card.querySelector('.explain-card-content');
     
     try {
-      // Get transcript and generate explanation
-      const transcript = await this.getTranscript(videoInfo.videoId, videoInfo.title);
-      const explanation = await this.generateExplanation(transcript, videoInfo.title);
+      // Get transcript before switching to the conversation view
+      const { transcript, track } = await this.getTranscript(videoInfo.videoId, videoInfo.title);
+      if (!this.isActiveVideo(videoInfo.videoId)) return;
 
       // Create conversation interface
       content.innerHTML = `
-        <div class="conversation-container">
-          <div class="message ai-message">
-            <div class="message-header">
-              <div class="message-avatar ai-avatar">AI</div>
-              <span class="message-sender ai-sender">SuperPlay AI</span>
-            </div>
-            <div class="message-content">
-              ${this.renderMarkdown(explanation)}
-            </div>
-          </div>
+        <div class="conversation-container"></div>
+
+        <div class="stream-controls">
+          <button type="button" class="stop-generation-button" style="display: none;">
+            <span class="stop-icon"></span>
+            Stop generating
+          </button>
         </div>
         
-        <div class="followup-container">
+        <div class="followup-container" style="display: none;">
           <form class="followup-form">
             <textarea 
               class="followup-input" 
@@ -217,21 +448,56 @@ export class UIManager {
           </form>
         </div>
         
-        <div class="clear-history-container">
+        <div class="clear-history-container" style="display: none;">
+          <button class="regenerate-explanation-button">Regenerate Explanation</button>
           <button class="clear-history-button">Clear Conversation</button>
+          <span class="export-menu-slot"></span>
         </div>
       `;
 
+      const conversationContainer = content.querySelector('.conversation-container');
+      const stopButton = content.querySelector('.stop-generation-button');
+
+      const explanationMessage = this.createAIMessage('');
+      conversationContainer.appendChild(explanationMessage);
+
+      await this.streamIntoMessage(explanationMessage, {
+        type: MessageTypes.GENERATE_EXPLANATION,
+        transcript,
+        trackId: track?.id,
+        videoId: videoInfo.videoId,
+        videoTitle: videoInfo.title,
+        channel: videoInfo.owner,
+        regenerate
+      }, stopButton);
+
+      content.querySelector('.followup-container').style.display = '';
+      content.querySelector('.clear-history-container').style.display = '';
+
       // Setup form handling
       this.setupConversationHandlers(content, videoInfo);
 
+      content.querySelector('.regenerate-explanation-button').addEventListener('click', () => {
+        this.loadExplanationContent(card, videoInfo, { regenerate: true });
+      });
+
+      // The summary is included once the sidebar has loaded it
+      content.querySelector('.export-menu-slot').replaceWith(this.createExportMenu(EXPORT_ACTIONS, (action) =>
+        runExportAction(action, createExportData({
+          video: videoInfo,
+          ...this.summaries.get(videoInfo.videoId),
+          conversation: this.extractConversationHistory(conversationContainer)
+        }))
+      ));
+
     } catch (error) {
+      if (!this.isActiveVideo(videoInfo.videoId)) return;
       console.error('SuperPlay AI: Failed to load explanation:', error);
       content.innerHTML = `
         <div class="error-container">
           <p class="error-message">
             <span class="error-icon">⚠️</span>
-            Failed to generate explanation: ${error.message}
+            Failed to generate explanation: ${escapeHtml(error.message)}
           </p>
         </div>
       `;
@@ -245,6 +511,7 @@ export class UIManager {
     const form = content.querySelector('.followup-form');
     const input = content.querySelector('.followup-input');
     const button = content.querySelector('.followup-submit');
+    const stopButton = content.querySelector('.stop-generation-button');
     const clearBtn = content.querySelector('.clear-history-button');
     const conversationContainer = content.querySelector('.conversation-container');
 
@@ -258,6 +525,9 @@ export class UIManager {
       input.disabled = true;
       button.disabled = true;
       
+      // Get conversation history before adding the new turn
+      const conversation = this.extractConversationHistory(conversationContainer);
+
       // Add user message
       const userMessage = this.createUserMessage(question);
       conversationContainer.appendChild(userMessage);
@@ -265,28 +535,30 @@ export class UIManager {
       // Clear input
       input.value = '';
       
-      // Add thinking indicator
-      const thinkingIndicator = this.createThinkingIndicator();
-      conversationContainer.appendChild(thinkingIndicator);
+      // Add AI message that the answer streams into
+      const aiMessage = this.createAIMessage('');
+      conversationContainer.appendChild(aiMessage);
       
       try {
-        // Get conversation history
-        const conversation = this.extractConversationHistory(conversationContainer);
-        
         // Get transcript and ask follow-up
-        const transcript = await this.getTranscript(videoInfo.videoId, videoInfo.title);
-        const answer = await this.askFollowUpQuestion(question, conversation, transcript, videoInfo.title);
-        
-        // Remove thinking indicator
-        thinkingIndicator.remove();
-        
-        // Add AI response
-        const aiMessage = this.createAIMessage(answer);
-        conversationContainer.appendChild(aiMessage);
+        const { transcript } = await this.getTranscript(videoInfo.videoId, videoInfo.title);
+        if (!this.isActiveVideo(videoInfo.videoId)) return;
+
+        const { result } = await this.streamIntoMessage(aiMessage, {
+          type: MessageTypes.ASK_FOLLOW_UP_QUESTION,
+          question,
+          conversation,
+          transcript,
+          videoId: videoInfo.videoId,
+          videoTitle: videoInfo.title,
+          channel: videoInfo.owner
+        }, stopButton);
+        this.renderAnswerSources(aiMessage, result?.sources);
         
       } catch (error) {
+        if (!this.isActiveVideo(videoInfo.videoId)) return;
         console.error('SuperPlay AI: Follow-up question failed:', error);
-        thinkingIndicator.remove();
+        aiMessage.remove();
         
         const errorMessage = this.createErrorMessage(error.message);
         conversationContainer.appendChild(errorMessage);
@@ -300,11 +572,774 @@ export class UIManager {
 
     // Clear conversation handler
     clearBtn.addEventListener('click', () => {
-      const messages = conversationContainer.querySelectorAll('.message:not(:first-child)');
+      const messages = conversationContainer.querySelectorAll('.message:not(:first-child), .error-message-content');
       messages.forEach(msg => msg.remove());
     });
   }
 
+  /**
+   * Ask one question across videos of the playlist being played. The current
+   * video is always included; other videos count if their transcript was
+   * cached when they were opened or they are saved in the library.
+   */
+  renderPlaylistQuestion(section, videoInfo, transcript) {
+    section.innerHTML = `
+      <h4 class="section-title">
+        <svg class="section-icon" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M15,6H3V8H15V6M15,10H3V12H15V10M3,16H11V14H3V16M17,6V14.18C16.69,14.07 16.35,14 16,14A3,3 0 0,0 13,17A3,3 0 0,0 16,20A3,3 0 0,0 19,17V8H22V6H17Z"/>
+        </svg>
+        Ask Across This Playlist
+      </h4>
+      <p class="collection-help">
+        Pick up to ${RetrievalConfig.MAX_COLLECTION_VIDEOS} videos. Videos you have not opened yet are skipped.
+      </p>
+      <div class="collection-videos">
+        ${videoInfo.playlist.map(video => `
+          <label class="collection-video">
+            <input type="checkbox" value="${escapeHtml(video.videoId)}" ${video.videoId === videoInfo.videoId ? 'checked disabled' : ''}>
+            <span>${escapeHtml(video.title)}</span>
+          </label>
+        `).join('')}
+      </div>
+      <form class="followup-form collection-form">
+        <input type="text" class="followup-input" placeholder="e.g. Compare how these videos approach caching" maxlength="500">
+        <button type="submit" class="followup-submit">Ask</button>
+      </form>
+      <div class="stream-controls">
+        <button type="button" class="stop-generation-button" style="display: none;">
+          <span class="stop-icon"></span>
+          Stop generating
+        </button>
+      </div>
+      <div class="collection-answer"></div>
+    `;
+
+    const form = section.querySelector('.collection-form');
+    const input = form.querySelector('.followup-input');
+    const button = form.querySelector('.followup-submit');
+    const answer = section.querySelector('.collection-answer');
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const question = input.value.trim();
+      if (!question) return;
+
+      const checked = new Set([...section.querySelectorAll('.collection-video input:checked')].map(box => box.value));
+      const videos = videoInfo.playlist
+        .filter(video => checked.has(video.videoId))
+        .map(video => (video.videoId === videoInfo.videoId ? { ...video, transcript } : video));
+
+      input.disabled = true;
+      button.disabled = true;
+      answer.innerHTML = '';
+      const aiMessage = this.createAIMessage('');
+      answer.appendChild(aiMessage);
+
+      try {
+        const { result } = await this.streamIntoMessage(aiMessage, {
+          type: MessageTypes.ASK_COLLECTION_QUESTION,
+          question,
+          videos
+        }, section.querySelector('.stop-generation-button'), {
+          prepareText: (text) => linkCollectionCitations(text, videos, { currentVideoId: videoInfo.videoId })
+        });
+
+        if (result?.skipped?.length) {
+          const note = document.createElement('p');
+          note.className = 'collection-skipped';
+          note.textContent = `Skipped ${result.skipped.length} of ${videos.length} videos without a saved transcript.`;
+          aiMessage.appendChild(note);
+        }
+      } catch (error) {
+        if (!this.isActiveVideo(videoInfo.videoId)) return;
+        console.error('SuperPlay AI: Playlist question failed:', error);
+        answer.replaceChildren(this.createErrorMessage(error.message));
+      } finally {
+        input.disabled = false;
+        button.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * The user's own notes on the video, pinned to the time they were taken and
+   * saved per video. Rendered once per video, so summary reloads keep drafts.
+   */
+  renderNotesPanel(panel, videoInfo) {
+    if (panel.dataset.videoId === videoInfo.videoId) return;
+    panel.dataset.videoId = videoInfo.videoId;
+
+    const { videoId } = videoInfo;
+    const body = panel.querySelector('.notes-panel');
+    body.innerHTML = `
+      <form class="notes-form">
+        <textarea class="notes-input" rows="2" maxlength="${NotesConfig.MAX_NOTE_LENGTH}" placeholder="Write a note (Enter to save, Shift+Enter for a new line)"></textarea>
+        <div class="notes-form-row">
+          <label class="notes-option"><input type="checkbox" class="notes-quote-toggle" checked> Quote the transcript</label>
+          <button type="submit" class="followup-submit notes-add-button">Add</button>
+        </div>
+      </form>
+      <div class="notes-search-row">
+        <input type="search" class="notes-search" placeholder="Search notes">
+        <label class="notes-option"><input type="checkbox" class="notes-search-all"> All videos</label>
+      </div>
+      <ol class="notes-list"></ol>
+      <div class="notes-actions">
+        <button type="button" class="regenerate-button notes-cleanup-button" title="Fix spelling and shorthand in every note">✨ Clean up</button>
+        <button type="button" class="regenerate-button notes-merge-button" title="Combine your notes with the summary into study notes">Merge with summary</button>
+        <span class="export-menu-slot"></span>
+      </div>
+      <div class="stream-controls">
+        <button type="button" class="stop-generation-button" style="display: none;">
+          <span class="stop-icon"></span>
+          Stop generating
+        </button>
+      </div>
+      <div class="notes-result"></div>
+    `;
+
+    const form = body.querySelector('.notes-form');
+    const input = body.querySelector('.notes-input');
+    const addButton = body.querySelector('.notes-add-button');
+    const quoteToggle = body.querySelector('.notes-quote-toggle');
+    const search = body.querySelector('.notes-search');
+    const searchAll = body.querySelector('.notes-search-all');
+    const list = body.querySelector('.notes-list');
+    const result = body.querySelector('.notes-result');
+    const count = panel.querySelector('.notes-count');
+    let notes = [];
+    let draftSeconds = null;
+
+    const setNotes = async (next) => {
+      notes = sortNotes(next);
+      this.notes.set(videoId, notes);
+      await renderList();
+      try {
+        await this.storage.saveNotes(videoId, videoInfo.title, notes);
+      } catch (error) {
+        console.error('SuperPlay AI: Failed to save notes:', error);
+      }
+    };
+
+    const setDraftTime = (seconds) => {
+      draftSeconds = Math.floor(seconds);
+      addButton.textContent = `Add at ${formatTimestamp(draftSeconds)}`;
+    };
+
+    const createItem = (note) => {
+      const item = document.createElement('li');
+      item.className = 'notes-item';
+      item.innerHTML = `
+        <div class="notes-item-header">
+          <a href="#t=${note.seconds}" class="${TIMESTAMP_LINK_CLASS}" data-seconds="${note.seconds}">${formatTimestamp(note.seconds)}</a>
+          <button type="button" class="notes-delete-button" title="Delete note">✕</button>
+        </div>
+        <textarea class="notes-text" rows="2" maxlength="${NotesConfig.MAX_NOTE_LENGTH}"></textarea>
+        ${note.quote ? `<blockquote class="notes-quote">${escapeHtml(note.quote)}</blockquote>` : ''}
+      `;
+
+      const text = item.querySelector('.notes-text');
+      text.value = note.text;
+      text.addEventListener('change', () => {
+        const value = text.value.trim();
+        setNotes(value
+          ? notes.map(existing => (existing.id === note.id ? { ...existing, text: value, updatedAt: Date.now() } : existing))
+          : notes.filter(existing => existing.id !== note.id));
+      });
+      item.querySelector('.notes-delete-button').addEventListener('click', () => {
+        setNotes(notes.filter(existing => existing.id !== note.id));
+      });
+
+      return item;
+    };
+
+    // Matches in other videos open them at the note's time
+    const createResult = ({ videoId: resultVideoId, videoTitle, note }) => {
+      const item = document.createElement('li');
+      item.className = 'notes-item';
+      item.innerHTML = `
+        <div class="notes-item-header">
+          <a href="${escapeHtml(getVideoUrl(resultVideoId, note.seconds))}" target="_blank" rel="noopener noreferrer">${formatTimestamp(note.seconds)} · ${escapeHtml(videoTitle || resultVideoId)}</a>
+        </div>
+        <p class="notes-result-text">${escapeHtml(note.text)}</p>
+      `;
+      return item;
+    };
+
+    const renderList = async () => {
+      count.textContent = notes.length ? `(${notes.length})` : '';
+      const query = search.value.trim();
+
+      if (query && searchAll.checked) {
+        const records = (await this.storage.getAllNotes()).filter(record => record.videoId !== videoId);
+        const matches = searchNotes([{ videoId, videoTitle: videoInfo.title, notes }, ...records], query);
+        list.replaceChildren(...matches.map(match => (match.videoId === videoId ? createItem(match.note) : createResult(match))));
+      } else {
+        const shown = query ? searchNotes([{ videoId, notes }], query).map(match => match.note) : notes;
+        list.replaceChildren(...shown.map(createItem));
+      }
+
+      if (query && !list.hasChildNodes()) {
+        const empty = document.createElement('li');
+        empty.className = 'notes-empty';
+        empty.textContent = 'No notes match your search.';
+        list.appendChild(empty);
+      }
+    };
+
+    this.startNote = (seconds) => {
+      panel.open = true;
+      setDraftTime(seconds);
+      input.focus();
+    };
+
+    input.addEventListener('focus', () => {
+      if (draftSeconds === null) {
+        setDraftTime(document.querySelector('video')?.currentTime || 0);
+      }
+    });
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        form.requestSubmit();
+      }
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      const text = input.value.trim();
+      if (!text) return;
+
+      const seconds = draftSeconds ?? document.querySelector('video')?.currentTime ?? 0;
+      const quote = quoteToggle.checked ? getTranscriptLine(this.transcripts.get(videoId), seconds) : '';
+      setNotes([...notes, createNote(text, seconds, { quote })]);
+
+      input.value = '';
+      draftSeconds = null;
+      addButton.textContent = 'Add';
+    });
+
+    search.addEventListener('input', () => renderList());
+    searchAll.addEventListener('change', () => renderList());
+
+    body.querySelector('.export-menu-slot').replaceWith(this.createExportMenu(EXPORT_ACTIONS, (action) =>
+      runExportAction(action, createExportData({ video: videoInfo, ...this.summaries.get(videoId), notes }))
+    ));
+
+    const cleanupButton = body.querySelector('.notes-cleanup-button');
+    cleanupButton.addEventListener('click', async () => {
+      if (!notes.length) return;
+
+      const original = notes;
+      cleanupButton.disabled = true;
+      cleanupButton.textContent = 'Cleaning up...';
+      result.innerHTML = '';
+
+      try {
+        const cleaned = await this.cleanUpNotes(notes, videoInfo);
+        if (!this.isActiveVideo(videoId)) return;
+
+        // Merge by id: notes added, edited or deleted while waiting are kept
+        const now = Date.now();
+        const rewritten = cleaned.map((note, index) => (note.text !== original[index].text ? { ...note, updatedAt: now } : note));
+        await setNotes(replaceNoteTexts(notes, original, rewritten));
+
+        result.innerHTML = `
+          <p class="notes-status">
+            Cleaned up your notes.
+            <button type="button" class="notes-undo-button">Undo</button>
+          </p>
+        `;
+        result.querySelector('.notes-undo-button').addEventListener('click', () => {
+          setNotes(replaceNoteTexts(notes, rewritten, original));
+          result.innerHTML = '';
+        });
+      } catch (error) {
+        console.error('SuperPlay AI: Failed to clean up notes:', error);
+        result.replaceChildren(this.createErrorMessage(`Could not clean up your notes: ${error.message}`));
+      } finally {
+        cleanupButton.disabled = false;
+        cleanupButton.textContent = '✨ Clean up';
+      }
+    });
+
+    const mergeButton = body.querySelector('.notes-merge-button');
+    mergeButton.addEventListener('click', async () => {
+      const summary = this.summaries.get(videoId);
+      if (!notes.length) return;
+      if (!summary) {
+        result.replaceChildren(this.createErrorMessage('Wait for the summary to finish, then try again.'));
+        return;
+      }
+
+      mergeButton.disabled = true;
+      const aiMessage = this.createAIMessage('');
+      result.replaceChildren(aiMessage);
+
+      try {
+        const { text } = await this.streamIntoMessage(aiMessage, {
+          type: MessageTypes.MERGE_NOTES_WITH_SUMMARY,
+          notes,
+          summary: summary.summary,
+          chapters: summary.chapters,
+          videoTitle: videoInfo.title,
+          channel: videoInfo.owner
+        }, body.querySelector('.stop-generation-button'));
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'regenerate-button notes-copy-button';
+        copyButton.textContent = 'Copy as Markdown';
+        copyButton.addEventListener('click', async () => {
+          try {
+            await copyText(linkTimestamps(text, videoId));
+            copyButton.textContent = '✓ Copied';
+          } catch (error) {
+            console.error('SuperPlay AI: Failed to copy merged notes:', error);
+            copyButton.textContent = '⚠️ Copy failed';
+          }
+          setTimeout(() => { copyButton.textContent = 'Copy as Markdown'; }, 2000);
+        });
+        aiMessage.appendChild(copyButton);
+      } catch (error) {
+        if (!this.isActiveVideo(videoId)) return;
+        console.error('SuperPlay AI: Failed to merge notes:', error);
+        result.replaceChildren(this.createErrorMessage(`Could not merge your notes: ${error.message}`));
+      } finally {
+        mergeButton.disabled = false;
+      }
+    });
+
+    this.storage.getNotes(videoId).then(record => {
+      if (!this.isActiveVideo(videoId)) return;
+      // Keep any note taken while the saved ones were loading
+      notes = sortNotes([...(record?.notes || []), ...notes]);
+      this.notes.set(videoId, notes);
+      renderList();
+    });
+  }
+
+  /**
+   * Use new hotkeys, updating the ones shown on the page
+   */
+  setHotkeys(hotkeys) {
+    this.hotkeys = { ...hotkeys };
+    const noteHotkey = formatHotkey(this.hotkeys[HotkeyActions.ADD_NOTE]);
+    document.querySelectorAll('.notes-hotkey').forEach(kbd => {
+      kbd.textContent = noteHotkey;
+      kbd.hidden = !noteHotkey;
+    });
+  }
+
+  /**
+   * Start a note at a time in the video (the note hotkey); false when the
+   * notes panel is not on the page yet
+   */
+  startNoteAt(seconds) {
+    if (!this.startNote) return false;
+    this.startNote(seconds);
+    return true;
+  }
+
+  /**
+   * "Quiz me" section: generates questions from the transcript on request.
+   * Missed questions are queued for spaced-repetition review in the popup.
+   */
+  renderQuizSection(section, videoInfo, transcript, track) {
+    section.innerHTML = `
+      <h4 class="section-title">
+        <svg class="section-icon" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M12,2A10,10 0 0,0 2,12A10,10 0 0,0 12,22A10,10 0 0,0 22,12A10,10 0 0,0 12,2M13,19H11V17H13V19M15.07,11.25L14.17,12.17C13.45,12.89 13,13.5 13,15H11V14.5C11,13.39 11.45,12.39 12.17,11.67L13.41,10.41C13.78,10.05 14,9.55 14,9C14,7.89 13.1,7 12,7A2,2 0 0,0 10,9H8A4,4 0 0,1 12,5A4,4 0 0,1 16,9C16,9.88 15.64,10.67 15.07,11.25Z"/>
+        </svg>
+        Quiz Me
+      </h4>
+      <p class="quiz-help">Check what you remember. Missed questions go to the review queue in the extension popup.</p>
+      <button type="button" class="quiz-start-button">🎯 Quiz me</button>
+      <div class="quiz-body"></div>
+    `;
+
+    const startButton = section.querySelector('.quiz-start-button');
+    const body = section.querySelector('.quiz-body');
+
+    const startQuiz = async (regenerate = false) => {
+      startButton.style.display = 'none';
+      body.innerHTML = `
+        <div class="loading-container">
+          <div class="loading-spinner"></div>
+          <p class="loading-text">Writing questions...</p>
+        </div>
+      `;
+
+      try {
+        const loadingText = body.querySelector('.loading-text');
+        const { questions } = await this.generateQuiz(transcript, videoInfo, { regenerate, trackId: track?.id }, (progress) => {
+          loadingText.textContent = describeProgress(progress);
+        });
+        if (!this.isActiveVideo(videoInfo.videoId)) return;
+
+        this.renderQuiz(body, questions, videoInfo, transcript, () => startQuiz(true));
+      } catch (error) {
+        if (!this.isActiveVideo(videoInfo.videoId)) return;
+        console.error('SuperPlay AI: Failed to generate quiz:', error);
+        body.replaceChildren(this.createErrorMessage(`Failed to generate quiz: ${error.message}`));
+        startButton.style.display = '';
+      }
+    };
+
+    startButton.addEventListener('click', () => startQuiz());
+  }
+
+  /**
+   * Quiz questions with instant grading: multiple choice is checked locally,
+   * short answers by the AI. onRestart asks for a fresh set of questions.
+   */
+  renderQuiz(body, questions, videoInfo, transcript, onRestart) {
+    body.innerHTML = `
+      <ol class="quiz-questions">
+        ${questions.map((question, index) => `
+          <li class="quiz-question" data-index="${index}">
+            <p class="quiz-question-text">${escapeHtml(question.question)}</p>
+            ${question.type === QuizQuestionTypes.MULTIPLE_CHOICE ? `
+              <div class="quiz-options">
+                ${question.options.map((option, optionIndex) => `
+                  <button type="button" class="quiz-option" data-option="${optionIndex}">${escapeHtml(option)}</button>
+                `).join('')}
+              </div>
+            ` : `
+              <form class="followup-form quiz-answer-form">
+                <input type="text" class="followup-input" placeholder="Your answer" maxlength="500">
+                <button type="submit" class="followup-submit">Check</button>
+              </form>
+            `}
+            <div class="quiz-feedback" style="display: none;"></div>
+          </li>
+        `).join('')}
+      </ol>
+      <div class="quiz-score" style="display: none;"></div>
+    `;
+
+    const results = new Array(questions.length).fill(null);
+
+    const record = async (index, correct, feedback) => {
+      const question = questions[index];
+      results[index] = correct;
+
+      const item = body.querySelector(`.quiz-question[data-index="${index}"]`);
+      const feedbackElement = item.querySelector('.quiz-feedback');
+      feedbackElement.className = `quiz-feedback ${correct ? 'correct' : 'incorrect'}`;
+      feedbackElement.innerHTML = `
+        <strong>${correct ? '✓ Correct' : '✗ Not quite'}</strong>
+        ${feedback ? `<p>${escapeHtml(feedback)}</p>` : ''}
+        ${!correct ? `<p><strong>Answer:</strong> ${escapeHtml(question.answer)}</p>` : ''}
+        ${question.explanation ? `<p>${escapeHtml(question.explanation)}</p>` : ''}
+        <a href="#t=${question.seconds}" class="${TIMESTAMP_LINK_CLASS}" data-seconds="${question.seconds}">Watch at ${question.timestamp}</a>
+      `;
+      feedbackElement.style.display = '';
+
+      if (!correct) {
+        try {
+          await this.storage.addReviewCards([createReviewCard(question, videoInfo)]);
+        } catch (error) {
+          console.error('SuperPlay AI: Failed to queue quiz question for review:', error);
+        }
+      }
+
+      if (results.every(result => result !== null)) {
+        this.showQuizScore(body.querySelector('.quiz-score'), results, onRestart);
+      }
+    };
+
+    body.querySelectorAll('.quiz-option').forEach(button => {
+      button.addEventListener('click', () => {
+        const item = button.closest('.quiz-question');
+        const index = Number(item.dataset.index);
+        const chosen = Number(button.dataset.option);
+        const { answerIndex } = questions[index];
+
+        item.querySelectorAll('.quiz-option').forEach(option => {
+          option.disabled = true;
+          const optionIndex = Number(option.dataset.option);
+          option.classList.toggle('correct', optionIndex === answerIndex);
+          option.classList.toggle('incorrect', optionIndex === chosen && chosen !== answerIndex);
+        });
+
+        record(index, chosen === answerIndex);
+      });
+    });
+
+    body.querySelectorAll('.quiz-answer-form').forEach(form => {
+      const input = form.querySelector('.followup-input');
+      const button = form.querySelector('.followup-submit');
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const answer = input.value.trim();
+        if (!answer) return;
+
+        const item = form.closest('.quiz-question');
+        const index = Number(item.dataset.index);
+        item.querySelector('.error-message-content')?.remove();
+        input.disabled = true;
+        button.disabled = true;
+        button.textContent = 'Checking...';
+
+        try {
+          const { correct, feedback } = await this.gradeQuizAnswer(questions[index], answer, transcript);
+          if (!this.isActiveVideo(videoInfo.videoId)) return;
+          button.remove();
+          record(index, correct, feedback);
+        } catch (error) {
+          console.error('SuperPlay AI: Failed to grade answer:', error);
+          input.disabled = false;
+          button.disabled = false;
+          button.textContent = 'Check';
+          form.after(this.createErrorMessage(`Could not check your answer: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Final score once every question is answered, with a button for new questions
+   */
+  showQuizScore(scoreElement, results, onRestart) {
+    const correct = results.filter(Boolean).length;
+    const missed = results.length - correct;
+
+    scoreElement.innerHTML = `
+      <p>
+        You got <strong>${correct} of ${results.length}</strong> right.
+        ${missed ? `${missed === 1 ? 'The missed question is' : `The ${missed} missed questions are`} now in your review queue.` : 'Nothing to review!'}
+      </p>
+      <button type="button" class="quiz-start-button">↻ New questions</button>
+    `;
+    scoreElement.style.display = '';
+    scoreElement.querySelector('.quiz-start-button').addEventListener('click', onRestart);
+  }
+
+  /**
+   * Flashcards section: generates a term/definition deck on request. The
+   * deck is editable and saved per video, so edits survive a reload.
+   */
+  renderFlashcardSection(section, videoInfo, transcript, track) {
+    section.innerHTML = `
+      <h4 class="section-title">
+        <svg class="section-icon" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M21,16.5C21,16.88 20.79,17.21 20.47,17.38L12.57,21.82C12.41,21.94 12.21,22 12,22C11.79,22 11.59,21.94 11.43,21.82L3.53,17.38C3.21,17.21 3,16.88 3,16.5V7.5C3,7.12 3.21,6.79 3.53,6.62L11.43,2.18C11.59,2.06 11.79,2 12,2C12.21,2 12.41,2.06 12.57,2.18L20.47,6.62C20.79,6.79 21,7.12 21,7.5V16.5Z"/>
+        </svg>
+        Flashcards
+      </h4>
+      <p class="quiz-help">Key terms from the video as cards you can edit, export to Anki or add to your review queue.</p>
+      <button type="button" class="quiz-start-button flashcard-start-button">🃏 Make flashcards</button>
+      <div class="flashcard-body"></div>
+    `;
+
+    const startButton = section.querySelector('.flashcard-start-button');
+    const body = section.querySelector('.flashcard-body');
+
+    const showDeck = (cards) => {
+      startButton.style.display = 'none';
+      this.renderFlashcards(body, cards, videoInfo, () => generate(true));
+    };
+
+    const generate = async (regenerate = false) => {
+      startButton.style.display = 'none';
+      body.innerHTML = `
+        <div class="loading-container">
+          <div class="loading-spinner"></div>
+          <p class="loading-text">Picking key terms...</p>
+        </div>
+      `;
+
+      try {
+        const loadingText = body.querySelector('.loading-text');
+        const { cards } = await this.generateFlashcards(transcript, videoInfo, { regenerate, trackId: track?.id }, (progress) => {
+          loadingText.textContent = describeProgress(progress);
+        });
+        if (!this.isActiveVideo(videoInfo.videoId)) return;
+
+        await this.storage.saveFlashcards(videoInfo.videoId, cards);
+        showDeck(cards);
+      } catch (error) {
+        if (!this.isActiveVideo(videoInfo.videoId)) return;
+        console.error('SuperPlay AI: Failed to generate flashcards:', error);
+        body.replaceChildren(this.createErrorMessage(`Failed to generate flashcards: ${error.message}`));
+        startButton.style.display = '';
+      }
+    };
+
+    startButton.addEventListener('click', () => generate());
+
+    this.storage.getFlashcards(videoInfo.videoId).then(cards => {
+      if (cards?.length && this.isActiveVideo(videoInfo.videoId) && !body.hasChildNodes()) {
+        showDeck(cards);
+      }
+    });
+  }
+
+  /**
+   * Editable flashcard deck. Every edit is saved; onRegenerate replaces the
+   * deck with freshly generated cards.
+   */
+  renderFlashcards(body, cards, videoInfo, onRegenerate) {
+    const deck = cards.map(card => ({ ...card }));
+
+    body.innerHTML = `
+      <div class="flashcard-toolbar">
+        <span class="flashcard-count"></span>
+        <span class="export-menu-slot"></span>
+        <button type="button" class="regenerate-button flashcard-review-button" title="Add every card to the review queue in the extension popup">+ Review</button>
+        <button type="button" class="regenerate-button flashcard-regenerate-button" title="Replace with new cards">↻</button>
+      </div>
+      <ol class="flashcard-list"></ol>
+      <button type="button" class="flashcard-add-button">+ Add card at current time</button>
+    `;
+
+    const list = body.querySelector('.flashcard-list');
+    const count = body.querySelector('.flashcard-count');
+    const reviewButton = body.querySelector('.flashcard-review-button');
+
+    const save = async () => {
+      count.textContent = `${deck.length} card${deck.length === 1 ? '' : 's'}`;
+      try {
+        await this.storage.saveFlashcards(videoInfo.videoId, deck);
+      } catch (error) {
+        console.error('SuperPlay AI: Failed to save flashcards:', error);
+      }
+    };
+
+    const createItem = (card) => {
+      const item = document.createElement('li');
+      item.className = 'flashcard-item';
+      item.innerHTML = `
+        <input type="text" class="flashcard-term" placeholder="Term" maxlength="${FlashcardConfig.MAX_TERM_LENGTH}">
+        <textarea class="flashcard-definition" placeholder="Definition" rows="2" maxlength="${FlashcardConfig.MAX_DEFINITION_LENGTH}"></textarea>
+        <div class="flashcard-meta">
+          ${Number.isFinite(card.seconds)
+            ? `<a href="#t=${card.seconds}" class="${TIMESTAMP_LINK_CLASS}" data-seconds="${card.seconds}">${formatTimestamp(card.seconds)}</a>`
+            : '<span></span>'}
+          <button type="button" class="flashcard-delete-button" title="Delete card">✕</button>
+        </div>
+      `;
+
+      const term = item.querySelector('.flashcard-term');
+      const definition = item.querySelector('.flashcard-definition');
+      term.value = card.term;
+      definition.value = card.definition;
+
+      term.addEventListener('change', () => {
+        card.term = term.value.trim();
+        save();
+      });
+      definition.addEventListener('change', () => {
+        card.definition = definition.value.trim();
+        save();
+      });
+      item.querySelector('.flashcard-delete-button').addEventListener('click', () => {
+        deck.splice(deck.indexOf(card), 1);
+        item.remove();
+        save();
+      });
+
+      return item;
+    };
+
+    list.replaceChildren(...deck.map(createItem));
+    count.textContent = `${deck.length} card${deck.length === 1 ? '' : 's'}`;
+
+    // Cards missing a term or definition would import as blank notes
+    const completeCards = () => deck.filter(card => card.term && card.definition);
+
+    body.querySelector('.export-menu-slot').replaceWith(this.createExportMenu(FLASHCARD_ACTIONS, (action) =>
+      runFlashcardAction(action, completeCards(), videoInfo), { title: 'Export for Anki' }
+    ));
+
+    reviewButton.addEventListener('click', async () => {
+      try {
+        const added = await this.storage.addReviewCards(completeCards().map(card => createReviewCard({
+          id: `card-${card.id}`,
+          question: card.term,
+          answer: card.definition,
+          seconds: card.seconds
+        }, videoInfo)));
+        reviewButton.textContent = added ? `✓ ${added} added` : '✓ Already added';
+      } catch (error) {
+        console.error('SuperPlay AI: Failed to add flashcards to review:', error);
+        reviewButton.textContent = '⚠️ Failed';
+      }
+      setTimeout(() => { reviewButton.textContent = '+ Review'; }, 2000);
+    });
+
+    body.querySelector('.flashcard-regenerate-button').addEventListener('click', onRegenerate);
+
+    body.querySelector('.flashcard-add-button').addEventListener('click', () => {
+      const seconds = Math.floor(document.querySelector('video')?.currentTime || 0);
+      const card = { id: `manual-${Date.now().toString(36)}`, term: '', definition: '', seconds, timestamp: formatTimestamp(seconds) };
+      deck.push(card);
+      const item = createItem(card);
+      list.appendChild(item);
+      item.querySelector('.flashcard-term').focus();
+      save();
+    });
+  }
+
+  /**
+   * Stream an AI request into a message element, re-rendering markdown per chunk.
+   * The stop button is shown while streaming; partial output is kept when stopped.
+   * prepareText rewrites the raw text before it is rendered.
+   * Resolves with { text, result }, result being null when stopped.
+   */
+  async streamIntoMessage(message, request, stopButton, { prepareText = (text) => text } = {}) {
+    const contentElement = message.querySelector('.message-content');
+    const render = (text) => this.renderMarkdown(prepareText(text));
+    let text = '';
+
+    contentElement.innerHTML = '';
+    contentElement.appendChild(this.createThinkingIndicator());
+    message.classList.add('streaming');
+
+    const stream = this.streamFromBackground(request, (chunk) => {
+      text += chunk;
+      contentElement.innerHTML = render(text);
+      message.scrollIntoView({ block: 'end' });
+    }, (progress) => {
+      const label = contentElement.querySelector('.thinking-label');
+      if (label) {
+        label.textContent = describeProgress(progress);
+      }
+    });
+
+    const handleStop = () => stream.stop();
+    stopButton.addEventListener('click', handleStop);
+    stopButton.style.display = '';
+
+    try {
+      const result = await stream.promise;
+
+      if (result.stopped) {
+        contentElement.innerHTML = `
+          ${render(text)}
+          <p class="stream-stopped-note">Generation stopped</p>
+        `;
+        message.dataset.markdown = text;
+        return { text, result: null };
+      }
+
+      text = result.text;
+      contentElement.innerHTML = render(text);
+      message.dataset.markdown = text;
+      return { text, result: result.result || null };
+    } finally {
+      message.classList.remove('streaming');
+      stopButton.removeEventListener('click', handleStop);
+      stopButton.style.display = 'none';
+    }
+  }
+
   /**
    * Create user message element
    */
@@ -316,7 +1351,7 @@ export class UIManager {
         <div class="message-avatar user-avatar">U</div>
         <span class="message-sender user-sender">You</span>
       </div>
-      <div class="message-content">${text}</div>
+      <div class="message-content">${escapeHtml(text)}</div>
     `;
     return message;
   }
@@ -339,6 +1374,71 @@ export class UIManager {
     return message;
   }
 
+  /**
+   * List the transcript chunks an answer was based on, as timestamp links under it
+   */
+  renderAnswerSources(message, sources) {
+    const timedSources = (sources || []).filter(source => source.start !== null);
+    if (!timedSources.length) return;
+
+    const list = document.createElement('div');
+    list.className = 'answer-sources';
+
+    const label = document.createElement('span');
+    label.className = 'answer-sources-label';
+    label.textContent = 'Based on';
+    list.appendChild(label);
+
+    timedSources.forEach(source => {
+      const seconds = Math.floor(source.start);
+      const link = document.createElement('a');
+      link.className = TIMESTAMP_LINK_CLASS;
+      link.href = `#t=${seconds}`;
+      link.dataset.seconds = seconds;
+      link.textContent = `${formatTimestamp(source.start)}–${formatTimestamp(source.end)}`;
+      list.appendChild(link);
+    });
+
+    message.appendChild(list);
+  }
+
+  /**
+   * Export dropdown listing actions ({ action, label }); runAction(action) does the export
+   */
+  createExportMenu(actions, runAction, { label = '⤓ Export', title = 'Export or copy' } = {}) {
+    const menu = document.createElement('details');
+    menu.className = 'superplay-export-menu';
+    menu.innerHTML = `
+      <summary class="export-menu-toggle" title="${title}">${label}</summary>
+      <div class="export-menu-options">
+        ${actions.map(({ action, label }) => `
+          <button type="button" class="export-menu-option" data-action="${action}">${label}</button>
+        `).join('')}
+      </div>
+    `;
+
+    const toggle = menu.querySelector('.export-menu-toggle');
+    menu.querySelector('.export-menu-options').addEventListener('click', async (event) => {
+      const option = event.target.closest('.export-menu-option');
+      if (!option) return;
+
+      menu.open = false;
+      try {
+        await runAction(option.dataset.action);
+        if (option.dataset.action.startsWith('copy')) {
+          toggle.textContent = '✓ Copied';
+          setTimeout(() => { toggle.textContent = label; }, 2000);
+        }
+      } catch (error) {
+        console.error('SuperPlay AI: Export failed:', error);
+        toggle.textContent = '⚠️ Export failed';
+        setTimeout(() => { toggle.textContent = label; }, 3000);
+      }
+    });
+
+    return menu;
+  }
+
   /**
    * Create thinking indicator
    */
@@ -346,7 +1446,7 @@ export class UIManager {
     const indicator = document.createElement('div');
     indicator.className = 'thinking-indicator';
     indicator.innerHTML = `
-      AI is thinking
+      <span class="thinking-label">AI is thinking</span>
       <div class="thinking-dots">
         <div class="thinking-dot"></div>
         <div class="thinking-dot"></div>
@@ -362,18 +1462,19 @@ export class UIManager {
   createErrorMessage(error) {
     const message = document.createElement('div');
     message.className = 'error-message-content';
-    message.innerHTML = `⚠️ ${error}`;
+    message.textContent = `⚠️ ${error}`;
     return message;
   }
 
   /**
-   * Extract conversation history from DOM
+   * Extract conversation history from DOM.
+   * AI messages keep the markdown they were rendered from.
    */
   extractConversationHistory(container) {
     const messages = container.querySelectorAll('.message');
     return Array.from(messages).map(msg => {
       const isUser = msg.classList.contains('user-message');
-      const content = msg.querySelector('.message-content').textContent;
+      const content = msg.dataset.markdown ?? msg.querySelector('.message-content').textContent;
       return {
         type: isUser ? 'user' : 'ai',
         content: content
@@ -382,20 +1483,116 @@ export class UIManager {
   }
 
   /**
-   * Simple markdown renderer
+   * Render AI markdown to sanitized HTML (see utils/markdown.js)
    */
   renderMarkdown(text) {
-    return text
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-      .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-      .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-      .replace(/^- (.*$)/gm, '<li>$1</li>')
-      .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>')
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/^(?!<[h|u|l])(.+)$/gm, '<p>$1</p>')
-      .replace(/<p><\/p>/g, '');
+    return renderMarkdown(text);
+  }
+
+  /**
+   * Seek the video when a timestamp link inside element is clicked,
+   * and preview the transcript around it on hover or focus
+   */
+  bindTimestampLinks(element) {
+    element.addEventListener('click', (event) => {
+      const seconds = getTimestampLinkSeconds(event.target);
+      if (seconds === null) return;
+
+      event.preventDefault();
+      this.hideTimestampPreview();
+      this.seekToTimestamp(seconds);
+    });
+
+    const showPreview = (event) => {
+      const link = getTimestampLink(event.target);
+      if (link) {
+        this.showTimestampPreview(link, getTimestampLinkSeconds(link));
+      }
+    };
+    const hidePreview = (event) => {
+      if (getTimestampLink(event.target)) {
+        this.hideTimestampPreview();
+      }
+    };
+
+    element.addEventListener('mouseover', showPreview);
+    element.addEventListener('focusin', showPreview);
+    element.addEventListener('mouseout', hidePreview);
+    element.addEventListener('focusout', hidePreview);
+  }
+
+  /**
+   * Show what is said around a timestamp in a tooltip below its link
+   */
+  showTimestampPreview(link, seconds) {
+    const excerpt = getTranscriptExcerpt(this.transcripts.get(this.activeVideoId), seconds);
+    if (!excerpt) return;
+
+    if (!this.timestampPreview) {
+      this.timestampPreview = document.createElement('div');
+      this.timestampPreview.className = CSSClasses.TIMESTAMP_PREVIEW;
+      this.timestampPreview.setAttribute('role', 'tooltip');
+      this.activeElements.add(this.timestampPreview);
+    }
+
+    const time = document.createElement('span');
+    time.className = 'timestamp-preview-time';
+    time.textContent = formatTimestamp(seconds);
+
+    const text = document.createElement('p');
+    text.className = 'timestamp-preview-text';
+    text.textContent = excerpt;
+
+    const preview = this.timestampPreview;
+    preview.replaceChildren(time, text);
+    document.body.appendChild(preview);
+
+    const rect = link.getBoundingClientRect();
+    const below = rect.bottom + 6 + preview.offsetHeight < window.innerHeight;
+    preview.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - preview.offsetWidth - 8))}px`;
+    preview.style.top = `${below ? rect.bottom + 6 : rect.top - preview.offsetHeight - 6}px`;
+  }
+
+  /**
+   * Hide the timestamp tooltip
+   */
+  hideTimestampPreview() {
+    this.timestampPreview?.remove();
+  }
+
+  /**
+   * Seek to the next (direction 1) or previous (-1) AI chapter of the open
+   * video; returns the chapter, or null when there is none that way
+   */
+  seekToChapter(direction) {
+    const video = document.querySelector('video');
+    const chapters = this.summaries.get(this.activeVideoId)?.chapters;
+    if (!video || !chapters) return null;
+
+    const chapter = getAdjacentChapter(chapters, video.currentTime, direction);
+    if (chapter) {
+      this.seekToTimestamp(chapter.seconds);
+    }
+    return chapter;
+  }
+
+  /**
+   * Brief message over the page, e.g. what a hotkey did
+   */
+  showToast(message) {
+    document.querySelector('.superplay-toast')?.remove();
+
+    const toast = document.createElement('div');
+    toast.className = 'superplay-toast';
+    toast.setAttribute('role', 'status');
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    this.activeElements.add(toast);
+
+    setTimeout(() => {
+      toast.remove();
+      this.activeElements.delete(toast);
+    }, UIConfig.TOAST_DURATION);
   }
 
   /**
@@ -409,14 +1606,44 @@ export class UIManager {
   }
 
   /**
-   * Helper methods for API communication
+   * Fill the sidebar's transcript language picker with every caption track
+   */
+  renderCaptionTrackPicker(container, tracks, selectedTrack, onChange) {
+    if (!tracks || !tracks.length) {
+      container.remove();
+      return;
+    }
+
+    const label = document.createElement('label');
+    label.className = 'caption-track-label';
+    label.textContent = 'Transcript';
+
+    const select = document.createElement('select');
+    select.className = 'caption-track-select';
+    tracks.forEach(track => {
+      const option = document.createElement('option');
+      option.value = track.id;
+      option.textContent = track.label;
+      option.selected = track.id === selectedTrack?.id;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => onChange(select.value));
+
+    label.appendChild(select);
+    container.appendChild(label);
+  }
+
+  /**
+   * Helper methods for API communication.
+   * Resolves with { transcript, track, tracks } for the caption track chosen for this video.
    */
   async getTranscript(videoId, videoTitle) {
     return new Promise((resolve, reject) => {
       chrome.runtime.sendMessage({
         type: MessageTypes.GET_VIDEO_TRANSCRIPT,
         videoId,
-        videoTitle
+        videoTitle,
+        trackId: this.captionTrackIds.get(videoId)
       }, (response) => {
         if (chrome.runtime.lastError) {
           console.error('SuperPlay AI: Runtime error getting transcript:', chrome.runtime.lastError);
@@ -425,8 +1652,13 @@ export class UIManager {
         }
 
         if (response && response.success) {
-          console.log('SuperPlay AI: Transcript received successfully, length:', response.transcript?.length);
-          resolve(response.transcript);
+          console.log('SuperPlay AI: Transcript received successfully, segments:', response.transcript?.length);
+          this.transcripts.set(videoId, response.transcript);
+          resolve({
+            transcript: response.transcript,
+            track: response.track || null,
+            tracks: response.tracks || []
+          });
         } else {
           console.error('SuperPlay AI: Failed to get transcript:', response?.error);
           reject(new Error(response?.error || 'Failed to get transcript'));
@@ -435,74 +1667,153 @@ export class UIManager {
     });
   }
 
-  async generateSummary(transcript, videoTitle) {
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: MessageTypes.GENERATE_SUMMARY,
-        transcript,
-        videoTitle
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('SuperPlay AI: Runtime error generating summary:', chrome.runtime.lastError);
-          reject(new Error(`Failed to communicate with background script: ${chrome.runtime.lastError.message}`));
-          return;
-        }
+  async generateSummary(transcript, videoInfo, { regenerate = false, trackId } = {}, onProgress) {
+    const stream = this.streamFromBackground({
+      type: MessageTypes.GENERATE_SUMMARY,
+      transcript,
+      trackId,
+      videoId: videoInfo.videoId,
+      videoTitle: videoInfo.title,
+      channel: videoInfo.owner,
+      duration: videoInfo.duration,
+      creatorChapters: videoInfo.creatorChapters,
+      regenerate
+    }, null, onProgress);
 
-        if (response && response.success) {
-          resolve({ summary: response.summary, chapters: response.chapters });
-        } else {
-          console.error('SuperPlay AI: Failed to generate summary:', response?.error);
-          reject(new Error(response?.error || 'Failed to generate summary'));
-        }
-      });
-    });
+    const { result, cached, stopped } = await stream.promise;
+    if (stopped) {
+      throw new Error('Summary generation was cancelled');
+    }
+    return { summary: result.summary, chapters: result.chapters, cached };
   }
 
-  async generateExplanation(transcript, videoTitle) {
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: MessageTypes.GENERATE_EXPLANATION,
-        transcript,
-        videoTitle
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('SuperPlay AI: Runtime error generating explanation:', chrome.runtime.lastError);
-          reject(new Error(`Failed to communicate with background script: ${chrome.runtime.lastError.message}`));
-          return;
-        }
+  async generateQuiz(transcript, videoInfo, { regenerate = false, trackId } = {}, onProgress) {
+    const stream = this.streamFromBackground({
+      type: MessageTypes.GENERATE_QUIZ,
+      transcript,
+      trackId,
+      videoId: videoInfo.videoId,
+      videoTitle: videoInfo.title,
+      channel: videoInfo.owner,
+      duration: videoInfo.duration,
+      regenerate
+    }, null, onProgress);
 
-        if (response && response.success) {
-          resolve(response.explanation);
-        } else {
-          console.error('SuperPlay AI: Failed to generate explanation:', response?.error);
-          reject(new Error(response?.error || 'Failed to generate explanation'));
-        }
-      });
-    });
+    const { result, stopped } = await stream.promise;
+    if (stopped) {
+      throw new Error('Quiz generation was cancelled');
+    }
+    return result;
   }
 
-  async askFollowUpQuestion(question, conversation, transcript, videoTitle) {
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: MessageTypes.ASK_FOLLOW_UP_QUESTION,
-        question,
-        conversation,
-        transcript,
-        videoTitle
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('SuperPlay AI: Runtime error asking follow-up:', chrome.runtime.lastError);
-          reject(new Error(`Failed to communicate with background script: ${chrome.runtime.lastError.message}`));
-          return;
-        }
+  async generateFlashcards(transcript, videoInfo, { regenerate = false, trackId } = {}, onProgress) {
+    const stream = this.streamFromBackground({
+      type: MessageTypes.GENERATE_FLASHCARDS,
+      transcript,
+      trackId,
+      videoId: videoInfo.videoId,
+      videoTitle: videoInfo.title,
+      channel: videoInfo.owner,
+      duration: videoInfo.duration,
+      regenerate
+    }, null, onProgress);
 
-        if (response && response.success) {
-          resolve(response.answer);
-        } else {
-          console.error('SuperPlay AI: Failed to answer question:', response?.error);
-          reject(new Error(response?.error || 'Failed to answer question'));
-        }
-      });
+    const { result, stopped } = await stream.promise;
+    if (stopped) {
+      throw new Error('Flashcard generation was cancelled');
+    }
+    return result;
+  }
+
+  /**
+   * Rewrite notes to read clearly; resolves with the notes, cleaned-up text in place
+   */
+  async cleanUpNotes(notes, videoInfo) {
+    const response = await this.requestFromBackground({
+      type: MessageTypes.CLEAN_UP_NOTES,
+      notes,
+      videoId: videoInfo.videoId,
+      videoTitle: videoInfo.title
+    }).promise;
+
+    if (response && response.success) {
+      return response.notes;
+    }
+    throw new Error(response?.error || 'Failed to clean up notes');
+  }
+
+  /**
+   * Grade a short answer; resolves with { correct, feedback }
+   */
+  async gradeQuizAnswer(question, answer, transcript) {
+    const response = await this.requestFromBackground({
+      type: MessageTypes.GRADE_QUIZ_ANSWER,
+      question,
+      answer,
+      transcript
+    }).promise;
+
+    if (response && response.success) {
+      return { correct: response.correct, feedback: response.feedback };
+    }
+    throw new Error(response?.error || 'Failed to grade answer');
+  }
+
+  /**
+   * Stream an AI request from the background, tracking it so it can be stopped.
+   * Returns { promise, stop }; promise resolves with { text, result, stopped }.
+   */
+  streamFromBackground(request, onChunk, onProgress) {
+    const stream = streamFromBackground(request, onChunk, onProgress);
+    stream.type = request.type;
+
+    this.activeStreams.add(stream);
+    const forget = () => this.activeStreams.delete(stream);
+    stream.promise.then(forget, forget);
+
+    return stream;
+  }
+
+  /**
+   * Send a one-off AI request to the background, tracked like a stream so
+   * stopActiveStreams() cancels it. Returns { promise, stop }.
+   */
+  requestFromBackground(request) {
+    const pending = requestFromBackground(request);
+    pending.type = request.type;
+
+    this.activeStreams.add(pending);
+    const forget = () => this.activeStreams.delete(pending);
+    pending.promise.then(forget, forget);
+
+    return pending;
+  }
+
+  /**
+   * Switch the UI to another video (or null), stopping every stream still running for the previous one
+   */
+  setActiveVideo(videoId) {
+    if (videoId !== this.activeVideoId) {
+      this.stopActiveStreams();
+    }
+    this.activeVideoId = videoId;
+  }
+
+  /**
+   * Whether results for videoId may still be rendered
+   */
+  isActiveVideo(videoId) {
+    return videoId === this.activeVideoId;
+  }
+
+  /**
+   * Stop in-flight streams, optionally only those for the given request types
+   */
+  stopActiveStreams(types) {
+    this.activeStreams.forEach(stream => {
+      if (!types || types.includes(stream.type)) {
+        stream.stop();
+      }
     });
   }
 
@@ -510,19 +1821,30 @@ export class UIManager {
    * Cleanup all active elements
    */
   cleanup() {
+    this.stopActiveStreams();
+    this.stopChapterTracking?.();
+
     this.activeElements.forEach(element => {
       if (element.parentNode) {
         element.parentNode.removeChild(element);
       }
     });
     this.activeElements.clear();
+    this.timestampPreview = null;
+    this.transcripts.clear();
+    this.summaries.clear();
+    this.notes.clear();
+    this.startNote = null;
 
     // Also remove any orphaned elements
     const selectors = [
       '.superplay-explain-button',
       '.superplay-sidebar-container',
       '.superplay-floating-card',
-      '.superplay-overlay'
+      '.superplay-overlay',
+      '.superplay-toast',
+      '.superplay-chapter-markers',
+      `.${CSSClasses.TIMESTAMP_PREVIEW}`
     ];
 
     selectors.forEach(selector => {
@@ -5,10 +5,46 @@
  */
 
 import { YouTubeSelectors, VideoIdPatterns, UIConfig, Timings } from '../utils/constants.js';
+import { StorageService } from './storage.js';
+import {
+  normalizeCaptionTracks,
+  selectCaptionTrack,
+  parseTranscriptXml,
+  parseTimestampedText,
+  cleanTranscript,
+  getTranscriptText,
+  parseTimestamp,
+  formatTimestamp
+} from '../utils/transcriptUtils.js';
+import { parseDescriptionChapters, parsePlayerChapters } from '../utils/chapters.js';
 
 export class YouTubeService {
   constructor() {
+    this.storageService = new StorageService();
     this.transcriptCache = new Map();
+    // Aborted on navigation so transcript fetches for the previous video stop
+    this.pendingRequests = new AbortController();
+    // Page data forwarded by navigationHook.js; the script tags only describe the first video loaded
+    this.pageData = {};
+  }
+
+  /**
+   * Keep the page data navigationHook.js forwarded (a JSON string) for the video now showing
+   */
+  setPageData(json) {
+    try {
+      this.pageData = JSON.parse(json) || {};
+    } catch (error) {
+      console.log('SuperPlay AI: Ignoring unreadable page data:', error.message);
+    }
+  }
+
+  /**
+   * Cancel transcript fetches still running, e.g. for the video the user navigated away from
+   */
+  cancelPendingRequests() {
+    this.pendingRequests.abort();
+    this.pendingRequests = new AbortController();
   }
 
   /**
@@ -44,10 +80,49 @@ export class YouTubeService {
       title,
       duration,
       owner,
-      url: window.location.href
+      url: window.location.href,
+      playlist: this.getPlaylistVideos(),
+      creatorChapters: this.getCreatorChapters(videoId)
     };
   }
 
+  /**
+   * Chapters the creator added, from the player's chapter markers or else the
+   * description; [] when there are none
+   */
+  getCreatorChapters(videoId = this.getCurrentVideoId()) {
+    const playerChapters = parsePlayerChapters(this.getInitialData(videoId));
+    if (playerChapters.length) return playerChapters;
+
+    const description = document.querySelector(YouTubeSelectors.VIDEO_DESCRIPTION)?.textContent;
+    return parseDescriptionChapters(description);
+  }
+
+  /**
+   * Videos of the playlist being played, in playlist order: [{ videoId, title, channel }].
+   * Empty when the page is not playing a playlist.
+   */
+  getPlaylistVideos() {
+    if (!new URL(window.location.href).searchParams.get('list')) {
+      return [];
+    }
+
+    const videos = new Map();
+    document.querySelectorAll(YouTubeSelectors.PLAYLIST_ITEM).forEach(item => {
+      const link = item.querySelector(YouTubeSelectors.PLAYLIST_ITEM_LINK);
+      const videoId = link ? this.extractVideoId(link.href) : null;
+      if (!videoId || videos.has(videoId)) return;
+
+      videos.set(videoId, {
+        videoId,
+        title: item.querySelector(YouTubeSelectors.PLAYLIST_ITEM_TITLE)?.textContent.trim() || 'Untitled video',
+        channel: item.querySelector(YouTubeSelectors.PLAYLIST_ITEM_CHANNEL)?.textContent.trim() || 'Unknown Channel'
+      });
+    });
+
+    return [...videos.values()];
+  }
+
   /**
    * Get video title from DOM
    */
@@ -81,37 +156,164 @@ export class YouTubeService {
   }
 
   /**
-   * Main transcript fetching method with multiple fallbacks
+   * Read the player response (caption tracks, video details) for the current video:
+   * the one navigationHook.js forwarded, else the page's script tags (first video loaded).
+   * Returns null when neither belongs to videoId.
    */
-  async fetchTranscript(videoId) {
+  getPlayerResponse(videoId) {
+    const forwarded = this.pageData.playerResponse;
+    if (forwarded && (!videoId || forwarded.videoDetails?.videoId === videoId)) {
+      return forwarded;
+    }
+
+    const scripts = document.querySelectorAll('script');
+    let playerData = null;
+    
+    for (const script of scripts) {
+      const content = script.textContent || '';
+      
+      // Look for ytInitialPlayerResponse
+      if (content.includes('ytInitialPlayerResponse')) {
+        const match = content.match(/var ytInitialPlayerResponse = ({.+?});/);
+        if (match) {
+          try {
+            playerData = JSON.parse(match[1]);
+            break;
+          } catch (e) {
+            continue;
+          }
+        }
+      }
+      
+      // Look for window.ytplayer
+      if (content.includes('ytplayer.config')) {
+        const match = content.match(/ytplayer\.config\s*=\s*({.+?});/);
+        if (match) {
+          try {
+            const config = JSON.parse(match[1]);
+            if (config.args && config.args.player_response) {
+              playerData = JSON.parse(config.args.player_response);
+              break;
+            }
+          } catch (e) {
+            continue;
+          }
+        }
+      }
+    }
+
+    const dataVideoId = playerData?.videoDetails?.videoId;
+    if (videoId && dataVideoId && dataVideoId !== videoId) {
+      return null;
+    }
+    
+    return playerData || null;
+  }
+
+  /**
+   * Read the page data (ytInitialData) for the current video: the data navigationHook.js
+   * forwarded, else the page's script tags (first video loaded).
+   * Returns null when neither belongs to videoId.
+   */
+  getInitialData(videoId) {
+    const forwarded = this.pageData.initialData;
+    if (forwarded && (!videoId || forwarded.currentVideoEndpoint?.watchEndpoint?.videoId === videoId)) {
+      return forwarded;
+    }
+
+    for (const script of document.querySelectorAll('script')) {
+      const content = script.textContent || '';
+      if (!content.includes('ytInitialData')) continue;
+
+      const match = content.match(/ytInitialData"?\]?\s*=\s*({.+});/s);
+      if (!match) continue;
+
+      try {
+        const data = JSON.parse(match[1]);
+        const dataVideoId = data?.currentVideoEndpoint?.watchEndpoint?.videoId;
+        return videoId && dataVideoId && dataVideoId !== videoId ? null : data;
+      } catch {
+        continue;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List every caption track of the video, manual and auto-generated:
+   * [{ id, languageCode, label, isAutoGenerated, baseUrl }]
+   */
+  getCaptionTracks(videoId) {
     try {
+      const playerData = this.getPlayerResponse(videoId);
+      return normalizeCaptionTracks(playerData?.captions?.playerCaptionsTracklistRenderer?.captionTracks);
+    } catch (error) {
+      console.log('SuperPlay AI: Could not read caption tracks:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Caption track a transcript request resolves to (see selectCaptionTrack)
+   */
+  resolveCaptionTrack(videoId, trackOptions = {}) {
+    return selectCaptionTrack(this.getCaptionTracks(videoId), trackOptions);
+  }
+
+  /**
+   * Main transcript fetching method with multiple fallbacks.
+   * trackOptions: { trackId, preferredLanguage } choose the caption track.
+   * Resolves with timed segments: [{ start, duration, text }]
+   */
+  async fetchTranscript(videoId, trackOptions = {}) {
+    const { signal } = this.pendingRequests;
+
+    try {
+      const track = this.resolveCaptionTrack(videoId, trackOptions);
+      const cacheKey = track ? `${videoId}_${track.id}` : videoId;
+
       // Check cache first
-      if (this.transcriptCache.has(videoId)) {
+      if (this.transcriptCache.has(cacheKey)) {
         console.log('SuperPlay AI: Using cached transcript');
-        return this.transcriptCache.get(videoId);
+        return this.transcriptCache.get(cacheKey);
       }
 
-      console.log('SuperPlay AI: Fetching transcript for video:', videoId);
+      // Older cache entries stored flattened text, only reuse timed segments
+      const stored = await this.storageService.getCachedTranscript(cacheKey);
+      if (Array.isArray(stored) && stored.length) {
+        console.log('SuperPlay AI: Using stored transcript');
+        this.transcriptCache.set(cacheKey, stored);
+        return stored;
+      }
+
+      console.log('SuperPlay AI: Fetching transcript for video:', videoId, 'track:', track?.id || 'default');
+
+      // Captions and description on the page only belong to videoId while it is still playing
+      const isCurrentVideo = () => this.getCurrentVideoId() === videoId;
 
       // Try multiple methods in order of reliability
       const methods = [
-        () => this.fetchFromPageData(videoId),
-        () => this.fetchFromCaptionTracks(videoId),
-        () => this.fetchFromVisibleCaptions(),
-        () => this.fetchFromDescription(),
-        () => this.fetchFromPlayerAPI(videoId) // Last resort due to CORS
+        () => this.fetchFromPageData(videoId, track, trackOptions, signal),
+        () => this.fetchFromCaptionTracks(videoId, signal),
+        () => isCurrentVideo() ? this.fetchFromVisibleCaptions() : [],
+        () => isCurrentVideo() ? this.fetchFromDescription() : [],
+        () => this.fetchFromPlayerAPI(videoId, track, trackOptions, signal) // Last resort due to CORS
       ];
 
       for (const method of methods) {
+        if (signal.aborted) break;
+
         try {
-          const transcript = await method();
-          if (transcript && transcript.length >= UIConfig.MIN_TRANSCRIPT_LENGTH) {
-            const cleanedTranscript = this.cleanTranscript(transcript);
-            
+          const segments = await method();
+          if (signal.aborted) break;
+          const cleanedTranscript = this.cleanTranscript(segments);
+
+          if (getTranscriptText(cleanedTranscript).length >= UIConfig.MIN_TRANSCRIPT_LENGTH) {
             // Cache successful result
-            this.transcriptCache.set(videoId, cleanedTranscript);
+            this.transcriptCache.set(cacheKey, cleanedTranscript);
+            await this.storageService.cacheTranscript(cacheKey, cleanedTranscript);
             
-            console.log('SuperPlay AI: Transcript fetched successfully, length:', cleanedTranscript.length);
+            console.log('SuperPlay AI: Transcript fetched successfully, segments:', cleanedTranscript.length);
             return cleanedTranscript;
           }
         } catch (error) {
@@ -122,6 +324,10 @@ export class YouTubeService {
       throw new Error('All transcript fetch methods failed');
 
     } catch (error) {
+      if (signal.aborted) {
+        console.log('SuperPlay AI: Transcript request cancelled for video:', videoId);
+        throw new Error('Transcript request cancelled because the video changed');
+      }
       console.error('SuperPlay AI: Failed to fetch transcript:', error);
       throw new Error('Could not fetch video transcript. This video may not have captions available.');
     }
@@ -130,112 +336,24 @@ export class YouTubeService {
   /**
    * Fetch transcript from YouTube's page data objects
    */
-  async fetchFromPageData(videoId) {
+  async fetchFromPageData(videoId, track, trackOptions = {}, signal) {
     try {
       console.log('SuperPlay AI: Trying to extract from page data...');
       
-      // Wait for page data to load
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Look for ytInitialPlayerResponse or similar objects
-      const scripts = document.querySelectorAll('script');
-      let playerData = null;
-      
-      for (const script of scripts) {
-        const content = script.textContent || '';
-        
-        // Look for ytInitialPlayerResponse
-        if (content.includes('ytInitialPlayerResponse')) {
-          const match = content.match(/var ytInitialPlayerResponse = ({.+?});/);
-          if (match) {
-            try {
-              playerData = JSON.parse(match[1]);
-              break;
-            } catch (e) {
-              continue;
-            }
-          }
-        }
-        
-        // Look for window.ytplayer
-        if (content.includes('ytplayer.config')) {
-          const match = content.match(/ytplayer\.config\s*=\s*({.+?});/);
-          if (match) {
-            try {
-              const config = JSON.parse(match[1]);
-              if (config.args && config.args.player_response) {
-                playerData = JSON.parse(config.args.player_response);
-                break;
-              }
-            } catch (e) {
-              continue;
-            }
-          }
-        }
-      }
-      
-      if (!playerData) {
-        // Try to get from window objects
-        if (typeof window !== 'undefined') {
-          playerData = window.ytInitialPlayerResponse || 
-                      (window.ytplayer && window.ytplayer.config && window.ytplayer.config.args && 
-                       JSON.parse(window.ytplayer.config.args.player_response));
-        }
-      }
-      
-      if (!playerData) {
-        throw new Error('No player data found');
-      }
-      
-      // Extract caption tracks from player data
-      const captions = playerData.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-      
-      if (!captions || !captions.length) {
-        throw new Error('No caption tracks in player data');
-      }
-      
-      // Find English captions
-      let captionTrack = captions.find(track => 
-        track.languageCode === 'en' || 
-        track.languageCode === 'en-US' ||
-        track.languageCode === 'en-GB'
-      );
-      
+      let captionTrack = track;
       if (!captionTrack) {
-        captionTrack = captions[0]; // Use first available
+        // Wait for page data to load
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        captionTrack = this.resolveCaptionTrack(videoId, trackOptions);
       }
       
-      if (!captionTrack.baseUrl) {
-        throw new Error('No caption URL in track data');
-      }
-      
-      let captionUrl = captionTrack.baseUrl;
-      
-      // Ensure we get the right format
-      if (!captionUrl.includes('fmt=')) {
-        captionUrl += '&fmt=srv3';
-      }
-      
-      console.log('SuperPlay AI: Fetching from player data caption URL...');
-      
-      const response = await fetch(captionUrl, {
-        method: 'GET',
-        mode: 'cors',
-        credentials: 'same-origin'
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Caption fetch failed: ${response.status}`);
-      }
-      
-      const xmlText = await response.text();
-      
-      if (!xmlText || xmlText.length < 50) {
-        throw new Error('Empty caption response from player data');
+      if (!captionTrack) {
+        throw new Error('No caption tracks in player data');
       }
       
-      const transcript = this.parseTranscriptXML(xmlText);
-      console.log('SuperPlay AI: Successfully extracted from page data, length:', transcript.length);
+      console.log('SuperPlay AI: Fetching caption track:', captionTrack.id);
+      const transcript = await this.fetchCaptionTrack(captionTrack, signal);
+      console.log('SuperPlay AI: Successfully extracted from page data, segments:', transcript.length);
       
       return transcript;
       
@@ -244,10 +362,41 @@ export class YouTubeService {
     }
   }
 
+  /**
+   * Download and parse one caption track
+   */
+  async fetchCaptionTrack(track, signal) {
+    let captionUrl = track.baseUrl;
+    
+    // Ensure we get the right format
+    if (!captionUrl.includes('fmt=')) {
+      captionUrl += '&fmt=srv3';
+    }
+    
+    const response = await fetch(captionUrl, {
+      method: 'GET',
+      mode: 'cors',
+      credentials: 'same-origin',
+      signal
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Caption fetch failed: ${response.status}`);
+    }
+    
+    const xmlText = await response.text();
+    
+    if (!xmlText || xmlText.length < 50) {
+      throw new Error('Empty caption response from player data');
+    }
+    
+    return this.parseTranscriptXML(xmlText);
+  }
+
   /**
    * Fetch transcript from caption tracks in page
    */
-  async fetchFromCaptionTracks(videoId) {
+  async fetchFromCaptionTracks(videoId, signal) {
     try {
       // Wait for page to fully load
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -304,6 +453,11 @@ export class YouTubeService {
         .replace(/\\u003d/g, '=')
         .replace(/\\u003f/g, '?')
         .replace(/\\/g, '');
+
+      // After in-app navigation the page source still describes the first video loaded
+      if (!captionUrl.includes(`v=${videoId}`)) {
+        throw new Error('Caption tracks in page belong to another video');
+      }
       
       // Ensure we get the right format
       if (!captionUrl.includes('fmt=')) {
@@ -315,7 +469,8 @@ export class YouTubeService {
       const response = await fetch(captionUrl, {
         method: 'GET',
         mode: 'cors',
-        credentials: 'same-origin'
+        credentials: 'same-origin',
+        signal
       });
       
       if (!response.ok) {
@@ -379,6 +534,7 @@ export class YouTubeService {
         throw new Error('No visible captions found');
       }
 
+      // Plain text: the captions on screen carry no timing, so timed features refuse it
       const transcript = Array.from(captionElements)
         .map(el => el.textContent?.trim())
         .filter(text => text && text.length > 1)
@@ -408,6 +564,11 @@ export class YouTubeService {
       }
 
       const description = descriptionElement.textContent;
+
+      // A chapter list is the creator's outline, not what is said in the video
+      if (parseDescriptionChapters(description).length) {
+        throw new Error('Description timestamps are chapters, not a transcript');
+      }
       
       // Check if description contains timestamps (indicating a transcript)
       const timestampRegex = /\d{1,2}:\d{2}/g;
@@ -421,11 +582,12 @@ export class YouTubeService {
         throw new Error('Description too short to be a transcript');
       }
 
-      // Remove timestamps and clean up
-      return description
-        .replace(/\d{1,2}:\d{2}(?::\d{2})?\s*/g, '')
-        .replace(/\n+/g, ' ')
-        .trim();
+      // Keep each timestamped line as a segment starting at that time
+      const segments = parseTimestampedText(description);
+      if (segments.length < 5) {
+        throw new Error('Description timestamps are not on separate lines');
+      }
+      return segments;
 
     } catch (error) {
       throw new Error(`Description method failed: ${error.message}`);
@@ -435,14 +597,17 @@ export class YouTubeService {
   /**
    * Fetch transcript from YouTube's internal player API
    */
-  async fetchFromPlayerAPI(videoId) {
+  async fetchFromPlayerAPI(videoId, track, trackOptions = {}, signal) {
     try {
-      // Try different language options
-      const languages = ['en', 'en-US', 'en-GB'];
+      // Use the chosen track's language, otherwise try the preferred language and English
+      const languages = track
+        ? [track.languageCode]
+        : [...new Set([trackOptions.preferredLanguage, 'en', 'en-US', 'en-GB'].filter(Boolean))];
+      const kind = track?.isAutoGenerated ? '&kind=asr' : '';
       
       for (const lang of languages) {
         try {
-          const apiUrl = `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${lang}&fmt=srv3`;
+          const apiUrl = `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${lang}${kind}&fmt=srv3`;
           
           const response = await fetch(apiUrl, {
             method: 'GET',
@@ -451,7 +616,8 @@ export class YouTubeService {
             headers: {
               'Accept': 'application/xml, text/xml, */*',
               'User-Agent': navigator.userAgent
-            }
+            },
+            signal
           });
 
           if (!response.ok) {
@@ -479,92 +645,22 @@ export class YouTubeService {
   }
 
   /**
-   * Parse XML transcript format from YouTube
+   * Parse XML transcript format from YouTube into timed segments
    */
   parseTranscriptXML(xmlText) {
-    try {
-      // Try using DOMParser first
-      if (typeof DOMParser !== 'undefined') {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-        const textElements = xmlDoc.querySelectorAll('text');
-        
-        if (textElements.length > 0) {
-          return Array.from(textElements)
-            .map(el => this.decodeHTMLEntities(el.textContent || ''))
-            .filter(text => text.trim())
-            .join(' ');
-        }
-      }
-
-      // Fallback to regex parsing
-      return this.parseTranscriptXMLWithRegex(xmlText);
-
-    } catch (error) {
-      console.error('SuperPlay AI: XML parsing failed:', error);
-      return this.parseTranscriptXMLWithRegex(xmlText);
-    }
-  }
-
-  /**
-   * Fallback XML parsing using regex
-   */
-  parseTranscriptXMLWithRegex(xmlText) {
-    const textMatches = xmlText.match(/<text[^>]*>([^<]*)<\/text>/g);
+    const segments = parseTranscriptXml(xmlText);
     
-    if (!textMatches) {
+    if (!segments) {
       throw new Error('No text elements found in XML');
     }
-
-    return textMatches
-      .map(match => {
-        const content = match.replace(/<text[^>]*>([^<]*)<\/text>/, '$1');
-        return this.decodeHTMLEntities(content);
-      })
-      .filter(text => text.trim())
-      .join(' ');
-  }
-
-  /**
-   * Decode HTML entities in transcript text
-   */
-  decodeHTMLEntities(text) {
-    const entities = {
-      '&amp;': '&',
-      '&lt;': '<',
-      '&gt;': '>',
-      '&quot;': '"',
-      '&#39;': "'",
-      '&nbsp;': ' '
-    };
-
-    return text.replace(/&[a-zA-Z0-9#]+;/g, (entity) => {
-      return entities[entity] || entity;
-    });
+    return segments;
   }
 
   /**
-   * Clean and normalize transcript text
+   * Clean transcript text while keeping segment timing
    */
   cleanTranscript(rawTranscript) {
-    if (!rawTranscript) return '';
-
-    return rawTranscript
-      // Remove excessive whitespace
-      .replace(/\s+/g, ' ')
-      // Remove common auto-caption artifacts
-      .replace(/\[Music\]/gi, '')
-      .replace(/\[Applause\]/gi, '')
-      .replace(/\[Laughter\]/gi, '')
-      .replace(/\[Inaudible\]/gi, '')
-      // Remove repeated words (common in auto-captions)
-      .replace(/\b(\w+)\s+\1\b/gi, '$1')
-      // Clean up punctuation
-      .replace(/\s+([,.!?])/g, '$1')
-      .replace(/([,.!?])\s*([,.!?])/g, '$1')
-      // Trim and ensure single spaces
-      .trim()
-      .replace(/\s+/g, ' ');
+    return cleanTranscript(rawTranscript);
   }
 
   /**
@@ -586,28 +682,14 @@ export class YouTubeService {
    * Convert timestamp string to seconds
    */
   parseTimestamp(timestamp) {
-    const parts = timestamp.split(':').map(Number);
-    if (parts.length === 2) {
-      return parts[0] * 60 + parts[1]; // MM:SS
-    } else if (parts.length === 3) {
-      return parts[0] * 3600 + parts[1] * 60 + parts[2]; // HH:MM:SS
-    }
-    return 0;
+    return parseTimestamp(timestamp);
   }
 
   /**
    * Format seconds to timestamp string
    */
   formatTimestamp(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-
-    if (hours > 0) {
-      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-    } else {
-      return `${minutes}:${secs.toString().padStart(2, '0')}`;
-    }
+    return formatTimestamp(seconds);
   }
 
   /**
@@ -1,50 +1,80 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
+import { streamFromBackground, describeProgress } from '../utils/streamClient.js';
+import { markdownRemarkPlugins, markdownRehypePlugins, getTimestampLinkSeconds } from '../utils/markdown.js';
+import { parseDescriptionChapters } from '../utils/chapters.js';
+import { YouTubeSelectors } from '../utils/constants.js';
 
 const Sidebar = ({ videoId }) => {
   const [summary, setSummary] = useState('');
   const [chapters, setChapters] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState('');
+  const [tracks, setTracks] = useState([]);
+  const [trackId, setTrackId] = useState(null);
+  const streamRef = useRef(null);
+  const activeVideoRef = useRef(videoId);
 
   useEffect(() => {
-    loadSummaryAndChapters();
+    activeVideoRef.current = videoId;
+    // Each video starts with its default caption track
+    loadSummaryAndChapters({ trackId: null });
+    return () => streamRef.current?.stop();
   }, [videoId]);
 
-  const loadSummaryAndChapters = async () => {
+  // Pass { regenerate: true } to skip the cached summary, { trackId } to switch caption track
+  const loadSummaryAndChapters = async ({ regenerate = false, trackId: requestedTrackId = trackId } = {}) => {
     setLoading(true);
     setError(null);
+    setProgress('');
+    // Responses for a video the user navigated away from are dropped
+    const isStale = () => activeVideoRef.current !== videoId;
     
     try {
       // Get video title for context
       const videoTitle = getVideoTitle();
       
-      // First get the transcript
-      const transcript = await getVideoTranscript(videoId);
+      // First get the transcript of the chosen caption track
+      const { transcript, track, tracks: availableTracks } = await getVideoTranscript(videoId, requestedTrackId);
+      if (isStale()) return;
+      setTracks(availableTracks || []);
+      setTrackId(track?.id || null);
       
-      // Then generate summary using Gemini
-      const response = await chrome.runtime.sendMessage({
+      // Then generate the summary, reporting progress on long videos
+      const stream = streamFromBackground({
         type: 'GENERATE_SUMMARY',
         transcript: transcript,
-        videoTitle: videoTitle
-      });
-
-      if (response.success) {
-        setSummary(response.summary.summary);
-        setChapters(response.summary.chapters || []);
-      } else {
-        throw new Error(response.error || 'Failed to generate summary');
+        trackId: track?.id,
+        videoId: videoId,
+        videoTitle: videoTitle,
+        channel: getVideoChannel(),
+        duration: getVideoDuration(),
+        creatorChapters: getCreatorChapters(),
+        regenerate: regenerate
+      }, null, (update) => setProgress(describeProgress(update)));
+      streamRef.current = stream;
+
+      const { result, stopped } = await stream.promise;
+      streamRef.current = null;
+      if (stopped || isStale()) {
+        return;
       }
+
+      setSummary(result.summary);
+      setChapters(result.chapters || []);
       
     } catch (error) {
+      if (isStale()) return;
       console.error('Failed to load summary:', error);
       setError(error.message);
       // Set fallback content
       setSummary('Unable to generate summary. Please check your Gemini API key in settings.');
       setChapters([]);
     } finally {
-      setLoading(false);
+      if (!isStale()) {
+        setLoading(false);
+      }
     }
   };
 
@@ -53,15 +83,31 @@ const Sidebar = ({ videoId }) => {
     return titleElement ? titleElement.textContent.trim() : 'YouTube Video';
   };
 
-  const getVideoTranscript = async (videoId) => {
+  const getVideoChannel = () => {
+    const channelElement = document.querySelector('#owner #channel-name a');
+    return channelElement ? channelElement.textContent.trim() : 'Unknown Channel';
+  };
+
+  const getVideoDuration = () => {
+    const video = document.querySelector('video');
+    return video ? video.duration : 0;
+  };
+
+  const getCreatorChapters = () => {
+    const description = document.querySelector(YouTubeSelectors.VIDEO_DESCRIPTION);
+    return parseDescriptionChapters(description?.textContent);
+  };
+
+  const getVideoTranscript = async (videoId, trackId) => {
     // Send message to background script to get transcript
     const response = await chrome.runtime.sendMessage({
       type: 'GET_VIDEO_TRANSCRIPT',
-      videoId: videoId
+      videoId: videoId,
+      trackId: trackId
     });
 
     if (response.success) {
-      return response.transcript;
+      return response;
     } else {
       throw new Error('Could not fetch video transcript');
     }
@@ -81,6 +127,15 @@ const Sidebar = ({ videoId }) => {
     }
   };
 
+  // Timestamp links in the summary seek the video
+  const handleTimestampClick = (e) => {
+    const seconds = getTimestampLinkSeconds(e.target);
+    if (seconds !== null) {
+      e.preventDefault();
+      seekToTimestamp(seconds);
+    }
+  };
+
   return (
     <div className="superplay-sidebar">
       <style jsx>{`
@@ -103,6 +158,26 @@ const Sidebar = ({ videoId }) => {
           align-items: center;
         }
 
+        .regenerate-btn {
+          margin-left: auto;
+          margin-right: 8px;
+          background: none;
+          border: 1px solid #404040;
+          color: #a0a0a0;
+          padding: 2px 8px;
+          border-radius: 8px;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .regenerate-btn:hover {
+          background: #2a2a2a;
+        }
+
+        .regenerate-btn + .sidebar-badge {
+          margin-left: 0;
+        }
+
         .sidebar-badge {
           margin-left: auto;
           font-size: 12px;
@@ -112,6 +187,25 @@ const Sidebar = ({ videoId }) => {
           color: white;
         }
 
+        .track-picker {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 12px;
+          color: #a0a0a0;
+          font-size: 12px;
+        }
+
+        .track-picker select {
+          flex: 1;
+          background: #2a2a2a;
+          color: #e0e0e0;
+          border: 1px solid #404040;
+          border-radius: 6px;
+          padding: 4px 6px;
+          font-size: 12px;
+        }
+
         .summary-content {
           color: #a0a0a0;
           font-size: 14px;
@@ -244,25 +338,50 @@ const Sidebar = ({ videoId }) => {
 
       <div className="sidebar-header">
         📋 Smart Summary
+        {!loading && !error && (
+          <button
+            className="regenerate-btn"
+            onClick={() => loadSummaryAndChapters({ regenerate: true })}
+            title="Generate a fresh summary"
+          >
+            ↻ Regenerate
+          </button>
+        )}
         <div className="sidebar-badge">SuperPlay AI</div>
       </div>
 
-      <div className="summary-content">
+      {tracks.length > 0 && (
+        <label className="track-picker">
+          Transcript
+          <select
+            value={trackId || ''}
+            disabled={loading}
+            onChange={(e) => loadSummaryAndChapters({ trackId: e.target.value })}
+          >
+            {tracks.map(track => (
+              <option key={track.id} value={track.id}>{track.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="summary-content" onClick={handleTimestampClick}>
         {loading ? (
           <div className="loading-spinner">
             <div className="spinner"></div>
-            <span>Generating with Gemini AI...</span>
+            <span>{progress || 'Generating summary...'}</span>
           </div>
         ) : error ? (
           <div className="error-state">
             <span className="error-text">{error}</span>
-            <button className="retry-btn" onClick={loadSummaryAndChapters}>
+            <button className="retry-btn" onClick={() => loadSummaryAndChapters()}>
               Retry
             </button>
           </div>
         ) : (
           <ReactMarkdown 
-            remarkPlugins={[remarkGfm]}
+            remarkPlugins={markdownRemarkPlugins}
+            rehypePlugins={markdownRehypePlugins}
             className="summary-markdown"
             components={{
               p: ({node, ...props}) => <p className="summary-p" {...props} />,
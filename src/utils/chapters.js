@@ -0,0 +1,179 @@
+/**
+ * SuperPlay AI - Chapters
+ * Creator chapters from the player and the video description, lining up and
+ * combining them with the AI chapters of the summary, and moving between
+ * chapters during playback
+ */
+
+import { formatTimestamp, parseTimestamp } from './transcriptUtils.js';
+import { hashString } from './hash.js';
+
+// "Previous" within this many seconds of a chapter start goes to the chapter
+// before it, otherwise it restarts the current one (like a music player)
+const RESTART_WINDOW_SECONDS = 3;
+
+// An AI chapter this close to a creator chapter is the same chapter
+const MERGE_WINDOW_SECONDS = 15;
+
+// YouTube only shows description chapters that follow its rules
+const MIN_CREATOR_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+const TIMESTAMP = '((?:\\d{1,2}:)?\\d{1,2}:\\d{2})';
+const LEADING_TIMESTAMP = new RegExp(`^\\s*[[(]?${TIMESTAMP}[\\])]?\\s*[-–—:|]?\\s*(.+)$`);
+const TRAILING_TIMESTAMP = new RegExp(`^(.+?)\\s*[-–—:|]?\\s*[[(]?${TIMESTAMP}[\\])]?\\s*$`);
+
+// Key of the creator's chapters in the player bar's markers (YouTube's own are AUTO_CHAPTERS)
+const PLAYER_CHAPTERS_KEY = 'DESCRIPTION_CHAPTERS';
+
+/**
+ * Creator chapters from { seconds, title } pairs: whole seconds, in order, one per
+ * start time, as [{ title, timestamp, seconds, description, source }]. Also checks
+ * chapters received in messages.
+ */
+export function normalizeCreatorChapters(chapters) {
+  const valid = (Array.isArray(chapters) ? chapters : [])
+    .filter(chapter => Number.isFinite(Number(chapter?.seconds)) && Number(chapter.seconds) >= 0
+      && typeof chapter.title === 'string' && chapter.title.trim())
+    .map(chapter => ({ seconds: Math.floor(Number(chapter.seconds)), title: chapter.title.trim() }))
+    .sort((a, b) => a.seconds - b.seconds)
+    .filter((chapter, index, all) => index === 0 || chapter.seconds !== all[index - 1].seconds);
+
+  return valid.map(({ seconds, title }) => ({
+    title,
+    timestamp: formatTimestamp(seconds),
+    seconds,
+    description: '',
+    source: 'creator'
+  }));
+}
+
+/**
+ * Creator chapters from the player's chapter markers in YouTube's page data
+ * (ytInitialData), [] when the video has none
+ */
+export function parsePlayerChapters(initialData) {
+  const markersMap = initialData?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+    ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap;
+  const markers = Array.isArray(markersMap) ? markersMap.find(entry => entry?.key === PLAYER_CHAPTERS_KEY) : null;
+
+  return normalizeCreatorChapters((markers?.value?.chapters || []).map(({ chapterRenderer } = {}) => ({
+    seconds: Number(chapterRenderer?.timeRangeStartMillis) / 1000,
+    title: chapterRenderer?.title?.simpleText
+      ?? (chapterRenderer?.title?.runs || []).map(run => run.text).join('')
+  })));
+}
+
+/**
+ * Creator chapters in a video description: [{ title, timestamp, seconds, description, source }].
+ * Like YouTube, the list must start at 0:00 with at least 3 ascending chapters of
+ * 10 seconds or more; anything else is not a chapter list and gives [].
+ */
+export function parseDescriptionChapters(description) {
+  const lines = [];
+  for (const line of String(description || '').split('\n')) {
+    const leading = line.match(LEADING_TIMESTAMP);
+    const trailing = leading ? null : line.match(TRAILING_TIMESTAMP);
+    if (leading || trailing) {
+      const [timestamp, title] = leading ? [leading[1], leading[2]] : [trailing[2], trailing[1]];
+      lines.push({ seconds: parseTimestamp(timestamp), title: title.trim() });
+    }
+  }
+
+  const start = lines.findIndex(line => line.seconds === 0);
+  if (start === -1) return [];
+
+  const chapters = [];
+  for (const line of lines.slice(start)) {
+    const previous = chapters.at(-1);
+    if (previous && line.seconds <= previous.seconds) break;
+    if (previous && line.seconds - previous.seconds < MIN_CHAPTER_SECONDS) return [];
+    chapters.push(line);
+  }
+
+  if (chapters.length < MIN_CREATOR_CHAPTERS) return [];
+  return normalizeCreatorChapters(chapters);
+}
+
+/**
+ * AI chapters lined up with the creator's: a chapter starting near a creator
+ * chapter moves to its exact time. Creator chapters the AI left out are not
+ * added; selectChapters() shows them when the creator's chapters are picked.
+ */
+export function alignChapters(chapters, creatorChapters) {
+  if (!creatorChapters?.length) return chapters;
+
+  const aligned = chapters.map(chapter => {
+    const anchor = creatorChapters
+      .filter(creator => Math.abs(creator.seconds - chapter.seconds) <= MERGE_WINDOW_SECONDS)
+      .sort((a, b) => Math.abs(a.seconds - chapter.seconds) - Math.abs(b.seconds - chapter.seconds))[0];
+    return anchor ? { ...chapter, seconds: anchor.seconds, timestamp: formatTimestamp(anchor.seconds) } : chapter;
+  });
+
+  // Two AI chapters moved to the same creator chapter become one
+  return aligned
+    .filter((chapter, index, all) => all.findIndex(other => other.seconds === chapter.seconds) === index)
+    .sort((a, b) => a.seconds - b.seconds);
+}
+
+/**
+ * Short stable hash of creator chapters, so summaries cached without them
+ * (or with other ones) are not reused
+ */
+export function fingerprintChapters(chapters) {
+  const source = chapters.map(({ seconds, title }) => `${seconds} ${title}`).join('\n');
+  return `${chapters.length}.${hashString(source)}`;
+}
+
+/**
+ * Creator chapters with the AI chapters between them. A creator chapter takes
+ * the description of an AI chapter starting about the same time, which is dropped.
+ */
+export function mergeChapters(aiChapters, creatorChapters) {
+  const isNear = (a, b) => Math.abs(a.seconds - b.seconds) <= MERGE_WINDOW_SECONDS;
+
+  const creator = creatorChapters.map(chapter => ({
+    ...chapter,
+    description: chapter.description || aiChapters.find(ai => isNear(ai, chapter))?.description || ''
+  }));
+  const ai = aiChapters
+    .filter(chapter => !creatorChapters.some(other => isNear(chapter, other)))
+    .map(chapter => ({ ...chapter, source: 'ai' }));
+
+  return [...creator, ...ai].sort((a, b) => a.seconds - b.seconds);
+}
+
+/**
+ * Chapters to show for a ChapterSources choice; the AI chapters when the
+ * creator added none. Each chapter is tagged with its source.
+ */
+export function selectChapters(aiChapters, creatorChapters, source) {
+  const ai = (aiChapters || []).map(chapter => ({ ...chapter, source: 'ai' }));
+  const creator = creatorChapters || [];
+
+  if (!creator.length || source === 'ai') return ai;
+  if (source === 'creator') return creator;
+  return mergeChapters(ai, creator);
+}
+
+/**
+ * Index of the chapter playing at a time in chapters sorted by start, or -1 before the first
+ */
+export function getCurrentChapterIndex(chapters, currentTime) {
+  return chapters.findLastIndex(chapter => chapter.seconds <= currentTime);
+}
+
+/**
+ * Chapter to jump to from a time: direction 1 for the next, -1 for the previous.
+ * chapters are { seconds, title }; returns null when there is none that way.
+ */
+export function getAdjacentChapter(chapters, currentTime, direction) {
+  const sorted = (chapters || [])
+    .filter(chapter => Number.isFinite(Number(chapter.seconds)))
+    .sort((a, b) => a.seconds - b.seconds);
+
+  if (direction > 0) {
+    return sorted.find(chapter => chapter.seconds > currentTime) || null;
+  }
+  return sorted.filter(chapter => chapter.seconds < currentTime - RESTART_WINDOW_SECONDS).at(-1) || null;
+}
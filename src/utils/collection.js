@@ -0,0 +1,63 @@
+/**
+ * SuperPlay AI - Collection Questions
+ * Helpers for questions asked across several videos: labels the videos
+ * V1, V2, ... for the prompt and turns the model's [V2 4:05] citations
+ * into links to that video and moment
+ */
+
+import { getVideoUrl } from './librarySearch.js';
+import { formatTimestamp, parseTimestamp } from './transcriptUtils.js';
+
+// [V2 4:05] or [V2 1:02:03], as the collection prompt asks the model to cite
+const CITATION_PATTERN = /\[V(\d+)[\s,@]+((?:\d{1,2}:)?\d{1,2}:[0-5]\d)\]/g;
+
+// Longest video title shown in a citation link
+const MAX_CITATION_TITLE_LENGTH = 32;
+
+/**
+ * Prompt label of the video at a 0-based index
+ */
+export function getVideoLabel(index) {
+  return `V${index + 1}`;
+}
+
+/**
+ * One "V1: "Title" by Channel" line per video, for the {{videos}} variable.
+ * Videos without a transcript keep their label but are marked as missing.
+ */
+export function formatCollectionVideos(videos) {
+  return videos
+    .map((video, index) => {
+      const line = `${getVideoLabel(index)}: "${video.title || 'Untitled video'}" by ${video.channel || 'Unknown Channel'}`;
+      return video.transcript ? line : `${line} (no transcript available, leave it out)`;
+    })
+    .join('\n');
+}
+
+/**
+ * Shortened title for link text, without characters that end a markdown link
+ */
+function getCitationTitle(video) {
+  const title = String(video.title || 'Video').replace(/[[\]\\]/g, '').trim();
+  return title.length > MAX_CITATION_TITLE_LENGTH
+    ? `${title.slice(0, MAX_CITATION_TITLE_LENGTH - 1).trimEnd()}…`
+    : title;
+}
+
+/**
+ * Replace [V2 4:05] citations with markdown links to the cited video and time.
+ * Citations of currentVideoId become #t= seek links so they play in place;
+ * citations of unknown videos are left as plain text.
+ */
+export function linkCollectionCitations(text, videos, { currentVideoId } = {}) {
+  return String(text || '').replace(CITATION_PATTERN, (citation, number, timestamp) => {
+    const video = videos[Number(number) - 1];
+    if (!video) {
+      return citation.replace(/[[\]]/g, '');
+    }
+
+    const seconds = parseTimestamp(timestamp);
+    const href = video.videoId === currentVideoId ? `#t=${seconds}` : getVideoUrl(video.videoId, seconds);
+    return `[${getCitationTitle(video)} ${formatTimestamp(seconds)}](${href})`;
+  });
+}
@@ -10,10 +10,17 @@ export const MessageTypes = {
   UPDATE_SETTINGS: 'UPDATE_SETTINGS',
   
   // AI Operations
-  TEST_GEMINI_CONNECTION: 'TEST_GEMINI_CONNECTION',
+  TEST_AI_CONNECTION: 'TEST_AI_CONNECTION',
+  TEST_PROMPT_TEMPLATE: 'TEST_PROMPT_TEMPLATE',
   GENERATE_EXPLANATION: 'GENERATE_EXPLANATION',
   GENERATE_SUMMARY: 'GENERATE_SUMMARY',
   ASK_FOLLOW_UP_QUESTION: 'ASK_FOLLOW_UP_QUESTION',
+  ASK_COLLECTION_QUESTION: 'ASK_COLLECTION_QUESTION',
+  GENERATE_QUIZ: 'GENERATE_QUIZ',
+  GRADE_QUIZ_ANSWER: 'GRADE_QUIZ_ANSWER',
+  GENERATE_FLASHCARDS: 'GENERATE_FLASHCARDS',
+  CLEAN_UP_NOTES: 'CLEAN_UP_NOTES',
+  MERGE_NOTES_WITH_SUMMARY: 'MERGE_NOTES_WITH_SUMMARY',
   
   // Transcript Operations
   GET_VIDEO_TRANSCRIPT: 'GET_VIDEO_TRANSCRIPT',
@@ -25,7 +32,25 @@ export const MessageTypes = {
   
   // System
   PING: 'PING',
-  CONTENT_SCRIPT_READY: 'CONTENT_SCRIPT_READY'
+  CONTENT_SCRIPT_READY: 'CONTENT_SCRIPT_READY',
+  RUN_HOTKEY_ACTION: 'RUN_HOTKEY_ACTION',
+  CANCEL_REQUEST: 'CANCEL_REQUEST'
+};
+
+// Long-lived port used to stream AI output from the background worker
+export const StreamPort = {
+  NAME: 'superplay-stream'
+};
+
+// Messages exchanged over the stream port
+export const StreamEvents = {
+  START: 'START',         // content -> background: { request } with request.requestId
+  STOP: 'STOP',           // content -> background: cancel generation (like CANCEL_REQUEST)
+  CHUNK: 'CHUNK',         // background -> content: { chunk }
+  PROGRESS: 'PROGRESS',   // background -> content: { progress: { stage, current, total } }
+  DONE: 'DONE',           // background -> content: { text } or { result }
+  CANCELLED: 'CANCELLED', // background -> content: generation stopped
+  ERROR: 'ERROR'          // background -> content: { error }
 };
 
 // YouTube selectors
@@ -33,11 +58,16 @@ export const YouTubeSelectors = {
   VIDEO_TITLE: '#title h1.ytd-watch-metadata, #container h1.title',
   VIDEO_DESCRIPTION: '#description-text, #description',
   VIDEO_PLAYER: 'video',
+  PROGRESS_BAR: '.ytp-progress-bar',
   CAPTION_BUTTON: '.ytp-subtitles-button, .ytp-cc-button',
   CAPTION_SEGMENTS: '.ytp-caption-segment',
   PRIMARY_INFO: '#primary-inner, #info',
   WATCH_FLEXY: 'ytd-watch-flexy',
-  VIDEO_OWNER: '#owner-text a, #channel-name a'
+  VIDEO_OWNER: '#owner-text a, #channel-name a',
+  PLAYLIST_ITEM: 'ytd-playlist-panel-video-renderer',
+  PLAYLIST_ITEM_LINK: 'a#wc-endpoint, a[href*="watch?v="]',
+  PLAYLIST_ITEM_TITLE: '#video-title',
+  PLAYLIST_ITEM_CHANNEL: '#byline'
 };
 
 // Video ID patterns
@@ -47,11 +77,116 @@ export const VideoIdPatterns = {
   SHORT_URL: /youtu\.be\/([a-zA-Z0-9_-]{11})/
 };
 
+// Roles of chat turns sent to providers (Gemini's names; others map 'model' to 'assistant')
+export const ChatRoles = {
+  USER: 'user',
+  MODEL: 'model'
+};
+
+// AI providers the background worker can talk to
+export const ProviderTypes = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai', // Any OpenAI-compatible /chat/completions endpoint
+  OLLAMA: 'ollama'  // Local Ollama-style HTTP server
+};
+
+// Per-provider endpoint and model used when the user leaves them blank
+export const ProviderDefaults = {
+  [ProviderTypes.GEMINI]: {
+    label: 'Google Gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-1.5-flash-latest'
+  },
+  [ProviderTypes.OPENAI]: {
+    label: 'OpenAI-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+  },
+  [ProviderTypes.OLLAMA]: {
+    label: 'Ollama (local)',
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1'
+  }
+};
+
+// Languages AI output can be written in; '' keeps the language of the transcript
+export const OutputLanguages = [
+  { code: '', label: 'Same as the video' },
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'fr', label: 'French' },
+  { code: 'de', label: 'German' },
+  { code: 'it', label: 'Italian' },
+  { code: 'pt', label: 'Portuguese' },
+  { code: 'nl', label: 'Dutch' },
+  { code: 'ru', label: 'Russian' },
+  { code: 'tr', label: 'Turkish' },
+  { code: 'ar', label: 'Arabic' },
+  { code: 'hi', label: 'Hindi' },
+  { code: 'ja', label: 'Japanese' },
+  { code: 'ko', label: 'Korean' },
+  { code: 'zh', label: 'Chinese' }
+];
+
+// Chapters shown in the sidebar and on the progress bar when the creator added their own
+export const ChapterSources = {
+  merged: {
+    label: 'Creator + AI',
+    description: 'The creator\'s chapters, with AI chapters filling the longer stretches between them'
+  },
+  creator: {
+    label: 'Creator',
+    description: 'Only the creator\'s chapters, from the player or the video description'
+  },
+  ai: {
+    label: 'AI',
+    description: 'Only the chapters generated with the summary'
+  }
+};
+
+// Who explanations, summaries and answers are written for
+export const AudienceProfiles = {
+  kid: {
+    label: 'Kid',
+    description: 'a curious 12-year-old: simple words, short sentences, fun analogies to everyday things, emojis in headings, and no jargon'
+  },
+  student: {
+    label: 'Student',
+    description: 'a high-school or university student: clear explanations, key terms defined the first time they appear, and worked examples'
+  },
+  professional: {
+    label: 'Professional',
+    description: 'a busy professional: concise and practical, focused on takeaways and how to apply them, industry terminology is fine, no emojis'
+  },
+  expert: {
+    label: 'Expert',
+    description: 'a domain expert: precise technical depth, exact terminology, methods, trade-offs, caveats and open questions, with no simplification and no emojis'
+  }
+};
+
 // Extension settings defaults
 export const DefaultSettings = {
   enabled: true,
   autoSummary: true,
+  aiProvider: ProviderTypes.GEMINI,
   geminiApiKey: '',
+  geminiModel: '',
+  openaiApiKey: '',
+  openaiBaseUrl: '',
+  openaiModel: '',
+  ollamaBaseUrl: '',
+  ollamaModel: '',
+  outputLanguage: '',
+  audienceProfile: 'kid',
+  explanationTemplate: '',
+  summaryTemplate: '',
+  followUpTemplate: '',
+  collectionTemplate: '',
+  quizTemplate: '',
+  flashcardsTemplate: '',
+  libraryEnabled: false,
+  chapterSource: 'merged',
+  hotkeys: {},
   lastUpdated: Date.now(),
   version: '1.1.0'
 };
@@ -63,8 +198,10 @@ export const UIConfig = {
   CARD_MAX_WIDTH: 800,
   ANIMATION_DURATION: 300,
   DEBOUNCE_DELAY: 500,
-  MAX_TRANSCRIPT_LENGTH: 50000, // Max characters for transcript
-  MIN_TRANSCRIPT_LENGTH: 50 // Min characters for valid transcript
+  MAX_TRANSCRIPT_LENGTH: 50000, // Max transcript characters sent in a single prompt
+  TRANSCRIPT_CHUNK_LENGTH: 12000, // Chunk size when summarizing longer transcripts
+  MIN_TRANSCRIPT_LENGTH: 50, // Min characters for valid transcript
+  TOAST_DURATION: 2000 // How long hotkey feedback stays on screen
 };
 
 // API Configuration
@@ -74,12 +211,146 @@ export const APIConfig = {
   RETRY_DELAY: 1000,
   TIMEOUT: 30000, // 30 seconds
   MAX_TOKENS: 8192,
-  TEMPERATURE: 0.7
+  TEMPERATURE: 0.7,
+  SUMMARY_FORMAT_RETRIES: 1 // extra requests when a structured JSON response (summary, quiz, notes...) fails validation
+};
+
+// Follow-up questions only send the transcript chunks that best match the question
+export const RetrievalConfig = {
+  CHUNK_LENGTH: 1500, // Characters per transcript chunk
+  TOP_K: 5, // Chunks sent with each question
+  COLLECTION_TOP_K: 10, // Chunks sent with a question across several videos
+  MAX_COLLECTION_VIDEOS: 10 // Videos one collection question can cover
+};
+
+// "Quiz me" questions generated from a transcript
+export const QuizConfig = {
+  QUESTION_COUNT: 5,
+  MIN_OPTIONS: 3, // Multiple-choice questions with fewer options are dropped
+  MAX_OPTIONS: 5
+};
+
+export const QuizQuestionTypes = {
+  MULTIPLE_CHOICE: 'multiple_choice',
+  SHORT_ANSWER: 'short_answer'
+};
+
+// Term/definition flashcards generated from a transcript
+export const FlashcardConfig = {
+  CARD_COUNT: 12,
+  MAX_TERM_LENGTH: 120,
+  MAX_DEFINITION_LENGTH: 500,
+  STORAGE_PREFIX: 'flashcards_' // Edited decks, per video
+};
+
+// Personal notes pinned to video times
+export const NotesConfig = {
+  STORAGE_PREFIX: 'notes_', // One record per video
+  MAX_NOTE_LENGTH: 2000,
+  MAX_SEARCH_RESULTS: 50
+};
+
+// Keyboard shortcut actions on the watch page; also the manifest's command names
+export const HotkeyActions = {
+  TOGGLE_SIDEBAR: 'toggle-sidebar',
+  OPEN_EXPLAIN_CARD: 'open-explain-card',
+  FOCUS_QUESTION: 'focus-question',
+  NEXT_CHAPTER: 'next-chapter',
+  PREVIOUS_CHAPTER: 'previous-chapter',
+  ADD_NOTE: 'add-note'
+};
+
+// In-page hotkeys until rebound in the popup (settings.hotkeys holds the changes)
+export const DefaultHotkeys = {
+  [HotkeyActions.TOGGLE_SIDEBAR]: 'Alt+Shift+S',
+  [HotkeyActions.OPEN_EXPLAIN_CARD]: 'Alt+Shift+E',
+  [HotkeyActions.FOCUS_QUESTION]: 'Alt+Shift+Q',
+  [HotkeyActions.NEXT_CHAPTER]: 'Alt+Shift+ArrowRight',
+  [HotkeyActions.PREVIOUS_CHAPTER]: 'Alt+Shift+ArrowLeft',
+  [HotkeyActions.ADD_NOTE]: 'Alt+Shift+N'
+};
+
+// Spaced-repetition review of missed quiz questions (SM-2)
+export const ReviewConfig = {
+  STORAGE_KEY: 'review_cards',
+  INITIAL_EASINESS: 2.5,
+  MIN_EASINESS: 1.3,
+  MAX_CARDS: 500 // Oldest cards are dropped beyond this
+};
+
+// Answer quality on the SM-2 0-5 scale; 3 and above counts as recalled
+export const ReviewGrades = {
+  AGAIN: 1,
+  HARD: 3,
+  GOOD: 4,
+  EASY: 5
+};
+
+// Follow-up chats send recent turns verbatim and summarize older ones
+export const ConversationConfig = {
+  HISTORY_TOKEN_BUDGET: 6000, // Tokens of earlier turns sent verbatim with a question
+  MIN_RECENT_TURNS: 2, // The last question and answer are always sent in full
+  CHARS_PER_TOKEN: 4, // Rough estimate used for the budget
+  MAX_CACHED_SUMMARIES: 20 // Rolling summaries of older turns kept by the worker
+};
+
+// Opt-in local library of summarized videos (IndexedDB, extension origin)
+export const LibraryConfig = {
+  DB_NAME: 'superplay-library',
+  DB_VERSION: 1,
+  STORE: 'videos',
+  MAX_MATCHES_PER_VIDEO: 5, // Transcript and chapter hits listed per search result
+  MATCH_SPACING: 15 // Seconds between two listed transcript hits
+};
+
+// Formats summaries, chapters and conversations can be exported to
+export const ExportFormats = {
+  MARKDOWN: 'markdown',
+  OBSIDIAN: 'obsidian',
+  JSON: 'json',
+  HTML: 'html'
+};
+
+// Formats a transcript can be downloaded in
+export const TranscriptFormats = {
+  SRT: 'srt',
+  VTT: 'vtt',
+  TXT: 'txt'
+};
+
+// Anki import files a flashcard deck can be exported as
+export const FlashcardFormats = {
+  TSV: 'tsv',
+  CSV: 'csv'
+};
+
+// AI result cache (summaries, chapters, explanations)
+export const CacheConfig = {
+  KEY_PREFIX: 'ai_cache_',
+  INDEX_KEY: 'ai_cache_index',
+  DEFAULT_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+  TTL: {
+    summary: 7 * 24 * 60 * 60 * 1000, // 7 days
+    explanation: 3 * 24 * 60 * 60 * 1000, // 3 days
+    quiz: 7 * 24 * 60 * 60 * 1000, // 7 days
+    flashcards: 7 * 24 * 60 * 60 * 1000 // 7 days
+  },
+  MAX_ENTRIES: 200,
+  MAX_BYTES: 2 * 1024 * 1024 // 2 MB of the local storage quota
 };
 
 // Storage Keys
 export const StorageKeys = {
-  SETTINGS: ['enabled', 'autoSummary', 'geminiApiKey', 'lastUpdated', 'version'],
+  SETTINGS: [
+    'enabled', 'autoSummary', 'aiProvider',
+    'geminiApiKey', 'geminiModel',
+    'openaiApiKey', 'openaiBaseUrl', 'openaiModel',
+    'ollamaBaseUrl', 'ollamaModel',
+    'outputLanguage', 'audienceProfile',
+    'explanationTemplate', 'summaryTemplate', 'followUpTemplate',
+    'collectionTemplate', 'quizTemplate', 'flashcardsTemplate',
+    'libraryEnabled', 'chapterSource', 'hotkeys', 'lastUpdated', 'version'
+  ],
   CONVERSATION_PREFIX: 'conversation_',
   TRANSCRIPT_PREFIX: 'transcript_',
   TIMESTAMP_SUFFIX: '_timestamp'
@@ -99,7 +370,7 @@ export const ErrorMessages = {
 // Success Messages
 export const SuccessMessages = {
   SETTINGS_SAVED: 'Settings saved successfully!',
-  CONNECTION_SUCCESS: 'Gemini API connection successful!',
+  CONNECTION_SUCCESS: 'AI provider connection successful!',
   EXPLANATION_GENERATED: 'Video explanation generated successfully!',
   SUMMARY_GENERATED: 'Video summary generated successfully!'
 };
@@ -110,6 +381,7 @@ export const CSSClasses = {
   SIDEBAR: 'superplay-sidebar-container',
   CARD: 'superplay-floating-card',
   OVERLAY: 'superplay-overlay',
+  TIMESTAMP_PREVIEW: 'superplay-timestamp-preview',
   LOADING: 'loading-spinner',
   ERROR: 'error-message',
   SUCCESS: 'success-message'
@@ -121,10 +393,19 @@ export const Timings = {
   API_TIMEOUT: 30000, // 30 seconds
   DEBOUNCE_DELAY: 500, // 0.5 seconds
   RETRY_DELAY: 1000, // 1 second
-  NAVIGATION_CHECK_INTERVAL: 2000, // 2 seconds
+  NAVIGATION_CHECK_INTERVAL: 5000, // 5 seconds, fallback when no navigation event fired
   CACHE_DURATION: 24 * 60 * 60 * 1000 // 24 hours
 };
 
+// Events announcing a YouTube SPA navigation
+export const NavigationEvents = {
+  NAVIGATE_FINISH: 'yt-navigate-finish',
+  PAGE_DATA_UPDATED: 'yt-page-data-updated',
+  HISTORY_CHANGE: 'superplay-history-change', // dispatched by content/navigationHook.js
+  PAGE_DATA: 'superplay-page-data', // content/navigationHook.js: JSON { playerResponse, initialData } of the video showing
+  POPSTATE: 'popstate'
+};
+
 // Regular Expressions
 export const RegexPatterns = {
   VIDEO_ID: /^[a-zA-Z0-9_-]{11}$/,
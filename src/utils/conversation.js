@@ -0,0 +1,104 @@
+/**
+ * SuperPlay AI - Conversation
+ * Turns the chat history kept by the UIs into provider chat turns and
+ * keeps it within a token budget. Used by the background worker for follow-ups.
+ */
+
+import { ChatRoles, ConversationConfig } from './constants.js';
+import { hashString } from './hash.js';
+
+// UIManager stores user/ai messages, ExplainCard question/answer/explanation
+const MESSAGE_ROLES = {
+  user: ChatRoles.USER,
+  question: ChatRoles.USER,
+  ai: ChatRoles.MODEL,
+  answer: ChatRoles.MODEL,
+  explanation: ChatRoles.MODEL
+};
+
+// The explanation opens the chat unprompted; this stands in for the missing question
+const OPENING_REQUEST = 'Explain this video.';
+
+/**
+ * Rough token count of a text
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / ConversationConfig.CHARS_PER_TOKEN);
+}
+
+/**
+ * Join consecutive turns of the same role, since chat APIs expect roles to alternate
+ */
+export function mergeTurns(turns) {
+  return turns.reduce((merged, turn) => {
+    const last = merged[merged.length - 1];
+    if (last && last.role === turn.role) {
+      last.text += `\n\n${turn.text}`;
+    } else {
+      merged.push({ ...turn });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Map stored messages to chat turns: [{ role, text }].
+ * Errors and empty messages are skipped, and a chat that opens with the
+ * model's explanation gets a user turn in front of it.
+ */
+export function toChatTurns(conversation) {
+  const turns = [];
+
+  for (const message of conversation || []) {
+    const role = MESSAGE_ROLES[message?.type];
+    const text = typeof message?.content === 'string' ? message.content.trim() : '';
+    if (!role || !text) continue;
+
+    if (!turns.length && role === ChatRoles.MODEL) {
+      turns.push({ role: ChatRoles.USER, text: OPENING_REQUEST });
+    }
+    turns.push({ role, text });
+  }
+
+  return mergeTurns(turns);
+}
+
+/**
+ * Split turns into older ones and the most recent ones that fit tokenBudget.
+ * The last MIN_RECENT_TURNS are always recent, and recent turns start with
+ * the user so they still alternate once the older ones are dropped.
+ */
+export function splitHistory(turns, tokenBudget = ConversationConfig.HISTORY_TOKEN_BUDGET) {
+  let start = turns.length;
+  let tokens = 0;
+
+  while (start > 0) {
+    const cost = estimateTokens(turns[start - 1].text);
+    const required = turns.length - start < ConversationConfig.MIN_RECENT_TURNS;
+    if (!required && tokens + cost > tokenBudget) break;
+    tokens += cost;
+    start--;
+  }
+
+  while (start < turns.length && turns[start].role !== ChatRoles.USER) {
+    start++;
+  }
+
+  return { older: turns.slice(0, start), recent: turns.slice(start) };
+}
+
+/**
+ * Plain-text transcript of turns for a summarization prompt
+ */
+export function formatTurns(turns) {
+  return turns
+    .map(turn => `${turn.role === ChatRoles.USER ? 'User' : 'AI'}: ${turn.text}`)
+    .join('\n\n');
+}
+
+/**
+ * Short stable key for a list of turns
+ */
+export function fingerprintTurns(turns) {
+  return `${turns.length}.${hashString(formatTurns(turns))}`;
+}
@@ -0,0 +1,386 @@
+/**
+ * SuperPlay AI - Export Formats
+ * Turns a video's summary, chapters, notes and conversation into Markdown, an
+ * Obsidian note, JSON or a printable HTML page, with timestamps linking
+ * back to the video; its timed transcript into SRT, WebVTT or plain text;
+ * and flashcards into Anki import files. Shared by UIManager and ExplainCard.
+ */
+
+import { ExportFormats, FlashcardFormats, TranscriptFormats } from './constants.js';
+import { escapeHtml, renderMarkdown } from './markdown.js';
+import { getVideoUrl } from './librarySearch.js';
+import { formatTimestamp, parseTimestamp } from './transcriptUtils.js';
+import { sortNotes } from './notes.js';
+
+// UIManager stores user/ai messages, ExplainCard question/answer/explanation
+const MESSAGE_ROLES = {
+  user: 'user',
+  question: 'user',
+  ai: 'ai',
+  answer: 'ai',
+  explanation: 'ai'
+};
+
+// File details per format
+const FORMAT_FILES = {
+  [ExportFormats.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [ExportFormats.OBSIDIAN]: { extension: 'md', mimeType: 'text/markdown' },
+  [ExportFormats.JSON]: { extension: 'json', mimeType: 'application/json' },
+  [ExportFormats.HTML]: { extension: 'html', mimeType: 'text/html' },
+  [TranscriptFormats.SRT]: { extension: 'srt', mimeType: 'application/x-subrip' },
+  [TranscriptFormats.VTT]: { extension: 'vtt', mimeType: 'text/vtt' },
+  [TranscriptFormats.TXT]: { extension: 'txt', mimeType: 'text/plain' },
+  [FlashcardFormats.TSV]: { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  [FlashcardFormats.CSV]: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+// How long a cue stays up when its segment has no duration and nothing follows it
+const DEFAULT_CUE_SECONDS = 3;
+
+// [1:30] citations that are not already the text of a markdown link
+const CITATION_PATTERN = /\[((?:\d{1,2}:)?\d{1,2}:[0-5]\d)\](?!\()/g;
+
+const PRINT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; line-height: 1.6; max-width: 760px; margin: 40px auto; padding: 0 24px; }
+  h1 { font-size: 26px; margin-bottom: 4px; }
+  h2 { font-size: 19px; margin-top: 32px; border-bottom: 1px solid #e9ecef; padding-bottom: 4px; }
+  h3 { font-size: 16px; margin-top: 24px; }
+  a { color: #4c5fd5; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #dee2e6; padding: 4px 8px; }
+  pre { background: #f8f9fa; padding: 12px; overflow-x: auto; }
+  @media print { body { margin: 0; } a { color: inherit; } }
+`;
+
+/**
+ * Collect what an export contains. Conversation messages may use either UI's
+ * shape ({ type, content }); errors and empty messages are left out, and an
+ * opening AI message becomes the explanation. Notes are the user's own, in video order.
+ */
+export function createExportData({ video, summary = '', chapters = [], notes = [], conversation = [], exportedAt = new Date() }) {
+  const videoId = video.videoId;
+  const messages = (conversation || [])
+    .map(message => ({
+      role: MESSAGE_ROLES[message?.type],
+      text: typeof message?.content === 'string' ? message.content.trim() : ''
+    }))
+    .filter(message => message.role && message.text);
+
+  const explanation = messages[0]?.role === 'ai' ? messages.shift().text : '';
+
+  return {
+    video: {
+      videoId,
+      title: video.title || 'Untitled video',
+      channel: video.channel || video.owner || 'Unknown Channel',
+      duration: Math.floor(Number(video.duration) || 0),
+      url: getVideoUrl(videoId)
+    },
+    summary: summary || '',
+    chapters: (chapters || []).map(chapter => ({
+      title: chapter.title,
+      timestamp: formatTimestamp(chapter.seconds),
+      seconds: chapter.seconds,
+      description: chapter.description || '',
+      url: getVideoUrl(videoId, chapter.seconds)
+    })),
+    notes: sortNotes((notes || []).filter(note => note?.text?.trim())).map(note => ({
+      timestamp: formatTimestamp(note.seconds),
+      seconds: note.seconds,
+      text: note.text.trim(),
+      quote: note.quote || '',
+      url: getVideoUrl(videoId, note.seconds)
+    })),
+    explanation,
+    conversation: messages,
+    exportedAt: exportedAt.toISOString()
+  };
+}
+
+/**
+ * Turn [mm:ss] citations into links that open the video at that time
+ */
+export function linkTimestamps(text, videoId) {
+  return String(text || '').replace(CITATION_PATTERN, (citation, timestamp) =>
+    `[${timestamp}](${getVideoUrl(videoId, parseTimestamp(timestamp))})`);
+}
+
+/**
+ * Markdown document: title, details, summary, chapters, notes, explanation and Q&A
+ */
+export function toMarkdown(data) {
+  const { video } = data;
+  const link = (text) => linkTimestamps(text, video.videoId);
+  const details = [`**Channel:** ${video.channel}`];
+  if (video.duration > 0) {
+    details.push(`**Length:** ${formatTimestamp(video.duration)}`);
+  }
+  details.push(`[Watch on YouTube](${video.url})`);
+
+  const sections = [`# ${video.title}`, details.join(' · ')];
+
+  if (data.summary) {
+    sections.push('## Summary', link(data.summary));
+  }
+  if (data.chapters.length) {
+    sections.push('## Chapters', data.chapters
+      .map(chapter => `- [${chapter.timestamp}](${chapter.url}) **${chapter.title}**${chapter.description ? ` — ${chapter.description}` : ''}`)
+      .join('\n'));
+  }
+  if (data.notes.length) {
+    sections.push('## My Notes', data.notes
+      .map(note => [
+        `- [${note.timestamp}](${note.url}) ${link(note.text).replace(/\n/g, '\n  ')}`,
+        ...(note.quote ? [`  > ${note.quote}`] : [])
+      ].join('\n'))
+      .join('\n'));
+  }
+  if (data.explanation) {
+    sections.push('## Explanation', link(data.explanation));
+  }
+  if (data.conversation.length) {
+    sections.push('## Conversation', data.conversation
+      .map(message => (message.role === 'user' ? `### Q: ${message.text.replace(/\s+/g, ' ')}` : link(message.text)))
+      .join('\n\n'));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Markdown note with YAML front-matter for Obsidian and similar tools
+ */
+export function toObsidianNote(data) {
+  const { video } = data;
+  // JSON strings are valid double-quoted YAML scalars
+  const frontMatter = [
+    '---',
+    `title: ${JSON.stringify(video.title)}`,
+    `channel: ${JSON.stringify(video.channel)}`,
+    `url: ${video.url}`,
+    `video_id: ${JSON.stringify(video.videoId)}`,
+    ...(video.duration > 0 ? [`duration: ${JSON.stringify(formatTimestamp(video.duration))}`] : []),
+    `exported: ${data.exportedAt.slice(0, 10)}`,
+    'tags:',
+    '  - youtube',
+    '  - superplay',
+    '---'
+  ];
+
+  return `${frontMatter.join('\n')}\n\n${toMarkdown(data)}`;
+}
+
+/**
+ * Standalone HTML page of the Markdown export, styled for printing or saving as PDF
+ */
+export function toPrintableHtml(data) {
+  const body = renderMarkdown(toMarkdown(data))
+    // Bare timestamps become in-page seek links; point them at the video instead
+    .replace(/href="#t=(\d+)"/g, (attribute, seconds) => `href="${escapeHtml(getVideoUrl(data.video.videoId, Number(seconds)))}"`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(data.video.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Title usable as a file name: without characters file systems or note apps reject
+ */
+function toFileName(title, fallback) {
+  return String(title || '').replace(/[\\/:*?"<>|#^[\]]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100) || fallback;
+}
+
+/**
+ * File name for an export, named after the video
+ */
+export function getExportFileName(data, format) {
+  return `${toFileName(data.video.title, data.video.videoId)}.${FORMAT_FILES[format].extension}`;
+}
+
+/**
+ * Build an export file: { content, fileName, mimeType }
+ */
+export function exportVideo(data, format) {
+  const builders = {
+    [ExportFormats.MARKDOWN]: toMarkdown,
+    [ExportFormats.OBSIDIAN]: toObsidianNote,
+    [ExportFormats.JSON]: (value) => `${JSON.stringify(value, null, 2)}\n`,
+    [ExportFormats.HTML]: toPrintableHtml
+  };
+  if (!builders[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return {
+    content: builders[format](data),
+    fileName: getExportFileName(data, format),
+    mimeType: FORMAT_FILES[format].mimeType
+  };
+}
+
+/**
+ * Timed cues for subtitle files. A segment without a duration lasts until
+ * the next one starts; text is kept on one line.
+ */
+function getTranscriptCues(transcript) {
+  if (!Array.isArray(transcript)) {
+    throw new Error('This transcript has no timing, so it can only be saved as plain text');
+  }
+
+  return transcript
+    .filter(segment => segment.text?.trim())
+    .map((segment, index, segments) => {
+      const start = Math.max(0, Number(segment.start) || 0);
+      const next = segments[index + 1];
+      const end = segment.duration > 0
+        ? start + Number(segment.duration)
+        : Math.max(start, next ? Number(next.start) : start + DEFAULT_CUE_SECONDS);
+      return { start, end, text: segment.text.replace(/\s+/g, ' ').trim() };
+    });
+}
+
+/**
+ * HH:MM:SS plus milliseconds after the given separator (',' for SRT, '.' for WebVTT)
+ */
+function formatCueTime(seconds, separator) {
+  const milliseconds = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:` +
+    `${pad(Math.floor(milliseconds / 1000) % 60)}${separator}${pad(milliseconds % 1000, 3)}`;
+}
+
+/**
+ * SubRip (.srt) subtitles
+ */
+export function toSrt(transcript) {
+  return getTranscriptCues(transcript)
+    .map((cue, index) => `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * WebVTT (.vtt) subtitles
+ */
+export function toWebVtt(transcript) {
+  const cues = getTranscriptCues(transcript).map(cue => {
+    // Cue text is HTML-like, and "-->" would end the cue early
+    const text = cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${text}\n`;
+  });
+
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Plain text, one segment per line, optionally prefixed with [m:ss]
+ */
+export function toTranscriptText(transcript, { timestamps = false } = {}) {
+  if (!Array.isArray(transcript)) {
+    return `${String(transcript || '').trim()}\n`;
+  }
+
+  return `${transcript
+    .filter(segment => segment.text?.trim())
+    .map(segment => {
+      const text = segment.text.replace(/\s+/g, ' ').trim();
+      return timestamps ? `[${formatTimestamp(segment.start)}] ${text}` : text;
+    })
+    .join('\n')}\n`;
+}
+
+/**
+ * Build a transcript file: { content, fileName, mimeType }. The caption
+ * language goes before the extension (Title.en.srt) so players pick it up.
+ */
+export function exportTranscript(transcript, format, { title, videoId, languageCode, timestamps = false } = {}) {
+  const builders = {
+    [TranscriptFormats.SRT]: toSrt,
+    [TranscriptFormats.VTT]: toWebVtt,
+    [TranscriptFormats.TXT]: (value) => toTranscriptText(value, { timestamps })
+  };
+  if (!builders[format]) {
+    throw new Error(`Unknown transcript format: ${format}`);
+  }
+
+  const name = toFileName(title, videoId || 'transcript');
+  const language = languageCode ? `.${toFileName(languageCode, '')}` : '';
+  return {
+    content: builders[format](transcript),
+    fileName: `${name}${language}.${FORMAT_FILES[format].extension}`,
+    mimeType: FORMAT_FILES[format].mimeType
+  };
+}
+
+/**
+ * Text as an Anki field: HTML-escaped (the file is imported with html:true)
+ * and on one line
+ */
+function toAnkiField(text) {
+  return escapeHtml(String(text || '').trim()).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * One line of an Anki import file. Tab-separated fields cannot contain tabs;
+ * comma-separated ones are quoted.
+ */
+function toAnkiRow(fields, format) {
+  return format === FlashcardFormats.CSV
+    ? fields.map(field => `"${field.replace(/"/g, '""')}"`).join(',')
+    : fields.map(field => field.replace(/\t/g, ' ')).join('\t');
+}
+
+/**
+ * Anki text import file (File > Import) for Basic notes: term on the front,
+ * definition and a link to its moment in the video on the back. The header
+ * lines tell Anki the separator, note type, tag column and a deck named
+ * after the video, so the file imports without setup.
+ */
+export function toAnkiText(cards, video, format = FlashcardFormats.TSV) {
+  const deck = `SuperPlay::${String(video.title || video.videoId).replace(/::|[\t\r\n]/g, ' ').trim()}`;
+  const tags = `superplay youtube::${video.videoId}`;
+
+  const header = [
+    `#separator:${format === FlashcardFormats.CSV ? 'comma' : 'tab'}`,
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${deck}`,
+    '#tags column:3'
+  ];
+
+  const rows = cards
+    .filter(card => card.term?.trim() && card.definition?.trim())
+    .map(card => {
+      let back = toAnkiField(card.definition);
+      if (Number.isFinite(card.seconds)) {
+        const url = escapeHtml(getVideoUrl(video.videoId, card.seconds));
+        back += `<br><br><a href="${url}">▶ ${formatTimestamp(card.seconds)} · ${escapeHtml(video.title || 'Watch on YouTube')}</a>`;
+      }
+      return toAnkiRow([toAnkiField(card.term), back, tags], format);
+    });
+
+  return `${[...header, ...rows].join('\n')}\n`;
+}
+
+/**
+ * Build a flashcard file: { content, fileName, mimeType }
+ */
+export function exportFlashcards(cards, video, format) {
+  if (!Object.values(FlashcardFormats).includes(format)) {
+    throw new Error(`Unknown flashcard format: ${format}`);
+  }
+
+  return {
+    content: toAnkiText(cards, video, format),
+    fileName: `${toFileName(video.title, video.videoId)} flashcards.${FORMAT_FILES[format].extension}`,
+    mimeType: FORMAT_FILES[format].mimeType
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * SuperPlay AI - File Export
+ * Browser helpers that hand exported text to the user: download it as a
+ * file, copy it to the clipboard or open the print dialog for it
+ */
+
+import { ExportFormats, FlashcardFormats, TranscriptFormats } from './constants.js';
+import {
+  exportVideo,
+  exportTranscript,
+  exportFlashcards,
+  toAnkiText,
+  toMarkdown,
+  toPrintableHtml,
+  toTranscriptText
+} from './exportFormats.js';
+
+// Entries of the export menus in the sidebar and explanation card
+export const EXPORT_ACTIONS = [
+  { action: 'copy', label: 'Copy as Markdown' },
+  { action: ExportFormats.MARKDOWN, label: 'Markdown (.md)' },
+  { action: ExportFormats.OBSIDIAN, label: 'Obsidian note (.md)' },
+  { action: ExportFormats.JSON, label: 'JSON (.json)' },
+  { action: ExportFormats.HTML, label: 'Web page (.html)' },
+  { action: 'print', label: 'Print / Save as PDF' }
+];
+
+// Entries of the sidebar's transcript menu
+export const TRANSCRIPT_ACTIONS = [
+  { action: 'copy', label: 'Copy text' },
+  { action: 'copy-timestamps', label: 'Copy with [m:ss] times' },
+  { action: TranscriptFormats.SRT, label: 'Subtitles (.srt)' },
+  { action: TranscriptFormats.VTT, label: 'WebVTT (.vtt)' },
+  { action: TranscriptFormats.TXT, label: 'Plain text (.txt)' },
+  { action: 'txt-timestamps', label: 'Text with [m:ss] times (.txt)' }
+];
+
+// Entries of the sidebar's flashcard export menu
+export const FLASHCARD_ACTIONS = [
+  { action: 'copy', label: 'Copy for Anki' },
+  { action: FlashcardFormats.TSV, label: 'Anki, tab-separated (.tsv)' },
+  { action: FlashcardFormats.CSV, label: 'Anki, comma-separated (.csv)' }
+];
+
+/**
+ * Run an export menu action on createExportData() output
+ */
+export async function runExportAction(action, data) {
+  if (action === 'copy') {
+    await copyText(toMarkdown(data));
+  } else if (action === 'print') {
+    printHtml(toPrintableHtml(data));
+  } else {
+    downloadFile(exportVideo(data, action));
+  }
+}
+
+/**
+ * Run a transcript menu action; options are exportTranscript()'s
+ * { title, videoId, languageCode }
+ */
+export async function runTranscriptAction(action, transcript, options = {}) {
+  if (action === 'copy' || action === 'copy-timestamps') {
+    await copyText(toTranscriptText(transcript, { timestamps: action === 'copy-timestamps' }));
+  } else if (action === 'txt-timestamps') {
+    downloadFile(exportTranscript(transcript, TranscriptFormats.TXT, { ...options, timestamps: true }));
+  } else {
+    downloadFile(exportTranscript(transcript, action, options));
+  }
+}
+
+/**
+ * Run a flashcard menu action on a deck of { term, definition, seconds } cards
+ */
+export async function runFlashcardAction(action, cards, video) {
+  if (action === 'copy') {
+    await copyText(toAnkiText(cards, video));
+  } else {
+    downloadFile(exportFlashcards(cards, video, action));
+  }
+}
+
+/**
+ * Download text as a file
+ */
+export function downloadFile({ content, fileName, mimeType }) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea where the
+ * async clipboard API is unavailable
+ */
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return;
+  } catch (error) {
+    console.log('SuperPlay AI: Clipboard API unavailable, using fallback:', error.message);
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.cssText = 'position: fixed; opacity: 0; pointer-events: none;';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+
+  if (!copied) {
+    throw new Error('Could not copy to the clipboard');
+  }
+}
+
+/**
+ * Open the print dialog for an HTML page (the browser offers "Save as PDF")
+ * using a hidden frame, so no new tab or popup permission is needed
+ */
+export function printHtml(html) {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+  frame.srcdoc = html;
+  frame.addEventListener('load', () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  }, { once: true });
+  document.body.appendChild(frame);
+}
@@ -0,0 +1,73 @@
+/**
+ * SuperPlay AI - Flashcard Format
+ * JSON schema for flashcard responses, plus the parser that validates and
+ * normalizes what the model returned
+ */
+
+import { FlashcardConfig } from './constants.js';
+import { formatTimestamp } from './transcriptUtils.js';
+import { getStartSeconds, parseJsonObject } from './summaryFormat.js';
+import { getItemId } from './quizFormat.js';
+
+// Sent to providers that support structured output (JSON Schema subset every provider accepts)
+export const FlashcardResponseSchema = {
+  type: 'object',
+  properties: {
+    cards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          term: { type: 'string', description: 'A word, name or short phrase' },
+          definition: { type: 'string', description: 'What it means, in one or two sentences' },
+          timestamp: { type: 'string', description: 'Where the video explains it, as m:ss or h:mm:ss' },
+          seconds: { type: 'number', description: 'The same time in seconds' }
+        },
+        required: ['term', 'definition', 'timestamp', 'seconds'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['cards'],
+  additionalProperties: false
+};
+
+/**
+ * Parse a flashcard response into { cards: [{ id, term, definition, seconds, timestamp }] }.
+ * Cards without a term, definition or time are dropped, as are repeated terms;
+ * times are clamped to the video duration. Throws when no card is left.
+ */
+export function parseFlashcardResponse(response, { duration = 0 } = {}) {
+  const data = parseJsonObject(response);
+  if (!Array.isArray(data.cards)) {
+    throw new Error('Response has no "cards" array');
+  }
+
+  const lastSecond = Number.isFinite(duration) && duration > 0 ? Math.max(0, Math.floor(duration) - 1) : Infinity;
+  const cards = [];
+  const seen = new Set();
+
+  data.cards.forEach((item, index) => {
+    const term = typeof item?.term === 'string' ? item.term.trim().substring(0, FlashcardConfig.MAX_TERM_LENGTH) : '';
+    const definition = typeof item?.definition === 'string'
+      ? item.definition.trim().substring(0, FlashcardConfig.MAX_DEFINITION_LENGTH)
+      : '';
+    const start = getStartSeconds(item);
+    const id = term && getItemId(term);
+
+    if (!term || !definition || start === null || seen.has(id)) {
+      console.warn(`SuperPlay AI: Dropping invalid flashcard ${index + 1}:`, item);
+      return;
+    }
+
+    const seconds = Math.min(Math.round(start), lastSecond);
+    seen.add(id);
+    cards.push({ id, term, definition, seconds, timestamp: formatTimestamp(seconds) });
+  });
+
+  if (cards.length === 0) {
+    throw new Error('Response has no valid cards (each needs a term, a definition and a time)');
+  }
+
+  return { cards };
+}
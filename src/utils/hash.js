@@ -0,0 +1,15 @@
+/**
+ * SuperPlay AI - Hashing
+ * Short stable hashes for cache keys and ids
+ */
+
+/**
+ * djb2-style hash of a string in base 36. Not for security, only to tell inputs apart.
+ */
+export function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
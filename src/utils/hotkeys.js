@@ -0,0 +1,163 @@
+/**
+ * SuperPlay AI - Hotkeys
+ * In-page keyboard shortcuts written as "Alt+Shift+N" style strings:
+ * modifiers in Ctrl, Alt, Shift, Meta order, then the key
+ */
+
+import { DefaultHotkeys, HotkeyActions } from './constants.js';
+
+// Shown in the popup's shortcut settings
+export const HotkeyLabels = {
+  [HotkeyActions.TOGGLE_SIDEBAR]: 'Show or hide the sidebar',
+  [HotkeyActions.OPEN_EXPLAIN_CARD]: 'Open or close the explanation',
+  [HotkeyActions.FOCUS_QUESTION]: 'Ask a follow-up question',
+  [HotkeyActions.NEXT_CHAPTER]: 'Jump to the next chapter',
+  [HotkeyActions.PREVIOUS_CHAPTER]: 'Jump to the previous chapter',
+  [HotkeyActions.ADD_NOTE]: 'Add a note at the current time'
+};
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'OS', 'CapsLock'];
+
+// Punctuation by physical key, since Shift or Alt change event.key
+const CODE_KEYS = {
+  Period: '.',
+  Comma: ',',
+  Slash: '/',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: '\'',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Minus: '-',
+  Equal: '=',
+  Backquote: '`',
+  Space: 'Space'
+};
+
+// chrome.commands names that differ from ours; macOS reports modifiers as symbols
+const COMMAND_KEYS = { Left: 'ArrowLeft', Right: 'ArrowRight', Up: 'ArrowUp', Down: 'ArrowDown', Comma: ',', Period: '.' };
+const COMMAND_MODIFIERS = { Command: 'Meta', MacCtrl: 'Ctrl', '⌃': 'Ctrl', '⌥': 'Alt', '⇧': 'Shift', '⌘': 'Meta' };
+
+const DISPLAY_KEYS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Meta: '⌘' };
+
+// Shortcuts YouTube or the browser keep for themselves. YouTube's player keys
+// (K, J, L, F, M, arrows, digits, Shift+N...) use no Ctrl, Alt or Meta, so
+// requiring one of those avoids all of them except chapter seeking.
+const BROWSER_LETTERS = ['A', 'C', 'D', 'F', 'H', 'J', 'L', 'N', 'P', 'Q', 'R', 'S', 'T', 'V', 'W', 'X', 'Y', 'Z'];
+const RESERVED_HOTKEYS = {
+  'Ctrl+ArrowLeft': 'YouTube (previous chapter)',
+  'Ctrl+ArrowRight': 'YouTube (next chapter)',
+  'Alt+ArrowLeft': 'the browser (back)',
+  'Alt+ArrowRight': 'the browser (forward)',
+  'Alt+D': 'the browser (address bar)',
+  'Alt+E': 'the browser (menu)',
+  'Alt+F': 'the browser (menu)',
+  'Alt+Home': 'the browser (home page)',
+  'Ctrl+Shift+N': 'the browser (incognito window)',
+  'Ctrl+Shift+T': 'the browser (reopen tab)',
+  'Meta+Shift+N': 'the browser (incognito window)',
+  'Meta+Shift+T': 'the browser (reopen tab)',
+  ...Object.fromEntries(BROWSER_LETTERS.flatMap(key => [[`Ctrl+${key}`, 'the browser'], [`Meta+${key}`, 'the browser']]))
+};
+
+/**
+ * Key of a keydown event, from its physical key for letters, digits and
+ * punctuation, since Shift, Alt or Option change event.key (Option+N types "˜")
+ */
+function getEventKey(event) {
+  const match = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code || '');
+  if (match) return match[1] || match[2];
+  if (CODE_KEYS[event.code]) return CODE_KEYS[event.code];
+  return event.key.length === 1 ? event.key.toUpperCase() : event.key;
+}
+
+/**
+ * Hotkey string of a keydown event, or null while only modifiers are held
+ */
+export function getHotkeyFromEvent(event) {
+  if (!event.key || MODIFIER_KEYS.includes(event.key)) return null;
+
+  return [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    event.metaKey && 'Meta',
+    getEventKey(event)
+  ].filter(Boolean).join('+');
+}
+
+/**
+ * Whether a keydown event is the given hotkey, with exactly its modifiers
+ */
+export function matchesHotkey(event, hotkey) {
+  return Boolean(hotkey) && getHotkeyFromEvent(event) === hotkey;
+}
+
+/**
+ * Hotkey per action: the defaults with the user's rebindings ('' turns one off)
+ */
+export function getHotkeys(settings = {}) {
+  return { ...DefaultHotkeys, ...(settings.hotkeys || {}) };
+}
+
+/**
+ * Action a keydown event is bound to, or null
+ */
+export function getHotkeyAction(event, hotkeys) {
+  const hotkey = getHotkeyFromEvent(event);
+  if (!hotkey) return null;
+  return Object.keys(hotkeys).find(action => hotkeys[action] === hotkey) || null;
+}
+
+/**
+ * Whether a keydown happened while typing, where hotkeys must not fire
+ */
+export function isTypingTarget(target) {
+  return Boolean(target?.isContentEditable || target?.closest?.('input, textarea, select'));
+}
+
+/**
+ * Hotkey from a chrome.commands.getAll() shortcut ("Alt+Shift+S", "⌥⇧S"), '' when unset
+ */
+export function fromCommandShortcut(shortcut) {
+  if (!shortcut) return '';
+
+  const parts = shortcut.replace(/[⌃⌥⇧⌘]/g, symbol => `${symbol}+`).split('+').filter(Boolean);
+  const key = parts.pop();
+  const modifiers = new Set(parts.map(part => COMMAND_MODIFIERS[part] || part));
+
+  return [...['Ctrl', 'Alt', 'Shift', 'Meta'].filter(modifier => modifiers.has(modifier)), COMMAND_KEYS[key] || key].join('+');
+}
+
+/**
+ * Hotkey as shown to people, with arrows and ⌘ as symbols
+ */
+export function formatHotkey(hotkey) {
+  return hotkey ? hotkey.split('+').map(part => DISPLAY_KEYS[part] || part).join('+') : '';
+}
+
+/**
+ * Why a hotkey cannot be bound to an action, or null when it can. hotkeys are
+ * the current bindings, browserShortcuts the chrome.commands shortcuts per
+ * action, which the browser handles before the page sees the key.
+ */
+export function getHotkeyConflict(hotkey, action, hotkeys, browserShortcuts = {}) {
+  if (!/(?:^|\+)(?:Ctrl|Alt|Meta)\+/.test(hotkey)) {
+    return 'Add Ctrl, Alt or ⌘ so it does not clash with YouTube\'s player shortcuts';
+  }
+  if (RESERVED_HOTKEYS[hotkey]) {
+    return `${formatHotkey(hotkey)} is already used by ${RESERVED_HOTKEYS[hotkey]}`;
+  }
+
+  const bound = Object.keys(hotkeys).find(other => other !== action && hotkeys[other] === hotkey);
+  if (bound) {
+    return `${formatHotkey(hotkey)} already does "${HotkeyLabels[bound]}"`;
+  }
+
+  const command = Object.keys(browserShortcuts).find(other => other !== action && browserShortcuts[other] === hotkey);
+  if (command) {
+    return `${formatHotkey(hotkey)} is the browser shortcut for "${HotkeyLabels[command]}"`;
+  }
+
+  return null;
+}
@@ -0,0 +1,120 @@
+/**
+ * SuperPlay AI - Library Search
+ * Full-text search across saved videos: ranks videos with BM25 and lists
+ * the chapters and transcript moments that match, each with its start time
+ */
+
+import { LibraryConfig } from './constants.js';
+import { rankDocuments, tokenize } from './transcriptSearch.js';
+import { getTranscriptExcerpt, getTranscriptText } from './transcriptUtils.js';
+
+/**
+ * All searchable text of a saved video
+ */
+function getVideoText(video) {
+  const chapters = (video.chapters || []).map(chapter => `${chapter.title} ${chapter.description || ''}`);
+  return [video.title, video.channel, video.summary, ...chapters, video.notes, getTranscriptText(video.transcript)]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Number of distinct query terms in a piece of text
+ */
+function countMatchedTerms(text, terms) {
+  const words = new Set(tokenize(text));
+  return terms.filter(term => words.has(term)).length;
+}
+
+/**
+ * Chapters and transcript moments of a video that mention the query terms.
+ * Best matches win the maxMatches slots; the result is in video order.
+ */
+function findMatches(video, terms, { maxMatches, spacing }) {
+  const candidates = [];
+
+  (video.chapters || []).forEach(chapter => {
+    const hits = countMatchedTerms(`${chapter.title} ${chapter.description || ''}`, terms);
+    if (hits > 0) {
+      candidates.push({ type: 'chapter', seconds: chapter.seconds, text: chapter.title, hits });
+    }
+  });
+
+  if (Array.isArray(video.transcript)) {
+    video.transcript.forEach(segment => {
+      const hits = countMatchedTerms(segment.text, terms);
+      if (hits > 0) {
+        candidates.push({ type: 'transcript', seconds: Math.floor(segment.start), hits });
+      }
+    });
+  }
+
+  const picked = [];
+  candidates
+    .sort((a, b) => b.hits - a.hits || (b.type === 'chapter') - (a.type === 'chapter') || a.seconds - b.seconds)
+    .forEach(candidate => {
+      if (picked.length >= maxMatches) return;
+      // Neighbouring captions usually repeat the same moment
+      const nearby = candidate.type === 'transcript' && picked.some(match =>
+        match.type === 'transcript' && Math.abs(match.seconds - candidate.seconds) < spacing);
+      if (!nearby) picked.push(candidate);
+    });
+
+  return picked
+    .sort((a, b) => a.seconds - b.seconds)
+    .map(({ type, seconds, text }) => ({
+      type,
+      seconds,
+      text: type === 'chapter' ? text : getTranscriptExcerpt(video.transcript, seconds, { before: 0, after: spacing, maxLength: 200 })
+    }));
+}
+
+/**
+ * Search saved videos. Returns [{ video, score, matches }] best first, where
+ * matches are [{ type: 'chapter' | 'transcript', seconds, text }].
+ * Videos that match only on their title, summary or notes have no matches.
+ */
+export function searchLibrary(videos, query, {
+  maxMatches = LibraryConfig.MAX_MATCHES_PER_VIDEO,
+  spacing = LibraryConfig.MATCH_SPACING
+} = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !videos.length) return [];
+
+  return rankDocuments(videos.map(getVideoText), query)
+    .filter(({ score }) => score > 0)
+    .map(({ index, score }) => ({
+      video: videos[index],
+      score,
+      matches: findMatches(videos[index], terms, { maxMatches, spacing })
+    }));
+}
+
+/**
+ * Split text into [{ text, match }] parts so the query terms can be highlighted
+ */
+export function highlightTerms(text, query) {
+  const terms = new Set(tokenize(query));
+  const parts = [];
+
+  String(text || '').split(/([\p{L}\p{N}]+)/u).forEach(part => {
+    if (!part) return;
+    const match = terms.has(part.toLowerCase());
+    const last = parts[parts.length - 1];
+    if (last && last.match === match) {
+      last.text += part;
+    } else {
+      parts.push({ text: part, match });
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * YouTube URL that opens a video at a point in time
+ */
+export function getVideoUrl(videoId, seconds = 0) {
+  const url = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+  return seconds > 0 ? `${url}&t=${Math.floor(seconds)}s` : url;
+}
@@ -0,0 +1,161 @@
+/**
+ * SuperPlay AI - Markdown Rendering
+ * One sanitizing pipeline for AI output, shared by UIManager (HTML strings)
+ * and the React ExplainCard/Sidebar (react-markdown plugins)
+ */
+
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkRehype from 'remark-rehype';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import rehypeStringify from 'rehype-stringify';
+import { parseTimestamp, formatTimestamp } from './transcriptUtils.js';
+
+export const TIMESTAMP_LINK_CLASS = 'superplay-timestamp';
+
+// [1:30], [1:02:03] or a bare 1:30 in running text
+const TIMESTAMP_PATTERN = /\[((?:\d{1,2}:)?\d{1,2}:[0-5]\d)\]|\b((?:\d{1,2}:)?\d{1,2}:[0-5]\d)\b/g;
+
+// Links the model writes itself, e.g. [intro](#t=90)
+const TIMESTAMP_HREF_PATTERN = /^#t=(\d+)$/;
+
+// Elements whose text is never turned into timestamp links
+const SKIP_TIMESTAMP_ELEMENTS = new Set(['a', 'code', 'pre']);
+
+/**
+ * GitHub's sanitize schema, minus images (no remote requests from AI output)
+ * and with links limited to web and mail URLs
+ */
+const sanitizeSchema = {
+  ...defaultSchema,
+  tagNames: defaultSchema.tagNames.filter(tagName => tagName !== 'img'),
+  protocols: {
+    ...defaultSchema.protocols,
+    href: ['http', 'https', 'mailto']
+  }
+};
+
+/**
+ * Build the link element for a timestamp
+ */
+function createTimestampLink(label, seconds) {
+  return {
+    type: 'element',
+    tagName: 'a',
+    properties: {
+      href: `#t=${seconds}`,
+      className: [TIMESTAMP_LINK_CLASS],
+      dataSeconds: seconds,
+      ariaLabel: `Jump to ${formatTimestamp(seconds)}`
+    },
+    children: [{ type: 'text', value: label }]
+  };
+}
+
+/**
+ * Split a text node into text and timestamp link nodes
+ */
+function linkTimestampsInText(value) {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of value.matchAll(TIMESTAMP_PATTERN)) {
+    if (match.index > lastIndex) {
+      nodes.push({ type: 'text', value: value.slice(lastIndex, match.index) });
+    }
+    nodes.push(createTimestampLink(match[0], parseTimestamp(match[1] || match[2])));
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (!nodes.length) return null;
+  if (lastIndex < value.length) {
+    nodes.push({ type: 'text', value: value.slice(lastIndex) });
+  }
+  return nodes;
+}
+
+/**
+ * Turn timestamps into seek links and open other links in a new tab.
+ * Runs after sanitizing, so it only ever adds attributes it controls.
+ */
+function rehypeVideoLinks() {
+  const visit = (node) => {
+    if (node.type === 'element' && node.tagName === 'a') {
+      const href = String(node.properties.href || '');
+      const timestamp = href.match(TIMESTAMP_HREF_PATTERN);
+      if (timestamp) {
+        node.properties.className = [TIMESTAMP_LINK_CLASS];
+        node.properties.dataSeconds = Number(timestamp[1]);
+      } else if (/^https?:/i.test(href)) {
+        node.properties.target = '_blank';
+        node.properties.rel = ['noopener', 'noreferrer'];
+      }
+      return;
+    }
+
+    if (!node.children || SKIP_TIMESTAMP_ELEMENTS.has(node.tagName)) return;
+
+    node.children = node.children.flatMap(child => {
+      if (child.type === 'text') {
+        return linkTimestampsInText(child.value) || [child];
+      }
+      visit(child);
+      return [child];
+    });
+  };
+
+  return visit;
+}
+
+// Plugin lists for react-markdown
+export const markdownRemarkPlugins = [remarkGfm];
+export const markdownRehypePlugins = [[rehypeSanitize, sanitizeSchema], rehypeHighlight, rehypeVideoLinks];
+
+const processor = unified()
+  .use(remarkParse)
+  .use(markdownRemarkPlugins)
+  .use(remarkRehype)
+  .use(markdownRehypePlugins)
+  .use(rehypeStringify)
+  .freeze();
+
+/**
+ * Render markdown to sanitized HTML that is safe to assign to innerHTML.
+ * Raw HTML in the markdown is dropped, never rendered.
+ */
+export function renderMarkdown(text) {
+  if (!text) return '';
+  return String(processor.processSync(String(text)));
+}
+
+/**
+ * Escape plain text for interpolation into an HTML template
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Timestamp link an event target is inside, or null
+ */
+export function getTimestampLink(target) {
+  return target?.closest?.(`a.${TIMESTAMP_LINK_CLASS}`) || null;
+}
+
+/**
+ * Seconds of the timestamp link an event target is inside, or null
+ */
+export function getTimestampLinkSeconds(target) {
+  const link = getTimestampLink(target);
+  if (!link) return null;
+
+  const seconds = Number(link.dataset.seconds);
+  return Number.isFinite(seconds) ? seconds : null;
+}
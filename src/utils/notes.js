@@ -0,0 +1,120 @@
+/**
+ * SuperPlay AI - Notes
+ * Personal notes pinned to video times: creating, ordering and searching
+ * them, plus the response format of the AI clean-up
+ */
+
+import { NotesConfig } from './constants.js';
+import { formatTimestamp } from './transcriptUtils.js';
+import { parseJsonObject } from './summaryFormat.js';
+
+// Sent to providers that support structured output (JSON Schema subset every provider accepts)
+export const NotesCleanupSchema = {
+  type: 'object',
+  properties: {
+    notes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The id of the note being rewritten' },
+          text: { type: 'string', description: 'The cleaned-up note' }
+        },
+        required: ['id', 'text'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['notes'],
+  additionalProperties: false
+};
+
+/**
+ * New note at a time in the video. quote is the transcript line spoken then.
+ */
+export function createNote(text, seconds, { quote = '', now = Date.now() } = {}) {
+  return {
+    id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    seconds: Math.max(0, Math.floor(Number(seconds) || 0)),
+    text: String(text || '').trim().substring(0, NotesConfig.MAX_NOTE_LENGTH),
+    quote: String(quote || '').trim(),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Notes in video order, notes taken at the same time in the order they were written
+ */
+export function sortNotes(notes) {
+  return [...notes].sort((a, b) => a.seconds - b.seconds || a.createdAt - b.createdAt);
+}
+
+/**
+ * Notes whose text or quote contains every word of the query.
+ * records: [{ videoId, videoTitle, notes }] as stored by StorageService;
+ * returns [{ videoId, videoTitle, note }] in record, then video order.
+ */
+export function searchNotes(records, query, { limit = NotesConfig.MAX_SEARCH_RESULTS } = {}) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+
+  const results = [];
+  for (const record of records) {
+    for (const note of sortNotes(record.notes || [])) {
+      const text = `${note.text} ${note.quote || ''}`.toLowerCase();
+      if (words.every(word => text.includes(word))) {
+        results.push({ videoId: record.videoId, videoTitle: record.videoTitle, note });
+      }
+    }
+  }
+  return results.slice(0, limit);
+}
+
+/**
+ * Take each note's text (and updatedAt) from the note with its id in `to`, if
+ * it still reads as in `from`. Notes added, edited or deleted since `from`
+ * was taken stay as they are.
+ */
+export function replaceNoteTexts(notes, from, to) {
+  const fromText = new Map(from.map(note => [note.id, note.text]));
+  const replacements = new Map(to.map(note => [note.id, note]));
+
+  return notes.map(note => {
+    const replacement = replacements.get(note.id);
+    if (!replacement || fromText.get(note.id) !== note.text) return note;
+    return { ...note, text: replacement.text, updatedAt: replacement.updatedAt };
+  });
+}
+
+/**
+ * One line per note for a prompt: its id, [mm:ss] time, text and quoted line
+ */
+export function formatNotesForPrompt(notes, { ids = false } = {}) {
+  return sortNotes(notes)
+    .map(note => `- ${ids ? `(id ${note.id}) ` : ''}[${formatTimestamp(note.seconds)}] ${note.text.replace(/\s+/g, ' ')}${note.quote ? ` (the video says: "${note.quote}")` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Apply a clean-up response to notes: each note the response rewrote gets the
+ * new text, the others stay as they were. Throws when it rewrote none.
+ */
+export function parseNotesCleanupResponse(response, notes) {
+  const data = parseJsonObject(response);
+  if (!Array.isArray(data.notes)) {
+    throw new Error('Response has no "notes" array');
+  }
+
+  const cleaned = new Map(data.notes
+    .filter(item => typeof item?.id === 'string' && typeof item.text === 'string' && item.text.trim())
+    .map(item => [item.id.trim(), item.text.trim().substring(0, NotesConfig.MAX_NOTE_LENGTH)]));
+
+  if (!notes.some(note => cleaned.has(note.id))) {
+    throw new Error('Response rewrote none of the notes (each needs the id of a note and its text)');
+  }
+
+  return {
+    notes: notes.map(note => (cleaned.has(note.id) ? { ...note, text: cleaned.get(note.id) } : note))
+  };
+}
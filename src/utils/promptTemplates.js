@@ -0,0 +1,392 @@
+/**
+ * SuperPlay AI - Prompt Templates
+ * Default and user-editable prompt templates with {{variable}} placeholders,
+ * shared by the background worker (real prompts) and the popup (preview)
+ */
+
+import { AudienceProfiles, OutputLanguages } from './constants.js';
+import { formatTimestamp } from './transcriptUtils.js';
+import { hashString } from './hash.js';
+
+// Template kinds and the settings key holding the user's version ('' = default)
+export const PromptTemplateTypes = {
+  explanation: { label: 'Explanation', settingKey: 'explanationTemplate' },
+  summary: { label: 'Summary & chapters', settingKey: 'summaryTemplate' },
+  followUp: { label: 'Follow-up answer', settingKey: 'followUpTemplate' },
+  collection: { label: 'Question across videos', settingKey: 'collectionTemplate' },
+  quiz: { label: 'Quiz', settingKey: 'quizTemplate' },
+  flashcards: { label: 'Flashcards', settingKey: 'flashcardsTemplate' }
+};
+
+// Custom templates live in chrome.storage.sync, which allows 8KB per setting
+export const MAX_TEMPLATE_LENGTH = 6000;
+
+// Variables each template can use
+export const TemplateVariables = {
+  explanation: ['title', 'channel', 'transcript', 'audience'],
+  summary: ['title', 'channel', 'transcript', 'audience', 'chapterRange'],
+  followUp: ['title', 'channel', 'transcript', 'audience', 'conversation', 'question'],
+  collection: ['videos', 'transcript', 'audience', 'question'],
+  quiz: ['title', 'channel', 'transcript', 'audience', 'questionCount'],
+  flashcards: ['title', 'channel', 'transcript', 'audience', 'cardCount']
+};
+
+export const DefaultPromptTemplates = {
+  explanation: `You are an expert educator explaining a YouTube video.
+
+VIDEO TITLE: "{{title}}"
+CHANNEL: {{channel}}
+
+{{transcript}}
+
+Please create a comprehensive explanation of this video for {{audience}}. Use this exact structure and write in markdown:
+
+# What This Video Is About
+
+[Write 2-3 sentences explaining the main topic]
+
+# Key Takeaways
+
+[List 4-6 main takeaways as bullet points]
+
+# Explanation
+
+[Break down the content into sections with clear headings. Use examples and analogies where they help this audience.]
+
+# Why This Matters
+
+[Explain why this topic is important or useful]
+
+# Notable Details
+
+[Share 2-3 interesting or surprising facts from the video]
+
+# Questions to Think About
+
+[Provide 2-3 thought-provoking questions related to the video content]
+
+Important guidelines:
+- Match vocabulary, depth and tone to the audience described above
+- If the video contains inappropriate content, focus on educational aspects only`,
+
+  summary: `Analyze this video and create a summary with chapters.
+
+VIDEO TITLE: "{{title}}"
+CHANNEL: {{channel}}
+
+{{transcript}}
+
+Guidelines:
+- Create {{chapterRange}} logical chapters based on topic changes in the video
+- Keep chapter titles under 50 characters
+- Keep descriptions under 100 characters
+- Summary should be engaging and informative for {{audience}}
+- Use markdown formatting for emphasis in summary`,
+
+  followUp: `You are an AI assistant helping someone understand a YouTube video. Answer their follow-up question based on the video content.
+
+VIDEO TITLE: "{{title}}"
+CHANNEL: {{channel}}
+
+{{transcript}}{{conversation}}
+
+USER'S NEW QUESTION: "{{question}}"
+
+Please provide a helpful, accurate answer based on the video content. Guidelines:
+- Pitch the answer at {{audience}}
+- Answer directly and conversationally
+- Earlier messages in this chat are your previous answers; when the user refers to them (e.g. "your second point"), build on exactly what you said
+- Cite the part of the video each claim comes from with its [mm:ss] marker from the transcript, e.g. [4:05], right after the claim
+- Only cite markers that appear in the transcript above
+- If the question is not related to the video, politely redirect to video topics
+- Use markdown formatting for better readability
+- Keep your response focused and not too long (aim for 2-4 paragraphs)
+- If you're not sure about something, say so rather than guessing`,
+
+  collection: `You are an AI assistant helping someone learn from several YouTube videos at once. Answer their question using all of the videos below.
+
+VIDEOS:
+{{videos}}
+
+{{transcript}}
+
+USER'S QUESTION: "{{question}}"
+
+Guidelines:
+- Pitch the answer at {{audience}}
+- Draw on every video that is relevant; when the question asks for a comparison, say where the videos agree and where they differ
+- Cite each claim with its video label and [mm:ss] marker, e.g. [V2 4:05], right after the claim
+- Only cite markers that appear in that video's excerpts above
+- If the videos do not cover the question, say so rather than guessing
+- Use markdown formatting; headings or a table work well for comparisons
+- Keep your response focused (aim for 3-5 paragraphs)`,
+
+  quiz: `Write a quiz that checks whether someone remembers and understood this video.
+
+VIDEO TITLE: "{{title}}"
+CHANNEL: {{channel}}
+
+{{transcript}}
+
+Guidelines:
+- Write {{questionCount}} questions for {{audience}}
+- Mix multiple-choice questions (4 options, exactly one correct) with a few short-answer questions
+- Test the key ideas and facts of the video, not trivia about the speaker or wording
+- Spread the questions across the whole video
+- Wrong options should be plausible to someone who did not watch carefully`,
+
+  flashcards: `Make study flashcards of the key terms and concepts in this video.
+
+VIDEO TITLE: "{{title}}"
+CHANNEL: {{channel}}
+
+{{transcript}}
+
+Guidelines:
+- Write up to {{cardCount}} cards for {{audience}}
+- Each card has a term (a word, name or short phrase) and a definition of one or two sentences
+- Define terms the way the video explains them, not with a generic dictionary definition
+- Skip terms the video only mentions in passing
+- Keep each card self-contained: the definition must make sense without the video`
+};
+
+// Appended to every summary prompt so the response can always be parsed
+const SUMMARY_RESPONSE_FORMAT = `Please respond with ONLY a valid JSON object in this exact format:
+
+{
+  "summary": "A concise 2-3 sentence summary of the main points covered in the video, written in markdown format",
+  "chapters": [
+    {
+      "title": "Chapter title (short and descriptive)",
+      "timestamp": "0:00",
+      "seconds": 0,
+      "description": "Brief description of what's covered in this section"
+    }
+  ]
+}
+
+- Start each chapter at the [mm:ss] marker where its topic begins
+- "timestamp" must be that marker and "seconds" the same time in seconds; the first chapter starts at 0:00
+- Ensure all JSON is properly formatted and valid and keep the JSON keys exactly as shown`;
+
+// Added to summary prompts when the creator chaptered the video, so the AI
+// chapters follow the creator's timeline instead of guessed topic changes
+function formatCreatorChapters(chapters) {
+  const lines = chapters.map(chapter => `[${formatTimestamp(chapter.seconds)}] ${chapter.title}`);
+  return `The creator already split this video into chapters. Use them as your chapters:
+- Keep every creator chapter, starting at exactly its time, and write a description for each
+- Use the creator's title, shortened if it is over 50 characters
+- Only add a chapter of your own inside a long creator chapter that covers clearly separate topics
+This replaces the number of chapters asked for above.
+
+CREATOR CHAPTERS:
+${lines.join('\n')}`;
+}
+
+// Appended to every quiz prompt so the response can always be parsed
+const QUIZ_RESPONSE_FORMAT = `Please respond with ONLY a valid JSON object in this exact format:
+
+{
+  "questions": [
+    {
+      "type": "multiple_choice",
+      "question": "The question",
+      "options": ["First option", "Second option", "Third option", "Fourth option"],
+      "answer": "The correct option, copied exactly from options",
+      "explanation": "One or two sentences on why this is the answer",
+      "timestamp": "1:05",
+      "seconds": 65
+    },
+    {
+      "type": "short_answer",
+      "question": "The question",
+      "options": [],
+      "answer": "A model answer in one sentence",
+      "explanation": "One or two sentences on what a good answer covers",
+      "timestamp": "3:20",
+      "seconds": 200
+    }
+  ]
+}
+
+- "timestamp" is the [mm:ss] marker where the video covers the answer and "seconds" the same time in seconds
+- Short-answer questions have an empty "options" array
+- Ensure all JSON is properly formatted and valid and keep the JSON keys exactly as shown`;
+
+// Appended to every flashcards prompt so the response can always be parsed
+const FLASHCARDS_RESPONSE_FORMAT = `Please respond with ONLY a valid JSON object in this exact format:
+
+{
+  "cards": [
+    {
+      "term": "The term",
+      "definition": "What it means, as the video explains it",
+      "timestamp": "1:05",
+      "seconds": 65
+    }
+  ]
+}
+
+- "timestamp" is the [mm:ss] marker where the video explains the term and "seconds" the same time in seconds
+- Ensure all JSON is properly formatted and valid and keep the JSON keys exactly as shown`;
+
+// Stand-in video used by the popup preview and template test
+export const SamplePromptVariables = {
+  title: 'How Vaccines Train Your Immune System',
+  channel: 'Science Explained',
+  transcript: `TRANSCRIPT (each line starts with its [mm:ss] position in the video):
+[0:00] Every day your immune system fights off germs you never even notice.
+[0:20] Vaccines work by showing it a harmless piece or weakened form of a germ, called an antigen.
+[0:41] White blood cells learn the antigen's shape and produce antibodies that stick to it.
+[1:02] Memory cells keep that knowledge for years, so a real infection is stopped much faster.
+[1:25] This is also why some vaccines need boosters: memory fades and needs a reminder.
+[1:47] When enough people are immune, the germ cannot spread, which protects people who cannot be vaccinated.`,
+  videos: 'V1: "How Vaccines Train Your Immune System" by Science Explained',
+  conversation: '',
+  question: 'Why do some vaccines need boosters?',
+  chapterRange: '3-8',
+  questionCount: 5,
+  cardCount: 12
+};
+
+/**
+ * Replace {{variable}} placeholders; unknown placeholders are left as written
+ */
+export function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : placeholder
+  );
+}
+
+/**
+ * The template in use for a type: the user's version from settings, or the default
+ */
+export function getPromptTemplate(type, settings = {}) {
+  const custom = settings[PromptTemplateTypes[type].settingKey];
+  return custom && custom.trim() ? custom : DefaultPromptTemplates[type];
+}
+
+/**
+ * Description of the reader an audience profile writes for
+ */
+export function getAudienceDescription(profile) {
+  return (AudienceProfiles[profile] || AudienceProfiles.kid).description;
+}
+
+/**
+ * Prompt line telling the model which language to write in
+ */
+export function getLanguageInstruction(outputLanguage) {
+  const language = OutputLanguages.find(({ code }) => code && code === outputLanguage);
+  return language
+    ? `Write your entire response in ${language.label}, even if the transcript is in another language.`
+    : 'Write your response in the same language as the transcript.';
+}
+
+/**
+ * Build the full prompt for a template type from settings and video variables
+ */
+export function buildPrompt(type, settings, variables) {
+  const { creatorChapters, ...templateVariables } = variables;
+  const prompt = renderTemplate(getPromptTemplate(type, settings), {
+    audience: getAudienceDescription(settings.audienceProfile),
+    ...templateVariables
+  });
+
+  const sections = [prompt.trim()];
+  if (type === 'summary') {
+    if (creatorChapters?.length) {
+      sections.push(formatCreatorChapters(creatorChapters));
+    }
+    sections.push(SUMMARY_RESPONSE_FORMAT);
+  } else if (type === 'quiz') {
+    sections.push(QUIZ_RESPONSE_FORMAT);
+  } else if (type === 'flashcards') {
+    sections.push(FLASHCARDS_RESPONSE_FORMAT);
+  }
+  sections.push(getLanguageInstruction(settings.outputLanguage));
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Prompt asking the model to grade a short answer against the quiz's model
+ * answer. Built in, since the response must match GradeResponseSchema.
+ */
+export function buildGradingPrompt({ question, answer, explanation, excerpt }, userAnswer, settings = {}) {
+  return `You are grading one answer in a quiz about a YouTube video.
+
+QUESTION: "${question}"
+MODEL ANSWER: "${answer}"${explanation ? `\nWHAT A GOOD ANSWER COVERS: ${explanation}` : ''}${excerpt ? `\nWHAT THE VIDEO SAYS: "${excerpt}"` : ''}
+
+LEARNER'S ANSWER: "${userAnswer}"
+
+Decide whether the learner's answer is correct. Accept answers that get the key idea right in different words, and ignore spelling and grammar. Reject answers that are vague, partly wrong or miss the key idea.
+
+Please respond with ONLY a valid JSON object in this exact format:
+
+{
+  "correct": true,
+  "feedback": "One or two encouraging sentences telling the learner what they got right or missed"
+}
+
+${getLanguageInstruction(settings.outputLanguage)}`;
+}
+
+/**
+ * Prompt asking the model to tidy up a learner's notes (formatted with ids by
+ * formatNotesForPrompt). Built in, since the response must match NotesCleanupSchema.
+ */
+export function buildNotesCleanupPrompt({ title, notes }) {
+  return `You are tidying up a learner's personal notes on a YouTube video.
+
+VIDEO TITLE: "${title}"
+
+NOTES (each with its id and the [mm:ss] time it was taken):
+${notes}
+
+Rewrite each note so it reads clearly: fix spelling, grammar and shorthand, and turn fragments into short sentences or bullet points. Keep the learner's meaning, voice and every fact, and do not add anything that is in neither the note nor the quoted video line. Keep the notes separate and write each one in the language it was written in.
+
+Please respond with ONLY a valid JSON object in this exact format:
+
+{
+  "notes": [
+    {
+      "id": "The note's id",
+      "text": "The cleaned-up note"
+    }
+  ]
+}`;
+}
+
+/**
+ * Prompt merging a learner's notes (formatted by formatNotesForPrompt) with
+ * the video's summary and chapters into one set of markdown study notes
+ */
+export function buildNotesMergePrompt({ title, channel, summary, chapters, notes }, settings = {}) {
+  return `You are combining a learner's personal notes on a YouTube video with a summary of the video into one set of study notes.
+
+VIDEO TITLE: "${title}"
+CHANNEL: ${channel}
+
+SUMMARY:
+${summary}
+${chapters ? `
+CHAPTERS:
+${chapters}
+` : ''}
+MY NOTES (each starts with the [mm:ss] time it was taken):
+${notes}
+
+Write markdown study notes in the order of the video, with a ### heading per chapter. Put each of the learner's notes under the part of the video it belongs to, marked with 📝 and with its meaning kept; fill in the rest from the summary. Cite times as [mm:ss] so they link to the video, and do not add details that are in neither the summary nor the notes.
+
+${getLanguageInstruction(settings.outputLanguage)}`;
+}
+
+/**
+ * Short stable hash of the template and audience, so cached results
+ * are not reused after either changes
+ */
+export function getTemplateFingerprint(type, settings) {
+  return hashString(`${getPromptTemplate(type, settings)}\n${settings.audienceProfile || ''}`);
+}
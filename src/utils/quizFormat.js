@@ -0,0 +1,162 @@
+/**
+ * SuperPlay AI - Quiz Format
+ * JSON schemas for quiz and grading responses, plus the parsers that
+ * validate and normalize what the model returned
+ */
+
+import { QuizConfig, QuizQuestionTypes } from './constants.js';
+import { formatTimestamp } from './transcriptUtils.js';
+import { getStartSeconds, parseJsonObject } from './summaryFormat.js';
+import { hashString } from './hash.js';
+
+// Sent to providers that support structured output (JSON Schema subset every provider accepts)
+export const QuizResponseSchema = {
+  type: 'object',
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', description: 'multiple_choice or short_answer' },
+          question: { type: 'string', description: 'The question' },
+          options: { type: 'array', items: { type: 'string' }, description: 'Answer options; empty for short answers' },
+          answer: { type: 'string', description: 'The correct option, or a model short answer' },
+          explanation: { type: 'string', description: 'Why this is the answer' },
+          timestamp: { type: 'string', description: 'Where the video covers the answer, as m:ss or h:mm:ss' },
+          seconds: { type: 'number', description: 'The same time in seconds' }
+        },
+        required: ['type', 'question', 'options', 'answer', 'explanation', 'timestamp', 'seconds'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['questions'],
+  additionalProperties: false
+};
+
+export const GradeResponseSchema = {
+  type: 'object',
+  properties: {
+    correct: { type: 'boolean', description: 'Whether the answer gets the key idea right' },
+    feedback: { type: 'string', description: 'Short feedback for the learner' }
+  },
+  required: ['correct', 'feedback'],
+  additionalProperties: false
+};
+
+/**
+ * Parse a quiz response into { questions }. Each question is
+ * { id, type, question, options, answer, answerIndex, explanation, seconds, timestamp };
+ * answerIndex is the correct option of a multiple-choice question.
+ * Questions without a usable answer or time are dropped, times are clamped
+ * to the video duration. Throws when no question is left.
+ */
+export function parseQuizResponse(response, { duration = 0 } = {}) {
+  const data = parseJsonObject(response);
+  if (!Array.isArray(data.questions)) {
+    throw new Error('Response has no "questions" array');
+  }
+
+  const lastSecond = Number.isFinite(duration) && duration > 0 ? Math.max(0, Math.floor(duration) - 1) : Infinity;
+  const questions = [];
+  const seen = new Set();
+
+  data.questions.forEach((item, index) => {
+    const question = normalizeQuestion(item);
+    const start = getStartSeconds(item);
+
+    if (!question || start === null || seen.has(question.id)) {
+      console.warn(`SuperPlay AI: Dropping invalid quiz question ${index + 1}:`, item);
+      return;
+    }
+
+    const seconds = Math.min(Math.round(start), lastSecond);
+    seen.add(question.id);
+    questions.push({ ...question, seconds, timestamp: formatTimestamp(seconds) });
+  });
+
+  if (questions.length === 0) {
+    throw new Error('Response has no valid questions (each needs a question, an answer and a time)');
+  }
+
+  return { questions };
+}
+
+/**
+ * Parse a grading response into { correct, feedback }
+ */
+export function parseGradeResponse(response) {
+  const data = parseJsonObject(response);
+  const correct = typeof data.correct === 'string' ? data.correct.trim().toLowerCase() === 'true' : data.correct;
+
+  if (typeof correct !== 'boolean') {
+    throw new Error('Response has no "correct" verdict');
+  }
+
+  return { correct, feedback: typeof data.feedback === 'string' ? data.feedback.trim() : '' };
+}
+
+/**
+ * Question text, answer and options of one quiz item, or null when unusable.
+ * A question with options is multiple choice whatever its "type" says.
+ */
+function normalizeQuestion(item) {
+  const question = typeof item?.question === 'string' ? item.question.trim() : '';
+  const answer = typeof item?.answer === 'string' || typeof item?.answer === 'number' ? String(item.answer).trim() : '';
+  if (!question || !answer) {
+    return null;
+  }
+
+  const options = [...new Set((Array.isArray(item.options) ? item.options : [])
+    .filter(option => typeof option === 'string' && option.trim())
+    .map(option => option.trim()))];
+
+  const base = {
+    id: getItemId(question),
+    question,
+    explanation: typeof item.explanation === 'string' ? item.explanation.trim() : ''
+  };
+
+  if (options.length === 0) {
+    return { ...base, type: QuizQuestionTypes.SHORT_ANSWER, options: [], answer, answerIndex: null };
+  }
+  if (options.length < QuizConfig.MIN_OPTIONS || options.length > QuizConfig.MAX_OPTIONS) {
+    return null;
+  }
+
+  const answerIndex = findAnswerIndex(options, answer);
+  if (answerIndex === -1) {
+    return null;
+  }
+
+  return { ...base, type: QuizQuestionTypes.MULTIPLE_CHOICE, options, answer: options[answerIndex], answerIndex };
+}
+
+/**
+ * Index of the correct option: the option text itself, or a letter ("B")
+ * or 1-based number some models answer with
+ */
+function findAnswerIndex(options, answer) {
+  const normalized = answer.toLowerCase().replace(/[.)]$/, '');
+  const byText = options.findIndex(option => option.toLowerCase() === answer.toLowerCase());
+  if (byText !== -1) return byText;
+
+  if (/^[a-e]$/.test(normalized)) {
+    const index = normalized.charCodeAt(0) - 97;
+    return index < options.length ? index : -1;
+  }
+  if (/^\d$/.test(normalized)) {
+    const index = Number(normalized) - 1;
+    return index >= 0 && index < options.length ? index : -1;
+  }
+  return -1;
+}
+
+/**
+ * Short stable id of a question or flashcard term, so the same item is not
+ * queued for review twice
+ */
+export function getItemId(text) {
+  return hashString(text.toLowerCase().replace(/\s+/g, ' '));
+}
@@ -0,0 +1,84 @@
+/**
+ * SuperPlay AI - Spaced Repetition
+ * Review cards for missed quiz questions, scheduled with the SM-2 algorithm:
+ * each recalled review multiplies the interval by the card's easiness, a
+ * forgotten one starts the card over the next day
+ */
+
+import { ReviewConfig, ReviewGrades } from './constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * New card for a quiz question, due right away.
+ * question: parseQuizResponse() question, video: { videoId, title }
+ */
+export function createReviewCard(question, video, now = Date.now()) {
+  return {
+    id: `${video.videoId}:${question.id}`,
+    videoId: video.videoId,
+    videoTitle: video.title || 'Untitled video',
+    front: question.question,
+    back: question.answer,
+    options: question.options || [],
+    explanation: question.explanation || '',
+    seconds: question.seconds ?? null,
+    easiness: ReviewConfig.INITIAL_EASINESS,
+    interval: 0, // Days until the next review
+    repetitions: 0, // Recalled reviews in a row
+    lapses: 0,
+    due: now,
+    createdAt: now,
+    lastReviewedAt: null
+  };
+}
+
+/**
+ * Card after a review graded on the SM-2 0-5 scale (see ReviewGrades)
+ */
+export function scheduleReview(card, grade, now = Date.now()) {
+  const quality = Math.min(5, Math.max(0, Math.round(grade)));
+  const recalled = quality >= ReviewGrades.HARD;
+
+  const repetitions = recalled ? card.repetitions + 1 : 0;
+  let interval = 1;
+  if (repetitions === 2) {
+    interval = 6;
+  } else if (repetitions > 2) {
+    interval = Math.round(card.interval * card.easiness);
+  }
+
+  const easiness = Math.max(
+    ReviewConfig.MIN_EASINESS,
+    card.easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ...card,
+    easiness: Math.round(easiness * 100) / 100,
+    interval,
+    repetitions,
+    lapses: recalled ? card.lapses : card.lapses + 1,
+    due: now + interval * DAY,
+    lastReviewedAt: now
+  };
+}
+
+/**
+ * Cards due for review, the longest overdue first
+ */
+export function getDueCards(cards, now = Date.now()) {
+  return cards
+    .filter(card => card.due <= now)
+    .sort((a, b) => a.due - b.due);
+}
+
+/**
+ * "today", "tomorrow" or "in N days" until a card is due
+ */
+export function describeDue(card, now = Date.now()) {
+  const days = Math.ceil((card.due - now) / DAY);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
@@ -0,0 +1,111 @@
+/**
+ * SuperPlay AI - Stream Client
+ * Runs AI requests in the background worker over a runtime port,
+ * shared by the vanilla UIManager and the React components
+ */
+
+import { StreamPort, StreamEvents, MessageTypes } from './constants.js';
+
+/**
+ * Stream an AI request from the background worker.
+ * Returns { promise, stop, requestId }; promise resolves with { text, result, stopped },
+ * keeping the partial text when generation is stopped.
+ */
+export function streamFromBackground(request, onChunk, onProgress) {
+  const requestId = crypto.randomUUID();
+  const port = chrome.runtime.connect({ name: StreamPort.NAME });
+  let settled = false;
+  let text = '';
+
+  const promise = new Promise((resolve, reject) => {
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      port.disconnect();
+      callback(value);
+    };
+
+    port.onMessage.addListener((message) => {
+      switch (message.type) {
+        case StreamEvents.CHUNK:
+          text += message.chunk;
+          onChunk?.(message.chunk);
+          break;
+        case StreamEvents.PROGRESS:
+          onProgress?.(message.progress);
+          break;
+        case StreamEvents.DONE:
+          finish(resolve, { text: message.text, result: message.result, stopped: false });
+          break;
+        case StreamEvents.CANCELLED:
+          finish(resolve, { text, stopped: true });
+          break;
+        case StreamEvents.ERROR:
+          finish(reject, new Error(message.error || 'Failed to generate response'));
+          break;
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (!settled) {
+        settled = true;
+        reject(new Error('Lost connection to background script. Please try again.'));
+      }
+    });
+  });
+
+  port.postMessage({ type: StreamEvents.START, request: { ...request, requestId } });
+
+  return {
+    promise,
+    requestId,
+    stop: () => {
+      if (!settled) {
+        port.postMessage({ type: StreamEvents.STOP });
+      }
+    }
+  };
+}
+
+/**
+ * Send a one-off AI request to the background worker.
+ * Returns { promise, stop, requestId }; promise resolves with the response, which
+ * has cancelled: true once stop() sent CANCEL_REQUEST.
+ */
+export function requestFromBackground(request) {
+  const requestId = crypto.randomUUID();
+
+  const promise = new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ ...request, requestId }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Failed to communicate with background script: ${chrome.runtime.lastError.message}`));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+
+  return {
+    promise,
+    requestId,
+    stop: () => chrome.runtime.sendMessage({ type: MessageTypes.CANCEL_REQUEST, requestId })
+  };
+}
+
+/**
+ * Describe a long-video progress update, e.g. "Summarizing chunk 3/12..."
+ */
+export function describeProgress(progress) {
+  switch (progress?.stage) {
+    case 'chunk':
+      return `Summarizing chunk ${progress.current}/${progress.total}...`;
+    case 'merge':
+      return `Merging notes ${progress.current}/${progress.total}...`;
+    case 'final':
+      return 'Writing final result...';
+    case 'history':
+      return 'Summarizing earlier conversation...';
+    default:
+      return '';
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * SuperPlay AI - Summary Format
+ * JSON schema for summary responses, plus the parser that validates,
+ * repairs and normalizes what the model returned
+ */
+
+import { formatTimestamp } from './transcriptUtils.js';
+
+const MAX_CHAPTER_TITLE_LENGTH = 60;
+const MAX_CHAPTER_DESCRIPTION_LENGTH = 120;
+const TIMESTAMP_PATTERN = /^\[?(?:\d{1,2}:)?\d{1,3}:\d{2}\]?$/;
+
+// Sent to providers that support structured output (JSON Schema subset every provider accepts)
+export const SummaryResponseSchema = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'A concise 2-3 sentence summary of the video in markdown'
+    },
+    chapters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Short descriptive chapter title' },
+          timestamp: { type: 'string', description: 'Chapter start as m:ss or h:mm:ss' },
+          seconds: { type: 'number', description: 'Chapter start in seconds' },
+          description: { type: 'string', description: 'What this section covers' }
+        },
+        required: ['title', 'timestamp', 'seconds', 'description'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['summary', 'chapters'],
+  additionalProperties: false
+};
+
+/**
+ * Parse a summary response into { summary, chapters }.
+ * Chapters without a usable start time are dropped, start times are clamped
+ * to the video duration (seconds) and sorted. Throws when nothing usable is left.
+ */
+export function parseSummaryResponse(response, { duration = 0 } = {}) {
+  const data = parseJsonObject(response);
+
+  if (typeof data.summary !== 'string' || !data.summary.trim()) {
+    throw new Error('Response has no "summary" text');
+  }
+  if (!Array.isArray(data.chapters)) {
+    throw new Error('Response has no "chapters" array');
+  }
+
+  const chapters = validateChapters(data.chapters, duration);
+  if (chapters.length === 0) {
+    throw new Error('Response has no valid chapters (each needs a title and a start time)');
+  }
+
+  return { summary: data.summary.trim(), chapters };
+}
+
+/**
+ * Normalize chapters: keep those with a title and a start time,
+ * clamp starts to [0, duration), sort them and drop duplicate starts
+ */
+export function validateChapters(chapters, duration = 0) {
+  const lastStart = Number.isFinite(duration) && duration > 0 ? Math.max(0, Math.floor(duration) - 1) : Infinity;
+  const valid = [];
+
+  chapters.forEach((chapter, index) => {
+    const title = typeof chapter?.title === 'string' ? chapter.title.trim() : '';
+    const start = getStartSeconds(chapter);
+
+    if (!title || start === null) {
+      console.warn(`SuperPlay AI: Dropping invalid chapter ${index + 1}:`, chapter);
+      return;
+    }
+
+    const seconds = Math.min(Math.max(0, Math.round(start)), lastStart);
+    valid.push({
+      title: title.substring(0, MAX_CHAPTER_TITLE_LENGTH),
+      timestamp: formatTimestamp(seconds),
+      seconds,
+      description: typeof chapter.description === 'string'
+        ? chapter.description.trim().substring(0, MAX_CHAPTER_DESCRIPTION_LENGTH)
+        : ''
+    });
+  });
+
+  const sorted = valid
+    .sort((a, b) => a.seconds - b.seconds)
+    .filter((chapter, index, all) => index === 0 || chapter.seconds !== all[index - 1].seconds);
+
+  // The first chapter always opens the video
+  if (sorted.length > 0 && sorted[0].seconds !== 0) {
+    sorted[0] = { ...sorted[0], seconds: 0, timestamp: formatTimestamp(0) };
+  }
+
+  return sorted;
+}
+
+/**
+ * Start time in seconds of a chapter or quiz question from "seconds" or
+ * "timestamp", or null when neither is usable
+ */
+export function getStartSeconds(item) {
+  const seconds = typeof item?.seconds === 'string' ? Number(item.seconds) : item?.seconds;
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds;
+  }
+
+  const timestamp = String(item?.timestamp ?? '').trim();
+  if (TIMESTAMP_PATTERN.test(timestamp)) {
+    return timestamp.replace(/[[\]]/g, '').split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+  }
+
+  return null;
+}
+
+/**
+ * Parse the JSON object in a response, repairing common model mistakes:
+ * markdown fences, text around the object, smart quotes and trailing commas
+ */
+export function parseJsonObject(response) {
+  const text = String(response || '').replace(/```(?:json)?/gi, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Response does not contain a JSON object');
+  }
+
+  const json = text.slice(start, end + 1);
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    const repaired = json
+      .replace(/[“”]/g, '"')
+      .replace(/,\s*([}\]])/g, '$1');
+    try {
+      return JSON.parse(repaired);
+    } catch {
+      throw new Error(`Response is not valid JSON (${error.message})`);
+    }
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * SuperPlay AI - Transcript Search
+ * Ranks transcript chunks against a question with BM25, so follow-up prompts
+ * only carry the parts of the video that matter. Runs in the background worker.
+ */
+
+import { chunkTranscript, formatTranscriptForPrompt, getTranscriptDuration, getTranscriptText } from './transcriptUtils.js';
+
+// BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words too common to say anything about which chunk answers a question
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no', 'not', 'now',
+  'of', 'on', 'one', 'or', 'our', 'out', 'over', 'said', 'say', 'says', 'she', 'so', 'some', 'than',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'too',
+  'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'would', 'you', 'your', 'video', 'talk', 'talks', 'mean', 'means', 'explain', 'tell'
+]);
+
+/**
+ * Split text into lowercase search terms, without stop words
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Score every document against the query with BM25.
+ * Returns [{ index, score }] best first; equal scores keep document order.
+ */
+export function rankDocuments(documents, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const docs = documents.map(text => {
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { length: terms.length, frequencies };
+  });
+
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+
+  const idf = new Map(queryTerms.map(term => {
+    const documentFrequency = docs.filter(doc => doc.frequencies.has(term)).length;
+    return [term, Math.log(1 + (docs.length - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+  }));
+
+  return docs
+    .map((doc, index) => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = doc.frequencies.get(term) || 0;
+        if (!frequency) continue;
+        score += idf.get(term) * (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+      }
+      return { index, score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+/**
+ * Time range and prompt text of a chunk; untimed chunks have null times
+ */
+function describeChunk(chunk) {
+  const timed = Array.isArray(chunk) && chunk.length > 0;
+  return {
+    start: timed ? chunk[0].start : null,
+    end: timed ? getTranscriptDuration(chunk) : null,
+    text: formatTranscriptForPrompt(chunk)
+  };
+}
+
+/**
+ * Pick the topK transcript chunks most relevant to a query.
+ * Returns chunks in video order: [{ number, start, end, text, score }],
+ * where number is the chunk's 1-based position in the whole transcript and
+ * text is the chunk formatted for a prompt.
+ */
+export function retrieveTranscriptChunks(transcript, query, { chunkSize = 1500, topK = 5 } = {}) {
+  const chunks = chunkTranscript(transcript, chunkSize);
+  const ranking = rankDocuments(chunks.map(getTranscriptText), query);
+
+  return ranking
+    .slice(0, topK)
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, score }) => ({ number: index + 1, ...describeChunk(chunks[index]), score }));
+}
+
+/**
+ * Pick the transcript chunks most relevant to a query across several videos.
+ * Every video with a transcript gets its best chunk, so comparisons see each
+ * of them; the rest of the topK slots go to the best chunks overall.
+ * Videos without a transcript are skipped but keep their index.
+ * Returns [{ video, number, start, end, text, score }] grouped by video in
+ * input order, video being the 0-based index into videos.
+ */
+export function retrieveCollectionChunks(videos, query, { chunkSize = 1500, topK = 8 } = {}) {
+  const chunks = videos.flatMap((video, videoIndex) => {
+    if (!getTranscriptText(video.transcript).trim()) return [];
+    return chunkTranscript(video.transcript, chunkSize).map((chunk, index) => ({ video: videoIndex, number: index + 1, chunk }));
+  });
+  const ranking = rankDocuments(chunks.map(({ chunk }) => getTranscriptText(chunk)), query);
+
+  const picked = new Set();
+  const coveredVideos = new Set();
+  ranking.forEach(({ index }) => {
+    if (!coveredVideos.has(chunks[index].video)) {
+      coveredVideos.add(chunks[index].video);
+      picked.add(index);
+    }
+  });
+  ranking.forEach(({ index }) => {
+    if (picked.size < Math.max(topK, coveredVideos.size)) {
+      picked.add(index);
+    }
+  });
+
+  const scores = new Map(ranking.map(({ index, score }) => [index, score]));
+  return [...picked]
+    .sort((a, b) => a - b)
+    .map(index => {
+      const { video, number, chunk } = chunks[index];
+      return { video, number, ...describeChunk(chunk), score: scores.get(index) };
+    });
+}
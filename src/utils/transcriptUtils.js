@@ -34,19 +34,20 @@ export function getCurrentVideoId() {
 /**
  * Fetch video transcript using YouTube's internal caption API
  * Attempts multiple methods to get transcript data
+ * Resolves with timed segments: [{ start, duration, text }]
  */
-export async function fetchVideoTranscript(videoId) {
+export async function fetchVideoTranscript(videoId, trackOptions = {}) {
   try {
     console.log('Fetching transcript for video:', videoId);
     
     // Method 1: Try to get transcript from YouTube's player response
-    const transcript = await tryGetTranscriptFromPlayerResponse(videoId);
+    const transcript = await tryGetTranscriptFromPlayerResponse(videoId, trackOptions);
     if (transcript) {
       return cleanTranscript(transcript);
     }
 
     // Method 2: Try to get auto-generated captions
-    const autoTranscript = await tryGetAutoGeneratedCaptions(videoId);
+    const autoTranscript = await tryGetAutoGeneratedCaptions(videoId, trackOptions);
     if (autoTranscript) {
       return cleanTranscript(autoTranscript);
     }
@@ -69,7 +70,7 @@ export async function fetchVideoTranscript(videoId) {
 /**
  * Try to get transcript from YouTube's player response API
  */
-async function tryGetTranscriptFromPlayerResponse(videoId) {
+async function tryGetTranscriptFromPlayerResponse(videoId, trackOptions = {}) {
   try {
     // YouTube's internal API endpoint for getting video info
     const response = await fetch(`https://www.youtube.com/youtubei/v1/player?key=KEY_HERE`, {
@@ -95,17 +96,9 @@ async function tryGetTranscriptFromPlayerResponse(videoId) {
     const data = await response.json();
     
     // Extract captions from the response
-    const captions = data?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-    
-    if (!captions || !captions.length) {
-      return null;
-    }
-
-    // Prefer English captions, or take the first available
-    let captionTrack = captions.find(track => 
-      track.languageCode?.toLowerCase() === 'en' || 
-      track.languageCode?.toLowerCase() === 'en-us'
-    ) || captions[0];
+    const captionTrack = selectCaptionTrack(normalizeCaptionTracks(
+      data?.captions?.playerCaptionsTracklistRenderer?.captionTracks
+    ), trackOptions);
 
     if (!captionTrack?.baseUrl) {
       return null;
@@ -129,7 +122,7 @@ async function tryGetTranscriptFromPlayerResponse(videoId) {
 /**
  * Try to get auto-generated captions using a different approach
  */
-async function tryGetAutoGeneratedCaptions(videoId) {
+async function tryGetAutoGeneratedCaptions(videoId, trackOptions = {}) {
   try {
     // This method tries to extract caption tracks from the video page
     const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`);
@@ -147,16 +140,9 @@ async function tryGetAutoGeneratedCaptions(videoId) {
       return null;
     }
 
-    const captionTracks = JSON.parse(match[1]);
-    
-    if (!captionTracks || !captionTracks.length) {
-      return null;
-    }
-
-    // Get the first available caption track
-    const captionTrack = captionTracks[0];
+    const captionTrack = selectCaptionTrack(normalizeCaptionTracks(JSON.parse(match[1])), trackOptions);
     
-    if (!captionTrack.baseUrl) {
+    if (!captionTrack?.baseUrl) {
       return null;
     }
 
@@ -175,6 +161,54 @@ async function tryGetAutoGeneratedCaptions(videoId) {
   }
 }
 
+/**
+ * Normalize YouTube captionTracks into
+ * [{ id, languageCode, label, isAutoGenerated, baseUrl }]
+ */
+export function normalizeCaptionTracks(captionTracks) {
+  if (!Array.isArray(captionTracks)) return [];
+
+  return captionTracks
+    .filter(track => track && track.baseUrl && track.languageCode)
+    .map(track => {
+      const isAutoGenerated = track.kind === 'asr';
+      const name = track.name?.simpleText ||
+        (track.name?.runs || []).map(run => run.text).join('') ||
+        track.languageCode;
+
+      return {
+        id: track.vssId || `${isAutoGenerated ? 'a' : ''}.${track.languageCode}`,
+        languageCode: track.languageCode,
+        label: isAutoGenerated && !/auto-generated/i.test(name) ? `${name} (auto-generated)` : name,
+        isAutoGenerated,
+        baseUrl: track.baseUrl
+      };
+    });
+}
+
+/**
+ * Pick a caption track: the requested trackId, else a manual track in the
+ * preferred language, else a manual track in the spoken language (the one
+ * YouTube auto-generated), else the auto-generated track, else the first one
+ */
+export function selectCaptionTrack(tracks, { trackId, preferredLanguage } = {}) {
+  if (!tracks || !tracks.length) return null;
+
+  const requested = trackId && tracks.find(track => track.id === trackId);
+  if (requested) return requested;
+
+  const baseLanguage = (code) => (code || '').toLowerCase().split('-')[0];
+  const manualIn = (code) => code && tracks.find(track =>
+    !track.isAutoGenerated && baseLanguage(track.languageCode) === baseLanguage(code)
+  );
+  const spoken = tracks.find(track => track.isAutoGenerated);
+
+  return manualIn(preferredLanguage) ||
+    manualIn(spoken?.languageCode) ||
+    spoken ||
+    tracks[0];
+}
+
 /**
  * Try to extract transcript from the current page if captions are enabled
  * Only works in content script context, not service worker
@@ -191,10 +225,12 @@ function tryExtractFromPage() {
     const subtitleElements = document.querySelectorAll('.ytp-caption-segment');
     
     if (subtitleElements.length > 0) {
+      // Visible captions belong to the current playback position
+      const video = document.querySelector('video');
+      const start = video ? video.currentTime : 0;
       return Array.from(subtitleElements)
-        .map(el => el.textContent?.trim())
-        .filter(text => text)
-        .join(' ');
+        .map(el => ({ start, duration: 0, text: el.textContent?.trim() }))
+        .filter(segment => segment.text);
     }
 
     // Alternative: look for transcript in the description or comments
@@ -203,7 +239,8 @@ function tryExtractFromPage() {
       const text = description.textContent;
       // Simple heuristic: if description is long and contains time stamps, it might be a transcript
       if (text.length > 500 && /\d{1,2}:\d{2}/.test(text)) {
-        return text;
+        const segments = parseTimestampedText(text);
+        return segments.length ? segments : null;
       }
     }
 
@@ -216,11 +253,14 @@ function tryExtractFromPage() {
 }
 
 /**
- * Parse XML transcript format from YouTube
+ * Parse XML transcript format from YouTube into timed segments.
+ * Handles both the classic format (<text start="1.2" dur="3.4">, seconds)
+ * and srv3 (<p t="1200" d="3400">, milliseconds).
+ * Returns [{ start, duration, text }] or null when nothing could be parsed.
  */
-function parseTranscriptXml(xml) {
+export function parseTranscriptXml(xml) {
   try {
-    // Check if DOMParser is available (service workers in Chrome do support it)
+    // Check if DOMParser is available (service workers in Chrome do not support it)
     if (typeof DOMParser === 'undefined') {
       console.log('DOMParser not available, falling back to regex parsing');
       return parseTranscriptXmlFallback(xml);
@@ -229,25 +269,27 @@ function parseTranscriptXml(xml) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(xml, 'text/xml');
     const textElements = doc.querySelectorAll('text');
+    const paragraphElements = doc.querySelectorAll('p');
     
-    if (!textElements.length) {
+    let segments;
+    if (textElements.length) {
+      segments = Array.from(textElements).map(el => createSegment(
+        parseFloat(el.getAttribute('start')),
+        parseFloat(el.getAttribute('dur')),
+        el.textContent
+      ));
+    } else if (paragraphElements.length) {
+      segments = Array.from(paragraphElements).map(el => createSegment(
+        parseFloat(el.getAttribute('t')) / 1000,
+        parseFloat(el.getAttribute('d')) / 1000,
+        el.textContent
+      ));
+    } else {
       return parseTranscriptXmlFallback(xml);
     }
 
-    return Array.from(textElements)
-      .map(el => {
-        // Decode HTML entities and clean up text
-        const text = el.textContent || '';
-        return text
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
-          .replace(/&quot;/g, '"')
-          .replace(/&#39;/g, "'")
-          .trim();
-      })
-      .filter(text => text)
-      .join(' ');
+    segments = segments.filter(segment => segment.text);
+    return segments.length ? segments : null;
 
   } catch (error) {
     console.error('Failed to parse transcript XML:', error);
@@ -260,28 +302,25 @@ function parseTranscriptXml(xml) {
  */
 function parseTranscriptXmlFallback(xml) {
   try {
-    // Extract text content using regex
-    const textMatches = xml.match(/<text[^>]*>([^<]*)<\/text>/g);
-    
-    if (!textMatches) {
-      return null;
+    const segments = [];
+    const elementPattern = /<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+    let match;
+
+    while ((match = elementPattern.exec(xml)) !== null) {
+      const [, tag, attributeString, content] = match;
+      const attributes = parseXmlAttributes(attributeString);
+      const isSrv3 = tag === 'p';
+
+      segments.push(createSegment(
+        isSrv3 ? parseFloat(attributes.t) / 1000 : parseFloat(attributes.start),
+        isSrv3 ? parseFloat(attributes.d) / 1000 : parseFloat(attributes.dur),
+        // srv3 wraps words in <s> tags
+        content.replace(/<[^>]+>/g, '')
+      ));
     }
 
-    return textMatches
-      .map(match => {
-        // Extract content between tags
-        const content = match.replace(/<text[^>]*>([^<]*)<\/text>/, '$1');
-        // Decode HTML entities
-        return content
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
-          .replace(/&quot;/g, '"')
-          .replace(/&#39;/g, "'")
-          .trim();
-      })
-      .filter(text => text)
-      .join(' ');
+    const filtered = segments.filter(segment => segment.text);
+    return filtered.length ? filtered : null;
 
   } catch (error) {
     console.error('Failed to parse transcript XML with fallback:', error);
@@ -290,30 +329,208 @@ function parseTranscriptXmlFallback(xml) {
 }
 
 /**
- * Clean and process transcript text
+ * Read name="value" pairs from an XML start tag
  */
-export function cleanTranscript(rawTranscript) {
-  if (!rawTranscript) return '';
-  
-  return rawTranscript
+function parseXmlAttributes(attributeString) {
+  const attributes = {};
+  const attributePattern = /(\w+)="([^"]*)"/g;
+  let match;
+
+  while ((match = attributePattern.exec(attributeString)) !== null) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+/**
+ * Build a transcript segment with decoded, single-line text
+ */
+function createSegment(start, duration, text) {
+  return {
+    start: Number.isFinite(start) ? Math.round(start * 100) / 100 : 0,
+    duration: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : 0,
+    text: decodeHtmlEntities(text || '').replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Decode the HTML entities YouTube uses in caption text (sometimes double-encoded)
+ */
+export function decodeHtmlEntities(text) {
+  const entities = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&nbsp;': ' '
+  };
+
+  let decoded = text;
+  // Two passes handle "&amp;#39;" style double encoding
+  for (let pass = 0; pass < 2; pass++) {
+    decoded = decoded.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+      }
+      return entities[entity.toLowerCase()] ?? entity;
+    });
+  }
+  return decoded;
+}
+
+/**
+ * Parse text where lines start with a timestamp ("1:23 Intro") into segments.
+ * Used for descriptions that contain a transcript or chapter list.
+ */
+export function parseTimestampedText(text) {
+  const segments = [];
+  const linePattern = /^\s*\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?\s*[-–—:]?\s*(.+)$/;
+
+  for (const line of (text || '').split('\n')) {
+    const match = line.match(linePattern);
+    if (match) {
+      segments.push(createSegment(parseTimestamp(match[1]), 0, match[2]));
+    }
+  }
+
+  // Each line lasts until the next one starts
+  for (let i = 0; i < segments.length - 1; i++) {
+    segments[i].duration = Math.max(0, segments[i + 1].start - segments[i].start);
+  }
+
+  return segments.filter(segment => segment.text);
+}
+
+/**
+ * Clean caption text: auto-caption artifacts, repeated whitespace and punctuation
+ */
+export function cleanTranscriptText(text) {
+  if (!text) return '';
+
+  return text
     // Remove excessive whitespace
     .replace(/\s+/g, ' ')
-    // Remove timestamp markers (common patterns)
-    .replace(/\d{1,2}:\d{2}(?::\d{2})?\s*/g, '')
     // Remove common YouTube auto-caption artifacts
     .replace(/\[Music\]/gi, '')
     .replace(/\[Applause\]/gi, '')
     .replace(/\[Laughter\]/gi, '')
     .replace(/\[.*?\]/g, '')
+    // Remove repeated words (common in auto-captions)
+    .replace(/\b(\w+)\s+\1\b/gi, '$1')
     // Clean up punctuation
     .replace(/\s+([.,!?])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Clean a transcript while keeping its timing.
+ * Segment arrays are cleaned per segment (empty ones dropped); plain strings are cleaned as text.
+ */
+export function cleanTranscript(rawTranscript) {
+  if (!rawTranscript) return Array.isArray(rawTranscript) ? [] : '';
+
+  if (Array.isArray(rawTranscript)) {
+    return rawTranscript
+      .map(segment => ({ ...segment, text: cleanTranscriptText(segment.text) }))
+      .filter(segment => segment.text);
+  }
+
+  return cleanTranscriptText(rawTranscript);
+}
+
+/**
+ * Plain text of a transcript, for length checks and text-only consumers
+ */
+export function getTranscriptText(transcript) {
+  if (!transcript) return '';
+  if (typeof transcript === 'string') return transcript;
+  return transcript.map(segment => segment.text).join(' ');
+}
+
+/**
+ * End time in seconds of the last segment
+ */
+export function getTranscriptDuration(transcript) {
+  if (!Array.isArray(transcript) || !transcript.length) return 0;
+  const last = transcript[transcript.length - 1];
+  return last.start + (last.duration || 0);
+}
+
+/**
+ * Text spoken around a point in the video, e.g. for previewing a [mm:ss] citation.
+ * Covers `before` seconds earlier to `after` seconds later, cut to maxLength characters.
+ */
+export function getTranscriptExcerpt(transcript, seconds, { before = 5, after = 20, maxLength = 280 } = {}) {
+  if (!Array.isArray(transcript) || !Number.isFinite(seconds)) return '';
+
+  const text = transcript
+    .filter(segment => segment.start + (segment.duration || 0) > seconds - before && segment.start < seconds + after)
+    .map(segment => segment.text)
+    .join(' ')
     .trim();
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Caption line on screen at a point in the video: the last segment that
+ * started by then, or '' before the first one
+ */
+export function getTranscriptLine(transcript, seconds) {
+  if (!Array.isArray(transcript) || !Number.isFinite(seconds)) return '';
+
+  let line = '';
+  for (const segment of transcript) {
+    if (segment.start > seconds) break;
+    line = segment.text;
+  }
+  return line.trim();
 }
 
 /**
- * Chunk transcript into smaller pieces for AI processing
+ * Format a transcript for a prompt: one line per ~interval seconds,
+ * each starting with its real [mm:ss] position in the video.
+ * Plain strings (no timing available) are returned unchanged.
+ */
+export function formatTranscriptForPrompt(transcript, interval = 20) {
+  if (!Array.isArray(transcript)) return transcript || '';
+
+  const lines = [];
+  let lineStart = null;
+  let lineText = [];
+
+  for (const segment of transcript) {
+    if (lineStart === null || segment.start - lineStart >= interval) {
+      if (lineText.length) {
+        lines.push(`[${formatTimestamp(lineStart)}] ${lineText.join(' ')}`);
+      }
+      lineStart = segment.start;
+      lineText = [];
+    }
+    lineText.push(segment.text);
+  }
+
+  if (lineText.length) {
+    lines.push(`[${formatTimestamp(lineStart)}] ${lineText.join(' ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Chunk transcript into smaller pieces for AI processing.
+ * Segment arrays are split on segment boundaries, so every chunk is itself
+ * a timestamped transcript; plain strings are split on sentences.
  */
 export function chunkTranscript(transcript, maxChunkSize = 2000) {
+  if (Array.isArray(transcript)) {
+    return chunkSegments(transcript, maxChunkSize);
+  }
+
   if (!transcript || transcript.length <= maxChunkSize) {
     return [transcript];
   }
@@ -343,12 +560,43 @@ export function chunkTranscript(transcript, maxChunkSize = 2000) {
   return chunks;
 }
 
+function chunkSegments(segments, maxChunkSize) {
+  const chunks = [];
+  let currentChunk = [];
+  let currentLength = 0;
+
+  for (const segment of segments) {
+    const segmentLength = segment.text.length + 1;
+
+    if (currentChunk.length && currentLength + segmentLength > maxChunkSize) {
+      chunks.push(currentChunk);
+      currentChunk = [];
+      currentLength = 0;
+    }
+
+    currentChunk.push(segment);
+    currentLength += segmentLength;
+  }
+
+  if (currentChunk.length) {
+    chunks.push(currentChunk);
+  }
+
+  return chunks;
+}
+
 /**
- * Format timestamp from seconds to MM:SS format
+ * Format timestamp from seconds to M:SS (or H:MM:SS) format
  */
 export function formatTimestamp(seconds) {
-  const minutes = Math.floor(seconds / 60);
-  const remainingSeconds = seconds % 60;
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const remainingSeconds = total % 60;
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+  }
   return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
@@ -356,7 +604,7 @@ export function formatTimestamp(seconds) {
  * Parse timestamp string to seconds
  */
 export function parseTimestamp(timestamp) {
-  const parts = timestamp.split(':').map(Number);
+  const parts = String(timestamp).replace(/[[\]\s]/g, '').split(':').map(Number);
   
   if (parts.length === 2) {
     return parts[0] * 60 + parts[1]; // MM:SS
@@ -0,0 +1,189 @@
+import './helpers/quietConsole.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startGeminiServer } from './helpers/geminiServer.js';
+import {
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  createProvider
+} from '../src/services/ai-providers.js';
+import { SummaryResponseSchema } from '../src/utils/summaryFormat.js';
+
+const API_KEY = `AIza${'x'.repeat(35)}`;
+
+let server;
+
+const createGemini = () => {
+  const provider = new GeminiProvider({ apiKey: API_KEY, baseUrl: server.url, model: 'gemini-test' });
+  provider.retryDelay = 1;
+  return provider;
+};
+
+before(async () => {
+  server = await startGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+test('generate returns the text of a generateContent response', async () => {
+  server.reply({ text: '  Hello from Gemini  ' });
+
+  assert.equal(await createGemini().generate('Say hello'), 'Hello from Gemini');
+  assert.equal(server.requests.length, 1);
+
+  const [request] = server.requests;
+  assert.equal(request.model, 'gemini-test');
+  assert.equal(request.method, 'generateContent');
+  assert.equal(request.key, API_KEY);
+  assert.equal(request.body.contents[0].parts[0].text, 'Say hello');
+  assert.equal(request.body.safetySettings.length, 4);
+});
+
+test('generate retries rate limits and server errors', async () => {
+  server.reply({ status: 429 }, { status: 500 }, { text: 'Recovered' });
+
+  assert.equal(await createGemini().generate('prompt'), 'Recovered');
+  assert.equal(server.requests.length, 3);
+});
+
+test('generate gives up after the last retry', async () => {
+  server.reply({ status: 500 }, { status: 500 }, { status: 500 });
+
+  await assert.rejects(createGemini().generate('prompt', { retries: 3 }), (error) => {
+    assert.match(error.message, /server error/);
+    assert.equal(error.status, 500);
+    return true;
+  });
+  assert.equal(server.requests.length, 3);
+});
+
+test('generate reports a rate limit that never clears', async () => {
+  server.reply({ status: 429 }, { status: 429 });
+
+  await assert.rejects(createGemini().generate('prompt', { retries: 2 }), /Rate limit exceeded/);
+});
+
+test('generate does not retry client errors', async () => {
+  server.reply({ status: 400, message: 'API key not valid' });
+
+  await assert.rejects(createGemini().generate('prompt'), /Invalid request: API key not valid/);
+  assert.equal(server.requests.length, 1);
+});
+
+test('generate retries malformed bodies and missing candidates', async () => {
+  server.reply({ raw: '{"candidates": [' }, { raw: '{"promptFeedback": {"blockReason": "SAFETY"}}' }, { text: 'Fine now' });
+
+  assert.equal(await createGemini().generate('prompt'), 'Fine now');
+  assert.equal(server.requests.length, 3);
+});
+
+test('generate fails when every body is malformed', async () => {
+  server.reply({ raw: 'not json' }, { raw: 'not json' });
+
+  await assert.rejects(createGemini().generate('prompt', { retries: 2 }), SyntaxError);
+});
+
+test('generate asks Gemini for JSON matching a response schema', async () => {
+  server.reply({ text: '{"summary": "S", "chapters": []}' });
+
+  await createGemini().generate('prompt', { responseSchema: SummaryResponseSchema });
+
+  const { generationConfig } = server.requests[0].body;
+  assert.equal(generationConfig.responseMimeType, 'application/json');
+  assert.equal(generationConfig.responseSchema.type, 'OBJECT');
+  assert.equal(generationConfig.responseSchema.properties.chapters.type, 'ARRAY');
+  assert.equal(generationConfig.responseSchema.properties.chapters.items.properties.seconds.type, 'NUMBER');
+  assert.equal(generationConfig.responseSchema.additionalProperties, undefined);
+});
+
+test('generate sends chat turns as Gemini contents with roles', async () => {
+  server.reply({ text: 'Sure' });
+
+  await createGemini().generate([
+    { role: 'user', text: 'Explain this video.' },
+    { role: 'model', text: 'It is about caching.' },
+    { role: 'user', text: 'Expand on that' }
+  ]);
+
+  assert.deepEqual(server.requests[0].body.contents, [
+    { role: 'user', parts: [{ text: 'Explain this video.' }] },
+    { role: 'model', parts: [{ text: 'It is about caching.' }] },
+    { role: 'user', parts: [{ text: 'Expand on that' }] }
+  ]);
+});
+
+test('stream delivers chunks as they arrive and resolves with the full text', async () => {
+  server.reply({ text: 'One two three four five six seven' });
+  const chunks = [];
+
+  const text = await createGemini().stream('prompt', { onChunk: (chunk) => chunks.push(chunk) });
+
+  assert.equal(text, 'One two three four five six seven');
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join(''), text);
+  assert.equal(server.requests[0].method, 'streamGenerateContent');
+});
+
+test('stream stops with an AbortError when the signal fires', async () => {
+  server.reply({ text: 'word '.repeat(200) });
+  const controller = new AbortController();
+
+  await assert.rejects(
+    createGemini().stream('prompt', {
+      signal: controller.signal,
+      onChunk: () => controller.abort()
+    }),
+    { name: 'AbortError' }
+  );
+});
+
+test('testConnection reports success and failure', async () => {
+  server.reply({ text: 'Connection successful' });
+  assert.deepEqual(await createGemini().testConnection(), {
+    success: true,
+    message: 'Google Gemini connection successful! (gemini-test)'
+  });
+
+  server.reply({ status: 403 });
+  const result = await createGemini().testConnection();
+  assert.equal(result.success, false);
+  assert.match(result.message, /forbidden/);
+});
+
+test('Gemini validates the API key before calling the API', async () => {
+  const provider = new GeminiProvider({ apiKey: 'not-a-key', baseUrl: server.url });
+
+  await assert.rejects(provider.generate('prompt'), /Invalid Gemini API key format/);
+  await assert.rejects(new GeminiProvider({ baseUrl: server.url }).generate('prompt'), /API key not configured/);
+  assert.equal(server.requests.length, 0);
+});
+
+test('OpenAI-compatible and Ollama providers pass the schema in their own format', () => {
+  const openai = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:1234/v1', model: 'local' });
+  const openaiRequest = openai.buildRequest('prompt', { responseSchema: SummaryResponseSchema });
+  assert.equal(openaiRequest.url, 'http://localhost:1234/v1/chat/completions');
+  assert.deepEqual(openaiRequest.headers, {});
+  assert.equal(openaiRequest.body.response_format.type, 'json_schema');
+  assert.equal(openaiRequest.body.response_format.json_schema.schema, SummaryResponseSchema);
+  assert.equal(openai.buildStreamRequest('prompt').body.stream, true);
+  assert.deepEqual(openai.buildRequest([{ role: 'user', text: 'Q' }, { role: 'model', text: 'A' }]).body.messages, [
+    { role: 'user', content: 'Q' },
+    { role: 'assistant', content: 'A' }
+  ]);
+
+  const ollama = new OllamaProvider({ model: 'llama3.1' });
+  const ollamaRequest = ollama.buildRequest('prompt', { responseSchema: SummaryResponseSchema });
+  assert.equal(ollamaRequest.url, 'http://localhost:11434/api/chat');
+  assert.equal(ollamaRequest.body.format, SummaryResponseSchema);
+  assert.equal(ollama.buildRequest('prompt').body.format, undefined);
+});
+
+test('createProvider builds the provider selected in settings', () => {
+  assert.ok(createProvider({}) instanceof GeminiProvider);
+  assert.ok(createProvider({ aiProvider: 'openai', openaiModel: 'gpt-test' }) instanceof OpenAICompatibleProvider);
+  assert.equal(createProvider({ aiProvider: 'ollama', ollamaModel: ' qwen ' }).model, 'qwen');
+  assert.throws(() => createProvider({ aiProvider: 'nope' }), /Unknown AI provider/);
+});
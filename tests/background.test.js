@@ -0,0 +1,570 @@
+import './helpers/quietConsole.js';
+import 'fake-indexeddb/auto';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeShim, dispatchMessage } from './helpers/chromeShim.js';
+import { startGeminiServer } from './helpers/geminiServer.js';
+import { streamFromBackground } from '../src/utils/streamClient.js';
+import { CacheConfig } from '../src/utils/constants.js';
+import { LibraryService } from '../src/services/library.js';
+
+const API_KEY = `AIza${'x'.repeat(35)}`;
+
+const TRANSCRIPT = [
+  { start: 0, duration: 20, text: 'Welcome to this talk about caching in distributed systems.' },
+  { start: 20, duration: 25, text: 'First we look at read-through caches and their failure modes.' },
+  { start: 45, duration: 30, text: 'Then we compare write-back and write-through strategies.' },
+  { start: 75, duration: 25, text: 'Finally we cover invalidation, the hardest part.' }
+];
+
+const SUMMARY = {
+  summary: 'A talk about **caching** strategies.',
+  chapters: [
+    { title: 'Intro', timestamp: '0:00', seconds: 0, description: 'What the talk covers' },
+    { title: 'Write strategies', timestamp: '0:45', seconds: 45, description: 'Write-back vs write-through' },
+    { title: 'Invalidation', timestamp: '9:00', seconds: 540, description: 'Past the end of the video' }
+  ]
+};
+
+let chrome;
+let server;
+let restoreFetch;
+
+const send = (message) => dispatchMessage(chrome, message);
+const lastPrompt = () => server.requests.at(-1).body.contents.at(-1).parts[0].text;
+const lastRoles = () => server.requests.at(-1).body.contents.map(({ role }) => role);
+
+before(async () => {
+  server = await startGeminiServer();
+  restoreFetch = server.interceptFetch();
+  chrome = installChromeShim({ sync: { geminiApiKey: API_KEY } });
+  await import('../src/background.js');
+});
+
+after(async () => {
+  restoreFetch();
+  await server.close();
+});
+
+beforeEach(() => {
+  server.reset();
+  chrome.tabs.tabMessageHandler = undefined;
+});
+
+test('answers unknown message types with an error', async () => {
+  assert.deepEqual(await send({ type: 'NOT_A_MESSAGE' }), { success: false, error: 'Unknown message type' });
+});
+
+test('onInstalled stores the default settings without overwriting saved ones', async () => {
+  await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'install' }));
+
+  assert.equal(chrome.storage.sync.data.geminiApiKey, API_KEY);
+  assert.equal(chrome.storage.sync.data.autoSummary, true);
+  assert.equal(chrome.storage.sync.data.aiProvider, 'gemini');
+});
+
+test('GET_SETTINGS and UPDATE_SETTINGS read and write synced settings', async () => {
+  const updated = await send({ type: 'UPDATE_SETTINGS', settings: { audienceProfile: 'expert' } });
+  assert.deepEqual(updated, { success: true });
+
+  const { success, settings } = await send({ type: 'GET_SETTINGS' });
+  assert.equal(success, true);
+  assert.equal(settings.audienceProfile, 'expert');
+  assert.equal(settings.geminiApiKey, API_KEY);
+  assert.equal(settings.enabled, true);
+
+  await send({ type: 'UPDATE_SETTINGS', settings: { audienceProfile: 'kid' } });
+});
+
+test('TEST_AI_CONNECTION calls the provider', async () => {
+  server.reply({ text: 'Connection successful' });
+
+  const response = await send({ type: 'TEST_AI_CONNECTION' });
+  assert.equal(response.success, true);
+  assert.equal(response.result.success, true);
+  assert.equal(server.requests.length, 1);
+});
+
+test('GET_VIDEO_TRANSCRIPT asks the active tab for the transcript', async () => {
+  chrome.tabs.tabMessageHandler = (message) => ({
+    success: true,
+    transcript: TRANSCRIPT,
+    track: { id: '.en', languageCode: 'en', label: 'English', isAutoGenerated: false },
+    tracks: [],
+    echo: message
+  });
+
+  const response = await send({ type: 'GET_VIDEO_TRANSCRIPT', videoId: 'video00001', trackId: '.en' });
+  assert.equal(response.success, true);
+  assert.deepEqual(response.transcript, TRANSCRIPT);
+  assert.equal(response.track.id, '.en');
+
+  const { message } = chrome.tabs.sentMessages.at(-1);
+  assert.equal(message.type, 'FETCH_TRANSCRIPT_FROM_DOM');
+  assert.equal(message.videoId, 'video00001');
+  assert.equal(message.trackId, '.en');
+});
+
+test('GET_VIDEO_TRANSCRIPT reports pages without a content script', async () => {
+  const response = await send({ type: 'GET_VIDEO_TRANSCRIPT', videoId: 'video00001' });
+
+  assert.equal(response.success, false);
+  assert.match(response.error, /refresh the page/);
+});
+
+test('keyboard commands are sent to the tab they were pressed in', async () => {
+  const received = [];
+  chrome.tabs.tabMessageHandler = (message, tabId) => received.push({ message, tabId });
+
+  chrome.commands.onCommand.dispatch('toggle-sidebar', { id: 7 });
+  chrome.commands.onCommand.dispatch('add-note', undefined);
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.deepEqual(received, [{ message: { type: 'RUN_HOTKEY_ACTION', action: 'toggle-sidebar' }, tabId: 7 }]);
+});
+
+test('GENERATE_EXPLANATION builds the prompt from the template and caches the result', async () => {
+  server.reply({ text: '# What This Video Is About\nCaching.' });
+  const request = {
+    type: 'GENERATE_EXPLANATION',
+    transcript: TRANSCRIPT,
+    videoId: 'explain001',
+    videoTitle: 'Caching at Scale',
+    channel: 'Systems Talks'
+  };
+
+  const first = await send(request);
+  assert.deepEqual(first, { success: true, explanation: '# What This Video Is About\nCaching.', cached: false });
+  assert.match(lastPrompt(), /VIDEO TITLE: "Caching at Scale"/);
+  assert.match(lastPrompt(), /CHANNEL: Systems Talks/);
+  assert.match(lastPrompt(), /\[0:45\] Then we compare write-back/);
+
+  const second = await send(request);
+  assert.equal(second.cached, true);
+  assert.equal(server.requests.length, 1);
+
+  server.reply({ text: 'Fresh explanation' });
+  const regenerated = await send({ ...request, regenerate: true });
+  assert.deepEqual(regenerated, { success: true, explanation: 'Fresh explanation', cached: false });
+  assert.equal(server.requests.length, 2);
+
+  const index = chrome.storage.local.data[CacheConfig.INDEX_KEY];
+  assert.equal(Object.keys(index).filter(key => key.includes('explain001')).length, 1);
+});
+
+test('GENERATE_EXPLANATION rejects transcripts that are too short', async () => {
+  const response = await send({ type: 'GENERATE_EXPLANATION', transcript: [{ start: 0, duration: 1, text: 'Hi' }] });
+
+  assert.equal(response.success, false);
+  assert.match(response.error, /too short/);
+  assert.equal(server.requests.length, 0);
+});
+
+test('GENERATE_SUMMARY requests schema JSON and clamps chapters to the video duration', async () => {
+  server.reply({ text: JSON.stringify(SUMMARY) });
+
+  const response = await send({
+    type: 'GENERATE_SUMMARY',
+    transcript: TRANSCRIPT,
+    videoId: 'summary001',
+    videoTitle: 'Caching at Scale',
+    duration: 100
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.summary, SUMMARY.summary);
+  assert.deepEqual(response.chapters.map(({ seconds }) => seconds), [0, 45, 99]);
+  assert.equal(server.requests[0].body.generationConfig.responseMimeType, 'application/json');
+});
+
+test('GENERATE_SUMMARY lines the chapters up with the creator\'s', async () => {
+  const request = {
+    type: 'GENERATE_SUMMARY',
+    transcript: TRANSCRIPT,
+    videoId: 'summary004',
+    videoTitle: 'Caching at Scale',
+    duration: 100,
+    creatorChapters: [
+      { title: 'Intro', seconds: 0 },
+      { title: 'Writing', seconds: 40 },
+      { title: 'Invalidation', seconds: 75 }
+    ]
+  };
+  server.reply({ text: JSON.stringify(SUMMARY) });
+
+  const response = await send(request);
+
+  assert.match(lastPrompt(), /CREATOR CHAPTERS:\n\[0:00\] Intro\n\[0:40\] Writing\n\[1:15\] Invalidation/);
+  assert.deepEqual(response.chapters.map(({ title, seconds }) => [title, seconds]), [
+    ['Intro', 0],
+    ['Write strategies', 40],
+    ['Invalidation', 99]
+  ]);
+
+  server.reply({ text: JSON.stringify(SUMMARY) });
+  const withoutChapters = await send({ ...request, creatorChapters: undefined });
+  assert.equal(withoutChapters.cached, false, 'not the summary made with the creator chapters');
+  assert.doesNotMatch(lastPrompt(), /CREATOR CHAPTERS/);
+});
+
+test('identical requests in flight share one AI call', async () => {
+  server.reply({ text: JSON.stringify(SUMMARY) });
+  const request = { type: 'GENERATE_SUMMARY', transcript: TRANSCRIPT, videoId: 'shared001', videoTitle: 'T', duration: 100 };
+
+  const [first, second] = await Promise.all([send(request), send({ ...request, requestId: 'sidebar' })]);
+
+  assert.equal(server.requests.length, 1);
+  assert.deepEqual(first, second);
+  assert.equal(first.success, true);
+});
+
+test('CANCEL_REQUEST cancels a request by its ID', async () => {
+  const pending = send({ type: 'GENERATE_SUMMARY', transcript: TRANSCRIPT, videoId: 'cancel001', videoTitle: 'T', requestId: 'summary-1' });
+
+  assert.deepEqual(await send({ type: 'CANCEL_REQUEST', requestId: 'summary-1' }), { success: true, cancelled: true });
+  assert.deepEqual(await pending, { success: false, cancelled: true, error: 'Request cancelled' });
+  assert.deepEqual(await send({ type: 'CANCEL_REQUEST', requestId: 'summary-1' }), { success: true, cancelled: false });
+});
+
+test('requests are cancelled when their tab closes or moves to another video', async () => {
+  const request = { type: 'GENERATE_QUIZ', transcript: TRANSCRIPT, videoId: 'tabvideo001', videoTitle: 'T' };
+
+  const navigated = send(request);
+  chrome.tabs.onUpdated.dispatch(1, { url: 'https://www.youtube.com/watch?v=tabvideo001&t=30' });
+  chrome.tabs.onUpdated.dispatch(1, { url: 'https://www.youtube.com/watch?v=tabvideo002' });
+  assert.equal((await navigated).cancelled, true);
+
+  const closed = send({ ...request, videoId: 'tabvideo003' });
+  chrome.tabs.onRemoved.dispatch(1, { windowId: 1, isWindowClosing: false });
+  assert.equal((await closed).cancelled, true);
+});
+
+test('GENERATE_SUMMARY asks again when the JSON is invalid', async () => {
+  server.reply({ text: 'Sure! {"summary": "cut off' }, { text: JSON.stringify(SUMMARY) });
+
+  const response = await send({ type: 'GENERATE_SUMMARY', transcript: TRANSCRIPT, videoId: 'summary002', videoTitle: 'T' });
+
+  assert.equal(response.success, true);
+  assert.equal(server.requests.length, 2);
+  assert.match(lastPrompt(), /Your previous response could not be used/);
+  assert.deepEqual(response.chapters.map(({ seconds }) => seconds), [0, 45, 99], 'falls back to the transcript duration');
+});
+
+test('GENERATE_SUMMARY fails after the repair attempt also fails', async () => {
+  server.reply({ text: 'no json here' }, { text: '{"summary": "S", "chapters": []}' });
+
+  const response = await send({ type: 'GENERATE_SUMMARY', transcript: TRANSCRIPT, videoId: 'summary003', videoTitle: 'T' });
+
+  assert.equal(response.success, false);
+  assert.match(response.error, /Failed to parse summary response: Response has no valid chapters/);
+});
+
+test('GENERATE_SUMMARY saves the video to the library only when enabled', async () => {
+  const library = new LibraryService();
+  const request = { type: 'GENERATE_SUMMARY', transcript: TRANSCRIPT, videoTitle: 'Caching at Scale', channel: 'Systems Talks', duration: 100 };
+
+  server.reply({ text: JSON.stringify(SUMMARY) });
+  await send({ ...request, videoId: 'library001' });
+  assert.equal(await library.getVideo('library001'), null);
+
+  await send({ type: 'UPDATE_SETTINGS', settings: { libraryEnabled: true } });
+  server.reply({ text: JSON.stringify(SUMMARY) });
+  await send({ ...request, videoId: 'library002' });
+
+  const saved = await library.getVideo('library002');
+  assert.equal(saved.title, 'Caching at Scale');
+  assert.equal(saved.channel, 'Systems Talks');
+  assert.deepEqual(saved.transcript, TRANSCRIPT);
+  assert.equal(saved.summary, SUMMARY.summary);
+  assert.deepEqual(saved.chapters.map(({ seconds }) => seconds), [0, 45, 99]);
+
+  await send({ type: 'UPDATE_SETTINGS', settings: { libraryEnabled: false } });
+  await library.close();
+});
+
+test('ASK_FOLLOW_UP_QUESTION sends the conversation as chat turns before the question', async () => {
+  server.reply({ text: 'Write-back batches writes [0:45].' });
+
+  const response = await send({
+    type: 'ASK_FOLLOW_UP_QUESTION',
+    question: 'Which strategy batches writes?',
+    conversation: [
+      { type: 'explanation', content: '# What This Video Is About\nCaching strategies.' },
+      { type: 'question', content: 'What is this about?' },
+      { type: 'answer', content: 'Two write strategies: 1. write-back 2. write-through' }
+    ],
+    transcript: TRANSCRIPT,
+    videoTitle: 'Caching at Scale'
+  });
+
+  assert.deepEqual(response, {
+    success: true,
+    answer: 'Write-back batches writes [0:45].',
+    sources: [{ number: 1, start: 0, end: 100 }]
+  });
+  assert.deepEqual(lastRoles(), ['user', 'model', 'user', 'model', 'user']);
+  const { contents } = server.requests[0].body;
+  assert.equal(contents[1].parts[0].text, '# What This Video Is About\nCaching strategies.');
+  assert.equal(contents[3].parts[0].text, 'Two write strategies: 1. write-back 2. write-through', 'answers are not truncated');
+  assert.match(lastPrompt(), /EXCERPT 1, covering \[0:00\] to \[1:40\]:\n\[0:00\] Welcome/);
+  assert.match(lastPrompt(), /USER'S NEW QUESTION: "Which strategy batches writes\?"/);
+  assert.match(lastPrompt(), /\[mm:ss\] marker/);
+});
+
+test('ASK_FOLLOW_UP_QUESTION only sends the transcript chunks that match the question', async () => {
+  const topics = ['gardening tomatoes', 'baking sourdough bread', 'repairing bicycles', 'painting watercolors'];
+  const transcript = Array.from({ length: 40 }, (_, i) => ({
+    start: i * 30,
+    duration: 30,
+    text: `In this part we keep talking about ${topics[Math.floor(i / 10)]} with plenty of detail and examples ${'filler '.repeat(150)}`
+  }));
+  server.reply({ text: 'Use a starter [10:00].' });
+
+  const response = await send({ type: 'ASK_FOLLOW_UP_QUESTION', question: 'How is the sourdough bread baked?', transcript, videoTitle: 'T' });
+
+  assert.equal(response.success, true);
+  assert.equal(response.sources.length, 5);
+  for (const { start } of response.sources) {
+    assert.ok(start >= 300 && start < 600, `chunk at ${start}s is not about bread`);
+  }
+  assert.doesNotMatch(lastPrompt(), /tomatoes|bicycles|watercolors/);
+});
+
+test('ASK_FOLLOW_UP_QUESTION summarizes turns beyond the token budget once', async () => {
+  const longAnswer = (n) => `Answer ${n}: ${'detail '.repeat(2000)}`;
+  const conversation = [
+    { type: 'user', content: 'First question?' },
+    { type: 'ai', content: longAnswer(1) },
+    { type: 'user', content: 'Second question?' },
+    { type: 'ai', content: longAnswer(2) },
+    { type: 'user', content: 'Third question?' },
+    { type: 'ai', content: longAnswer(3) }
+  ];
+  const request = { type: 'ASK_FOLLOW_UP_QUESTION', question: 'Expand on your second point', conversation, transcript: TRANSCRIPT, videoId: 'chat000001', videoTitle: 'T' };
+  server.reply({ text: 'User asked three questions about details.' }, { text: 'Expanded.' });
+
+  const response = await send(request);
+
+  assert.equal(response.answer, 'Expanded.');
+  assert.equal(server.requests.length, 2);
+  assert.match(server.requests[0].body.contents[0].parts[0].text, /MESSAGES TO ADD:\nUser: First question\?/);
+  assert.deepEqual(lastRoles(), ['user', 'model', 'user']);
+  assert.match(server.requests[1].body.contents[0].parts[0].text, /^Third question\?/);
+  assert.match(lastPrompt(), /SUMMARY OF THE EARLIER CONVERSATION[^\n]*\nUser asked three questions about details\./);
+
+  server.reply({ text: 'Again.' });
+  await send(request);
+  assert.equal(server.requests.length, 3, 'the summary is reused');
+});
+
+test('ASK_COLLECTION_QUESTION answers across videos from sent, saved and cached transcripts', async () => {
+  const library = new LibraryService();
+  await library.saveVideo({
+    videoId: 'collect0002',
+    title: 'Saved Talk',
+    channel: 'Library Channel',
+    transcript: [{ start: 0, duration: 30, text: 'The saved talk argues write-through caching is simpler to reason about.' }]
+  });
+  chrome.storage.local.data['transcript_collect0003_a.en'] = [
+    { start: 12, duration: 30, text: 'A cached talk shows caching metrics from production traffic.' }
+  ];
+  chrome.storage.local.data['transcript_collect0003_a.en_timestamp'] = Date.now();
+  server.reply({ text: 'V1 prefers write-back [V1 0:45] while V2 prefers write-through [V2 0:00].' });
+
+  const response = await send({
+    type: 'ASK_COLLECTION_QUESTION',
+    question: 'How do these talks approach caching writes?',
+    videos: [
+      { videoId: 'collect0001', title: 'Caching at Scale', channel: 'Systems Talks', transcript: TRANSCRIPT },
+      { videoId: 'collect0002' },
+      { videoId: 'collect0003', title: 'Cached Talk' },
+      { videoId: 'collect0004', title: 'Never Opened' }
+    ]
+  });
+
+  assert.equal(response.success, true);
+  assert.match(response.answer, /\[V2 0:00\]/);
+  assert.deepEqual(response.skipped, ['collect0004']);
+  assert.deepEqual([...new Set(response.sources.map(({ videoId }) => videoId))], ['collect0001', 'collect0002', 'collect0003']);
+
+  const prompt = lastPrompt();
+  assert.match(prompt, /V2: "Saved Talk" by Library Channel/);
+  assert.match(prompt, /V4: "Never Opened" by Unknown Channel \(no transcript available/);
+  assert.match(prompt, /V3 EXCERPT 1, covering \[0:12\] to \[0:42\]:\n\[0:12\] A cached talk/);
+  assert.match(prompt, /Cite each claim with its video label and \[mm:ss\] marker/);
+
+  await library.clear();
+  await library.close();
+});
+
+test('ASK_COLLECTION_QUESTION fails when no video has a transcript', async () => {
+  const response = await send({ type: 'ASK_COLLECTION_QUESTION', question: 'Compare these', videos: [{ videoId: 'nothing0001' }] });
+
+  assert.equal(response.success, false);
+  assert.match(response.error, /None of these videos has a saved transcript/);
+  assert.equal(server.requests.length, 0);
+});
+
+test('GENERATE_QUIZ requests schema JSON and caches the questions', async () => {
+  const quiz = {
+    questions: [
+      { type: 'multiple_choice', question: 'Which strategy is compared?', options: ['Write-back', 'Sharding', 'Paging'], answer: 'Write-back', explanation: '', timestamp: '0:45', seconds: 45 },
+      { type: 'short_answer', question: 'What is the hardest part?', options: [], answer: 'Invalidation', explanation: '', timestamp: '1:15', seconds: 75 }
+    ]
+  };
+  server.reply({ text: JSON.stringify(quiz) });
+
+  const request = { type: 'GENERATE_QUIZ', transcript: TRANSCRIPT, videoId: 'quizvideo01', videoTitle: 'Caching at Scale', duration: 100 };
+  const response = await send(request);
+
+  assert.equal(response.success, true);
+  assert.equal(response.cached, false);
+  assert.deepEqual(response.questions.map(({ type, answerIndex, seconds }) => [type, answerIndex, seconds]), [
+    ['multiple_choice', 0, 45],
+    ['short_answer', null, 75]
+  ]);
+  assert.match(lastPrompt(), /Write 5 questions for/);
+  assert.match(lastPrompt(), /"type": "multiple_choice"/);
+  assert.equal(server.requests[0].body.generationConfig.responseMimeType, 'application/json');
+
+  const again = await send(request);
+  assert.equal(again.cached, true);
+  assert.equal(server.requests.length, 1);
+});
+
+test('GENERATE_FLASHCARDS returns timestamped cards and caches them', async () => {
+  const deck = {
+    cards: [
+      { term: 'Write-back', definition: 'Writes reach storage later.', timestamp: '0:45', seconds: 45 },
+      { term: 'Invalidation', definition: 'Dropping stale copies.', timestamp: '1:15', seconds: 75 }
+    ]
+  };
+  server.reply({ text: JSON.stringify(deck) });
+
+  const request = { type: 'GENERATE_FLASHCARDS', transcript: TRANSCRIPT, videoId: 'cardvideo01', videoTitle: 'Caching at Scale', duration: 100 };
+  const response = await send(request);
+
+  assert.equal(response.success, true);
+  assert.equal(response.cached, false);
+  assert.deepEqual(response.cards.map(({ term, timestamp }) => [term, timestamp]), [['Write-back', '0:45'], ['Invalidation', '1:15']]);
+  assert.match(lastPrompt(), /Write up to 12 cards/);
+  assert.match(lastPrompt(), /"cards": \[/);
+
+  const again = await send(request);
+  assert.equal(again.cached, true);
+  assert.equal(server.requests.length, 1);
+});
+
+test('GRADE_QUIZ_ANSWER grades a short answer with the video excerpt', async () => {
+  server.reply({ text: '{"correct": true, "feedback": "Yes, invalidation."}' });
+
+  const response = await send({
+    type: 'GRADE_QUIZ_ANSWER',
+    question: { question: 'What is the hardest part?', answer: 'Invalidation', seconds: 75 },
+    answer: 'keeping caches invalidated',
+    transcript: TRANSCRIPT
+  });
+
+  assert.deepEqual(response, { success: true, correct: true, feedback: 'Yes, invalidation.' });
+  assert.match(lastPrompt(), /LEARNER'S ANSWER: "keeping caches invalidated"/);
+  assert.match(lastPrompt(), /WHAT THE VIDEO SAYS: ".*Finally we cover invalidation/);
+
+  const empty = await send({ type: 'GRADE_QUIZ_ANSWER', question: { question: 'Q?', answer: 'A' }, answer: ' ' });
+  assert.deepEqual(empty, { success: false, error: 'Answer is empty' });
+});
+
+const NOTES = [
+  { id: 'n2', seconds: 80, text: 'invalidation = hardest, ask team re TTLs', quote: 'Finally we cover invalidation, the hardest part.', createdAt: 2 },
+  { id: 'n1', seconds: 50, text: 'wb vs wt', quote: '', createdAt: 1 }
+];
+
+test('CLEAN_UP_NOTES rewrites notes by id and keeps the ones left out', async () => {
+  server.reply({ text: '{"notes": [{"id": "n1", "text": "Write-back vs. write-through."}]}' });
+
+  const response = await send({ type: 'CLEAN_UP_NOTES', notes: NOTES, videoTitle: 'Caching at Scale' });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.notes.map(({ id, text }) => [id, text]), [
+    ['n2', 'invalidation = hardest, ask team re TTLs'],
+    ['n1', 'Write-back vs. write-through.']
+  ]);
+  assert.match(lastPrompt(), /- \(id n1\) \[0:50\] wb vs wt\n- \(id n2\) \[1:20\] invalidation/);
+  assert.match(lastPrompt(), /the video says: "Finally we cover invalidation/);
+
+  const empty = await send({ type: 'CLEAN_UP_NOTES', notes: [], videoTitle: 'T' });
+  assert.deepEqual(empty, { success: false, error: 'There are no notes to clean up' });
+});
+
+test('MERGE_NOTES_WITH_SUMMARY streams study notes built from the summary and notes', async () => {
+  server.reply({ text: '### Write strategies\n- 📝 Write-back vs write-through [0:50]' });
+
+  const stream = streamFromBackground({
+    type: 'MERGE_NOTES_WITH_SUMMARY',
+    notes: NOTES,
+    summary: SUMMARY.summary,
+    chapters: SUMMARY.chapters,
+    videoTitle: 'Caching at Scale'
+  });
+  const result = await stream.promise;
+
+  assert.match(result.text, /📝 Write-back/);
+  assert.match(lastPrompt(), /SUMMARY:\nA talk about \*\*caching\*\* strategies\./);
+  assert.match(lastPrompt(), /- \[0:45\] Write strategies — Write-back vs write-through/);
+  assert.match(lastPrompt(), /MY NOTES .*\n- \[0:50\] wb vs wt\n/);
+
+  const noSummary = streamFromBackground({ type: 'MERGE_NOTES_WITH_SUMMARY', notes: NOTES, summary: '' });
+  await assert.rejects(noSummary.promise, /no summary to merge with/);
+});
+
+test('provider errors are returned to the caller', async () => {
+  server.reply({ status: 400, message: 'Request contains an invalid argument.' });
+
+  const response = await send({ type: 'ASK_FOLLOW_UP_QUESTION', question: 'Why?', transcript: TRANSCRIPT, videoTitle: 'T' });
+
+  assert.deepEqual(response, { success: false, error: 'Invalid request: Request contains an invalid argument.' });
+});
+
+test('TEST_PROMPT_TEMPLATE runs a draft template on the sample video', async () => {
+  server.reply({ text: 'Sample output' });
+
+  const response = await send({
+    type: 'TEST_PROMPT_TEMPLATE',
+    templateType: 'explanation',
+    template: 'Explain {{title}} for {{audience}}',
+    audienceProfile: 'expert'
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.output, 'Sample output');
+  assert.match(response.prompt, /^Explain How Vaccines Train Your Immune System for a domain expert/);
+  assert.equal(lastPrompt(), response.prompt);
+});
+
+test('streams explanations over a port and stops on request', async () => {
+  server.reply({ text: 'Streaming words arrive a few at a time until done' });
+  const chunks = [];
+
+  const stream = streamFromBackground({
+    type: 'GENERATE_EXPLANATION',
+    transcript: TRANSCRIPT,
+    videoId: 'stream0001',
+    videoTitle: 'T'
+  }, (chunk) => chunks.push(chunk));
+  const result = await stream.promise;
+
+  assert.equal(result.stopped, false);
+  assert.equal(result.text, 'Streaming words arrive a few at a time until done');
+  assert.equal(chunks.join(''), result.text);
+  assert.equal(server.requests[0].method, 'streamGenerateContent');
+
+  server.reply({ text: 'word '.repeat(500) });
+  const stopped = streamFromBackground({ type: 'ASK_FOLLOW_UP_QUESTION', question: 'Why?', transcript: TRANSCRIPT }, () => stopped.stop());
+  assert.equal((await stopped.promise).stopped, true);
+});
+
+test('stream errors reach the client', async () => {
+  server.reply({ status: 401 });
+
+  const stream = streamFromBackground({ type: 'ASK_FOLLOW_UP_QUESTION', question: 'Why?', transcript: TRANSCRIPT });
+  await assert.rejects(stream.promise, /Invalid API key/);
+});
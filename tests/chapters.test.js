@@ -0,0 +1,138 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDescriptionChapters,
+  parsePlayerChapters,
+  alignChapters,
+  fingerprintChapters,
+  mergeChapters,
+  selectChapters,
+  getCurrentChapterIndex,
+  getAdjacentChapter
+} from '../src/utils/chapters.js';
+
+const DESCRIPTION = `Everything about caches in one video.
+
+Chapters:
+0:00 Intro
+1:05 - What is a cache?
+Eviction policies (4:30)
+[12:40] Invalidation
+1:02:03 Q&A
+
+Links: see 3:15 in the last video`;
+
+const AI_CHAPTERS = [
+  { title: 'Welcome', timestamp: '0:00', seconds: 0, description: 'What the video covers' },
+  { title: 'Caches', timestamp: '1:10', seconds: 70, description: 'Keeping copies close' },
+  { title: 'LRU in practice', timestamp: '8:00', seconds: 480, description: 'A worked example' }
+];
+
+test('parseDescriptionChapters reads chapter lines with the timestamp first or last', () => {
+  const chapters = parseDescriptionChapters(DESCRIPTION);
+
+  assert.deepEqual(chapters.map(({ title, seconds }) => [title, seconds]), [
+    ['Intro', 0],
+    ['What is a cache?', 65],
+    ['Eviction policies', 270],
+    ['Invalidation', 760],
+    ['Q&A', 3723]
+  ]);
+  assert.equal(chapters[2].timestamp, '4:30');
+  assert.equal(chapters[0].source, 'creator');
+});
+
+test('parseDescriptionChapters follows YouTube\'s rules for a chapter list', () => {
+  assert.deepEqual(parseDescriptionChapters('1:00 Start\n2:00 Middle\n3:00 End'), [], 'must start at 0:00');
+  assert.deepEqual(parseDescriptionChapters('0:00 Start\n2:00 End'), [], 'needs three chapters');
+  assert.deepEqual(parseDescriptionChapters('0:00 Start\n0:05 Too short\n2:00 End'), [], 'chapters last 10 seconds');
+  assert.deepEqual(parseDescriptionChapters(''), []);
+  assert.equal(parseDescriptionChapters('0:00 A\n1:00 B\n2:00 C\n0:30 Not in order').length, 3, 'stops where the order breaks');
+});
+
+test('parsePlayerChapters reads the creator\'s chapter markers from the page data', () => {
+  const chapter = (title, millis) => ({ chapterRenderer: { title: { simpleText: title }, timeRangeStartMillis: millis } });
+  const initialData = {
+    playerOverlays: { playerOverlayRenderer: { decoratedPlayerBarRenderer: { decoratedPlayerBarRenderer: { playerBar: {
+      multiMarkersPlayerBarRenderer: {
+        markersMap: [
+          { key: 'AUTO_CHAPTERS', value: { chapters: [chapter('Generated', 0)] } },
+          { key: 'DESCRIPTION_CHAPTERS', value: { chapters: [chapter('Intro', 0), chapter('Setup', 65500), chapter('', 90000)] } }
+        ]
+      }
+    } } } } }
+  };
+
+  assert.deepEqual(parsePlayerChapters(initialData), [
+    { title: 'Intro', timestamp: '0:00', seconds: 0, description: '', source: 'creator' },
+    { title: 'Setup', timestamp: '1:05', seconds: 65, description: '', source: 'creator' }
+  ]);
+  assert.deepEqual(parsePlayerChapters({}), []);
+  assert.deepEqual(parsePlayerChapters(null), []);
+});
+
+test('alignChapters moves AI chapters onto nearby creator chapters and leaves out the rest', () => {
+  const creator = parseDescriptionChapters(DESCRIPTION);
+  const ai = [
+    { title: 'Welcome', timestamp: '0:00', seconds: 0, description: 'Overview' },
+    { title: 'Caches', timestamp: '1:12', seconds: 72, description: 'Basics' },
+    { title: 'Also caches', timestamp: '1:00', seconds: 60, description: 'Same chapter' },
+    { title: 'LRU in depth', timestamp: '7:00', seconds: 420, description: 'Between creator chapters' }
+  ];
+
+  assert.deepEqual(alignChapters(ai, creator).map(({ title, timestamp }) => `${timestamp} ${title}`), [
+    '0:00 Welcome',
+    '1:05 Caches',
+    '7:00 LRU in depth'
+  ]);
+  assert.equal(alignChapters(ai, []), ai);
+});
+
+test('fingerprintChapters changes with the chapters', () => {
+  const creator = parseDescriptionChapters(DESCRIPTION);
+  assert.equal(fingerprintChapters(creator), fingerprintChapters(parseDescriptionChapters(DESCRIPTION)));
+  assert.notEqual(fingerprintChapters(creator), fingerprintChapters(creator.slice(1)));
+});
+
+test('mergeChapters keeps creator chapters and fills the gaps with AI ones', () => {
+  const merged = mergeChapters(AI_CHAPTERS, parseDescriptionChapters(DESCRIPTION));
+
+  assert.deepEqual(merged.map(({ title, source }) => [title, source]), [
+    ['Intro', 'creator'],
+    ['What is a cache?', 'creator'],
+    ['Eviction policies', 'creator'],
+    ['LRU in practice', 'ai'],
+    ['Invalidation', 'creator'],
+    ['Q&A', 'creator']
+  ]);
+  assert.equal(merged[1].description, 'Keeping copies close', 'takes the matching AI description');
+  assert.equal(merged[2].description, '');
+});
+
+test('selectChapters follows the chosen source and falls back to the AI chapters', () => {
+  const creator = parseDescriptionChapters(DESCRIPTION);
+
+  assert.equal(selectChapters(AI_CHAPTERS, creator, 'creator'), creator);
+  assert.deepEqual(selectChapters(AI_CHAPTERS, creator, 'ai').map(({ source }) => source), ['ai', 'ai', 'ai']);
+  assert.equal(selectChapters(AI_CHAPTERS, creator, 'merged').length, 6);
+  assert.equal(selectChapters(AI_CHAPTERS, [], 'creator').length, 3);
+});
+
+test('getCurrentChapterIndex finds the chapter playing at a time', () => {
+  assert.equal(getCurrentChapterIndex(AI_CHAPTERS, 0), 0);
+  assert.equal(getCurrentChapterIndex(AI_CHAPTERS, 69.9), 0);
+  assert.equal(getCurrentChapterIndex(AI_CHAPTERS, 600), 2);
+  assert.equal(getCurrentChapterIndex(AI_CHAPTERS.slice(1), 10), -1);
+});
+
+test('getAdjacentChapter moves from the current time like a music player', () => {
+  const chapters = [{ seconds: 120, title: 'C' }, { seconds: 0, title: 'A' }, { seconds: 60, title: 'B' }];
+
+  assert.equal(getAdjacentChapter(chapters, 30, 1).title, 'B');
+  assert.equal(getAdjacentChapter(chapters, 60, 1).title, 'C');
+  assert.equal(getAdjacentChapter(chapters, 130, 1), null);
+  assert.equal(getAdjacentChapter(chapters, 75, -1).title, 'B', 'restarts the current chapter');
+  assert.equal(getAdjacentChapter(chapters, 61, -1).title, 'A', 'just started, so the one before');
+  assert.equal(getAdjacentChapter(chapters, 2, -1), null);
+});
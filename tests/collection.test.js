@@ -0,0 +1,32 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCollectionVideos, linkCollectionCitations, getVideoLabel } from '../src/utils/collection.js';
+import { renderMarkdown } from '../src/utils/markdown.js';
+
+const VIDEOS = [
+  { videoId: 'video000001', title: 'Caching at Scale', channel: 'Systems Talks', transcript: 'text' },
+  { videoId: 'video000002', title: 'A [very] long title about write-back caches in practice', channel: 'DB Weekly', transcript: null }
+];
+
+test('formatCollectionVideos labels videos and marks those without a transcript', () => {
+  assert.equal(getVideoLabel(0), 'V1');
+  assert.equal(formatCollectionVideos(VIDEOS), [
+    'V1: "Caching at Scale" by Systems Talks',
+    'V2: "A [very] long title about write-back caches in practice" by DB Weekly (no transcript available, leave it out)'
+  ].join('\n'));
+});
+
+test('linkCollectionCitations links citations to the cited video and time', () => {
+  const text = linkCollectionCitations('Both cover it [V1 1:30] and [V2 1:02:03], unlike [V7 0:10].', VIDEOS);
+
+  assert.equal(text, 'Both cover it [Caching at Scale 1:30](https://www.youtube.com/watch?v=video000001&t=90s) and ' +
+    '[A very long title about write-b… 1:02:03](https://www.youtube.com/watch?v=video000002&t=3723s), unlike V7 0:10.');
+});
+
+test('linkCollectionCitations seeks in place for the video being watched', () => {
+  const html = renderMarkdown(linkCollectionCitations('See [V1 0:45] and [V2 0:10].', VIDEOS, { currentVideoId: 'video000001' }));
+
+  assert.match(html, /<a href="#t=45" class="superplay-timestamp" data-seconds="45">Caching at Scale 0:45<\/a>/);
+  assert.match(html, /<a href="https:\/\/www.youtube.com\/watch\?v=video000002&#x26;t=10s" target="_blank" rel="noopener noreferrer">/);
+});
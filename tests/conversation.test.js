@@ -0,0 +1,71 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  mergeTurns,
+  toChatTurns,
+  splitHistory,
+  formatTurns,
+  fingerprintTurns
+} from '../src/utils/conversation.js';
+
+const user = (text) => ({ role: 'user', text });
+const model = (text) => ({ role: 'model', text });
+
+test('toChatTurns maps the message types of both UIs to chat roles', () => {
+  assert.deepEqual(toChatTurns([
+    { type: 'explanation', content: '# Explained' },
+    { type: 'question', content: 'Why?' },
+    { type: 'error', content: 'Sorry, I could not answer' },
+    { type: 'question', content: 'Why, again?' },
+    { type: 'answer', content: 'Because.' }
+  ]), [
+    user('Explain this video.'),
+    model('# Explained'),
+    user('Why?\n\nWhy, again?'),
+    model('Because.')
+  ]);
+
+  assert.deepEqual(toChatTurns([
+    { type: 'user', content: ' First ' },
+    { type: 'ai', content: 'Answer' },
+    { type: 'ai', content: '' }
+  ]), [user('First'), model('Answer')]);
+
+  assert.deepEqual(toChatTurns(undefined), []);
+});
+
+test('mergeTurns joins turns of the same role without changing its input', () => {
+  const turns = [user('a'), user('b'), model('c')];
+
+  assert.deepEqual(mergeTurns(turns), [user('a\n\nb'), model('c')]);
+  assert.equal(turns[0].text, 'a');
+});
+
+test('splitHistory keeps the most recent turns that fit the budget', () => {
+  const turns = [user('q1'), model('x'.repeat(400)), user('q2'), model('y'.repeat(40)), user('q3'), model('z'.repeat(40))];
+
+  const { older, recent } = splitHistory(turns, 30);
+  assert.deepEqual(older, turns.slice(0, 2));
+  assert.deepEqual(recent, turns.slice(2));
+
+  assert.deepEqual(splitHistory(turns, 10_000), { older: [], recent: turns });
+});
+
+test('splitHistory always keeps the last exchange and starts recent turns with the user', () => {
+  const turns = [user('q1'), model('a1'), user('q2'), model('x'.repeat(4000))];
+
+  assert.deepEqual(splitHistory(turns, 5).recent, turns.slice(2));
+  assert.deepEqual(splitHistory([model('only')], 5), { older: [model('only')], recent: [] });
+});
+
+test('formatTurns, fingerprintTurns and estimateTokens', () => {
+  const turns = [user('Why?'), model('Because.')];
+
+  assert.equal(formatTurns(turns), 'User: Why?\n\nAI: Because.');
+  assert.equal(fingerprintTurns(turns), fingerprintTurns([user('Why?'), model('Because.')]));
+  assert.notEqual(fingerprintTurns(turns), fingerprintTurns([user('Why?'), model('Because!')]));
+  assert.equal(estimateTokens('12345678'), 2);
+  assert.equal(estimateTokens(''), 0);
+});
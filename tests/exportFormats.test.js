@@ -0,0 +1,180 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createExportData,
+  linkTimestamps,
+  toMarkdown,
+  toObsidianNote,
+  toPrintableHtml,
+  exportVideo,
+  toSrt,
+  toWebVtt,
+  toTranscriptText,
+  exportTranscript,
+  toAnkiText,
+  exportFlashcards
+} from '../src/utils/exportFormats.js';
+import { ExportFormats, FlashcardFormats, TranscriptFormats } from '../src/utils/constants.js';
+
+const DATA = createExportData({
+  video: { videoId: 'export00001', title: 'Caching: A "Practical" Guide', owner: 'Systems Talks', duration: 754.6 },
+  summary: 'Caches trade memory for latency [1:30], see 2:05.',
+  chapters: [
+    { title: 'Intro', seconds: 0, description: 'Why cache' },
+    { title: 'Eviction', seconds: 95 }
+  ],
+  conversation: [
+    { type: 'ai', content: 'It explains **LRU** at [2:05].' },
+    { type: 'user', content: 'What about\nLFU?' },
+    { type: 'error', content: 'Request failed' },
+    { type: 'answer', content: 'See [0:45](https://example.com) and [3:00].' }
+  ],
+  exportedAt: new Date('2026-03-04T10:00:00Z')
+});
+
+test('createExportData normalizes the video, chapters and conversation', () => {
+  assert.deepEqual(DATA.video, {
+    videoId: 'export00001',
+    title: 'Caching: A "Practical" Guide',
+    channel: 'Systems Talks',
+    duration: 754,
+    url: 'https://www.youtube.com/watch?v=export00001'
+  });
+  assert.deepEqual(DATA.chapters[1], {
+    title: 'Eviction',
+    timestamp: '1:35',
+    seconds: 95,
+    description: '',
+    url: 'https://www.youtube.com/watch?v=export00001&t=95s'
+  });
+  assert.equal(DATA.explanation, 'It explains **LRU** at [2:05].');
+  assert.deepEqual(DATA.conversation.map(message => message.role), ['user', 'ai']);
+  assert.equal(DATA.exportedAt, '2026-03-04T10:00:00.000Z');
+});
+
+test('linkTimestamps links bare citations and leaves existing links alone', () => {
+  assert.equal(
+    linkTimestamps('At [1:02:03], see [0:45](https://example.com).', 'export00001'),
+    'At [1:02:03](https://www.youtube.com/watch?v=export00001&t=3723s), see [0:45](https://example.com).'
+  );
+});
+
+test('toMarkdown writes every section with links back to the video', () => {
+  const markdown = toMarkdown(DATA);
+
+  assert.ok(markdown.startsWith('# Caching: A "Practical" Guide\n\n**Channel:** Systems Talks · **Length:** 12:34 · [Watch on YouTube](https://www.youtube.com/watch?v=export00001)'));
+  assert.match(markdown, /## Summary\n\nCaches trade memory for latency \[1:30\]\(https:\/\/www\.youtube\.com\/watch\?v=export00001&t=90s\), see 2:05\./);
+  assert.match(markdown, /- \[0:00\]\(https:\/\/www\.youtube\.com\/watch\?v=export00001\) \*\*Intro\*\* — Why cache\n- \[1:35\]/);
+  assert.match(markdown, /## Explanation\n\nIt explains \*\*LRU\*\* at \[2:05\]\(.*t=125s\)/);
+  assert.match(markdown, /## Conversation\n\n### Q: What about LFU\?\n\nSee \[0:45\]\(https:\/\/example\.com\) and \[3:00\]\(.*t=180s\)\./);
+  assert.doesNotMatch(markdown, /Request failed/);
+});
+
+test('toObsidianNote adds YAML front-matter before the markdown', () => {
+  const note = toObsidianNote(DATA);
+
+  assert.ok(note.startsWith([
+    '---',
+    'title: "Caching: A \\"Practical\\" Guide"',
+    'channel: "Systems Talks"',
+    'url: https://www.youtube.com/watch?v=export00001',
+    'video_id: "export00001"',
+    'duration: "12:34"',
+    'exported: 2026-03-04',
+    'tags:',
+    '  - youtube',
+    '  - superplay',
+    '---',
+    '',
+    '# Caching'
+  ].join('\n')));
+});
+
+test('toPrintableHtml is a standalone page whose timestamps open the video', () => {
+  const html = toPrintableHtml(DATA);
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<title>Caching: A &quot;Practical&quot; Guide<\/title>/);
+  assert.match(html, /href="https:\/\/www\.youtube\.com\/watch\?v=export00001&(?:amp|#x26);t=90s"/);
+  assert.match(html, /href="https:\/\/www\.youtube\.com\/watch\?v=export00001&(?:amp|#x26);t=125s"/);
+  assert.doesNotMatch(html, /href="#t=/);
+});
+
+test('exportVideo builds JSON and Obsidian files with safe names', () => {
+  const json = exportVideo(DATA, ExportFormats.JSON);
+  assert.deepEqual(JSON.parse(json.content), DATA);
+  assert.equal(json.fileName, 'Caching A Practical Guide.json');
+  assert.equal(json.mimeType, 'application/json');
+
+  assert.equal(exportVideo(DATA, ExportFormats.OBSIDIAN).fileName, 'Caching A Practical Guide.md');
+  assert.throws(() => exportVideo(DATA, 'docx'), /Unknown export format/);
+});
+
+const TRANSCRIPT = [
+  { start: 0.5, duration: 2.25, text: 'Welcome back' },
+  { start: 3, duration: 0, text: 'caches <are> fast\n& small' },
+  { start: 3725.1, duration: 0, text: 'bye --> now' },
+  { start: 3730, duration: 1, text: '  ' }
+];
+
+test('toSrt numbers cues and fills in missing durations', () => {
+  assert.equal(toSrt(TRANSCRIPT), [
+    '1', '00:00:00,500 --> 00:00:02,750', 'Welcome back', '',
+    '2', '00:00:03,000 --> 01:02:05,100', 'caches <are> fast & small', '',
+    '3', '01:02:05,100 --> 01:02:08,100', 'bye --> now', ''
+  ].join('\n'));
+});
+
+test('toWebVtt writes a header and escapes cue text', () => {
+  const vtt = toWebVtt(TRANSCRIPT);
+
+  assert.ok(vtt.startsWith('WEBVTT\n\n00:00:00.500 --> 00:00:02.750\nWelcome back\n'));
+  assert.match(vtt, /caches &lt;are&gt; fast &amp; small/);
+  assert.match(vtt, /bye --&gt; now/);
+  assert.throws(() => toWebVtt('untimed text'), /no timing/);
+});
+
+test('toTranscriptText writes one line per segment with optional times', () => {
+  assert.equal(toTranscriptText(TRANSCRIPT), 'Welcome back\ncaches <are> fast & small\nbye --> now\n');
+  assert.equal(toTranscriptText(TRANSCRIPT, { timestamps: true }).split('\n')[2], '[1:02:05] bye --> now');
+  assert.equal(toTranscriptText('untimed text'), 'untimed text\n');
+});
+
+test('exportTranscript names files after the video and caption language', () => {
+  const srt = exportTranscript(TRANSCRIPT, TranscriptFormats.SRT, { title: 'Caching: 101', videoId: 'export00001', languageCode: 'en' });
+  assert.equal(srt.fileName, 'Caching 101.en.srt');
+  assert.equal(srt.mimeType, 'application/x-subrip');
+
+  const text = exportTranscript(TRANSCRIPT, TranscriptFormats.TXT, { videoId: 'export00001', timestamps: true });
+  assert.equal(text.fileName, 'export00001.txt');
+  assert.match(text.content, /^\[0:00\] Welcome back/);
+  assert.throws(() => exportTranscript(TRANSCRIPT, 'docx'), /Unknown transcript format/);
+});
+
+const CARDS = [
+  { term: 'Write-back', definition: 'Writes reach storage later.\nFaster, but <riskier>.', seconds: 45 },
+  { term: 'TTL\tentry', definition: 'Says "expire"', seconds: null }
+];
+const CARD_VIDEO = { videoId: 'export00001', title: 'Caching: 101' };
+
+test('toAnkiText writes an Anki import file with timestamp links', () => {
+  const lines = toAnkiText(CARDS, CARD_VIDEO).trimEnd().split('\n');
+
+  assert.deepEqual(lines.slice(0, 5), ['#separator:tab', '#html:true', '#notetype:Basic', '#deck:SuperPlay::Caching: 101', '#tags column:3']);
+  assert.deepEqual(lines[5].split('\t'), [
+    'Write-back',
+    'Writes reach storage later.<br>Faster, but &lt;riskier&gt;.<br><br><a href="https://www.youtube.com/watch?v=export00001&amp;t=45s">▶ 0:45 · Caching: 101</a>',
+    'superplay youtube::export00001'
+  ]);
+  assert.equal(lines[6], 'TTL entry\tSays &quot;expire&quot;\tsuperplay youtube::export00001');
+});
+
+test('exportFlashcards quotes CSV fields and names the deck file', () => {
+  const csv = exportFlashcards(CARDS, CARD_VIDEO, FlashcardFormats.CSV);
+
+  assert.equal(csv.fileName, 'Caching 101 flashcards.csv');
+  assert.match(csv.content, /^#separator:comma\n/);
+  assert.match(csv.content, /\n"TTL\tentry","Says &quot;expire&quot;","superplay youtube::export00001"\n$/);
+  assert.throws(() => exportFlashcards(CARDS, CARD_VIDEO, 'apkg'), /Unknown flashcard format/);
+});
@@ -0,0 +1,31 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFlashcardResponse } from '../src/utils/flashcardFormat.js';
+
+const DECK = {
+  cards: [
+    { term: '  Write-back cache ', definition: 'Writes go to the cache first and reach storage later.', timestamp: '0:45', seconds: 45 },
+    { term: 'TTL', definition: 'How long an entry stays valid.', timestamp: '9:00' },
+    { term: 'ttl', definition: 'Repeated term', seconds: 20 },
+    { term: 'Eviction', definition: '', seconds: 30 },
+    { term: 'No time', definition: 'Missing timestamp' },
+    { definition: 'No term', seconds: 5 }
+  ]
+};
+
+test('parseFlashcardResponse normalizes cards and drops unusable ones', () => {
+  const { cards } = parseFlashcardResponse(`\`\`\`json\n${JSON.stringify(DECK)}\n\`\`\``, { duration: 100 });
+
+  assert.deepEqual(cards.map(({ term, seconds, timestamp }) => [term, seconds, timestamp]), [
+    ['Write-back cache', 45, '0:45'],
+    ['TTL', 99, '1:39']
+  ]);
+  assert.match(cards[0].id, /^[0-9a-z]+$/);
+  assert.notEqual(cards[0].id, cards[1].id);
+});
+
+test('parseFlashcardResponse rejects responses without valid cards', () => {
+  assert.throws(() => parseFlashcardResponse('{"items": []}'), /no "cards" array/);
+  assert.throws(() => parseFlashcardResponse('{"cards": [{"term": "Only"}]}'), /no valid cards/);
+});
@@ -0,0 +1,217 @@
+/**
+ * SuperPlay AI - In-memory chrome.* shim for tests
+ * Covers the parts of the extension APIs the services and background worker use:
+ * storage.sync/local, runtime messaging and ports, tabs.sendMessage and events, and commands
+ */
+
+/**
+ * chrome.events.Event stand-in
+ */
+export function createEvent() {
+  const listeners = new Set();
+
+  return {
+    listeners,
+    addListener: (listener) => listeners.add(listener),
+    removeListener: (listener) => listeners.delete(listener),
+    hasListener: (listener) => listeners.has(listener),
+    dispatch: (...args) => Array.from(listeners).map(listener => listener(...args))
+  };
+}
+
+/**
+ * chrome.storage area backed by a plain object; values are cloned like the real API
+ */
+export function createStorageArea(initial = {}, quotaBytes = 102400) {
+  const data = structuredClone(initial);
+
+  return {
+    data,
+    QUOTA_BYTES: quotaBytes,
+
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return structuredClone(data);
+      }
+
+      // An object maps keys to their defaults
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+
+      for (const name of names) {
+        if (name in data) {
+          result[name] = structuredClone(data[name]);
+        } else if (name in defaults) {
+          result[name] = defaults[name];
+        }
+      }
+      return result;
+    },
+
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete data[key]);
+    },
+
+    async clear() {
+      Object.keys(data).forEach(key => delete data[key]);
+    },
+
+    async getBytesInUse() {
+      return Object.entries(data)
+        .reduce((total, [key, value]) => total + key.length + JSON.stringify(value).length, 0);
+    }
+  };
+}
+
+/**
+ * Connected pair of runtime.Port objects; messages are delivered asynchronously
+ */
+function createPortPair(name) {
+  const createPort = () => ({
+    name,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    connected: true
+  });
+
+  const client = createPort();
+  const server = createPort();
+
+  const link = (from, to) => {
+    from.postMessage = (message) => {
+      if (!from.connected) {
+        throw new Error('Attempting to use a disconnected port object');
+      }
+      const copy = structuredClone(message);
+      queueMicrotask(() => to.connected && to.onMessage.dispatch(copy, to));
+    };
+
+    // Like Chrome, only the other end hears about the disconnect
+    from.disconnect = () => {
+      if (!from.connected) return;
+      from.connected = false;
+      to.connected = false;
+      queueMicrotask(() => to.onDisconnect.dispatch(to));
+    };
+  };
+
+  link(client, server);
+  link(server, client);
+  return { client, server };
+}
+
+/**
+ * Build a chrome object.
+ * tabMessageHandler(message, tabId) answers chrome.tabs.sendMessage; throwing from it
+ * surfaces as chrome.runtime.lastError, like a tab without a content script.
+ */
+export function createChromeShim({ sync = {}, local = {}, tabs = [{ id: 1, active: true }], tabMessageHandler } = {}) {
+  const chrome = {
+    storage: {
+      sync: createStorageArea(sync, 102400),
+      local: createStorageArea(local, 5242880)
+    },
+
+    runtime: {
+      lastError: undefined,
+      onInstalled: createEvent(),
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+
+      getURL: (path) => `chrome-extension://superplay-test/${path}`,
+
+      // Delivered to this context's own onMessage listeners
+      sendMessage(message, callback) {
+        const response = dispatchMessage(chrome, message);
+        if (typeof callback === 'function') {
+          response.then(callback);
+          return undefined;
+        }
+        return response;
+      },
+
+      connect({ name } = {}) {
+        const { client, server } = createPortPair(name);
+        server.sender = { tab: { id: 1 } };
+        queueMicrotask(() => chrome.runtime.onConnect.dispatch(server));
+        return client;
+      }
+    },
+
+    tabs: {
+      tabMessageHandler,
+      sentMessages: [],
+      onRemoved: createEvent(),
+      onUpdated: createEvent(),
+
+      async query() {
+        return tabs;
+      },
+
+      sendMessage(tabId, message, callback) {
+        chrome.tabs.sentMessages.push({ tabId, message });
+
+        Promise.resolve()
+          .then(() => {
+            if (!chrome.tabs.tabMessageHandler) {
+              throw new Error('Could not establish connection. Receiving end does not exist.');
+            }
+            return chrome.tabs.tabMessageHandler(structuredClone(message), tabId);
+          })
+          .then(
+            (response) => callback?.(response),
+            (error) => {
+              chrome.runtime.lastError = { message: error.message };
+              try {
+                callback?.(undefined);
+              } finally {
+                chrome.runtime.lastError = undefined;
+              }
+            }
+          );
+      }
+    },
+
+    commands: {
+      onCommand: createEvent()
+    }
+  };
+
+  return chrome;
+}
+
+/**
+ * Install a fresh shim as globalThis.chrome and return it
+ */
+export function installChromeShim(options) {
+  const chrome = createChromeShim(options);
+  globalThis.chrome = chrome;
+  return chrome;
+}
+
+/**
+ * Send a message to the onMessage listeners and resolve with the first response
+ */
+export function dispatchMessage(chrome, message, sender = { tab: { id: 1 } }) {
+  return new Promise((resolve) => {
+    let responded = false;
+    const sendResponse = (response) => {
+      if (!responded) {
+        responded = true;
+        resolve(response);
+      }
+    };
+
+    const results = chrome.runtime.onMessage.dispatch(structuredClone(message), sender, sendResponse);
+
+    // Listeners returning true answer later, otherwise the channel closes now
+    if (!results.includes(true)) {
+      queueMicrotask(() => sendResponse(undefined));
+    }
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * SuperPlay AI - Local Gemini stand-in for tests
+ * Mimics POST /v1beta/models/{model}:generateContent and :streamGenerateContent?alt=sse.
+ * Replies are scripted per request with server.reply(); unscripted requests get defaultText.
+ */
+
+import http from 'node:http';
+import { ProviderDefaults, ProviderTypes } from '../../src/utils/constants.js';
+
+const GEMINI_BASE_URL = ProviderDefaults[ProviderTypes.GEMINI].baseUrl;
+const ROUTE_PATTERN = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+const STATUS_NAMES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE'
+};
+
+/**
+ * generateContent response body for some text
+ */
+export function geminiResponse(text) {
+  return {
+    candidates: [{
+      content: { role: 'model', parts: [{ text }] },
+      finishReason: 'STOP',
+      index: 0
+    }],
+    usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 10, totalTokenCount: 20 }
+  };
+}
+
+/**
+ * Start the server on a free port.
+ * Reply shapes: { text } | { status, message } for an API error | { raw } for a 200 with a malformed body
+ */
+export async function startGeminiServer({ defaultText = 'OK' } = {}) {
+  const replies = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = url.pathname.match(ROUTE_PATTERN);
+
+      if (req.method !== 'POST' || !route) {
+        sendError(res, 404, `Unknown route ${req.method} ${url.pathname}`);
+        return;
+      }
+
+      let parsed = null;
+      try {
+        parsed = JSON.parse(body);
+      } catch {
+        sendError(res, 400, 'Request body is not valid JSON');
+        return;
+      }
+
+      const [, model, method] = route;
+      requests.push({ model, method, key: url.searchParams.get('key'), body: parsed });
+
+      const prompt = parsed.contents?.map(content => content.parts.map(part => part.text).join('')).join('\n') || '';
+      const reply = replies.shift() || { text: defaultText };
+      const resolved = typeof reply === 'function' ? reply({ model, method, prompt, body: parsed }) : reply;
+
+      if (resolved.status && resolved.status !== 200) {
+        sendError(res, resolved.status, resolved.message || STATUS_NAMES[resolved.status] || 'Error');
+      } else if (resolved.raw !== undefined) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(resolved.raw);
+      } else if (method === 'streamGenerateContent') {
+        sendStream(res, resolved.text);
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(geminiResponse(resolved.text)));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: `${origin}/v1beta`,
+    requests,
+
+    /**
+     * Queue replies for the next requests, in order
+     */
+    reply(...next) {
+      replies.push(...next);
+    },
+
+    /**
+     * Send fetches aimed at the real Gemini API here instead.
+     * Returns a function restoring the original fetch.
+     */
+    interceptFetch() {
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = (input, init) => {
+        const target = String(input instanceof Request ? input.url : input);
+        return originalFetch(target.replace(GEMINI_BASE_URL, `${origin}/v1beta`), init);
+      };
+      return () => { globalThis.fetch = originalFetch; };
+    },
+
+    reset() {
+      replies.length = 0;
+      requests.length = 0;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    error: { code: status, message, status: STATUS_NAMES[status] || 'UNKNOWN' }
+  }));
+}
+
+// Server-sent events, a few words per chunk like the real API
+function sendStream(res, text) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+  const words = text.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += 3) {
+    const chunk = words.slice(i, i + 3).join('');
+    res.write(`data: ${JSON.stringify(geminiResponse(chunk))}\r\n\r\n`);
+  }
+  res.end();
+}
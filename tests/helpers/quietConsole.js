@@ -0,0 +1,12 @@
+/**
+ * SuperPlay AI - Silence the extension's console logging in tests
+ * Import first in a test file; set SUPERPLAY_TEST_LOGS=1 to keep the logs.
+ */
+
+import process from 'node:process';
+
+if (!process.env.SUPERPLAY_TEST_LOGS) {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
@@ -0,0 +1,81 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getHotkeyFromEvent,
+  matchesHotkey,
+  getHotkeys,
+  getHotkeyAction,
+  getHotkeyConflict,
+  isTypingTarget,
+  fromCommandShortcut,
+  formatHotkey
+} from '../src/utils/hotkeys.js';
+import { DefaultHotkeys, HotkeyActions } from '../src/utils/constants.js';
+
+const keydown = (init) => ({ ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...init });
+
+test('getHotkeyFromEvent names the physical key after its modifiers', () => {
+  assert.equal(getHotkeyFromEvent(keydown({ altKey: true, shiftKey: true, key: 'S', code: 'KeyS' })), 'Alt+Shift+S');
+  assert.equal(getHotkeyFromEvent(keydown({ altKey: true, key: 'ß', code: 'KeyS' })), 'Alt+S', 'Option changes event.key on a Mac');
+  assert.equal(getHotkeyFromEvent(keydown({ ctrlKey: true, shiftKey: true, key: '!', code: 'Digit1' })), 'Ctrl+Shift+1');
+  assert.equal(getHotkeyFromEvent(keydown({ shiftKey: true, key: '?', code: 'Slash' })), 'Shift+/');
+  assert.equal(getHotkeyFromEvent(keydown({ altKey: true, shiftKey: true, key: 'ArrowRight', code: 'ArrowRight' })), 'Alt+Shift+ArrowRight');
+  assert.equal(getHotkeyFromEvent(keydown({ altKey: true, key: 'Alt', code: 'AltLeft' })), null, 'only a modifier so far');
+});
+
+test('matchesHotkey compares the key and every modifier', () => {
+  assert.equal(matchesHotkey(keydown({ altKey: true, key: 'n', code: 'KeyN' }), 'Alt+N'), true);
+  assert.equal(matchesHotkey(keydown({ altKey: true, key: '˜', code: 'KeyN' }), 'Alt+N'), true, 'uses the physical key');
+  assert.equal(matchesHotkey(keydown({ altKey: true, shiftKey: true, key: 'N', code: 'KeyN' }), 'Alt+N'), false);
+  assert.equal(matchesHotkey(keydown({ key: 'n', code: 'KeyN' }), 'Alt+N'), false);
+  assert.equal(matchesHotkey(keydown({ key: '?', code: 'Slash', shiftKey: true }), 'Shift+/'), true);
+  assert.equal(matchesHotkey(keydown({ key: 'n' }), ''), false);
+
+  assert.equal(isTypingTarget({ closest: (selector) => (selector.includes('textarea') ? {} : null) }), true);
+  assert.equal(isTypingTarget({ isContentEditable: true }), true);
+  assert.equal(isTypingTarget({ closest: () => null }), false);
+});
+
+test('getHotkeyAction uses the defaults with rebound and disabled actions', () => {
+  const hotkeys = getHotkeys({ hotkeys: { [HotkeyActions.ADD_NOTE]: 'Ctrl+Alt+M', [HotkeyActions.FOCUS_QUESTION]: '' } });
+
+  assert.equal(hotkeys[HotkeyActions.TOGGLE_SIDEBAR], DefaultHotkeys[HotkeyActions.TOGGLE_SIDEBAR]);
+  assert.equal(getHotkeyAction(keydown({ ctrlKey: true, altKey: true, key: 'm', code: 'KeyM' }), hotkeys), HotkeyActions.ADD_NOTE);
+  assert.equal(getHotkeyAction(keydown({ altKey: true, shiftKey: true, key: 'N', code: 'KeyN' }), hotkeys), null);
+  assert.equal(getHotkeyAction(keydown({ altKey: true, shiftKey: true, key: 'Q', code: 'KeyQ' }), hotkeys), null);
+  assert.equal(getHotkeyAction(keydown({ altKey: true, shiftKey: true, key: 'ArrowLeft', code: 'ArrowLeft' }), hotkeys), HotkeyActions.PREVIOUS_CHAPTER);
+});
+
+test('the default hotkeys are free of conflicts', () => {
+  for (const [action, hotkey] of Object.entries(DefaultHotkeys)) {
+    assert.equal(getHotkeyConflict(hotkey, action, DefaultHotkeys), null, action);
+  }
+});
+
+test('getHotkeyConflict keeps YouTube, browser and taken shortcuts', () => {
+  const action = HotkeyActions.ADD_NOTE;
+
+  assert.match(getHotkeyConflict('K', action, DefaultHotkeys), /YouTube's player shortcuts/);
+  assert.match(getHotkeyConflict('Shift+N', action, DefaultHotkeys), /YouTube's player shortcuts/);
+  assert.match(getHotkeyConflict('Ctrl+ArrowRight', action, DefaultHotkeys), /YouTube \(next chapter\)/);
+  assert.match(getHotkeyConflict('Ctrl+T', action, DefaultHotkeys), /the browser/);
+  assert.match(getHotkeyConflict('Alt+Shift+S', action, DefaultHotkeys), /Show or hide the sidebar/);
+  assert.match(
+    getHotkeyConflict('Ctrl+Alt+S', action, DefaultHotkeys, { [HotkeyActions.TOGGLE_SIDEBAR]: 'Ctrl+Alt+S' }),
+    /browser shortcut for "Show or hide the sidebar"/
+  );
+  assert.equal(getHotkeyConflict('Ctrl+Alt+S', action, DefaultHotkeys, { [action]: 'Ctrl+Alt+S' }), null);
+  assert.equal(getHotkeyConflict('Alt+Shift+N', action, DefaultHotkeys), null, 'its own hotkey');
+});
+
+test('fromCommandShortcut reads chrome.commands shortcuts on every platform', () => {
+  assert.equal(fromCommandShortcut('Alt+Shift+S'), 'Alt+Shift+S');
+  assert.equal(fromCommandShortcut('Shift+Alt+Right'), 'Alt+Shift+ArrowRight');
+  assert.equal(fromCommandShortcut('⌥⇧S'), 'Alt+Shift+S');
+  assert.equal(fromCommandShortcut('⇧⌘Left'), 'Shift+Meta+ArrowLeft');
+  assert.equal(fromCommandShortcut(''), '');
+
+  assert.equal(formatHotkey('Alt+Shift+ArrowRight'), 'Alt+Shift+→');
+  assert.equal(formatHotkey('Shift+Meta+E'), 'Shift+⌘+E');
+});
@@ -0,0 +1,110 @@
+import './helpers/quietConsole.js';
+import 'fake-indexeddb/auto';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LibraryService } from '../src/services/library.js';
+import { searchLibrary, highlightTerms, getVideoUrl } from '../src/utils/librarySearch.js';
+
+const segment = (start, text, duration = 5) => ({ start, duration, text });
+
+const CACHING = {
+  videoId: 'caching0001',
+  title: 'Caching at Scale',
+  channel: 'Systems Talks',
+  duration: 120,
+  summary: 'How large services cache data.',
+  chapters: [
+    { title: 'Intro', timestamp: '0:00', seconds: 0, description: '' },
+    { title: 'Cache invalidation', timestamp: '1:00', seconds: 60, description: 'Why it is hard' }
+  ],
+  transcript: [
+    segment(0, 'welcome to this talk'),
+    segment(30, 'invalidation bugs cause stale reads'),
+    segment(33, 'stale reads again because of invalidation'),
+    segment(65, 'invalidation strategies compared'),
+    segment(90, 'thanks for watching')
+  ]
+};
+
+const BAKING = {
+  videoId: 'baking00001',
+  title: 'Sourdough Basics',
+  channel: 'Bread Lab',
+  duration: 60,
+  summary: 'Feeding a starter and shaping loaves.',
+  chapters: [{ title: 'Starter', timestamp: '0:00', seconds: 0, description: '' }],
+  transcript: [segment(0, 'feed the starter daily'), segment(20, 'a stale starter smells sour')]
+};
+
+let library;
+
+beforeEach(() => {
+  library = new LibraryService({ dbName: `library-test-${Math.random()}` });
+});
+
+afterEach(async () => {
+  await library.close();
+});
+
+test('saveVideo stores videos and keeps notes and createdAt across updates', async () => {
+  const first = await library.saveVideo({ ...CACHING, notes: 'rewatch the end' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await library.saveVideo({ ...CACHING, summary: 'Updated summary.', notes: undefined });
+
+  assert.equal(second.notes, 'rewatch the end');
+  assert.equal(second.createdAt, first.createdAt);
+  assert.ok(second.updatedAt > first.updatedAt);
+  assert.deepEqual(await library.getVideo(CACHING.videoId), second);
+  assert.equal(await library.getVideo('missing0001'), null);
+  await assert.rejects(library.saveVideo({ title: 'No id' }), /without an id/);
+});
+
+test('getAllVideos lists the most recently saved first; delete and clear remove videos', async () => {
+  await library.saveVideo(CACHING);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await library.saveVideo(BAKING);
+
+  assert.deepEqual((await library.getAllVideos()).map(({ videoId }) => videoId), [BAKING.videoId, CACHING.videoId]);
+
+  await library.deleteVideo(BAKING.videoId);
+  assert.deepEqual((await library.getAllVideos()).map(({ videoId }) => videoId), [CACHING.videoId]);
+
+  await library.clear();
+  assert.deepEqual(await library.getAllVideos(), []);
+});
+
+test('search ranks videos and lists matching chapters and moments with their times', async () => {
+  await library.saveVideo(CACHING);
+  await library.saveVideo(BAKING);
+
+  const results = await library.search('stale invalidation');
+
+  assert.deepEqual(results.map(({ video }) => video.videoId), [CACHING.videoId, BAKING.videoId]);
+  assert.deepEqual(results[0].matches.map(({ type, seconds }) => [type, seconds]), [
+    ['transcript', 30],
+    ['chapter', 60],
+    ['transcript', 65]
+  ], 'the caption at 0:33 repeats the moment at 0:30');
+  assert.equal(results[0].matches[1].text, 'Cache invalidation');
+  assert.match(results[0].matches[0].text, /^invalidation bugs cause stale reads/);
+  assert.deepEqual(results[1].matches.map(({ seconds }) => seconds), [20]);
+});
+
+test('searchLibrary caps the matches per video and ignores empty queries', () => {
+  const [result] = searchLibrary([CACHING], 'invalidation', { maxMatches: 2 });
+
+  assert.deepEqual(result.matches.map(({ seconds }) => seconds), [30, 60]);
+  assert.deepEqual(searchLibrary([CACHING], 'the of'), []);
+  assert.deepEqual(searchLibrary([CACHING], 'zebra'), []);
+  assert.deepEqual(searchLibrary([{ ...CACHING, transcript: 'untimed text', chapters: [] }], 'untimed')[0].matches, []);
+});
+
+test('highlightTerms marks query words and getVideoUrl links to a time', () => {
+  assert.deepEqual(highlightTerms('Cache invalidation, again!', 'invalidation'), [
+    { text: 'Cache ', match: false },
+    { text: 'invalidation', match: true },
+    { text: ', again!', match: false }
+  ]);
+  assert.equal(getVideoUrl('abc', 75.6), 'https://www.youtube.com/watch?v=abc&t=75s');
+  assert.equal(getVideoUrl('abc'), 'https://www.youtube.com/watch?v=abc');
+});
@@ -0,0 +1,85 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, escapeHtml, getTimestampLinkSeconds, TIMESTAMP_LINK_CLASS } from '../src/utils/markdown.js';
+
+test('renders GFM tables, lists and highlighted code', () => {
+  const html = renderMarkdown([
+    '## Key points',
+    '',
+    '- **Caching** helps',
+    '- ~~Never~~ invalidate',
+    '',
+    '| Strategy | Writes |',
+    '| --- | --- |',
+    '| write-back | batched |',
+    '',
+    '```js',
+    'const hits = 1;',
+    '```'
+  ].join('\n'));
+
+  assert.match(html, /<h2>Key points<\/h2>/);
+  assert.match(html, /<li><strong>Caching<\/strong> helps<\/li>/);
+  assert.match(html, /<del>Never<\/del>/);
+  assert.match(html, /<th>Strategy<\/th>/);
+  assert.match(html, /<td>write-back<\/td>/);
+  assert.match(html, /<code class="hljs language-js"><span class="hljs-keyword">const<\/span>/);
+});
+
+test('drops raw HTML, event handlers and scripts', () => {
+  const html = renderMarkdown([
+    'Hello <script>alert(1)</script> there',
+    '',
+    '<img src="x" onerror="alert(1)">',
+    '',
+    '<div onclick="steal()">click</div>',
+    '',
+    '![tracker](https://example.com/pixel.png)'
+  ].join('\n'));
+
+  assert.doesNotMatch(html, /<script|<img|<div|onerror|onclick/i);
+  assert.match(html, /alert\(1\)/, 'text content is kept as escaped text');
+});
+
+test('strips unsafe link URLs and opens web links in a new tab', () => {
+  const html = renderMarkdown('[a](javascript:alert(1)) [b](data:text/html,x) [c](https://example.com/page)');
+
+  assert.doesNotMatch(html, /javascript:|data:/);
+  assert.match(html, /<a>a<\/a>/);
+  assert.match(html, /<a href="https:\/\/example.com\/page" target="_blank" rel="noopener noreferrer">c<\/a>/);
+});
+
+test('turns timestamps into seek links outside code', () => {
+  const html = renderMarkdown('Covered at [1:30] and again at 1:02:03, but not `2:45` or 10:75.');
+
+  assert.match(html, /<a href="#t=90" class="superplay-timestamp" data-seconds="90" aria-label="Jump to 1:30">\[1:30\]<\/a>/);
+  assert.match(html, /data-seconds="3723"[^>]*>1:02:03<\/a>/);
+  assert.match(html, /<code>2:45<\/code>/);
+  assert.doesNotMatch(html, /data-seconds="645"/);
+});
+
+test('marks #t= links written by the model as timestamp links', () => {
+  assert.match(renderMarkdown('[the intro](#t=12)'), /<a href="#t=12" class="superplay-timestamp" data-seconds="12">the intro<\/a>/);
+});
+
+test('handles empty input', () => {
+  assert.equal(renderMarkdown(''), '');
+  assert.equal(renderMarkdown(null), '');
+});
+
+test('escapeHtml escapes text for HTML templates', () => {
+  assert.equal(escapeHtml('<b onclick="x">Tom & Jerry\'s</b>'), '&lt;b onclick=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('getTimestampLinkSeconds reads the link around the click target', () => {
+  const link = { dataset: { seconds: '90' } };
+  const target = { closest: (selector) => (selector === `a.${TIMESTAMP_LINK_CLASS}` ? link : null) };
+
+  assert.equal(getTimestampLinkSeconds(target), 90);
+  assert.equal(getTimestampLinkSeconds({ closest: () => null }), null);
+  assert.equal(getTimestampLinkSeconds({ closest: () => ({ dataset: {} }) }), null);
+  assert.equal(getTimestampLinkSeconds(null), null);
+});
@@ -0,0 +1,89 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNote, sortNotes, searchNotes, parseNotesCleanupResponse, replaceNoteTexts } from '../src/utils/notes.js';
+import { getTranscriptLine } from '../src/utils/transcriptUtils.js';
+import { createExportData, toMarkdown } from '../src/utils/exportFormats.js';
+
+const NOW = Date.UTC(2026, 2, 4);
+
+const NOTES = [
+  { ...createNote('Ask the team about TTLs', 95.8, { now: NOW + 1 }), quote: 'entries expire after a while' },
+  createNote('  LRU evicts the least recently used entry\n(not LFU) ', 30, { now: NOW }),
+  createNote('Same second, written later', 30, { now: NOW + 2 })
+];
+
+test('createNote pins a trimmed note to a whole second', () => {
+  const [ttl, lru] = NOTES;
+
+  assert.equal(ttl.seconds, 95);
+  assert.equal(lru.text, 'LRU evicts the least recently used entry\n(not LFU)');
+  assert.equal(lru.quote, '');
+  assert.equal(lru.createdAt, NOW);
+  assert.notEqual(ttl.id, lru.id);
+});
+
+test('sortNotes orders notes by video time, then by when they were written', () => {
+  assert.deepEqual(sortNotes(NOTES).map(({ text }) => text.slice(0, 4)), ['LRU ', 'Same', 'Ask ']);
+});
+
+test('searchNotes matches every word in the text or quote across videos', () => {
+  const records = [
+    { videoId: 'video1', videoTitle: 'Caching', notes: NOTES },
+    { videoId: 'video2', videoTitle: 'Databases', notes: [createNote('TTL indexes expire rows', 12, { now: NOW })] }
+  ];
+
+  assert.deepEqual(searchNotes(records, 'ttl').map(({ videoId, note }) => [videoId, note.seconds]), [['video1', 95], ['video2', 12]]);
+  assert.deepEqual(searchNotes(records, 'EXPIRE team').map(({ note }) => note.seconds), [95], 'quote and text both count');
+  assert.deepEqual(searchNotes(records, '  '), []);
+  assert.equal(searchNotes(records, 'e', { limit: 2 }).length, 2);
+});
+
+test('parseNotesCleanupResponse replaces rewritten notes and keeps the rest', () => {
+  const [ttl, lru] = NOTES;
+  const response = JSON.stringify({ notes: [{ id: lru.id, text: 'LRU evicts the least recently used entry.' }, { id: 'unknown', text: 'x' }] });
+
+  const { notes } = parseNotesCleanupResponse(response, [ttl, lru]);
+  assert.deepEqual(notes.map(({ text }) => text), ['Ask the team about TTLs', 'LRU evicts the least recently used entry.']);
+  assert.equal(notes[1].quote, '');
+  assert.throws(() => parseNotesCleanupResponse('{"notes": [{"id": "unknown", "text": "x"}]}', NOTES), /none of the notes/);
+  assert.throws(() => parseNotesCleanupResponse('{"cards": []}', NOTES), /no "notes" array/);
+});
+
+test('replaceNoteTexts swaps text by id and keeps notes changed in the meantime', () => {
+  const [ttl, lru, same] = NOTES;
+  const cleaned = [ttl, lru, same].map(note => ({ ...note, text: `${note.text}.`, updatedAt: NOW + 10 }));
+
+  // While the clean-up ran: lru was edited, same was deleted and a note was added
+  const added = createNote('Added meanwhile', 50, { now: NOW + 5 });
+  const current = [ttl, { ...lru, text: 'Edited meanwhile' }, added];
+
+  const merged = replaceNoteTexts(current, [ttl, lru, same], cleaned);
+  assert.deepEqual(merged.map(({ text }) => text), ['Ask the team about TTLs.', 'Edited meanwhile', 'Added meanwhile']);
+  assert.equal(merged[0].updatedAt, NOW + 10);
+
+  const undone = replaceNoteTexts([...merged, createNote('Added after', 60, { now: NOW + 20 })], cleaned, [ttl, lru, same]);
+  assert.deepEqual(undone.map(({ text }) => text), ['Ask the team about TTLs', 'Edited meanwhile', 'Added meanwhile', 'Added after']);
+  assert.equal(undone[0].updatedAt, ttl.updatedAt);
+});
+
+test('getTranscriptLine returns the caption on screen at a time', () => {
+  const transcript = [
+    { start: 2, duration: 3, text: 'First line' },
+    { start: 5, duration: 3, text: ' Second line ' }
+  ];
+
+  assert.equal(getTranscriptLine(transcript, 1), '');
+  assert.equal(getTranscriptLine(transcript, 4.5), 'First line');
+  assert.equal(getTranscriptLine(transcript, 60), 'Second line');
+  assert.equal(getTranscriptLine('untimed', 4), '');
+});
+
+test('exports list notes in video order with their links and quotes', () => {
+  const data = createExportData({ video: { videoId: 'notes000001', title: 'Caching' }, notes: NOTES });
+  const markdown = toMarkdown(data);
+
+  assert.deepEqual(data.notes.map(({ timestamp }) => timestamp), ['0:30', '0:30', '1:35']);
+  assert.match(markdown, /## My Notes\n\n- \[0:30\]\(https:\/\/www\.youtube\.com\/watch\?v=notes000001&t=30s\) LRU evicts the least recently used entry\n {2}\(not LFU\)\n/);
+  assert.match(markdown, /- \[1:35\]\(.*t=95s\) Ask the team about TTLs\n {2}> entries expire after a while\n/);
+});
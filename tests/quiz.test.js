@@ -0,0 +1,115 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuizResponse, parseGradeResponse } from '../src/utils/quizFormat.js';
+import { createReviewCard, scheduleReview, getDueCards, describeDue } from '../src/utils/spacedRepetition.js';
+import { ReviewGrades } from '../src/utils/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 2, 4);
+
+const QUIZ = {
+  questions: [
+    {
+      type: 'multiple_choice',
+      question: 'Which write strategy risks losing data on a crash?',
+      options: ['Write-through', 'Write-back', 'Read-through', 'Write-back'],
+      answer: 'write-back',
+      explanation: 'Writes sit in the cache until they are flushed.',
+      timestamp: '0:45',
+      seconds: 45
+    },
+    {
+      type: 'short_answer',
+      question: 'Why is invalidation hard?',
+      options: [],
+      answer: 'Every copy of the data has to be found and updated.',
+      explanation: '',
+      timestamp: '9:00'
+    },
+    { type: 'multiple_choice', question: 'Letter answer?', options: ['A1', 'B1', 'C1'], answer: 'C', seconds: '20' },
+    { type: 'multiple_choice', question: 'Unknown answer', options: ['A', 'B', 'C'], answer: 'D', seconds: 10 },
+    { type: 'short_answer', question: 'No time', answer: 'Something' },
+    { type: 'multiple_choice', question: 'Too few options', options: ['Yes', 'No'], answer: 'Yes', seconds: 5 }
+  ]
+};
+
+test('parseQuizResponse normalizes questions and drops unusable ones', () => {
+  const { questions } = parseQuizResponse(`\`\`\`json\n${JSON.stringify(QUIZ)}\n\`\`\``, { duration: 100 });
+
+  assert.deepEqual(questions.map(({ question }) => question), [
+    'Which write strategy risks losing data on a crash?',
+    'Why is invalidation hard?',
+    'Letter answer?'
+  ]);
+
+  const [choice, short, letter] = questions;
+  assert.equal(choice.type, 'multiple_choice');
+  assert.deepEqual(choice.options, ['Write-through', 'Write-back', 'Read-through']);
+  assert.equal(choice.answerIndex, 1);
+  assert.equal(choice.answer, 'Write-back');
+  assert.equal(choice.timestamp, '0:45');
+
+  assert.equal(short.type, 'short_answer');
+  assert.equal(short.answerIndex, null);
+  assert.equal(short.seconds, 99, 'clamped to the video');
+
+  assert.equal(letter.answerIndex, 2);
+  assert.equal(letter.seconds, 20);
+  assert.match(choice.id, /^[0-9a-z]+$/);
+  assert.notEqual(choice.id, short.id);
+});
+
+test('parseQuizResponse rejects responses without usable questions', () => {
+  assert.throws(() => parseQuizResponse('{"quiz": []}'), /no "questions" array/);
+  assert.throws(() => parseQuizResponse('{"questions": [{"question": "Q?", "answer": ""}]}'), /no valid questions/);
+});
+
+test('parseGradeResponse reads the verdict and feedback', () => {
+  assert.deepEqual(parseGradeResponse('{"correct": "true", "feedback": " Spot on. "}'), { correct: true, feedback: 'Spot on.' });
+  assert.deepEqual(parseGradeResponse('{"correct": false}'), { correct: false, feedback: '' });
+  assert.throws(() => parseGradeResponse('{"feedback": "Hmm"}'), /no "correct" verdict/);
+});
+
+test('review cards follow the SM-2 schedule', () => {
+  const [question] = parseQuizResponse(JSON.stringify(QUIZ)).questions;
+  let card = createReviewCard(question, { videoId: 'quizvideo01', title: 'Caching at Scale' }, NOW);
+
+  assert.equal(card.id, `quizvideo01:${question.id}`);
+  assert.equal(card.front, question.question);
+  assert.equal(card.back, 'Write-back');
+  assert.equal(card.due, NOW);
+
+  card = scheduleReview(card, ReviewGrades.GOOD, NOW);
+  assert.deepEqual([card.repetitions, card.interval, card.easiness], [1, 1, 2.5]);
+  card = scheduleReview(card, ReviewGrades.EASY, NOW);
+  assert.deepEqual([card.repetitions, card.interval, card.easiness], [2, 6, 2.6]);
+  card = scheduleReview(card, ReviewGrades.HARD, NOW);
+  assert.deepEqual([card.repetitions, card.interval, card.easiness], [3, 16, 2.46]);
+  assert.equal(card.due, NOW + 16 * DAY);
+
+  card = scheduleReview(card, ReviewGrades.AGAIN, NOW);
+  assert.deepEqual([card.repetitions, card.interval, card.lapses], [0, 1, 1]);
+  assert.equal(card.easiness, 1.92);
+});
+
+test('easiness never drops below the SM-2 minimum', () => {
+  let card = createReviewCard({ id: 'q', question: 'Q', answer: 'A' }, { videoId: 'v' }, NOW);
+  for (let i = 0; i < 10; i++) {
+    card = scheduleReview(card, 0, NOW);
+  }
+  assert.equal(card.easiness, 1.3);
+});
+
+test('getDueCards lists overdue cards first and describeDue reads the schedule', () => {
+  const cards = [
+    { id: 'later', due: NOW + 3 * DAY },
+    { id: 'today', due: NOW },
+    { id: 'overdue', due: NOW - DAY }
+  ];
+
+  assert.deepEqual(getDueCards(cards, NOW).map(({ id }) => id), ['overdue', 'today']);
+  assert.equal(describeDue(cards[0], NOW), 'in 3 days');
+  assert.equal(describeDue({ due: NOW + DAY }, NOW), 'tomorrow');
+  assert.equal(describeDue(cards[2], NOW), 'today');
+});
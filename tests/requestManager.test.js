@@ -0,0 +1,97 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestManager } from '../src/services/request-manager.js';
+
+const SUMMARY = { type: 'GENERATE_SUMMARY', videoId: 'video000001', trackId: 'a.en', transcript: [] };
+
+/**
+ * generate() stand-in that resolves when told to and records its runs
+ */
+function createGenerator() {
+  const runs = [];
+  const generate = (options) => new Promise((resolve, reject) => {
+    runs.push({ ...options, resolve });
+    options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+  return { runs, generate };
+}
+
+test('buildKey matches requests by type, video and parameters, not transcript or ID', () => {
+  const key = RequestManager.buildKey(SUMMARY);
+
+  assert.equal(RequestManager.buildKey({ ...SUMMARY, requestId: 'a', transcript: [{ start: 0 }] }), key);
+  assert.notEqual(RequestManager.buildKey({ ...SUMMARY, trackId: 'de' }), key);
+  assert.notEqual(RequestManager.buildKey({ ...SUMMARY, regenerate: true }), key);
+  assert.notEqual(RequestManager.buildKey({ ...SUMMARY, type: 'GENERATE_QUIZ' }), key);
+});
+
+test('identical requests share one run and its chunks', async () => {
+  const manager = new RequestManager();
+  const { runs, generate } = createGenerator();
+  const first = [];
+  const second = [];
+
+  const a = manager.run({ ...SUMMARY, requestId: 'a' }, { onChunk: chunk => first.push(chunk) }, generate);
+  runs[0].onChunk('Hello ');
+  const b = manager.run({ ...SUMMARY, requestId: 'b' }, { onChunk: chunk => second.push(chunk) }, generate);
+  runs[0].onChunk('world');
+  runs[0].resolve('done');
+
+  assert.deepEqual(await Promise.all([a, b]), ['done', 'done']);
+  assert.equal(runs.length, 1);
+  assert.deepEqual(first, ['Hello ', 'world']);
+  assert.deepEqual(second, ['Hello ', 'world'], 'the late request first gets the text so far');
+
+  manager.run(SUMMARY, {}, generate);
+  assert.equal(runs.length, 2, 'a finished run is not reused');
+});
+
+test('cancelling one request keeps the run going for the others', async () => {
+  const manager = new RequestManager();
+  const { runs, generate } = createGenerator();
+
+  const a = manager.run({ ...SUMMARY, requestId: 'a' }, {}, generate);
+  const b = manager.run({ ...SUMMARY, requestId: 'b' }, {}, generate);
+
+  assert.equal(manager.cancel('a'), true);
+  await assert.rejects(a, { name: 'AbortError' });
+  assert.equal(runs[0].signal.aborted, false);
+
+  runs[0].resolve('done');
+  assert.equal(await b, 'done');
+  assert.equal(manager.cancel('a'), false, 'no longer running');
+});
+
+test('cancelling every request aborts the run and the next request starts a new one', async () => {
+  const manager = new RequestManager();
+  const { runs, generate } = createGenerator();
+
+  const a = manager.run({ ...SUMMARY, requestId: 'a' }, {}, generate);
+  manager.cancel('a');
+
+  await assert.rejects(a, { name: 'AbortError' });
+  assert.equal(runs[0].signal.aborted, true);
+
+  manager.run({ ...SUMMARY, requestId: 'b' }, {}, generate);
+  assert.equal(runs.length, 2);
+});
+
+test('cancelTab cancels a tab\'s requests except those for the video it now shows', async () => {
+  const manager = new RequestManager();
+  const { generate } = createGenerator();
+
+  const current = manager.run({ ...SUMMARY, requestId: 'a' }, { tabId: 1 }, generate);
+  const previous = manager.run({ ...SUMMARY, videoId: 'video000002', requestId: 'b' }, { tabId: 1 }, generate);
+  const otherTab = manager.run({ ...SUMMARY, videoId: 'video000002', requestId: 'c' }, { tabId: 2 }, generate);
+
+  assert.equal(manager.cancelTab(1, SUMMARY.videoId), 1);
+  await assert.rejects(previous, { name: 'AbortError' });
+  assert.deepEqual([...manager.requests.keys()], ['a', 'c']);
+
+  assert.equal(manager.cancelTab(1), 1);
+  await assert.rejects(current, { name: 'AbortError' });
+
+  manager.cancel('c');
+  await assert.rejects(otherTab, { name: 'AbortError' });
+});
@@ -0,0 +1,150 @@
+import './helpers/quietConsole.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeShim } from './helpers/chromeShim.js';
+import { StorageService } from '../src/services/storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let chrome;
+let storage;
+
+beforeEach(() => {
+  chrome = installChromeShim();
+  storage = new StorageService();
+});
+
+test('getSettings merges stored values over the defaults', async () => {
+  await chrome.storage.sync.set({ autoSummary: false, geminiApiKey: 'AIzaKey', unrelated: 1 });
+
+  const settings = await storage.getSettings();
+  assert.equal(settings.autoSummary, false);
+  assert.equal(settings.geminiApiKey, 'AIzaKey');
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.audienceProfile, 'kid');
+  assert.equal(settings.unrelated, undefined);
+});
+
+test('getSettings falls back to the defaults when storage fails', async () => {
+  chrome.storage.sync.get = async () => { throw new Error('quota'); };
+
+  assert.deepEqual(await storage.getSettings(), storage.defaultSettings);
+});
+
+test('initializeDefaults only fills in missing keys', async () => {
+  await chrome.storage.sync.set({ enabled: false });
+
+  await storage.initializeDefaults();
+  assert.equal(chrome.storage.sync.data.enabled, false);
+  assert.equal(chrome.storage.sync.data.autoSummary, true);
+  assert.equal(chrome.storage.sync.data.aiProvider, 'gemini');
+});
+
+test('updateSettings stores the change with a timestamp', async () => {
+  const before = Date.now();
+  assert.equal(await storage.updateSettings({ outputLanguage: 'es' }), true);
+
+  assert.equal(chrome.storage.sync.data.outputLanguage, 'es');
+  assert.ok(chrome.storage.sync.data.lastUpdated >= before);
+});
+
+test('updateSettings reports storage errors', async () => {
+  chrome.storage.sync.set = async () => { throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded'); };
+
+  await assert.rejects(storage.updateSettings({ explanationTemplate: 'x' }), /Failed to save settings: QUOTA_BYTES_PER_ITEM/);
+});
+
+test('conversation history is saved, read and cleared per video', async () => {
+  const conversation = [{ type: 'question', content: 'Why?' }, { type: 'answer', content: 'Because.' }];
+
+  assert.deepEqual(await storage.getConversationHistory('video1'), []);
+  await storage.saveConversationHistory('video1', conversation);
+  assert.deepEqual(await storage.getConversationHistory('video1'), conversation);
+  assert.deepEqual(await storage.getConversationHistory('video2'), []);
+
+  await storage.clearConversationHistory('video1');
+  assert.deepEqual(await storage.getConversationHistory('video1'), []);
+  assert.equal(chrome.storage.local.data.conversation_video1_timestamp, undefined);
+});
+
+test('cleanupOldConversations keeps the 10 most recent conversations', async () => {
+  for (let i = 0; i < 12; i++) {
+    await chrome.storage.local.set({
+      [`conversation_v${i}`]: [{ type: 'question', content: `q${i}` }],
+      [`conversation_v${i}_timestamp`]: 1000 + i
+    });
+  }
+  await chrome.storage.local.set({ transcript_v0: [], transcript_v0_timestamp: 1 });
+
+  await storage.cleanupOldConversations();
+
+  const keys = Object.keys(chrome.storage.local.data);
+  assert.ok(!keys.includes('conversation_v0'));
+  assert.ok(!keys.includes('conversation_v1_timestamp'));
+  assert.ok(keys.includes('conversation_v2'));
+  assert.ok(keys.includes('conversation_v11'));
+  assert.ok(keys.includes('transcript_v0'), 'cleanup must not touch other data');
+});
+
+test('cached transcripts expire after 24 hours', async () => {
+  const transcript = [{ start: 0, duration: 2, text: 'hello' }];
+
+  assert.equal(await storage.cacheTranscript('abc', transcript), true);
+  assert.deepEqual(await storage.getCachedTranscript('abc'), transcript);
+
+  chrome.storage.local.data.transcript_abc_timestamp = Date.now() - DAY - 1;
+  assert.equal(await storage.getCachedTranscript('abc'), null);
+  assert.equal(await storage.getCachedTranscript('missing'), null);
+});
+
+test('review cards are added once, updated, removed and capped', async () => {
+  const card = (id, createdAt) => ({ id, createdAt, due: createdAt });
+
+  assert.equal(await storage.addReviewCards([card('a', 1), card('b', 2)]), 2);
+  assert.equal(await storage.addReviewCards([card('b', 3), card('c', 3)]), 1, 'skips queued cards');
+
+  await storage.updateReviewCard({ ...card('a', 1), due: 99 });
+  await storage.removeReviewCard('b');
+  assert.deepEqual((await storage.getReviewCards()).map(({ id, due }) => [id, due]), [['c', 3], ['a', 99]]);
+
+  await storage.saveReviewCards(Array.from({ length: 505 }, (_, i) => card(`card${i}`, i)));
+  const kept = await storage.getReviewCards();
+  assert.equal(kept.length, 500);
+  assert.equal(kept.at(-1).id, 'card5', 'drops the oldest cards');
+});
+
+test('edited flashcard decks are saved per video', async () => {
+  const cards = [{ id: 'x1', term: 'TTL', definition: 'Time to live', seconds: 10 }];
+
+  assert.equal(await storage.getFlashcards('video1'), null);
+  await storage.saveFlashcards('video1', cards);
+  assert.deepEqual(await storage.getFlashcards('video1'), cards);
+  assert.equal(await storage.getFlashcards('video2'), null);
+});
+
+test('notes are saved per video, listed newest first and removed when empty', async () => {
+  const note = (id, text) => ({ id, seconds: 10, text, quote: '', createdAt: 1, updatedAt: 1 });
+
+  assert.equal(await storage.getNotes('video1'), null);
+  await storage.saveNotes('video1', 'First video', [note('a', 'TTL matters')]);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await storage.saveNotes('video2', 'Second video', [note('b', 'LRU')]);
+
+  const record = await storage.getNotes('video1');
+  assert.equal(record.videoTitle, 'First video');
+  assert.deepEqual(record.notes.map(({ text }) => text), ['TTL matters']);
+  assert.deepEqual((await storage.getAllNotes()).map(({ videoId }) => videoId), ['video2', 'video1']);
+
+  await storage.saveNotes('video1', 'First video', []);
+  assert.equal(await storage.getNotes('video1'), null);
+});
+
+test('getStorageStats reports usage against the quotas', async () => {
+  await chrome.storage.local.set({ transcript_abc: 'x'.repeat(1000) });
+
+  const stats = await storage.getStorageStats();
+  assert.equal(stats.sync.quota, 102400);
+  assert.equal(stats.local.quota, 5242880);
+  assert.ok(stats.local.used > 1000);
+  assert.equal(stats.local.percentage, 0);
+});
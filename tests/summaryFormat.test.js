@@ -0,0 +1,114 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSummaryResponse, validateChapters, SummaryResponseSchema } from '../src/utils/summaryFormat.js';
+
+const chapter = (title, timestamp, seconds, description = `About ${title}`) => ({ title, timestamp, seconds, description });
+
+test('parses a well-formed response', () => {
+  const response = JSON.stringify({
+    summary: 'A talk about **caching**.',
+    chapters: [chapter('Intro', '0:00', 0), chapter('Cache layers', '2:30', 150)]
+  });
+
+  assert.deepEqual(parseSummaryResponse(response, { duration: 600 }), {
+    summary: 'A talk about **caching**.',
+    chapters: [chapter('Intro', '0:00', 0), chapter('Cache layers', '2:30', 150)]
+  });
+});
+
+test('repairs markdown fences, surrounding text, smart quotes and trailing commas', () => {
+  const response = `Here is the summary:
+\`\`\`json
+{
+  “summary”: “Short summary”,
+  "chapters": [
+    {"title": "Intro", "timestamp": "0:00", "seconds": 0, "description": "Start",},
+  ],
+}
+\`\`\`
+Hope this helps!`;
+
+  const result = parseSummaryResponse(response);
+  assert.equal(result.summary, 'Short summary');
+  assert.deepEqual(result.chapters, [chapter('Intro', '0:00', 0, 'Start')]);
+});
+
+test('takes the start from "timestamp" when "seconds" is missing or not a number', () => {
+  const result = parseSummaryResponse(JSON.stringify({
+    summary: 'S',
+    chapters: [
+      { title: 'Intro', timestamp: '0:00', description: 'a' },
+      { title: 'Middle', timestamp: '[1:05:30]', seconds: 'soon', description: 'b' },
+      { title: 'String seconds', seconds: '90', description: 'c' }
+    ]
+  }));
+
+  assert.deepEqual(result.chapters.map(({ seconds, timestamp }) => [seconds, timestamp]), [
+    [0, '0:00'],
+    [90, '1:30'],
+    [3930, '1:05:30']
+  ]);
+});
+
+test('drops chapters without a title or a usable start instead of inventing one', () => {
+  const chapters = validateChapters([
+    chapter('Intro', '0:00', 0),
+    { title: 'No time', description: 'x' },
+    { title: 'Bad time', timestamp: 'later', description: 'x' },
+    { timestamp: '1:00', seconds: 60, description: 'no title' },
+    null,
+    chapter('Kept', '2:00', 120)
+  ]);
+
+  assert.deepEqual(chapters.map(({ title }) => title), ['Intro', 'Kept']);
+});
+
+test('clamps starts to the video duration, sorts them and removes duplicates', () => {
+  const chapters = validateChapters([
+    chapter('Late', '20:00', 1200),
+    chapter('Intro', '0:00', 0),
+    chapter('Negative', '0:00', -30),
+    chapter('Middle', '4:00', 240),
+    chapter('Also late', '30:00', 1800)
+  ], 300);
+
+  assert.deepEqual(chapters.map(({ title, seconds, timestamp }) => [title, seconds, timestamp]), [
+    ['Intro', 0, '0:00'],
+    ['Middle', 240, '4:00'],
+    ['Late', 299, '4:59']
+  ]);
+});
+
+test('moves the first chapter to the start of the video', () => {
+  const chapters = validateChapters([chapter('First', '0:12', 12), chapter('Second', '1:00', 60)], 120);
+
+  assert.deepEqual(chapters.map(({ seconds, timestamp }) => [seconds, timestamp]), [[0, '0:00'], [60, '1:00']]);
+});
+
+test('ignores the duration when it is unknown', () => {
+  const chapters = validateChapters([chapter('Intro', '0:00', 0), chapter('Far', '2:00:00', 7200)], NaN);
+
+  assert.equal(chapters[1].seconds, 7200);
+});
+
+test('truncates long titles and descriptions', () => {
+  const [only] = validateChapters([chapter('T'.repeat(100), '0:00', 0, 'D'.repeat(300))]);
+
+  assert.equal(only.title.length, 60);
+  assert.equal(only.description.length, 120);
+});
+
+test('throws a descriptive error for unusable responses', () => {
+  assert.throws(() => parseSummaryResponse('I cannot summarize this video.'), /does not contain a JSON object/);
+  assert.throws(() => parseSummaryResponse('{"summary": "cut off", "chapters": [{"title": '), /does not contain a JSON object|not valid JSON/);
+  assert.throws(() => parseSummaryResponse('{"summary": "x" "chapters": []}'), /not valid JSON/);
+  assert.throws(() => parseSummaryResponse('{"chapters": []}'), /no "summary"/);
+  assert.throws(() => parseSummaryResponse('{"summary": "S", "chapters": {}}'), /no "chapters" array/);
+  assert.throws(() => parseSummaryResponse('{"summary": "S", "chapters": [{"title": "x"}]}'), /no valid chapters/);
+});
+
+test('schema requires every field the parser reads', () => {
+  assert.deepEqual(SummaryResponseSchema.required, ['summary', 'chapters']);
+  assert.deepEqual(SummaryResponseSchema.properties.chapters.items.required, ['title', 'timestamp', 'seconds', 'description']);
+});
@@ -0,0 +1,73 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, rankDocuments, retrieveTranscriptChunks, retrieveCollectionChunks } from '../src/utils/transcriptSearch.js';
+
+const segment = (start, text, duration = 10) => ({ start, duration, text });
+
+test('tokenize lowercases and drops stop words and punctuation', () => {
+  assert.deepEqual(tokenize('What does the Write-Back cache do, and why?'), ['write', 'back', 'cache']);
+  assert.deepEqual(tokenize('Größe über 10 Äpfel'), ['größe', 'über', '10', 'äpfel']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('rankDocuments prefers rare terms and repeated matches', () => {
+  const ranking = rankDocuments([
+    'caching makes reads fast',
+    'invalidation invalidation is the hard part of caching',
+    'the weather today is sunny',
+    'invalidation happens on writes'
+  ], 'cache invalidation');
+
+  assert.deepEqual(ranking.map(({ index }) => index), [1, 3, 0, 2]);
+  assert.equal(ranking[3].score, 0);
+});
+
+test('rankDocuments keeps document order when nothing matches', () => {
+  assert.deepEqual(rankDocuments(['a b', 'c d'], 'zebra').map(({ index }) => index), [0, 1]);
+});
+
+test('retrieveTranscriptChunks returns the best chunks in video order with time ranges', () => {
+  const transcript = [
+    segment(0, 'welcome everyone to this lecture on databases'),
+    segment(10, 'first we cover indexes and how btree indexes speed up lookups'),
+    segment(20, 'next is replication between primary and replica servers'),
+    segment(30, 'replication lag means a replica can return stale reads'),
+    segment(40, 'finally some closing remarks and thanks', 5)
+  ];
+
+  const chunks = retrieveTranscriptChunks(transcript, 'Why does replication return stale reads?', { chunkSize: 70, topK: 2 });
+
+  assert.deepEqual(chunks.map(({ number, start, end }) => [number, start, end]), [[3, 20, 30], [4, 30, 40]]);
+  assert.equal(chunks[1].text, '[0:30] replication lag means a replica can return stale reads');
+  assert.ok(chunks[1].score > chunks[0].score);
+});
+
+test('retrieveTranscriptChunks sends everything when the transcript is short', () => {
+  const transcript = [segment(0, 'short video about cats'), segment(10, 'cats sleep a lot')];
+  const chunks = retrieveTranscriptChunks(transcript, 'dogs?', { chunkSize: 1500, topK: 5 });
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].text, '[0:00] short video about cats cats sleep a lot');
+});
+
+test('retrieveTranscriptChunks handles untimed transcripts', () => {
+  const [chunk] = retrieveTranscriptChunks('Plain text about caching. Nothing else.', 'caching');
+
+  assert.equal(chunk.start, null);
+  assert.equal(chunk.end, null);
+  assert.match(chunk.text, /caching/);
+});
+
+test('retrieveCollectionChunks gives every video its best chunk before filling by rank', () => {
+  const videos = [
+    { videoId: 'a', transcript: [segment(0, 'caching with write-back caches'), segment(10, 'caching and more caching here')] },
+    { videoId: 'b', transcript: null },
+    { videoId: 'c', transcript: [segment(0, 'a talk about gardening'), segment(10, 'one mention of caching')] }
+  ];
+
+  const chunks = retrieveCollectionChunks(videos, 'caching', { chunkSize: 35, topK: 3 });
+
+  assert.deepEqual(chunks.map(({ video, number, start }) => [video, number, start]), [[0, 1, 0], [0, 2, 10], [2, 2, 10]]);
+  assert.equal(chunks[2].text, '[0:10] one mention of caching');
+});
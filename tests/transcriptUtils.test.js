@@ -0,0 +1,165 @@
+import './helpers/quietConsole.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTimestamp,
+  formatTimestamp,
+  cleanTranscript,
+  cleanTranscriptText,
+  chunkTranscript,
+  parseTranscriptXml,
+  getTranscriptText,
+  getTranscriptDuration,
+  formatTranscriptForPrompt,
+  getTranscriptExcerpt,
+  normalizeCaptionTracks,
+  selectCaptionTrack
+} from '../src/utils/transcriptUtils.js';
+
+const segment = (start, text, duration = 2) => ({ start, duration, text });
+
+test('parseTimestamp reads m:ss and h:mm:ss, with or without brackets', () => {
+  assert.equal(parseTimestamp('0:00'), 0);
+  assert.equal(parseTimestamp('1:05'), 65);
+  assert.equal(parseTimestamp('[12:34]'), 754);
+  assert.equal(parseTimestamp('1:02:03'), 3723);
+  assert.equal(parseTimestamp(' [ 2:00 ] '), 120);
+});
+
+test('parseTimestamp returns 0 for text that is not a timestamp', () => {
+  assert.equal(parseTimestamp('soon'), 0);
+  assert.equal(parseTimestamp(''), 0);
+  assert.equal(parseTimestamp(undefined), 0);
+});
+
+test('formatTimestamp round-trips with parseTimestamp', () => {
+  assert.equal(formatTimestamp(0), '0:00');
+  assert.equal(formatTimestamp(65.9), '1:05');
+  assert.equal(formatTimestamp(3723), '1:02:03');
+  assert.equal(formatTimestamp(-5), '0:00');
+
+  for (const seconds of [0, 59, 61, 599, 3599, 3600, 7322]) {
+    assert.equal(parseTimestamp(formatTimestamp(seconds)), seconds);
+  }
+});
+
+test('cleanTranscriptText removes caption artifacts and repeated words', () => {
+  assert.equal(cleanTranscriptText('[Music]  so so   today we   learn .'), 'so today we learn.');
+  assert.equal(cleanTranscriptText('hello [Applause] world'), 'hello world');
+  assert.equal(cleanTranscriptText(''), '');
+});
+
+test('cleanTranscript keeps segment timing and drops empty segments', () => {
+  const cleaned = cleanTranscript([
+    segment(0, 'welcome  welcome to the talk'),
+    segment(2.5, '[Music]'),
+    segment(5, 'first topic ,', 3)
+  ]);
+
+  assert.deepEqual(cleaned, [
+    segment(0, 'welcome to the talk'),
+    segment(5, 'first topic,', 3)
+  ]);
+});
+
+test('cleanTranscript still accepts plain strings', () => {
+  assert.equal(cleanTranscript('[Music] plain   text'), 'plain text');
+  assert.equal(cleanTranscript(''), '');
+  assert.deepEqual(cleanTranscript([]), []);
+});
+
+test('chunkTranscript splits segments on boundaries without losing any', () => {
+  const segments = Array.from({ length: 50 }, (_, i) => segment(i * 2, `sentence number ${i} here`));
+  const chunks = chunkTranscript(segments, 100);
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.flat(), segments);
+  for (const chunk of chunks) {
+    assert.ok(getTranscriptText(chunk).length <= 100, 'chunk exceeds the size limit');
+  }
+});
+
+test('chunkTranscript keeps an oversized segment as its own chunk', () => {
+  const long = segment(0, 'x'.repeat(500));
+  const chunks = chunkTranscript([segment(0, 'short'), long, segment(4, 'after')], 100);
+
+  assert.deepEqual(chunks, [[segment(0, 'short')], [long], [segment(4, 'after')]]);
+});
+
+test('chunkTranscript splits plain text on sentences', () => {
+  const text = 'First sentence here. Second sentence here! Third sentence here?';
+
+  assert.deepEqual(chunkTranscript(text, 1000), [text]);
+  assert.deepEqual(chunkTranscript(text, 45), [
+    'First sentence here. Second sentence here.',
+    'Third sentence here.'
+  ]);
+});
+
+test('parseTranscriptXml reads classic <text start dur> captions', () => {
+  const xml = `<?xml version="1.0" encoding="utf-8" ?><transcript>
+    <text start="0.5" dur="2.25">Hello &amp;amp; welcome</text>
+    <text start="2.75" dur="3">it&amp;#39;s   a test</text>
+    <text start="6" dur="1"></text>
+  </transcript>`;
+
+  assert.deepEqual(parseTranscriptXml(xml), [
+    { start: 0.5, duration: 2.25, text: 'Hello & welcome' },
+    { start: 2.75, duration: 3, text: "it's a test" }
+  ]);
+});
+
+test('parseTranscriptXml reads srv3 <p t d> captions in milliseconds', () => {
+  const xml = `<timedtext format="3"><body>
+    <p t="1200" d="3400"><s>Hello</s><s t="500"> there</s></p>
+    <p t="4600" d="1000">general</p>
+  </body></timedtext>`;
+
+  assert.deepEqual(parseTranscriptXml(xml), [
+    { start: 1.2, duration: 3.4, text: 'Hello there' },
+    { start: 4.6, duration: 1, text: 'general' }
+  ]);
+});
+
+test('parseTranscriptXml returns null when there are no captions', () => {
+  assert.equal(parseTranscriptXml('<transcript></transcript>'), null);
+  assert.equal(parseTranscriptXml('not xml at all'), null);
+});
+
+test('getTranscriptDuration and formatTranscriptForPrompt use real times', () => {
+  const transcript = [segment(0, 'intro'), segment(10, 'still intro'), segment(25, 'topic one'), segment(61, 'topic two', 4)];
+
+  assert.equal(getTranscriptDuration(transcript), 65);
+  assert.equal(formatTranscriptForPrompt(transcript), '[0:00] intro still intro\n[0:25] topic one\n[1:01] topic two');
+  assert.equal(formatTranscriptForPrompt('untimed text'), 'untimed text');
+});
+
+test('getTranscriptExcerpt returns the text spoken around a point', () => {
+  const transcript = [segment(0, 'intro'), segment(10, 'setup', 6), segment(20, 'the point'), segment(30, 'aside'), segment(60, 'later')];
+
+  assert.equal(getTranscriptExcerpt(transcript, 20), 'setup the point aside');
+  assert.equal(getTranscriptExcerpt(transcript, 0, { before: 0, after: 5 }), 'intro');
+  assert.equal(getTranscriptExcerpt(transcript, 20, { maxLength: 10 }), 'setup the…');
+  assert.equal(getTranscriptExcerpt(transcript, 500), '');
+  assert.equal(getTranscriptExcerpt('untimed text', 20), '');
+});
+
+test('normalizeCaptionTracks and selectCaptionTrack prefer manual tracks', () => {
+  const tracks = normalizeCaptionTracks([
+    { baseUrl: 'https://example.test/a', languageCode: 'es', kind: 'asr', name: { simpleText: 'Spanish' }, vssId: 'a.es' },
+    { baseUrl: 'https://example.test/b', languageCode: 'es-ES', name: { runs: [{ text: 'Spanish (Spain)' }] }, vssId: '.es-ES' },
+    { baseUrl: 'https://example.test/c', languageCode: 'en', name: { simpleText: 'English' } },
+    { languageCode: 'fr' }
+  ]);
+
+  assert.deepEqual(tracks.map(track => [track.id, track.label, track.isAutoGenerated]), [
+    ['a.es', 'Spanish (auto-generated)', true],
+    ['.es-ES', 'Spanish (Spain)', false],
+    ['.en', 'English', false]
+  ]);
+
+  assert.equal(selectCaptionTrack(tracks, { trackId: 'a.es' }).id, 'a.es');
+  assert.equal(selectCaptionTrack(tracks, { preferredLanguage: 'en' }).id, '.en');
+  assert.equal(selectCaptionTrack(tracks, { preferredLanguage: 'de' }).id, '.es-ES');
+  assert.equal(selectCaptionTrack([], {}), null);
+});
@@ -0,0 +1,185 @@
+import './helpers/quietConsole.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeShim } from './helpers/chromeShim.js';
+import { YouTubeService } from '../src/services/youtube.js';
+import { YouTubeSelectors } from '../src/utils/constants.js';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+
+const CAPTION_XML = `<?xml version="1.0" encoding="utf-8" ?><transcript>
+  <text start="0" dur="4.5">[Music] welcome back to the channel</text>
+  <text start="4.5" dur="5">today we are going to talk about caching</text>
+  <text start="9.5" dur="6">and why cache invalidation is so hard</text>
+</transcript>`;
+
+const playerResponse = (videoId) => ({
+  videoDetails: { videoId },
+  captions: {
+    playerCaptionsTracklistRenderer: {
+      captionTracks: [
+        { baseUrl: `https://www.youtube.com/api/timedtext?v=${videoId}&lang=en&kind=asr`, languageCode: 'en', kind: 'asr', vssId: 'a.en' },
+        { baseUrl: `https://www.youtube.com/api/timedtext?v=${videoId}&lang=de`, languageCode: 'de', name: { simpleText: 'German' }, vssId: '.de' }
+      ]
+    }
+  }
+});
+
+let chrome;
+let service;
+let fetchCalls;
+const originalFetch = globalThis.fetch;
+
+/**
+ * Minimal watch page: the player response lives in an inline script
+ */
+function loadWatchPage(videoId, pageDataVideoId = videoId) {
+  const script = { textContent: `var ytInitialPlayerResponse = ${JSON.stringify(playerResponse(pageDataVideoId))};` };
+  globalThis.window = { location: { href: `https://www.youtube.com/watch?v=${videoId}` } };
+  globalThis.document = {
+    querySelectorAll: (selector) => (selector === 'script' ? [script] : []),
+    querySelector: () => null
+  };
+}
+
+beforeEach(() => {
+  chrome = installChromeShim();
+  loadWatchPage(VIDEO_ID);
+  fetchCalls = [];
+  globalThis.fetch = async (url, options = {}) => {
+    fetchCalls.push({ url, options });
+    return new Response(CAPTION_XML);
+  };
+  service = new YouTubeService();
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  delete globalThis.window;
+  delete globalThis.document;
+});
+
+test('extractVideoId reads watch, short and embed URLs', () => {
+  assert.equal(service.extractVideoId(`https://www.youtube.com/watch?v=${VIDEO_ID}&t=10`), VIDEO_ID);
+  assert.equal(service.extractVideoId(`https://youtu.be/${VIDEO_ID}`), VIDEO_ID);
+  assert.equal(service.extractVideoId(`https://www.youtube.com/embed/${VIDEO_ID}`), VIDEO_ID);
+  assert.equal(service.extractVideoId('https://www.youtube.com/feed/subscriptions'), null);
+  assert.equal(service.getCurrentVideoId(), VIDEO_ID);
+});
+
+test('parseTranscriptXML returns timed segments and rejects empty captions', () => {
+  assert.deepEqual(service.parseTranscriptXML(CAPTION_XML)[1], {
+    start: 4.5,
+    duration: 5,
+    text: 'today we are going to talk about caching'
+  });
+  assert.throws(() => service.parseTranscriptXML('<transcript></transcript>'), /No text elements found/);
+});
+
+test('getCaptionTracks lists the tracks of the current video only', () => {
+  assert.deepEqual(service.getCaptionTracks(VIDEO_ID).map(track => track.id), ['a.en', '.de']);
+
+  loadWatchPage(VIDEO_ID, 'otherVideo1');
+  assert.equal(service.getPlayerResponse(VIDEO_ID), null);
+  assert.deepEqual(service.getCaptionTracks(VIDEO_ID), []);
+});
+
+test('getCaptionTracks uses the player response forwarded after in-app navigation', () => {
+  loadWatchPage(VIDEO_ID, 'otherVideo1');
+  service.setPageData(JSON.stringify({ playerResponse: playerResponse(VIDEO_ID) }));
+  assert.deepEqual(service.getCaptionTracks(VIDEO_ID).map(track => track.id), ['a.en', '.de']);
+
+  service.setPageData(JSON.stringify({ playerResponse: playerResponse('otherVideo2') }));
+  assert.equal(service.getPlayerResponse(VIDEO_ID), null, 'neither the forwarded nor the script data is for this video');
+
+  service.setPageData('not json');
+  assert.equal(service.getPlayerResponse('otherVideo2').videoDetails.videoId, 'otherVideo2', 'unreadable data is ignored');
+});
+
+test('getPlaylistVideos reads the playlist panel only while a playlist plays', () => {
+  const item = (videoId, title) => ({
+    querySelector: (selector) => ({
+      [YouTubeSelectors.PLAYLIST_ITEM_LINK]: { href: `https://www.youtube.com/watch?v=${videoId}&list=PL1&index=1` },
+      [YouTubeSelectors.PLAYLIST_ITEM_TITLE]: { textContent: `  ${title}\n` },
+      [YouTubeSelectors.PLAYLIST_ITEM_CHANNEL]: null
+    })[selector]
+  });
+  const items = [item(VIDEO_ID, 'First'), item('secondVid01', 'Second'), item(VIDEO_ID, 'First again')];
+  globalThis.document.querySelectorAll = (selector) => (selector === YouTubeSelectors.PLAYLIST_ITEM ? items : []);
+
+  assert.deepEqual(service.getPlaylistVideos(), [], 'no list= parameter');
+
+  globalThis.window.location.href = `https://www.youtube.com/watch?v=${VIDEO_ID}&list=PL1`;
+  assert.deepEqual(service.getPlaylistVideos(), [
+    { videoId: VIDEO_ID, title: 'First', channel: 'Unknown Channel' },
+    { videoId: 'secondVid01', title: 'Second', channel: 'Unknown Channel' }
+  ]);
+});
+
+test('getCreatorChapters prefers the player\'s markers and falls back to the description', () => {
+  const initialData = (videoId) => ({
+    currentVideoEndpoint: { watchEndpoint: { videoId } },
+    playerOverlays: { playerOverlayRenderer: { decoratedPlayerBarRenderer: { decoratedPlayerBarRenderer: { playerBar: {
+      multiMarkersPlayerBarRenderer: {
+        markersMap: [{ key: 'DESCRIPTION_CHAPTERS', value: { chapters: [
+          { chapterRenderer: { title: { simpleText: 'Intro' }, timeRangeStartMillis: 0 } },
+          { chapterRenderer: { title: { simpleText: 'Caching' }, timeRangeStartMillis: 42000 } }
+        ] } }]
+      }
+    } } } } }
+  });
+  const loadPageData = (videoId) => {
+    const script = { textContent: `var ytInitialData = ${JSON.stringify(initialData(videoId))};` };
+    globalThis.document.querySelectorAll = (selector) => (selector === 'script' ? [script] : []);
+  };
+  globalThis.document.querySelector = (selector) => (selector === YouTubeSelectors.VIDEO_DESCRIPTION
+    ? { textContent: '0:00 Start\n1:00 Middle\n2:00 End' }
+    : null);
+
+  loadPageData(VIDEO_ID);
+  assert.deepEqual(service.getCreatorChapters().map(({ title, seconds }) => [title, seconds]), [['Intro', 0], ['Caching', 42]]);
+
+  loadPageData('otherVideo1');
+  assert.deepEqual(service.getCreatorChapters().map(({ title }) => title), ['Start', 'Middle', 'End'], 'page data of the previous video');
+
+  service.setPageData(JSON.stringify({ initialData: initialData(VIDEO_ID) }));
+  assert.deepEqual(service.getCreatorChapters().map(({ title }) => title), ['Intro', 'Caching'], 'forwarded after in-app navigation');
+});
+
+test('fetchFromDescription does not treat a chapter list as a transcript', async () => {
+  const chapters = Array.from({ length: 8 }, (_, i) => `${i}:00 Part ${i + 1} of the talk about caching at scale`);
+  globalThis.document.querySelector = () => ({ textContent: chapters.join('\n') });
+
+  await assert.rejects(service.fetchFromDescription(), /chapters, not a transcript/);
+});
+
+test('fetchTranscript downloads the chosen track, cleans it and caches it', async () => {
+  const transcript = await service.fetchTranscript(VIDEO_ID, { trackId: '.de' });
+
+  assert.equal(transcript[0].text, 'welcome back to the channel');
+  assert.equal(transcript.length, 3);
+  assert.equal(fetchCalls.length, 1);
+  assert.match(fetchCalls[0].url, /lang=de&fmt=srv3$/);
+  assert.deepEqual(chrome.storage.local.data[`transcript_${VIDEO_ID}_.de`], transcript);
+
+  assert.equal(await service.fetchTranscript(VIDEO_ID, { trackId: '.de' }), transcript);
+  assert.equal(fetchCalls.length, 1, 'second request is served from memory');
+
+  service.clearCache();
+  assert.deepEqual(await new YouTubeService().fetchTranscript(VIDEO_ID, { trackId: '.de' }), transcript);
+  assert.equal(fetchCalls.length, 1, 'a new service reuses the stored transcript');
+});
+
+test('fetchTranscript stops when the user navigates away', async () => {
+  globalThis.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+    fetchCalls.push({ url });
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+
+  const pending = service.fetchTranscript(VIDEO_ID, { trackId: 'a.en' });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  service.cancelPendingRequests();
+
+  await assert.rejects(pending, /Transcript request cancelled because the video changed/);
+  assert.equal(fetchCalls.length, 1, 'no fallback methods run after cancelling');
+});
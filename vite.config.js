@@ -11,7 +11,8 @@ export default defineConfig({
   build: {
     rollupOptions: {
       input: {
-        popup: 'src/popup/popup.html'
+        popup: 'src/popup/popup.html',
+        library: 'src/library/library.html'
       }
     }
   }